@@ -0,0 +1,9 @@
+// db.js - Conexión a PostgreSQL compartida por el servidor y la CLI de migraciones
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+module.exports = { pool };
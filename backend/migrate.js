@@ -0,0 +1,206 @@
+// migrate.js - Migraciones versionadas del esquema
+//
+// Cada archivo de migrations/ se llama NNN_descripcion.js y exporta
+// { up(cliente), down(cliente) }. Se aplican en orden de versión, cada una en
+// su propia transacción, y las aplicadas quedan en la tabla schema_migrations.
+//
+// Uso: node migrate.js <comando>
+//   up [version]   aplica las pendientes (hasta `version` si se indica)
+//   down [pasos]   revierte las últimas aplicadas (1 por defecto)
+//   status         lista las migraciones aplicadas y pendientes
+//   seed           inserta los datos de prueba (solo si la base está vacía)
+//   fusionar-proveedores [--dry-run]
+//                  fusiona los proveedores con el mismo nombre (necesario
+//                  para la migración 005 si ya hay duplicados); con --dry-run
+//                  solo informa de lo que haría
+const fs = require('fs');
+const path = require('path');
+
+const DIRECTORIO_MIGRACIONES = path.join(__dirname, 'migrations');
+const ARCHIVO_MIGRACION = /^(\d+)_([\w-]+)\.js$/;
+
+// Clave del bloqueo que impide que dos procesos migren a la vez
+const BLOQUEO_MIGRACIONES = 72340111;
+
+// Migraciones disponibles ordenadas por versión
+function cargarMigraciones() {
+  const migraciones = fs.readdirSync(DIRECTORIO_MIGRACIONES)
+    .map(archivo => archivo.match(ARCHIVO_MIGRACION))
+    .filter(Boolean)
+    .map(([archivo, version, nombre]) => ({ version: parseInt(version, 10), nombre, archivo }))
+    .sort((a, b) => a.version - b.version);
+
+  migraciones.forEach((migracion, i) => {
+    if (i > 0 && migraciones[i - 1].version === migracion.version) {
+      throw new Error(`Versión de migración repetida: ${migracion.version} (${migraciones[i - 1].archivo}, ${migracion.archivo})`);
+    }
+    const modulo = require(path.join(DIRECTORIO_MIGRACIONES, migracion.archivo));
+    if (typeof modulo.up !== 'function' || typeof modulo.down !== 'function') {
+      throw new Error(`La migración ${migracion.archivo} debe exportar up y down`);
+    }
+    Object.assign(migracion, modulo);
+  });
+  return migraciones;
+}
+
+async function crearTablaMigraciones(cliente) {
+  await cliente.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      nombre VARCHAR(255) NOT NULL,
+      aplicada_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+// Ejecuta `operacion(cliente)` con el bloqueo de migraciones tomado
+async function conBloqueo(pool, operacion) {
+  const cliente = await pool.connect();
+  try {
+    await cliente.query('SELECT pg_advisory_lock($1)', [BLOQUEO_MIGRACIONES]);
+    await crearTablaMigraciones(cliente);
+    return await operacion(cliente);
+  } finally {
+    await cliente.query('SELECT pg_advisory_unlock($1)', [BLOQUEO_MIGRACIONES]).catch(() => {});
+    cliente.release();
+  }
+}
+
+async function versionesAplicadas(cliente) {
+  const result = await cliente.query('SELECT version, nombre, aplicada_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Aplica `migracion.up` o `migracion.down` y actualiza schema_migrations en la misma transacción
+async function ejecutar(cliente, migracion, sentido) {
+  await cliente.query('BEGIN');
+  try {
+    await migracion[sentido](cliente);
+    if (sentido === 'up') {
+      await cliente.query('INSERT INTO schema_migrations (version, nombre) VALUES ($1, $2)', [migracion.version, migracion.nombre]);
+    } else {
+      await cliente.query('DELETE FROM schema_migrations WHERE version = $1', [migracion.version]);
+    }
+    await cliente.query('COMMIT');
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    error.message = `Migración ${migracion.archivo} (${sentido}): ${error.message}`;
+    throw error;
+  }
+}
+
+// Aplica las migraciones pendientes (hasta la versión `hasta`); devuelve las aplicadas
+async function migrar(pool, { hasta = Infinity } = {}) {
+  const migraciones = cargarMigraciones();
+  return conBloqueo(pool, async cliente => {
+    const aplicadas = await versionesAplicadas(cliente);
+    const pendientes = migraciones.filter(migracion => !aplicadas.has(migracion.version) && migracion.version <= hasta);
+    for (let migracion of pendientes) {
+      await ejecutar(cliente, migracion, 'up');
+      console.log(`⬆️ Migración aplicada: ${migracion.archivo}`);
+    }
+    return pendientes.map(({ version, nombre }) => ({ version, nombre }));
+  });
+}
+
+// Revierte las `pasos` últimas migraciones aplicadas; devuelve las revertidas
+async function revertir(pool, { pasos = 1 } = {}) {
+  const migraciones = new Map(cargarMigraciones().map(migracion => [migracion.version, migracion]));
+  return conBloqueo(pool, async cliente => {
+    const aplicadas = [...(await versionesAplicadas(cliente)).keys()].reverse().slice(0, pasos);
+    const sinArchivo = aplicadas.filter(version => !migraciones.has(version));
+    if (sinArchivo.length) {
+      throw new Error(`No se encuentra el archivo de las migraciones ${sinArchivo.join(', ')}: no se pueden revertir`);
+    }
+    for (let version of aplicadas) {
+      await ejecutar(cliente, migraciones.get(version), 'down');
+      console.log(`⬇️ Migración revertida: ${migraciones.get(version).archivo}`);
+    }
+    return aplicadas.map(version => ({ version, nombre: migraciones.get(version).nombre }));
+  });
+}
+
+// Todas las migraciones conocidas (archivos y aplicadas) con su estado
+async function estadoMigraciones(pool) {
+  const migraciones = cargarMigraciones();
+  return conBloqueo(pool, async cliente => {
+    const aplicadas = await versionesAplicadas(cliente);
+    const estado = migraciones.map(({ version, nombre }) => ({
+      version,
+      nombre,
+      aplicada: aplicadas.has(version),
+      aplicada_at: aplicadas.has(version) ? aplicadas.get(version).aplicada_at : null
+    }));
+    // Aplicadas en la base de datos pero sin archivo (de otra rama o borradas)
+    aplicadas.forEach((fila, version) => {
+      if (!migraciones.some(migracion => migracion.version === version)) {
+        estado.push({ version, nombre: fila.nombre, aplicada: true, aplicada_at: fila.aplicada_at, sin_archivo: true });
+      }
+    });
+    return estado.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = { migrar, revertir, estadoMigraciones };
+
+// ==================== CLI ====================
+
+// Fusión de proveedores duplicados en una transacción (deshecha con `simular`)
+async function fusionarProveedores(pool, simular) {
+  const { fusionarProveedoresDuplicados } = require('./proveedores-duplicados');
+  const cliente = await pool.connect();
+  try {
+    await cliente.query('BEGIN');
+    const fusiones = await fusionarProveedoresDuplicados(cliente);
+    await cliente.query(simular ? 'ROLLBACK' : 'COMMIT');
+    fusiones.forEach(({ conservado, fusionados }) => {
+      console.log(`${conservado.nombre} (${conservado.id}) ← ${fusionados.map(f =>
+        `${f.id}: ${f.vehiculos} vehículos, ${f.tiendas} tiendas, ${f.usuarios} usuarios, ${f.escenarios} escenarios`
+      ).join('; ')}`);
+    });
+    if (!fusiones.length) console.log('✅ No hay proveedores duplicados');
+    else console.log(simular ? `🔎 Simulación: se fusionarían ${fusiones.length} grupos` : `✅ ${fusiones.length} grupos fusionados`);
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    throw error;
+  } finally {
+    cliente.release();
+  }
+}
+
+async function main([comando, argumento]) {
+  const { pool } = require('./db');
+  try {
+    if (comando === 'up') {
+      const aplicadas = await migrar(pool, { hasta: argumento ? parseInt(argumento, 10) : Infinity });
+      console.log(aplicadas.length ? `✅ ${aplicadas.length} migraciones aplicadas` : '✅ El esquema está al día');
+    } else if (comando === 'down') {
+      const pasos = argumento ? parseInt(argumento, 10) : 1;
+      if (!(pasos > 0)) throw new Error('El número de pasos debe ser un entero positivo');
+      const revertidas = await revertir(pool, { pasos });
+      console.log(revertidas.length ? `✅ ${revertidas.length} migraciones revertidas` : 'No hay migraciones que revertir');
+    } else if (comando === 'status') {
+      (await estadoMigraciones(pool)).forEach(migracion => {
+        const estado = migracion.aplicada
+          ? `aplicada ${new Date(migracion.aplicada_at).toISOString()}${migracion.sin_archivo ? ' (sin archivo)' : ''}`
+          : 'pendiente';
+        console.log(`${String(migracion.version).padStart(3, '0')} ${migracion.nombre.padEnd(40)} ${estado}`);
+      });
+    } else if (comando === 'seed') {
+      const { insertarDatosPrueba } = require('./seeds/datos-prueba');
+      await insertarDatosPrueba(pool);
+    } else if (comando === 'fusionar-proveedores') {
+      await fusionarProveedores(pool, argumento === '--dry-run');
+    } else {
+      console.log('Uso: node migrate.js up [version] | down [pasos] | status | seed | fusionar-proveedores [--dry-run]');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) main(process.argv.slice(2));
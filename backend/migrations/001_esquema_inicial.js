@@ -0,0 +1,202 @@
+// Esquema inicial: las tablas que creaba initializeDatabase antes de las migraciones.
+// Todo es idempotente (IF NOT EXISTS) para que las bases de datos ya existentes
+// la apliquen sin perder datos y queden registradas en schema_migrations.
+module.exports = {
+  async up(cliente) {
+    // Crear tabla de proveedores
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS proveedores (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nombre VARCHAR(255) NOT NULL,
+        almacen_base_id UUID,
+        activo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Crear tabla de almacenes (origen de las rutas de cada proveedor)
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS almacenes (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nombre VARCHAR(255) NOT NULL,
+        direccion TEXT,
+        latitud DECIMAL(9,6),
+        longitud DECIMAL(9,6),
+        hora_apertura TIME,
+        hora_cierre TIME,
+        muelles INTEGER CHECK (muelles >= 0),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Columnas de almacenes creados antes de tener dirección, horario y muelles
+    await cliente.query('ALTER TABLE almacenes ADD COLUMN IF NOT EXISTS direccion TEXT');
+    await cliente.query('ALTER TABLE almacenes ADD COLUMN IF NOT EXISTS hora_apertura TIME');
+    await cliente.query('ALTER TABLE almacenes ADD COLUMN IF NOT EXISTS hora_cierre TIME');
+    await cliente.query('ALTER TABLE almacenes ADD COLUMN IF NOT EXISTS muelles INTEGER CHECK (muelles >= 0)');
+    await cliente.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'almacenes_horario_check') THEN
+          ALTER TABLE almacenes ADD CONSTRAINT almacenes_horario_check CHECK (hora_cierre > hora_apertura);
+        END IF;
+      END $$
+    `);
+    
+    // Clave foránea proveedores.almacen_base_id → almacenes (antes apuntaba a nada:
+    // se limpian los ids huérfanos para poder crearla)
+    await cliente.query(`
+      UPDATE proveedores SET almacen_base_id = NULL
+      WHERE almacen_base_id IS NOT NULL AND almacen_base_id NOT IN (SELECT id FROM almacenes)
+    `);
+    await cliente.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'proveedores_almacen_base_id_fkey') THEN
+          ALTER TABLE proveedores ADD CONSTRAINT proveedores_almacen_base_id_fkey
+            FOREIGN KEY (almacen_base_id) REFERENCES almacenes(id) ON DELETE RESTRICT;
+        END IF;
+      END $$
+    `);
+    
+    // Crear tabla de tipos de vehículo
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS tipos_vehiculo (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nombre VARCHAR(50) UNIQUE NOT NULL
+      )
+    `);
+    
+    // Crear tabla de vehículos
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS vehiculos (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        numero_camion INTEGER UNIQUE NOT NULL,
+        proveedor_id UUID REFERENCES proveedores(id),
+        nombre_corto VARCHAR(100),
+        tipo_pago VARCHAR(50),
+        tipo_vehiculo_id UUID REFERENCES tipos_vehiculo(id),
+        capacidad_combis INTEGER NOT NULL,
+        activo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Tarifas: las del tipo de vehículo son la referencia y cada vehículo puede
+    // sobrescribirlas (NULL = usar la del tipo)
+    for (let columna of ['tarifa_fija', 'tarifa_km', 'tarifa_combi', 'tarifa_hora']) {
+      await cliente.query(`ALTER TABLE tipos_vehiculo ADD COLUMN IF NOT EXISTS ${columna} DECIMAL(10,2) DEFAULT 0`);
+      await cliente.query(`ALTER TABLE vehiculos ADD COLUMN IF NOT EXISTS ${columna} DECIMAL(10,2)`);
+    }
+    
+    // Crear tabla de tiendas
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS tiendas (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        codigo VARCHAR(20) UNIQUE NOT NULL,
+        nombre VARCHAR(255) NOT NULL,
+        direccion TEXT,
+        provincia VARCHAR(100),
+        combis_promedio DECIMAL(5,2),
+        latitud DECIMAL(9,6),
+        longitud DECIMAL(9,6),
+        activo BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Coordenadas para bases de datos creadas antes de la optimización por distancia
+    await cliente.query('ALTER TABLE tiendas ADD COLUMN IF NOT EXISTS latitud DECIMAL(9,6)');
+    await cliente.query('ALTER TABLE tiendas ADD COLUMN IF NOT EXISTS longitud DECIMAL(9,6)');
+    // Baja lógica de tiendas (como vehículos y proveedores)
+    await cliente.query('ALTER TABLE tiendas ADD COLUMN IF NOT EXISTS activo BOOLEAN DEFAULT true');
+    
+    // Crear tabla de horarios de entrega (dia_semana ISO: 1 = lunes ... 7 = domingo)
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS tienda_horarios (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tienda_id UUID REFERENCES tiendas(id) ON DELETE CASCADE,
+        dia_semana SMALLINT NOT NULL CHECK (dia_semana BETWEEN 1 AND 7),
+        hora_inicio TIME NOT NULL,
+        hora_fin TIME NOT NULL,
+        adaptable BOOLEAN DEFAULT false,
+        CHECK (hora_fin > hora_inicio)
+      )
+    `);
+    
+    // Crear tabla de pedidos: demanda real de cada tienda por fecha de entrega
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS pedidos (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tienda_id UUID NOT NULL REFERENCES tiendas(id) ON DELETE CASCADE,
+        fecha DATE NOT NULL,
+        combis DECIMAL(6,2) NOT NULL CHECK (combis >= 0),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (tienda_id, fecha)
+      )
+    `);
+    await cliente.query('CREATE INDEX IF NOT EXISTS idx_pedidos_fecha ON pedidos (fecha)');
+    
+    // Crear tabla de relación tienda-proveedor: `principal` marca el
+    // transportista actual, el resto son alternativas permitidas
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS tienda_proveedores (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tienda_id UUID REFERENCES tiendas(id),
+        proveedor_id UUID REFERENCES proveedores(id),
+        motivo VARCHAR(255),
+        principal BOOLEAN DEFAULT true
+      )
+    `);
+    await cliente.query('ALTER TABLE tienda_proveedores ADD COLUMN IF NOT EXISTS principal BOOLEAN DEFAULT true');
+    
+    // Crear tabla de plantillas de importación (mapeo de hojas y columnas reutilizable)
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS plantillas_importacion (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nombre VARCHAR(255) UNIQUE NOT NULL,
+        mapeo JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Crear tabla de escenarios
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS escenarios (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nombre VARCHAR(255) NOT NULL,
+        descripcion TEXT,
+        configuracion JSONB DEFAULT '{}',
+        metricas JSONB DEFAULT '{}',
+        activo BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    
+    // Crear tabla del historial de optimizaciones (cada llamada a /api/optimizar)
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS optimizaciones (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        parametros JSONB NOT NULL DEFAULT '{}',
+        algoritmo VARCHAR(50),
+        entrada JSONB NOT NULL DEFAULT '{}',
+        resultado JSONB NOT NULL DEFAULT '{}',
+        metricas JSONB DEFAULT '{}',
+        duracion_ms INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    // Ejecuciones de un escenario (se conservan si se borra el escenario)
+    await cliente.query(`
+      ALTER TABLE optimizaciones
+      ADD COLUMN IF NOT EXISTS escenario_id UUID REFERENCES escenarios(id) ON DELETE SET NULL
+    `);
+    await cliente.query('CREATE INDEX IF NOT EXISTS idx_optimizaciones_created_at ON optimizaciones (created_at DESC)');
+  },
+
+  async down(cliente) {
+    await cliente.query(`
+      DROP TABLE IF EXISTS optimizaciones, escenarios, plantillas_importacion, tienda_proveedores,
+        pedidos, tienda_horarios, tiendas, vehiculos, tipos_vehiculo, proveedores, almacenes
+    `);
+  }
+};
@@ -0,0 +1,25 @@
+// Usuarios de la API: un transportista solo ve los datos de su proveedor
+module.exports = {
+  async up(cliente) {
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        email VARCHAR(255) NOT NULL,
+        nombre VARCHAR(100) NOT NULL,
+        password_hash TEXT NOT NULL,
+        rol VARCHAR(20) NOT NULL CHECK (rol IN ('admin', 'planificador', 'consulta', 'transportista')),
+        proveedor_id UUID REFERENCES proveedores(id),
+        activo BOOLEAN DEFAULT true,
+        ultimo_acceso TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (rol <> 'transportista' OR proveedor_id IS NOT NULL)
+      )
+    `);
+    await cliente.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_usuarios_email ON usuarios (LOWER(email))');
+  },
+
+  async down(cliente) {
+    await cliente.query('DROP TABLE IF EXISTS usuarios');
+  }
+};
@@ -0,0 +1,45 @@
+// Auditoría: solo inserciones (el usuario se guarda también por email para
+// que el registro siga siendo legible aunque se borre)
+module.exports = {
+  async up(cliente) {
+    await cliente.query(`
+      CREATE TABLE IF NOT EXISTS auditoria (
+        id BIGSERIAL PRIMARY KEY,
+        usuario_id UUID,
+        usuario_email VARCHAR(255),
+        accion VARCHAR(150) NOT NULL,
+        entidad VARCHAR(50),
+        entidad_id TEXT,
+        antes JSONB,
+        despues JSONB,
+        detalle JSONB,
+        estado_http INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await cliente.query('CREATE INDEX IF NOT EXISTS idx_auditoria_created_at ON auditoria (created_at DESC)');
+    await cliente.query('CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON auditoria (entidad, entidad_id)');
+    await cliente.query(`
+      CREATE OR REPLACE FUNCTION auditoria_solo_insercion() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'La auditoría no se puede modificar ni borrar';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await cliente.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'auditoria_sin_cambios') THEN
+          CREATE TRIGGER auditoria_sin_cambios BEFORE UPDATE OR DELETE ON auditoria
+            FOR EACH ROW EXECUTE FUNCTION auditoria_solo_insercion();
+          CREATE TRIGGER auditoria_sin_vaciar BEFORE TRUNCATE ON auditoria
+            FOR EACH STATEMENT EXECUTE FUNCTION auditoria_solo_insercion();
+        END IF;
+      END $$
+    `);
+  },
+
+  async down(cliente) {
+    await cliente.query('DROP TABLE IF EXISTS auditoria');
+    await cliente.query('DROP FUNCTION IF EXISTS auditoria_solo_insercion()');
+  }
+};
@@ -0,0 +1,56 @@
+// Relación tienda-proveedor única por pareja y reglas de borrado explícitas:
+// las asignaciones, los horarios y los pedidos desaparecen con su tienda o su
+// proveedor, mientras que un proveedor o un tipo con vehículos no se puede borrar
+const CLAVES_FORANEAS = [
+  { tabla: 'tienda_proveedores', columna: 'tienda_id', referencia: 'tiendas', regla: 'CASCADE' },
+  { tabla: 'tienda_proveedores', columna: 'proveedor_id', referencia: 'proveedores', regla: 'CASCADE' },
+  { tabla: 'vehiculos', columna: 'proveedor_id', referencia: 'proveedores', regla: 'RESTRICT' },
+  { tabla: 'vehiculos', columna: 'tipo_vehiculo_id', referencia: 'tipos_vehiculo', regla: 'RESTRICT' },
+  { tabla: 'usuarios', columna: 'proveedor_id', referencia: 'proveedores', regla: 'CASCADE' }
+];
+
+async function cambiarClaveForanea(cliente, { tabla, columna, referencia }, regla) {
+  const nombre = `${tabla}_${columna}_fkey`;
+  await cliente.query(`ALTER TABLE ${tabla} DROP CONSTRAINT IF EXISTS ${nombre}`);
+  await cliente.query(`
+    ALTER TABLE ${tabla} ADD CONSTRAINT ${nombre}
+      FOREIGN KEY (${columna}) REFERENCES ${referencia}(id) ON DELETE ${regla}
+  `);
+}
+
+module.exports = {
+  async up(cliente) {
+    // Asignaciones incompletas o repetidas: de cada pareja se conserva la
+    // principal (o cualquiera si ninguna lo es)
+    await cliente.query('DELETE FROM tienda_proveedores WHERE tienda_id IS NULL OR proveedor_id IS NULL');
+    await cliente.query(`
+      DELETE FROM tienda_proveedores tp
+      USING tienda_proveedores otra
+      WHERE otra.tienda_id = tp.tienda_id AND otra.proveedor_id = tp.proveedor_id
+        AND (otra.principal IS TRUE AND tp.principal IS NOT TRUE
+          OR (otra.principal IS TRUE) = (tp.principal IS TRUE) AND otra.id < tp.id)
+    `);
+    await cliente.query('ALTER TABLE tienda_proveedores ALTER COLUMN tienda_id SET NOT NULL');
+    await cliente.query('ALTER TABLE tienda_proveedores ALTER COLUMN proveedor_id SET NOT NULL');
+    await cliente.query(`
+      ALTER TABLE tienda_proveedores
+      ADD CONSTRAINT tienda_proveedores_tienda_proveedor_key UNIQUE (tienda_id, proveedor_id)
+    `);
+    await cliente.query('DELETE FROM tienda_horarios WHERE tienda_id IS NULL');
+    await cliente.query('ALTER TABLE tienda_horarios ALTER COLUMN tienda_id SET NOT NULL');
+
+    for (let clave of CLAVES_FORANEAS) {
+      await cambiarClaveForanea(cliente, clave, clave.regla);
+    }
+  },
+
+  async down(cliente) {
+    for (let clave of CLAVES_FORANEAS) {
+      await cambiarClaveForanea(cliente, clave, 'NO ACTION');
+    }
+    await cliente.query('ALTER TABLE tienda_horarios ALTER COLUMN tienda_id DROP NOT NULL');
+    await cliente.query('ALTER TABLE tienda_proveedores DROP CONSTRAINT IF EXISTS tienda_proveedores_tienda_proveedor_key');
+    await cliente.query('ALTER TABLE tienda_proveedores ALTER COLUMN proveedor_id DROP NOT NULL');
+    await cliente.query('ALTER TABLE tienda_proveedores ALTER COLUMN tienda_id DROP NOT NULL');
+  }
+};
@@ -0,0 +1,24 @@
+// Nombre de proveedor único sin distinguir mayúsculas (la misma regla que ya
+// aplican validarProveedor y la importación). Los duplicados existentes no se
+// fusionan aquí: la migración se detiene indicando cuáles son y cómo fusionarlos
+// desde la línea de comandos (la administración puede no estar accesible aún).
+module.exports = {
+  async up(cliente) {
+    const duplicados = await cliente.query(`
+      SELECT UPPER(nombre) as nombre, COUNT(*)::int as cantidad
+      FROM proveedores
+      GROUP BY UPPER(nombre)
+      HAVING COUNT(*) > 1
+      ORDER BY 1
+    `);
+    if (duplicados.rows.length) {
+      const lista = duplicados.rows.map(d => `${d.nombre} (${d.cantidad})`).join(', ');
+      throw new Error(`Hay proveedores con el mismo nombre: ${lista}. Fusiónalos con "node migrate.js fusionar-proveedores" (prueba antes con --dry-run) y vuelve a migrar`);
+    }
+    await cliente.query('CREATE UNIQUE INDEX idx_proveedores_nombre ON proveedores (UPPER(nombre))');
+  },
+
+  async down(cliente) {
+    await cliente.query('DROP INDEX IF EXISTS idx_proveedores_nombre');
+  }
+};
@@ -0,0 +1,66 @@
+// proveedores-duplicados.js - Búsqueda y fusión de proveedores con el mismo nombre
+// Lo usan la limpieza de /api/admin/limpiar-datos y la CLI (`node migrate.js
+// fusionar-proveedores`), que sirve cuando la base de datos aún no admite
+// la migración del nombre único y nadie puede entrar en la administración.
+
+// Grupos de proveedores con el mismo nombre (sin distinguir mayúsculas, como
+// validarProveedor). El primero de cada grupo es el que se conserva al
+// fusionarlos: el activo, con almacén y más antiguo.
+async function buscarProveedoresDuplicados(cliente) {
+  const result = await cliente.query(`
+    SELECT UPPER(nombre) as nombre,
+      json_agg(p ORDER BY p.activo IS NOT TRUE, p.almacen_base_id IS NULL, p.created_at, p.id) as proveedores
+    FROM proveedores p
+    GROUP BY UPPER(nombre)
+    HAVING COUNT(*) > 1
+    ORDER BY 1
+  `);
+  return result.rows;
+}
+
+// Fusiona cada grupo de duplicados en su primer proveedor: vehículos, usuarios
+// y asignaciones de tiendas pasan a él y los escenarios que nombraban a los
+// duplicados se reescriben. Si una tienda tenía asignados a los dos se queda
+// una sola asignación, principal si alguna de ellas lo era.
+async function fusionarProveedoresDuplicados(cliente) {
+  const fusiones = [];
+  for (let { proveedores: [conservado, ...duplicados] } of await buscarProveedoresDuplicados(cliente)) {
+    const fusionados = [];
+    for (let duplicado of duplicados) {
+      const ids = [conservado.id, duplicado.id];
+      const vehiculos = await cliente.query('UPDATE vehiculos SET proveedor_id = $1 WHERE proveedor_id = $2', ids);
+      await cliente.query(`
+        UPDATE tienda_proveedores tp SET principal = true
+        FROM tienda_proveedores otra
+        WHERE tp.proveedor_id = $1 AND otra.proveedor_id = $2 AND otra.tienda_id = tp.tienda_id AND otra.principal
+      `, ids);
+      const repetidas = await cliente.query(`
+        DELETE FROM tienda_proveedores
+        WHERE proveedor_id = $2 AND tienda_id IN (SELECT tienda_id FROM tienda_proveedores WHERE proveedor_id = $1)
+      `, ids);
+      const asignaciones = await cliente.query('UPDATE tienda_proveedores SET proveedor_id = $1 WHERE proveedor_id = $2', ids);
+      const usuarios = await cliente.query('UPDATE usuarios SET proveedor_id = $1 WHERE proveedor_id = $2', ids);
+      const escenarios = await cliente.query(`
+        UPDATE escenarios SET configuracion = replace(configuracion::text, $2::text, $1::text)::jsonb
+        WHERE strpos(configuracion::text, $2::text) > 0
+      `, ids);
+      await cliente.query(
+        'UPDATE proveedores SET almacen_base_id = COALESCE(almacen_base_id, $2) WHERE id = $1',
+        [conservado.id, duplicado.almacen_base_id]
+      );
+      await cliente.query('DELETE FROM proveedores WHERE id = $1', [duplicado.id]);
+      fusionados.push({
+        id: duplicado.id,
+        nombre: duplicado.nombre,
+        vehiculos: vehiculos.rowCount,
+        tiendas: asignaciones.rowCount + repetidas.rowCount,
+        usuarios: usuarios.rowCount,
+        escenarios: escenarios.rowCount
+      });
+    }
+    fusiones.push({ conservado: { id: conservado.id, nombre: conservado.nombre }, fusionados });
+  }
+  return fusiones;
+}
+
+module.exports = { buscarProveedoresDuplicados, fusionarProveedoresDuplicados };
@@ -0,0 +1,199 @@
+// datos-prueba.js - Datos de demostración (flota, tiendas y asignaciones reales)
+// Se insertan solo a petición: `npm run seed` o al limpiar los datos desde la administración
+
+// Insertar datos de prueba basados en tu flota real
+async function insertarDatosPrueba(pool) {
+  // Verificar si ya existen datos
+  const existingProviders = await pool.query('SELECT COUNT(*) FROM proveedores');
+  if (parseInt(existingProviders.rows[0].count) > 0) {
+    // Verificar si ya hay vehículos
+    const existingVehicles = await pool.query('SELECT COUNT(*) FROM vehiculos');
+    if (parseInt(existingVehicles.rows[0].count) > 0) {
+      console.log('✅ Datos de prueba ya existen');
+      return;
+    }
+  }
+  
+  // Insertar proveedores principales
+  const proveedores = [
+    'TTES BARA', 'GERMANS SARDA', 'IBARZO', 'TESO', 
+    'TRANSMEDALLO', 'SANTIAGO LOZANO', 'TTES AGUSTIN', 
+    'TTES RODRIGUEZ', 'DRA', 'TRANSMEDITERRANEA'
+  ];
+  
+  for (let proveedor of proveedores) {
+    await pool.query(
+      'INSERT INTO proveedores (nombre) VALUES ($1) ON CONFLICT DO NOTHING',
+      [proveedor]
+    );
+  }
+  
+  // Insertar almacenes base y asignarlos a los proveedores
+  const almacenes = [
+    { nombre: 'ALMACÉN BARCELONA', direccion: 'Polígono Pratenc, El Prat de Llobregat', latitud: 41.3275, longitud: 2.0912,
+      hora_apertura: '05:00', hora_cierre: '22:00', muelles: 12,
+      proveedores: ['TTES BARA', 'GERMANS SARDA', 'TRANSMEDALLO', 'SANTIAGO LOZANO', 'TTES AGUSTIN', 'TTES RODRIGUEZ', 'DRA', 'TRANSMEDITERRANEA'] },
+    { nombre: 'ALMACÉN ZARAGOZA', direccion: 'Plataforma Logística PLAZA, Zaragoza', latitud: 41.6192, longitud: -0.9849,
+      hora_apertura: '06:00', hora_cierre: '20:00', muelles: 6,
+      proveedores: ['IBARZO', 'TESO'] }
+  ];
+  
+  for (let almacen of almacenes) {
+    await pool.query(`
+      INSERT INTO almacenes (nombre, direccion, latitud, longitud, hora_apertura, hora_cierre, muelles)
+      SELECT $1::varchar, $2::text, $3::decimal, $4::decimal, $5::time, $6::time, $7::integer
+      WHERE NOT EXISTS (SELECT 1 FROM almacenes WHERE nombre = $1)
+    `, [almacen.nombre, almacen.direccion, almacen.latitud, almacen.longitud,
+        almacen.hora_apertura, almacen.hora_cierre, almacen.muelles]);
+    
+    await pool.query(`
+      UPDATE proveedores SET almacen_base_id = (SELECT id FROM almacenes WHERE nombre = $1 LIMIT 1)
+      WHERE nombre = ANY($2) AND almacen_base_id IS NULL
+    `, [almacen.nombre, almacen.proveedores]);
+  }
+  
+  // Insertar tipos de vehículo con su tarifa de referencia (€ por viaje, km, combi y hora)
+  const tipos = [
+    { nombre: '3.5 TONELADAS', fija: 60, km: 0.60, combi: 4.0, hora: 18 },
+    { nombre: '7.5 TONELADAS', fija: 80, km: 0.75, combi: 3.5, hora: 20 },
+    { nombre: '12 TONELADAS', fija: 100, km: 0.85, combi: 3.0, hora: 22 },
+    { nombre: '18 TONELADAS', fija: 120, km: 0.95, combi: 2.8, hora: 24 },
+    { nombre: 'TREN DE CARRETERA', fija: 180, km: 1.20, combi: 2.2, hora: 28 },
+    { nombre: 'DOBLE PISO', fija: 190, km: 1.25, combi: 2.0, hora: 28 },
+    { nombre: 'TRAILER', fija: 170, km: 1.15, combi: 2.3, hora: 27 }
+  ];
+  
+  for (let tipo of tipos) {
+    await pool.query(`
+      INSERT INTO tipos_vehiculo (nombre, tarifa_fija, tarifa_km, tarifa_combi, tarifa_hora)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT DO NOTHING
+    `, [tipo.nombre, tipo.fija, tipo.km, tipo.combi, tipo.hora]);
+  }
+  
+  // Obtener IDs de proveedores y tipos
+  const proveedoresIds = await pool.query('SELECT id, nombre FROM proveedores');
+  const tiposIds = await pool.query('SELECT id, nombre FROM tipos_vehiculo');
+  
+  const proveedorMap = {};
+  proveedoresIds.rows.forEach(p => proveedorMap[p.nombre] = p.id);
+  
+  const tipoMap = {};
+  tiposIds.rows.forEach(t => tipoMap[t.nombre] = t.id);
+  
+  // Insertar vehículos basados en tu flota real exacta
+  const vehiculos = [
+    // TTES BARA - 5 vehículos exactos
+    { numero: 7, proveedor: 'TTES BARA', nombre: 'TTES BARA - 007', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 8, proveedor: 'TTES BARA', nombre: 'TTES BARA - 008', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 13, proveedor: 'TTES BARA', nombre: 'TTES BARA - 013', tipo: '18 TONELADAS', capacidad: 30 },
+    { numero: 14, proveedor: 'TTES BARA', nombre: 'TTES BARA - 014', tipo: '18 TONELADAS', capacidad: 30 },
+    { numero: 20, proveedor: 'TTES BARA', nombre: 'TTES BARA - 020', tipo: '7.5 TONELADAS', capacidad: 17 },
+    
+    // GERMANS SARDA - según tu Excel
+    { numero: 2, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 002', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 3, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 003', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 4, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 004', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 5, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 005', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    { numero: 6, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 006', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    
+    // IBARZO - según tu Excel  
+    { numero: 30, proveedor: 'IBARZO', nombre: 'IBARZO - 030', tipo: 'TREN DE CARRETERA', capacidad: 63 },
+    
+    // TESO - según tu Excel
+    { numero: 9, proveedor: 'TESO', nombre: 'TESO - 009', tipo: 'TREN DE CARRETERA', capacidad: 60 },
+    { numero: 11, proveedor: 'TESO', nombre: 'TESO - 011', tipo: '18 TONELADAS', capacidad: 48 },
+    { numero: 12, proveedor: 'TESO', nombre: 'TESO - 012', tipo: '18 TONELADAS', capacidad: 30 },
+    { numero: 16, proveedor: 'TESO', nombre: 'TESO - 016', tipo: '12 TONELADAS', capacidad: 24 }
+  ];
+  
+  for (let vehiculo of vehiculos) {
+    const proveedorId = proveedorMap[vehiculo.proveedor];
+    const tipoId = tipoMap[vehiculo.tipo];
+    
+    if (proveedorId && tipoId) {
+      await pool.query(`
+        INSERT INTO vehiculos (numero_camion, proveedor_id, nombre_corto, tipo_pago, tipo_vehiculo_id, capacidad_combis)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (numero_camion) DO NOTHING
+      `, [vehiculo.numero, proveedorId, vehiculo.nombre, 'por_combi', tipoId, vehiculo.capacidad]);
+    }
+  }
+  
+  // Insertar algunas tiendas de prueba
+  const tiendas = [
+    { codigo: '60318', nombre: 'Artés', provincia: 'BARCELONA', combis: 5.2, latitud: 41.7986, longitud: 1.9547 },
+    { codigo: '60445', nombre: 'Cervelló', provincia: 'BARCELONA', combis: 8.1, latitud: 41.3956, longitud: 1.9581 },
+    { codigo: '60446', nombre: 'Corbera de Llobregat', provincia: 'BARCELONA', combis: 6.3, latitud: 41.4170, longitud: 1.9290 },
+    { codigo: '60481', nombre: 'Manresa', provincia: 'BARCELONA', combis: 7.8, latitud: 41.7251, longitud: 1.8266 },
+    { codigo: '60485', nombre: 'Polinyà', provincia: 'BARCELONA', combis: 4.9, latitud: 41.5540, longitud: 2.1590 },
+    { codigo: '60489', nombre: 'Ripollet', provincia: 'BARCELONA', combis: 5.7, latitud: 41.4969, longitud: 2.1575 },
+    { codigo: '60078', nombre: 'María de Huerva', provincia: 'ZARAGOZA', combis: 6.2, latitud: 41.5386, longitud: -0.9920 },
+    { codigo: '60084', nombre: 'Quinto', provincia: 'ZARAGOZA', combis: 4.1, latitud: 41.4250, longitud: -0.4960 },
+    { codigo: '60093', nombre: 'Zaragoza', provincia: 'ZARAGOZA', combis: 12.3, latitud: 41.6488, longitud: -0.8891 }
+  ];
+  
+  for (let tienda of tiendas) {
+    await pool.query(`
+      INSERT INTO tiendas (codigo, nombre, provincia, combis_promedio, latitud, longitud)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (codigo) DO NOTHING
+    `, [tienda.codigo, tienda.nombre, tienda.provincia, tienda.combis, tienda.latitud, tienda.longitud]);
+  }
+  
+  // Horarios de entrega de lunes a sábado (las ventanas adaptables admiten retraso)
+  const horarios = [
+    { codigo: '60318', inicio: '07:00', fin: '11:00', adaptable: true },
+    { codigo: '60445', inicio: '06:30', fin: '09:30', adaptable: false },
+    { codigo: '60446', inicio: '07:00', fin: '12:00', adaptable: true },
+    { codigo: '60481', inicio: '08:00', fin: '13:00', adaptable: false },
+    { codigo: '60485', inicio: '06:00', fin: '10:00', adaptable: true },
+    { codigo: '60489', inicio: '07:30', fin: '11:30', adaptable: false },
+    { codigo: '60078', inicio: '07:00', fin: '10:00', adaptable: true },
+    { codigo: '60084', inicio: '08:00', fin: '12:00', adaptable: true },
+    { codigo: '60093', inicio: '06:00', fin: '09:00', adaptable: false }
+  ];
+  
+  for (let horario of horarios) {
+    for (let dia = 1; dia <= 6; dia++) {
+      await pool.query(`
+        INSERT INTO tienda_horarios (tienda_id, dia_semana, hora_inicio, hora_fin, adaptable)
+        SELECT t.id, $2, $3, $4, $5 FROM tiendas t
+        WHERE t.codigo = $1
+          AND NOT EXISTS (SELECT 1 FROM tienda_horarios h WHERE h.tienda_id = t.id AND h.dia_semana = $2)
+      `, [horario.codigo, dia, horario.inicio, horario.fin, horario.adaptable]);
+    }
+  }
+  
+  // Asignar tiendas a proveedores
+  const asignaciones = [
+    { proveedor: 'TTES BARA', tiendas: ['60318', '60445', '60446', '60481'] },
+    { proveedor: 'GERMANS SARDA', tiendas: ['60485', '60489'] },
+    { proveedor: 'IBARZO', tiendas: ['60078', '60084', '60093'] },
+    // Alternativas: transportistas que también pueden servir la tienda
+    { proveedor: 'GERMANS SARDA', tiendas: ['60446', '60481'], principal: false },
+    { proveedor: 'TTES BARA', tiendas: ['60489'], principal: false },
+    { proveedor: 'TESO', tiendas: ['60093'], principal: false }
+  ];
+  
+  for (let asignacion of asignaciones) {
+    const proveedorId = proveedorMap[asignacion.proveedor];
+    const principal = asignacion.principal !== false;
+    
+    for (let codigoTienda of asignacion.tiendas) {
+      const tiendaResult = await pool.query('SELECT id FROM tiendas WHERE codigo = $1', [codigoTienda]);
+      if (tiendaResult.rows.length > 0) {
+        const tiendaId = tiendaResult.rows[0].id;
+        await pool.query(`
+          INSERT INTO tienda_proveedores (tienda_id, proveedor_id, motivo, principal)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT DO NOTHING
+        `, [tiendaId, proveedorId, principal ? 'Asignación de prueba' : 'Alternativa de prueba', principal]);
+      }
+    }
+  }
+  
+  console.log('✅ Datos de prueba insertados - Vehículos y tiendas añadidos');
+}
+
+module.exports = { insertarDatosPrueba };
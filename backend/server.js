@@ -1,25 +1,25 @@
 // server.js - Backend completo para optimizador de rutas
 // Optimizado para Railway deployment con PostgreSQL
+const crypto = require('crypto');
+const util = require('util');
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 const multer = require('multer');
 const XLSX = require('xlsx');
+const { pool } = require('./db');
+const { migrar, estadoMigraciones } = require('./migrate');
+const { insertarDatosPrueba } = require('./seeds/datos-prueba');
+const { buscarProveedoresDuplicados, fusionarProveedoresDuplicados } = require('./proveedores-duplicados');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Límite amplio: /api/import admite el conjunto de datos completo como body JSON
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Configuración de PostgreSQL
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
 // Configuración de multer para upload de archivos
 const upload = multer({ storage: multer.memoryStorage() });
 
@@ -30,6 +30,392 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// ==================== VALIDACIÓN ====================
+
+const HORA_VALIDA = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const UUID_VALIDO = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FECHA_VALIDA = /^\d{4}-\d{2}-\d{2}$/;
+
+// Error con el código HTTP que debe devolver el endpoint (400, 404, 409...)
+const errorPeticion = (status, mensaje) => Object.assign(new Error(mensaje), { status });
+
+// Normaliza un valor según su regla o lanza un 400 con el motivo
+const VALIDADORES = {
+  texto: (valor, campo, { max, obligatorio }) => {
+    const texto = String(valor).trim();
+    if (!texto && obligatorio) throw errorPeticion(400, `${campo} es obligatorio`);
+    if (max && texto.length > max) throw errorPeticion(400, `${campo} admite como máximo ${max} caracteres`);
+    return texto;
+  },
+  numero: (valor, campo, { min, max }) => {
+    const numero = Number(valor);
+    if (!Number.isFinite(numero) || (min != null && numero < min) || (max != null && numero > max)) {
+      const rango = min != null && max != null ? `entre ${min} y ${max}` : `mayor o igual que ${min}`;
+      throw errorPeticion(400, `${campo} debe ser un número ${rango}`);
+    }
+    return numero;
+  },
+  entero: (valor, campo, { min }) => {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || (min != null && numero < min)) {
+      throw errorPeticion(400, `${campo} debe ser un entero mayor o igual que ${min}`);
+    }
+    return numero;
+  },
+  hora: (valor, campo) => {
+    if (!HORA_VALIDA.test(String(valor))) throw errorPeticion(400, `${campo} debe tener formato HH:MM`);
+    return String(valor);
+  },
+  booleano: (valor, campo) => {
+    if (typeof valor !== 'boolean') throw errorPeticion(400, `${campo} debe ser true o false`);
+    return valor;
+  },
+  uuid: (valor, campo) => {
+    if (!UUID_VALIDO.test(String(valor))) throw errorPeticion(400, `${campo} no es un identificador válido`);
+    return String(valor);
+  },
+  // 'YYYY-MM-DD' que exista en el calendario (no vale '2024-02-30')
+  fecha: (valor, campo) => {
+    const texto = String(valor).trim();
+    const fecha = new Date(`${texto}T00:00:00Z`);
+    if (!FECHA_VALIDA.test(texto) || Number.isNaN(fecha.getTime()) || fecha.toISOString().slice(0, 10) !== texto) {
+      throw errorPeticion(400, `${campo} debe ser una fecha YYYY-MM-DD`);
+    }
+    return texto;
+  }
+};
+
+// Lee los campos de `esquema` presentes en `body`. Con `completo` (altas y PUT)
+// los obligatorios tienen que venir; sin él (PATCH) solo se devuelven los enviados.
+function leerCampos(body, esquema, completo) {
+  const datos = {};
+  for (let [campo, regla] of Object.entries(esquema)) {
+    const valor = body[campo];
+    if (valor === undefined || valor === null || valor === '') {
+      if (regla.obligatorio && (completo || valor !== undefined)) {
+        throw errorPeticion(400, `${campo} es obligatorio`);
+      }
+      if (valor !== undefined) datos[campo] = null;
+      continue;
+    }
+    datos[campo] = VALIDADORES[regla.tipo](valor, campo, regla);
+  }
+  return datos;
+}
+
+// INSERT / UPDATE con las columnas de `datos` (ya validadas contra un esquema)
+async function insertarRegistro(cliente, tabla, datos) {
+  const columnas = Object.keys(datos);
+  const result = await cliente.query(`
+    INSERT INTO ${tabla} (${columnas.join(', ')})
+    VALUES (${columnas.map((columna, i) => `$${i + 1}`).join(', ')})
+    RETURNING *
+  `, columnas.map(columna => datos[columna]));
+  return result.rows[0];
+}
+
+async function actualizarRegistro(cliente, tabla, id, datos) {
+  const columnas = Object.keys(datos);
+  const result = await cliente.query(`
+    UPDATE ${tabla} SET ${columnas.map((columna, i) => `${columna} = $${i + 2}`).join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...columnas.map(columna => datos[columna])]);
+  return result.rows[0] || null;
+}
+
+// Ejecuta `operacion(cliente)` dentro de una transacción. Con `simular` se
+// deshace todo al final (ensayos que validan contra la base de datos real).
+async function conTransaccion(operacion, { simular = false } = {}) {
+  const cliente = await pool.connect();
+  try {
+    await cliente.query('BEGIN');
+    const resultado = await operacion(cliente);
+    await cliente.query(simular ? 'ROLLBACK' : 'COMMIT');
+    return resultado;
+  } catch (error) {
+    await cliente.query('ROLLBACK');
+    throw error;
+  } finally {
+    cliente.release();
+  }
+}
+
+// Respuesta de error común de los CRUD: errores de petición con su código,
+// claves únicas duplicadas como 409, ids mal formados como 400 y el resto como 500
+function responderError(res, error, mensaje) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...error.detalle });
+  }
+  if (error.code === '23505') {
+    return res.status(409).json({ error: 'Ya existe un registro con ese valor', detalle: error.detail });
+  }
+  if (error.code === '22P02') {
+    return res.status(400).json({ error: 'Identificador no válido' });
+  }
+  console.error(`❌ ${mensaje}:`, error);
+  res.status(500).json({ error: mensaje });
+}
+
+// ==================== AUTENTICACIÓN Y ROLES ====================
+
+// Roles: admin (todo, incluidos los usuarios y la administración), planificador
+// (datos, escenarios y optimizaciones), consulta (solo lectura) y transportista
+// (solo lectura de lo de su proveedor_id)
+const ROLES = ['admin', 'planificador', 'consulta', 'transportista'];
+
+// Secreto con el que se firman los tokens. Sin JWT_SECRET se genera uno al
+// arrancar y las sesiones no sobreviven a un reinicio.
+const SECRETO_TOKEN = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const HORAS_SESION = parseFloat(process.env.HORAS_SESION || '12');
+
+const scrypt = util.promisify(crypto.scrypt);
+const base64url = texto => Buffer.from(texto).toString('base64url');
+const firmar = contenido => crypto.createHmac('sha256', SECRETO_TOKEN).update(contenido).digest('base64url');
+
+// JWT (HS256) con el id del usuario; el rol se vuelve a leer en cada petición
+function firmarToken(usuario) {
+  const expira = Math.floor(Date.now() / 1000 + HORAS_SESION * 3600);
+  const contenido = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify({ sub: usuario.id, exp: expira }))}`;
+  return { token: `${contenido}.${firmar(contenido)}`, expira: new Date(expira * 1000).toISOString() };
+}
+
+// Datos del token o null si la firma no cuadra o ha caducado
+function verificarToken(token) {
+  const [cabecera, datos, firma] = String(token).split('.');
+  if (!cabecera || !datos || !firma) return null;
+  const esperada = Buffer.from(firmar(`${cabecera}.${datos}`));
+  const recibida = Buffer.from(firma);
+  if (esperada.length !== recibida.length || !crypto.timingSafeEqual(esperada, recibida)) return null;
+  try {
+    const contenido = JSON.parse(Buffer.from(datos, 'base64url').toString());
+    return contenido.exp * 1000 > Date.now() ? contenido : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Contraseñas con scrypt y sal aleatoria, guardadas como 'sal:hash' en hex
+async function cifrarPassword(password) {
+  const sal = crypto.randomBytes(16).toString('hex');
+  return `${sal}:${(await scrypt(password, sal, 64)).toString('hex')}`;
+}
+
+async function comprobarPassword(password, guardado) {
+  const [sal, hash] = String(guardado || '').split(':');
+  if (!sal || !hash) return false;
+  const calculado = await scrypt(String(password), sal, 64);
+  const esperado = Buffer.from(hash, 'hex');
+  return esperado.length === calculado.length && crypto.timingSafeEqual(esperado, calculado);
+}
+
+const leerPassword = (valor, campo) => {
+  const password = String(valor || '');
+  if (password.length < 8) throw errorPeticion(400, `${campo} debe tener al menos 8 caracteres`);
+  return password;
+};
+
+// Rutas de la API que no necesitan sesión
+const RUTAS_PUBLICAS = ['/api/health', '/api/auth/login'];
+
+// Peticiones POST que solo leen (también permitidas al rol consulta)
+const LECTURAS_POST = ['/api/rutas/validar', '/api/rutas/hojas'];
+
+// Lo único que puede pedir un transportista: los listados (que se filtran por
+// su proveedor; del historial, solo las ejecuciones con rutas suyas y sin
+// datos de los demás), los datos de su proveedor (el grupo indicado tiene que
+// ser su proveedor_id) y las hojas de ruta de sus camiones
+const ACCESO_TRANSPORTISTA = [
+  ['GET', /^\/api\/(proveedores|vehiculos|tiendas|optimizaciones)$/],
+  ['GET', /^\/api\/vehiculos\/[^/]+$/],
+  ['GET', /^\/api\/proveedores\/([^/]+)\/(vehiculos|tiendas|prevision)$/, 1],
+  ['POST', /^\/api\/rutas\/hojas$/]
+];
+
+function puedeAcceder(usuario, metodo, ruta) {
+  if (usuario.rol === 'admin') return true;
+  if (/^\/api\/(admin|usuarios)(\/|$)/.test(ruta)) return false;
+  // La sesión propia (quién soy, cambio de contraseña) es de todos
+  if (ruta.startsWith('/api/auth/')) return true;
+  if (usuario.rol === 'planificador') return true;
+  if (usuario.rol === 'consulta') return metodo === 'GET' || (metodo === 'POST' && LECTURAS_POST.includes(ruta));
+  return ACCESO_TRANSPORTISTA.some(([permitido, patron, grupo]) => {
+    const coincidencia = metodo === permitido && ruta.match(patron);
+    return Boolean(coincidencia) && (!grupo || coincidencia[grupo] === String(usuario.proveedor_id));
+  });
+}
+
+// Proveedor al que se limitan los datos del usuario (null si ve todos)
+const proveedorDelUsuario = req => (req.usuario && req.usuario.rol === 'transportista' ? req.usuario.proveedor_id : null);
+
+const usuarioPublico = ({ password_hash, ...usuario }) => usuario;
+
+// Todas las rutas /api (salvo las públicas) necesitan un token válido de un
+// usuario activo cuyo rol permita la operación. El token va en la cabecera
+// Authorization: Bearer o, en los enlaces de descarga, en ?token=. La
+// administración (copias con los usuarios, restauración) no acepta ?token=:
+// una URL con el token acaba en el historial y en los logs.
+app.use('/api', async (req, res, next) => {
+  const ruta = req.baseUrl + req.path;
+  if (RUTAS_PUBLICAS.includes(ruta)) return next();
+  try {
+    const cabecera = req.get('Authorization') || '';
+    const tokenEnUrl = ruta.startsWith('/api/admin/') ? undefined : req.query.token;
+    const token = cabecera.startsWith('Bearer ') ? cabecera.slice(7) : tokenEnUrl;
+    const contenido = token ? verificarToken(token) : null;
+    if (!contenido) return res.status(401).json({ error: 'Inicia sesión para continuar' });
+
+    const result = await pool.query(
+      'SELECT id, email, nombre, rol, proveedor_id, activo FROM usuarios WHERE id = $1',
+      [contenido.sub]
+    );
+    const usuario = result.rows[0];
+    if (!usuario || !usuario.activo) return res.status(401).json({ error: 'La sesión ya no es válida' });
+    if (!puedeAcceder(usuario, req.method, ruta)) {
+      return res.status(403).json({ error: 'Tu rol no permite esta operación', rol: usuario.rol });
+    }
+    req.usuario = usuario;
+    next();
+  } catch (error) {
+    responderError(res, error, 'Error al comprobar la sesión');
+  }
+});
+
+// ==================== AUDITORÍA ====================
+
+// Cada petición que modifica datos y termina bien deja un registro en
+// `auditoria` (solo inserciones): quién, qué ruta, sobre qué entidad y la fila
+// antes y después del cambio. Los endpoints pueden completar el registro con
+// auditar(req, { detalle, entidad_id, ... }).
+
+// Rutas que modifican una tabla concreta: se guarda la fila del id de la ruta
+// (o la que devuelve un alta) antes y después del cambio
+const TABLAS_AUDITADAS = [
+  ['/api/import/plantillas', 'plantillas_importacion'],
+  ['/api/tipos-vehiculo', 'tipos_vehiculo'],
+  ['/api/vehiculos', 'vehiculos'],
+  ['/api/proveedores', 'proveedores'],
+  ['/api/tiendas', 'tiendas'],
+  ['/api/almacenes', 'almacenes'],
+  ['/api/pedidos', 'pedidos'],
+  ['/api/escenarios', 'escenarios'],
+  ['/api/usuarios', 'usuarios']
+];
+
+const auditar = (req, datos) => {
+  if (req.auditoria) Object.assign(req.auditoria, datos);
+};
+
+// Lo que se guarda de una optimización (el plan completo queda en su historial)
+const resumenPlanAuditoria = plan => ({
+  optimizacion_id: plan.optimizacion_id,
+  algoritmo: plan.optimizacion && plan.optimizacion.algoritmo,
+  rutas: plan.rutas.length,
+  distancia_total_km: plan.metricas.distancia_total_km,
+  coste_total: plan.metricas.coste_total,
+  tiendas_no_asignadas: plan.tiendas_no_asignadas.length
+});
+
+// Fila tal como se guarda en la auditoría (sin contraseñas)
+async function leerFilaAuditada(tabla, id) {
+  if (!UUID_VALIDO.test(String(id))) return null;
+  const result = await pool.query(`SELECT * FROM ${tabla} WHERE id = $1`, [id]);
+  if (!result.rows.length) return null;
+  const { password_hash, ...fila } = result.rows[0];
+  return fila;
+}
+
+async function registrarAuditoria(req, res) {
+  const { tabla, entidad, antes = null, detalle = null, respuesta } = req.auditoria;
+  const entidadId = req.auditoria.entidad_id || (respuesta && respuesta.id) || null;
+  const usuario = req.auditoria.usuario || req.usuario || {};
+  const despues = tabla && entidadId ? await leerFilaAuditada(tabla, entidadId) : null;
+  await pool.query(`
+    INSERT INTO auditoria (usuario_id, usuario_email, accion, entidad, entidad_id, antes, despues, detalle, estado_http)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [
+    usuario.id || null,
+    usuario.email || null,
+    `${req.method} ${req.route ? [].concat(req.route.path)[0] : req.auditoria.ruta}`,
+    entidad,
+    entidadId && String(entidadId),
+    antes && JSON.stringify(antes),
+    despues && JSON.stringify(despues),
+    detalle && JSON.stringify(detalle),
+    res.statusCode
+  ]);
+}
+
+// Se monta después de la autenticación para conocer al usuario. No se auditan
+// las lecturas por POST ni los ensayos (?dry_run=true).
+app.use('/api', async (req, res, next) => {
+  const ruta = req.baseUrl + req.path;
+  if (!['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) || LECTURAS_POST.includes(ruta) || req.query.dry_run === 'true') {
+    return next();
+  }
+
+  const [prefijo, tabla] = TABLAS_AUDITADAS.find(([prefijo]) => ruta === prefijo || ruta.startsWith(`${prefijo}/`)) || [];
+  const entidadId = tabla ? ruta.slice(prefijo.length + 1).split('/')[0] : '';
+  req.auditoria = {
+    ruta,
+    tabla,
+    entidad: tabla || ruta.split('/')[2],
+    entidad_id: UUID_VALIDO.test(entidadId) ? entidadId : null
+  };
+
+  // La respuesta se guarda para saber el id de las altas
+  const json = res.json.bind(res);
+  res.json = cuerpo => {
+    req.auditoria.respuesta = cuerpo;
+    return json(cuerpo);
+  };
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+    registrarAuditoria(req, res).catch(error => console.error('⚠️ No se pudo registrar la auditoría:', error.message));
+  });
+
+  try {
+    if (tabla && req.auditoria.entidad_id) req.auditoria.antes = await leerFilaAuditada(tabla, req.auditoria.entidad_id);
+    next();
+  } catch (error) {
+    responderError(res, error, 'Error al preparar la auditoría');
+  }
+});
+
+// Consultar la auditoría (?entidad=&entidad_id=&usuario=id|email&accion=&desde=&hasta=&limite=&pagina=),
+// de la más reciente a la más antigua
+app.get('/api/admin/auditoria', async (req, res) => {
+  try {
+    const filtros = [];
+    const valores = [];
+    const filtrar = (condicion, valor) => {
+      valores.push(valor);
+      filtros.push(condicion.replace(/\?/g, `$${valores.length}`));
+    };
+    if (req.query.entidad) filtrar('entidad = ?', String(req.query.entidad));
+    if (req.query.entidad_id) filtrar('entidad_id = ?', String(req.query.entidad_id));
+    if (req.query.usuario) filtrar('(usuario_id::text = ? OR LOWER(usuario_email) = LOWER(?))', String(req.query.usuario));
+    if (req.query.accion) filtrar('accion ILIKE ?', `%${req.query.accion}%`);
+    if (req.query.desde) filtrar('created_at >= ?::date', VALIDADORES.fecha(req.query.desde, 'desde'));
+    if (req.query.hasta) filtrar("created_at < ?::date + INTERVAL '1 day'", VALIDADORES.fecha(req.query.hasta, 'hasta'));
+    const limite = req.query.limite ? VALIDADORES.entero(req.query.limite, 'limite', { min: 1 }) : 100;
+    const pagina = req.query.pagina ? VALIDADORES.entero(req.query.pagina, 'pagina', { min: 1 }) : 1;
+    const donde = filtros.length ? `WHERE ${filtros.join(' AND ')}` : '';
+
+    const [total, registros] = await Promise.all([
+      pool.query(`SELECT COUNT(*) FROM auditoria ${donde}`, valores),
+      pool.query(`
+        SELECT * FROM auditoria ${donde}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${Math.min(limite, 1000)} OFFSET ${(pagina - 1) * Math.min(limite, 1000)}
+      `, valores)
+    ]);
+    res.json({ total: parseInt(total.rows[0].count), pagina, registros: registros.rows });
+  } catch (error) {
+    responderError(res, error, 'Error al consultar la auditoría');
+  }
+});
+
 // ==================== GESTIÓN DE FLOTA ====================
 
 // Obtener todos los vehículos
@@ -40,9 +426,9 @@ app.get('/api/vehiculos', async (req, res) => {
       FROM vehiculos v
       LEFT JOIN proveedores p ON v.proveedor_id = p.id
       LEFT JOIN tipos_vehiculo tv ON v.tipo_vehiculo_id = tv.id
-      WHERE v.activo = true
+      WHERE ($1::boolean OR v.activo = true) AND ($2::uuid IS NULL OR v.proveedor_id = $2)
       ORDER BY v.numero_camion
-    `);
+    `, [incluirInactivos(req), proveedorDelUsuario(req)]);
     res.json(result.rows);
   } catch (error) {
     console.error('Error fetching vehicles:', error);
@@ -61,9 +447,9 @@ app.get('/api/vehiculos/:proveedor', async (req, res) => {
       FROM vehiculos v
       LEFT JOIN proveedores p ON v.proveedor_id = p.id
       LEFT JOIN tipos_vehiculo tv ON v.tipo_vehiculo_id = tv.id
-      WHERE p.nombre = $1 AND v.activo = true
+      WHERE p.nombre = $1 AND v.activo = true AND ($2::uuid IS NULL OR p.id = $2)
       ORDER BY v.numero_camion
-    `, [proveedor]);
+    `, [proveedor, proveedorDelUsuario(req)]);
     
     const vehiculos = result.rows.map(row => ({
       id: row.id,
@@ -109,15 +495,16 @@ app.get('/api/proveedores/:id/vehiculos', async (req, res) => {
 app.get('/api/proveedores', async (req, res) => {
   try {
     const result = await pool.query(`
-      SELECT p.*, 
+      SELECT p.*, a.nombre as almacen_nombre,
              COUNT(v.id) as total_vehiculos,
              SUM(v.capacidad_combis) as capacidad_total
       FROM proveedores p
       LEFT JOIN vehiculos v ON p.id = v.proveedor_id AND v.activo = true
-      WHERE p.activo = true
-      GROUP BY p.id, p.nombre, p.almacen_base_id, p.activo
+      LEFT JOIN almacenes a ON p.almacen_base_id = a.id
+      WHERE ($1::boolean OR p.activo = true) AND ($2::uuid IS NULL OR p.id = $2)
+      GROUP BY p.id, p.nombre, p.almacen_base_id, p.activo, a.nombre
       ORDER BY p.nombre
-    `);
+    `, [incluirInactivos(req), proveedorDelUsuario(req)]);
     res.json(result.rows);
   } catch (error) {
     console.error('Error fetching providers:', error);
@@ -135,7 +522,7 @@ app.get('/api/proveedores/:id/tiendas', async (req, res) => {
       FROM tiendas t
       LEFT JOIN tienda_proveedores tp ON t.id = tp.tienda_id
       LEFT JOIN tienda_horarios h ON t.id = h.tienda_id
-      WHERE tp.proveedor_id = $1
+      WHERE tp.proveedor_id = $1 AND t.activo = true
       ORDER BY t.codigo
     `, [id]);
     res.json(result.rows);
@@ -145,280 +532,3448 @@ app.get('/api/proveedores/:id/tiendas', async (req, res) => {
   }
 });
 
-// ==================== OPTIMIZACIÓN VRP ====================
+// `?incluir_inactivos=true` devuelve también los registros dados de baja
+const incluirInactivos = req => req.query.incluir_inactivos === 'true';
 
-// 🔧 ALGORITMO VRP CORREGIDO - Muestra TODOS los vehículos disponibles
-function optimizarRutasBasico(tiendas, vehiculos) {
-  console.log(`🚚 Iniciando optimización con ${vehiculos.length} vehículos y ${tiendas.length} tiendas`);
-  
-  // Ordenar tiendas por combis descendente
-  const tiendasOrdenadas = [...tiendas].sort((a, b) => b.combis_promedio - a.combis_promedio);
-  
-  // Inicializar rutas para TODOS los vehículos
-  const rutas = vehiculos.map(vehiculo => ({
-    vehiculo_id: vehiculo.id,
-    vehiculo_nombre: vehiculo.nombre_corto,
-    capacidad_maxima: vehiculo.capacidad_combis,
-    capacidad_usada: 0,
-    tiendas: [],
-    eficiencia: 0
-  }));
-  
-  console.log(`📋 Rutas inicializadas para ${rutas.length} vehículos:`, rutas.map(r => r.vehiculo_nombre));
-  
-  // Asignar tiendas a vehículos (First Fit Decreasing)
-  tiendasOrdenadas.forEach((tienda, index) => {
-    console.log(`🏪 Procesando tienda ${index + 1}/${tiendasOrdenadas.length}: ${tienda.nombre} (${tienda.combis_promedio} combis)`);
-    
-    let asignada = false;
-    for (let ruta of rutas) {
-      if (ruta.capacidad_usada + tienda.combis_promedio <= ruta.capacidad_maxima) {
-        ruta.tiendas.push(tienda);
-        ruta.capacidad_usada += tienda.combis_promedio;
-        ruta.eficiencia = (ruta.capacidad_usada / ruta.capacidad_maxima) * 100;
-        console.log(`✅ Tienda ${tienda.nombre} asignada a ${ruta.vehiculo_nombre} (${ruta.capacidad_usada}/${ruta.capacidad_maxima} combis)`);
-        asignada = true;
-        break;
-      }
-    }
-    
-    if (!asignada) {
-      console.log(`⚠️ Tienda ${tienda.nombre} NO pudo ser asignada - capacidad insuficiente`);
-    }
-  });
-  
-  // CAMBIO CLAVE: Devolver TODAS las rutas, incluso las vacías
-  const rutasConTiendas = rutas.filter(ruta => ruta.tiendas.length > 0);
-  const rutasVacias = rutas.filter(ruta => ruta.tiendas.length === 0);
-  
-  console.log(`📊 Resultado: ${rutasConTiendas.length} rutas con tiendas, ${rutasVacias.length} rutas vacías`);
-  
-  // Mostrar todas las rutas para diagnóstico
-  rutas.forEach((ruta, index) => {
-    if (ruta.tiendas.length > 0) {
-      console.log(`🚛 Ruta ${index + 1}: ${ruta.vehiculo_nombre} - ${ruta.tiendas.length} tiendas (${ruta.capacidad_usada} combis)`);
-    } else {
-      console.log(`🚛 Ruta ${index + 1}: ${ruta.vehiculo_nombre} - DISPONIBLE (0 combis)`);
-    }
-  });
-  
-  // Devolver TODAS las rutas para que aparezcan en el frontend
-  return rutas;
+// Comprueba que cada id de `referencias` ({ campo: tabla }) presente en `datos` existe
+async function comprobarReferencias(cliente, datos, referencias) {
+  for (let [campo, tabla] of Object.entries(referencias)) {
+    if (datos[campo] == null) continue;
+    const result = await cliente.query(`SELECT 1 FROM ${tabla} WHERE id = $1`, [datos[campo]]);
+    if (!result.rows.length) throw errorPeticion(400, `${campo} no existe en ${tabla}`);
+  }
 }
 
-// Calcular métricas de optimización
-function calcularMetricas(rutas, totalTiendas) {
-  const totalCapacidad = rutas.reduce((sum, ruta) => sum + ruta.capacidad_maxima, 0);
-  const capacidadUsada = rutas.reduce((sum, ruta) => sum + ruta.capacidad_usada, 0);
-  const tiendasAsignadas = rutas.reduce((sum, ruta) => sum + ruta.tiendas.length, 0);
-  
-  return {
-    eficiencia_llenado: Math.round((capacidadUsada / totalCapacidad) * 100),
-    vehiculos_necesarios: rutas.filter(ruta => ruta.tiendas.length > 0).length,
-    vehiculos_disponibles: rutas.length,
-    tiendas_asignadas: tiendasAsignadas,
-    tiendas_totales: totalTiendas,
-    capacidad_total: totalCapacidad,
-    capacidad_usada: Math.round(capacidadUsada * 10) / 10,
-    ahorro_potencial: Math.max(0, rutas.length - Math.ceil(capacidadUsada / (totalCapacidad / rutas.length)))
-  };
+// Baja lógica: los registros no se borran, se marcan como inactivos
+const desactivar = (tabla, mensajeNoEncontrado) => async (req, res) => {
+  try {
+    const registro = await actualizarRegistro(pool, tabla, req.params.id, { activo: false });
+    if (!registro) {
+      return res.status(404).json({ error: mensajeNoEncontrado });
+    }
+    res.json(registro);
+  } catch (error) {
+    responderError(res, error, `Error al dar de baja en ${tabla}`);
+  }
+};
+
+// ---------- Vehículos ----------
+
+const ESQUEMA_VEHICULO = {
+  numero_camion: { tipo: 'entero', obligatorio: true, min: 1 },
+  proveedor_id: { tipo: 'uuid', obligatorio: true },
+  nombre_corto: { tipo: 'texto', max: 100 },
+  tipo_pago: { tipo: 'texto', max: 50 },
+  tipo_vehiculo_id: { tipo: 'uuid', obligatorio: true },
+  capacidad_combis: { tipo: 'entero', obligatorio: true, min: 1 },
+  activo: { tipo: 'booleano' }
+};
+
+async function validarVehiculo(cliente, datos, id = null) {
+  await comprobarReferencias(cliente, datos, { proveedor_id: 'proveedores', tipo_vehiculo_id: 'tipos_vehiculo' });
+  if (datos.numero_camion != null) {
+    const result = await cliente.query(
+      'SELECT id FROM vehiculos WHERE numero_camion = $1 AND id IS DISTINCT FROM $2',
+      [datos.numero_camion, id]
+    );
+    if (result.rows.length) throw errorPeticion(409, `Ya existe el camión número ${datos.numero_camion}`);
+  }
 }
 
-// 🔧 ENDPOINT DE OPTIMIZACIÓN HÍBRIDO - Funciona con ID o Nombre
-app.post('/api/optimizar', async (req, res) => {
+// Crear vehículo
+app.post('/api/vehiculos', async (req, res) => {
   try {
-    const { proveedor_id } = req.body;
-    console.log(`🚀 Iniciando optimización para proveedor: ${proveedor_id}`);
-    
-    // HÍBRIDO: Detectar si es UUID o nombre
-    const esUUID = proveedor_id.length === 36 && proveedor_id.includes('-');
-    let whereClause = '';
-    
-    if (esUUID) {
-      // Es un UUID - buscar por ID
-      whereClause = 'WHERE v.proveedor_id = $1 AND v.activo = true';
-      console.log(`🔍 Buscando por ID (UUID): ${proveedor_id}`);
-    } else {
-      // Es un nombre - buscar por nombre
-      whereClause = 'WHERE p.nombre = $1 AND v.activo = true';
-      console.log(`🔍 Buscando por nombre: ${proveedor_id}`);
-    }
-    
-    // Obtener vehículos del proveedor
-    const vehiculosResult = await pool.query(`
-      SELECT v.id, v.numero_camion, v.nombre_corto, v.tipo_pago, v.capacidad_combis,
-             p.nombre as proveedor_nombre
-      FROM vehiculos v
-      LEFT JOIN proveedores p ON v.proveedor_id = p.id
-      ${whereClause}
-      ORDER BY v.capacidad_combis DESC
-    `, [proveedor_id]);
-    
-    // Obtener tiendas del proveedor usando la misma lógica
-    let tiendasWhereClause = '';
-    if (esUUID) {
-      tiendasWhereClause = 'WHERE tp.proveedor_id = $1';
-    } else {
-      tiendasWhereClause = 'WHERE p.nombre = $1';
+    const datos = leerCampos(req.body, ESQUEMA_VEHICULO, true);
+    await validarVehiculo(pool, datos);
+    res.status(201).json(await insertarRegistro(pool, 'vehiculos', datos));
+  } catch (error) {
+    responderError(res, error, 'Error al crear el vehículo');
+  }
+});
+
+// Actualizar vehículo: PUT exige todos los obligatorios, PATCH solo los enviados
+const actualizarVehiculo = completo => async (req, res) => {
+  try {
+    const datos = leerCampos(req.body, ESQUEMA_VEHICULO, completo);
+    if (!Object.keys(datos).length) {
+      return res.status(400).json({ error: 'No hay campos que actualizar' });
     }
+    await validarVehiculo(pool, datos, req.params.id);
     
-    const tiendasResult = await pool.query(`
-      SELECT t.id, t.codigo, t.nombre, t.combis_promedio, t.provincia
-      FROM tiendas t
-      LEFT JOIN tienda_proveedores tp ON t.id = tp.tienda_id
-      LEFT JOIN proveedores p ON tp.proveedor_id = p.id
-      ${tiendasWhereClause}
-      ORDER BY t.combis_promedio DESC
-    `, [proveedor_id]);
-    
-    const vehiculos = vehiculosResult.rows;
-    const tiendas = tiendasResult.rows;
-    
-    console.log(`✅ Encontrados ${vehiculos.length} vehículos y ${tiendas.length} tiendas para ${proveedor_id}`);
-    
-    if (!vehiculos.length || !tiendas.length) {
-      return res.status(400).json({ 
-        error: 'No se encontraron vehículos o tiendas para este proveedor',
-        debug: {
-          proveedor: proveedor_id,
-          es_uuid: esUUID,
-          vehiculos_count: vehiculos.length,
-          tiendas_count: tiendas.length
-        }
-      });
+    const vehiculo = await actualizarRegistro(pool, 'vehiculos', req.params.id, datos);
+    if (!vehiculo) {
+      return res.status(404).json({ error: 'Vehículo no encontrado' });
     }
-    
-    // Ejecutar optimización
-    const rutasOptimizadas = optimizarRutasBasico(tiendas, vehiculos);
-    const metricas = calcularMetricas(rutasOptimizadas, tiendas.length);
-    
-    console.log(`🎯 Optimización completada: ${rutasOptimizadas.length} rutas generadas`);
-    
-    res.json({
-      rutas: rutasOptimizadas,
-      metricas: metricas,
-      proveedor_id: proveedor_id,
-      debug: {
-        es_uuid: esUUID,
-        vehiculos_usados: vehiculos.length,
-        tiendas_procesadas: tiendas.length,
-        vehiculos_nombres: vehiculos.map(v => v.nombre_corto)
-      },
-      timestamp: new Date().toISOString()
-    });
-    
+    res.json(vehiculo);
   } catch (error) {
-    console.error('❌ Error en optimización:', error);
-    res.status(500).json({ 
-      error: 'Error en la optimización de rutas',
-      message: error.message 
-    });
+    responderError(res, error, 'Error al actualizar el vehículo');
   }
-});
+};
 
-// ==================== GESTIÓN DE ESCENARIOS ====================
+app.put('/api/vehiculos/:id', actualizarVehiculo(true));
+app.patch('/api/vehiculos/:id', actualizarVehiculo(false));
+app.delete('/api/vehiculos/:id', desactivar('vehiculos', 'Vehículo no encontrado'));
 
-// Obtener escenarios
-app.get('/api/escenarios', async (req, res) => {
+// ---------- Proveedores ----------
+
+const ESQUEMA_PROVEEDOR = {
+  nombre: { tipo: 'texto', obligatorio: true, max: 255 },
+  almacen_base_id: { tipo: 'uuid' },
+  activo: { tipo: 'booleano' }
+};
+
+async function validarProveedor(cliente, datos, id = null) {
+  await comprobarReferencias(cliente, datos, { almacen_base_id: 'almacenes' });
+  if (datos.nombre != null) {
+    const result = await cliente.query(
+      'SELECT id FROM proveedores WHERE UPPER(nombre) = UPPER($1) AND id IS DISTINCT FROM $2',
+      [datos.nombre, id]
+    );
+    if (result.rows.length) throw errorPeticion(409, `Ya existe el proveedor ${datos.nombre}`);
+  }
+}
+
+// Crear proveedor
+app.post('/api/proveedores', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT id, nombre, descripcion, configuracion, metricas, activo, created_at
-      FROM escenarios
-      ORDER BY created_at DESC
-    `);
-    res.json(result.rows);
+    const datos = leerCampos(req.body, ESQUEMA_PROVEEDOR, true);
+    await validarProveedor(pool, datos);
+    res.status(201).json(await insertarRegistro(pool, 'proveedores', datos));
   } catch (error) {
-    console.error('Error fetching scenarios:', error);
-    res.status(500).json({ error: 'Error al obtener escenarios' });
+    responderError(res, error, 'Error al crear el proveedor');
   }
 });
 
-// Crear escenario
-app.post('/api/escenarios', async (req, res) => {
+const actualizarProveedor = completo => async (req, res) => {
   try {
-    const { nombre, descripcion, configuracion, metricas } = req.body;
-    
-    const result = await pool.query(`
-      INSERT INTO escenarios (nombre, descripcion, configuracion, metricas, activo)
-      VALUES ($1, $2, $3, $4, false)
-      RETURNING *
-    `, [nombre, descripcion, JSON.stringify(configuracion), JSON.stringify(metricas)]);
+    const datos = leerCampos(req.body, ESQUEMA_PROVEEDOR, completo);
+    if (!Object.keys(datos).length) {
+      return res.status(400).json({ error: 'No hay campos que actualizar' });
+    }
+    await validarProveedor(pool, datos, req.params.id);
     
-    res.json(result.rows[0]);
+    const proveedor = await actualizarRegistro(pool, 'proveedores', req.params.id, datos);
+    if (!proveedor) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+    res.json(proveedor);
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar el proveedor');
+  }
+};
+
+app.put('/api/proveedores/:id', actualizarProveedor(true));
+app.patch('/api/proveedores/:id', actualizarProveedor(false));
+
+// Baja de proveedor: se dan de baja también sus vehículos para que no
+// entren en ninguna optimización
+app.delete('/api/proveedores/:id', async (req, res) => {
+  try {
+    const resultado = await conTransaccion(async cliente => {
+      const proveedor = await actualizarRegistro(cliente, 'proveedores', req.params.id, { activo: false });
+      if (!proveedor) throw errorPeticion(404, 'Proveedor no encontrado');
+      const vehiculos = await cliente.query(
+        'UPDATE vehiculos SET activo = false WHERE proveedor_id = $1 AND activo = true',
+        [req.params.id]
+      );
+      return { ...proveedor, vehiculos_desactivados: vehiculos.rowCount };
+    });
+    res.json(resultado);
   } catch (error) {
-    console.error('Error creating scenario:', error);
-    res.status(500).json({ error: 'Error al crear escenario' });
+    responderError(res, error, 'Error al dar de baja el proveedor');
   }
 });
 
-// Activar escenario
-app.put('/api/escenarios/:id/activar', async (req, res) => {
+// ---------- Tiendas ----------
+
+const ESQUEMA_TIENDA = {
+  codigo: { tipo: 'texto', obligatorio: true, max: 20 },
+  nombre: { tipo: 'texto', obligatorio: true, max: 255 },
+  direccion: { tipo: 'texto' },
+  provincia: { tipo: 'texto', max: 100 },
+  combis_promedio: { tipo: 'numero', min: 0, max: 999.99 },
+  latitud: { tipo: 'numero', min: -90, max: 90 },
+  longitud: { tipo: 'numero', min: -180, max: 180 },
+  activo: { tipo: 'booleano' }
+};
+
+async function validarTienda(cliente, datos, id = null) {
+  if (datos.codigo != null) {
+    const result = await cliente.query(
+      'SELECT id FROM tiendas WHERE codigo = $1 AND id IS DISTINCT FROM $2',
+      [datos.codigo, id]
+    );
+    if (result.rows.length) throw errorPeticion(409, `Ya existe la tienda ${datos.codigo}`);
+  }
+}
+
+// `proveedor_id` (opcional) fija el proveedor principal de la tienda; el
+// anterior principal queda como alternativa
+async function asignarProveedorPrincipal(cliente, tiendaId, proveedorId) {
+  await comprobarReferencias(cliente, { proveedor_id: proveedorId }, { proveedor_id: 'proveedores' });
+  await cliente.query('UPDATE tienda_proveedores SET principal = false WHERE tienda_id = $1', [tiendaId]);
+  const actualizada = await cliente.query(
+    'UPDATE tienda_proveedores SET principal = true WHERE tienda_id = $1 AND proveedor_id = $2',
+    [tiendaId, proveedorId]
+  );
+  if (!actualizada.rowCount) {
+    await cliente.query(`
+      INSERT INTO tienda_proveedores (tienda_id, proveedor_id, motivo, principal)
+      VALUES ($1, $2, 'Asignación manual', true)
+    `, [tiendaId, proveedorId]);
+  }
+}
+
+const leerProveedorDeTienda = body =>
+  body.proveedor_id ? VALIDADORES.uuid(body.proveedor_id, 'proveedor_id') : null;
+
+// Obtener tiendas con su proveedor principal
+app.get('/api/tiendas', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Desactivar todos los escenarios
-    await pool.query('UPDATE escenarios SET activo = false');
-    
-    // Activar el escenario seleccionado
     const result = await pool.query(`
-      UPDATE escenarios SET activo = true WHERE id = $1 RETURNING *
-    `, [id]);
-    
-    res.json(result.rows[0]);
+      SELECT t.*, p.id as proveedor_id, p.nombre as proveedor_nombre
+      FROM tiendas t
+      LEFT JOIN tienda_proveedores tp ON t.id = tp.tienda_id AND tp.principal = true
+      LEFT JOIN proveedores p ON tp.proveedor_id = p.id
+      WHERE ($1::boolean OR t.activo = true) AND ($2::uuid IS NULL OR p.id = $2)
+      ORDER BY t.codigo
+    `, [incluirInactivos(req), proveedorDelUsuario(req)]);
+    res.json(result.rows);
   } catch (error) {
-    console.error('Error activating scenario:', error);
-    res.status(500).json({ error: 'Error al activar escenario' });
+    responderError(res, error, 'Error al obtener tiendas');
   }
 });
 
-// ==================== ADMINISTRACIÓN ====================
-
-// ENDPOINT DE LIMPIEZA - Eliminar datos duplicados
-app.post('/api/admin/limpiar-datos', async (req, res) => {
+// Crear tienda
+app.post('/api/tiendas', async (req, res) => {
   try {
-    console.log('🧹 Iniciando limpieza de datos...');
-    
-    // Eliminar relaciones primero (para evitar foreign key constraints)
-    await pool.query('DELETE FROM tienda_proveedores');
-    console.log('✅ Relaciones tienda-proveedor eliminadas');
-    
-    // Eliminar datos principales
-    await pool.query('DELETE FROM vehiculos');
-    await pool.query('DELETE FROM tiendas');
-    await pool.query('DELETE FROM escenarios');
-    await pool.query('DELETE FROM proveedores');
-    await pool.query('DELETE FROM tipos_vehiculo');
-    console.log('✅ Todos los datos eliminados');
-    
-    // Reinsertar datos limpios
-    await insertarDatosPrueba();
-    console.log('✅ Datos limpios insertados');
-    
-    res.json({ 
-      message: 'Datos limpiados e insertados correctamente',
-      timestamp: new Date().toISOString()
+    const datos = leerCampos(req.body, ESQUEMA_TIENDA, true);
+    const proveedorId = leerProveedorDeTienda(req.body);
+    const tienda = await conTransaccion(async cliente => {
+      await validarTienda(cliente, datos);
+      const creada = await insertarRegistro(cliente, 'tiendas', datos);
+      if (proveedorId) await asignarProveedorPrincipal(cliente, creada.id, proveedorId);
+      return creada;
     });
-    
+    res.status(201).json(tienda);
   } catch (error) {
-    console.error('❌ Error limpiando datos:', error);
-    res.status(500).json({ error: 'Error limpiando datos: ' + error.message });
+    responderError(res, error, 'Error al crear la tienda');
   }
 });
 
-// ENDPOINT DE ESTADÍSTICAS - Para diagnóstico
-app.get('/api/admin/estadisticas', async (req, res) => {
+const actualizarTienda = completo => async (req, res) => {
   try {
-    const stats = {
-      proveedores: await pool.query('SELECT COUNT(*) as total FROM proveedores'),
-      vehiculos: await pool.query('SELECT COUNT(*) as total FROM vehiculos'),
-      tiendas: await pool.query('SELECT COUNT(*) as total FROM tiendas'),
-      relaciones: await pool.query('SELECT COUNT(*) as total FROM tienda_proveedores'),
-      duplicados_proveedores: await pool.query(`
-        SELECT nombre, COUNT(*) as duplicados 
-        FROM proveedores 
-        GROUP BY nombre 
-        HAVING COUNT(*) > 1
-      `)
+    const datos = leerCampos(req.body, ESQUEMA_TIENDA, completo);
+    const proveedorId = leerProveedorDeTienda(req.body);
+    if (!Object.keys(datos).length && !proveedorId) {
+      return res.status(400).json({ error: 'No hay campos que actualizar' });
+    }
+    
+    const tienda = await conTransaccion(async cliente => {
+      await validarTienda(cliente, datos, req.params.id);
+      const actualizada = Object.keys(datos).length
+        ? await actualizarRegistro(cliente, 'tiendas', req.params.id, datos)
+        : (await cliente.query('SELECT * FROM tiendas WHERE id = $1', [req.params.id])).rows[0];
+      if (!actualizada) throw errorPeticion(404, 'Tienda no encontrada');
+      if (proveedorId) await asignarProveedorPrincipal(cliente, actualizada.id, proveedorId);
+      return actualizada;
+    });
+    res.json(tienda);
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar la tienda');
+  }
+};
+
+app.put('/api/tiendas/:id', actualizarTienda(true));
+app.patch('/api/tiendas/:id', actualizarTienda(false));
+app.delete('/api/tiendas/:id', desactivar('tiendas', 'Tienda no encontrada'));
+
+// ==================== TARIFAS ====================
+
+const COLUMNAS_TARIFA = ['tarifa_fija', 'tarifa_km', 'tarifa_combi', 'tarifa_hora'];
+
+// Valida el body de tarifas: solo números >= 0 (o null en vehículos para heredar del tipo)
+function leerTarifas(body, permitirNull) {
+  const tarifas = {};
+  for (let columna of COLUMNAS_TARIFA) {
+    if (!(columna in body)) continue;
+    const valor = body[columna];
+    if (valor === null && permitirNull) {
+      tarifas[columna] = null;
+      continue;
+    }
+    const numero = Number(valor);
+    if (valor === null || valor === '' || !Number.isFinite(numero) || numero < 0) {
+      throw errorPeticion(400, `${columna} debe ser un número mayor o igual que 0`);
+    }
+    tarifas[columna] = numero;
+  }
+  return tarifas;
+}
+
+// Obtener tipos de vehículo con su tarifa
+app.get('/api/tipos-vehiculo', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, nombre, ${COLUMNAS_TARIFA.join(', ')}
+      FROM tipos_vehiculo
+      ORDER BY nombre
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener tipos de vehículo');
+  }
+});
+
+// Actualizar tarifas de un tipo de vehículo o de un vehículo concreto
+const actualizarTarifas = (tabla, permitirNull) => async (req, res) => {
+  try {
+    const tarifas = leerTarifas(req.body, permitirNull);
+    if (!Object.keys(tarifas).length) {
+      throw errorPeticion(400, `Indica al menos una tarifa: ${COLUMNAS_TARIFA.join(', ')}`);
+    }
+    const registro = await actualizarRegistro(pool, tabla, req.params.id, tarifas);
+    if (!registro) throw errorPeticion(404, 'Registro no encontrado');
+    res.json(registro);
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar tarifas');
+  }
+};
+
+app.put('/api/tipos-vehiculo/:id/tarifas', actualizarTarifas('tipos_vehiculo', false));
+app.put('/api/vehiculos/:id/tarifas', actualizarTarifas('vehiculos', true));
+
+// ==================== ALMACENES ====================
+
+const ESQUEMA_ALMACEN = {
+  nombre: { tipo: 'texto', obligatorio: true, max: 255 },
+  direccion: { tipo: 'texto' },
+  latitud: { tipo: 'numero', min: -90, max: 90 },
+  longitud: { tipo: 'numero', min: -180, max: 180 },
+  hora_apertura: { tipo: 'hora' },
+  hora_cierre: { tipo: 'hora' },
+  muelles: { tipo: 'entero', min: 0 }
+};
+
+// Valida el body de un almacén. En creación el nombre es obligatorio; en
+// actualización solo se devuelven los campos presentes.
+function leerAlmacen(body, creacion) {
+  const almacen = leerCampos(body, ESQUEMA_ALMACEN, creacion);
+  if (almacen.hora_apertura && almacen.hora_cierre &&
+      horaAMinutos(almacen.hora_cierre) <= horaAMinutos(almacen.hora_apertura)) {
+    throw errorPeticion(400, 'hora_cierre debe ser posterior a hora_apertura');
+  }
+  return almacen;
+}
+
+// Obtener almacenes con los proveedores que salen de cada uno
+app.get('/api/almacenes', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.*,
+             COUNT(p.id) as total_proveedores,
+             COALESCE(array_agg(p.nombre ORDER BY p.nombre) FILTER (WHERE p.id IS NOT NULL), '{}') as proveedores
+      FROM almacenes a
+      LEFT JOIN proveedores p ON p.almacen_base_id = a.id AND p.activo = true
+      GROUP BY a.id
+      ORDER BY a.nombre
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching warehouses:', error);
+    res.status(500).json({ error: 'Error al obtener almacenes' });
+  }
+});
+
+// Obtener un almacén
+app.get('/api/almacenes/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM almacenes WHERE id = $1', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Almacén no encontrado' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error fetching warehouse:', error);
+    res.status(500).json({ error: 'Error al obtener el almacén' });
+  }
+});
+
+// Crear almacén
+app.post('/api/almacenes', async (req, res) => {
+  try {
+    const almacen = await insertarRegistro(pool, 'almacenes', leerAlmacen(req.body, true));
+    res.status(201).json(almacen);
+  } catch (error) {
+    responderError(res, error, 'Error al crear el almacén');
+  }
+});
+
+// Actualizar almacén (solo los campos enviados)
+app.put('/api/almacenes/:id', async (req, res) => {
+  try {
+    const datos = leerAlmacen(req.body, false);
+    if (!Object.keys(datos).length) {
+      return res.status(400).json({ error: 'No hay campos que actualizar' });
+    }
+    
+    const almacen = await actualizarRegistro(pool, 'almacenes', req.params.id, datos);
+    if (!almacen) {
+      return res.status(404).json({ error: 'Almacén no encontrado' });
+    }
+    res.json(almacen);
+  } catch (error) {
+    // Violación del CHECK de horario al cambiar solo una de las dos horas
+    if (error.code === '23514') {
+      return res.status(400).json({ error: 'hora_cierre debe ser posterior a hora_apertura' });
+    }
+    responderError(res, error, 'Error al actualizar el almacén');
+  }
+});
+
+// Eliminar almacén: no se permite mientras algún proveedor salga de él
+app.delete('/api/almacenes/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const proveedoresResult = await pool.query(
+      'SELECT nombre FROM proveedores WHERE almacen_base_id = $1 ORDER BY nombre',
+      [id]
+    );
+    if (proveedoresResult.rows.length) {
+      return res.status(409).json({
+        error: 'El almacén es la base de uno o más proveedores',
+        proveedores: proveedoresResult.rows.map(p => p.nombre)
+      });
+    }
+    
+    const result = await pool.query('DELETE FROM almacenes WHERE id = $1 RETURNING id', [id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Almacén no encontrado' });
+    }
+    res.json({ success: true, id });
+  } catch (error) {
+    console.error('Error deleting warehouse:', error);
+    res.status(500).json({ error: 'Error al eliminar el almacén' });
+  }
+});
+
+// ==================== PEDIDOS (DEMANDA DIARIA) ====================
+
+// Combis que pide cada tienda para una fecha de entrega concreta. Al optimizar
+// con fecha se usan en lugar de combis_promedio (que queda para los días sin pedido).
+const ESQUEMA_PEDIDO = {
+  tienda_id: { tipo: 'uuid', obligatorio: true },
+  fecha: { tipo: 'fecha', obligatorio: true },
+  combis: { tipo: 'numero', obligatorio: true, min: 0 }
+};
+
+const CONSULTA_PEDIDOS = `
+  SELECT pe.id, pe.tienda_id, t.codigo, t.nombre, to_char(pe.fecha, 'YYYY-MM-DD') as fecha,
+         pe.combis::float8, t.combis_promedio::float8, pe.updated_at
+  FROM pedidos pe
+  JOIN tiendas t ON pe.tienda_id = t.id
+`;
+
+// Inserta o actualiza el pedido de la tienda para esa fecha; 'omitido' si no cambia
+async function guardarPedido(cliente, { tienda_id, fecha, combis }) {
+  const existente = (await cliente.query(
+    'SELECT id, combis FROM pedidos WHERE tienda_id = $1 AND fecha = $2',
+    [tienda_id, fecha]
+  )).rows[0];
+  if (existente && Number(existente.combis) === combis) return { estado: 'omitido', id: existente.id };
+
+  const result = existente
+    ? await cliente.query('UPDATE pedidos SET combis = $2, updated_at = NOW() WHERE id = $1 RETURNING id', [existente.id, combis])
+    : await cliente.query('INSERT INTO pedidos (tienda_id, fecha, combis) VALUES ($1, $2, $3) RETURNING id', [tienda_id, fecha, combis]);
+  return { estado: existente ? 'actualizado' : 'creado', id: result.rows[0].id };
+}
+
+// Obtener pedidos de un día (?fecha=), de un rango (?desde=&hasta=) y/o de una tienda (?tienda_id=)
+app.get('/api/pedidos', async (req, res) => {
+  try {
+    const filtros = [];
+    const valores = [];
+    const filtrar = (condicion, valor) => {
+      valores.push(valor);
+      filtros.push(condicion.replace('?', `$${valores.length}`));
+    };
+    if (req.query.fecha) filtrar('pe.fecha = ?', VALIDADORES.fecha(req.query.fecha, 'fecha'));
+    if (req.query.desde) filtrar('pe.fecha >= ?', VALIDADORES.fecha(req.query.desde, 'desde'));
+    if (req.query.hasta) filtrar('pe.fecha <= ?', VALIDADORES.fecha(req.query.hasta, 'hasta'));
+    if (req.query.tienda_id) filtrar('pe.tienda_id = ?', VALIDADORES.uuid(req.query.tienda_id, 'tienda_id'));
+
+    const result = await pool.query(`
+      ${CONSULTA_PEDIDOS}
+      ${filtros.length ? `WHERE ${filtros.join(' AND ')}` : ''}
+      ORDER BY pe.fecha, t.codigo
+    `, valores);
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener los pedidos');
+  }
+});
+
+// Crear o actualizar pedidos: uno ({ tienda_id | codigo, fecha, combis }) o
+// una lista (array o { pedidos: [...] }). Si alguno no es válido no se guarda ninguno.
+app.post('/api/pedidos', async (req, res) => {
+  try {
+    const lista = Array.isArray(req.body) ? req.body : (Array.isArray(req.body.pedidos) ? req.body.pedidos : [req.body]);
+    if (!lista.length) throw errorPeticion(400, 'No hay pedidos que guardar');
+
+    const resultado = await conTransaccion(async cliente => {
+      const resumen = { creados: 0, actualizados: 0, omitidos: 0, ids: [] };
+      for (let [i, pedido] of lista.entries()) {
+        try {
+          const tiendaId = pedido.tienda_id || (pedido.codigo !== undefined ? await buscarTienda(cliente, pedido.codigo) : undefined);
+          const { estado, id } = await guardarPedido(cliente, leerCampos({ ...pedido, tienda_id: tiendaId }, ESQUEMA_PEDIDO, true));
+          resumen[{ creado: 'creados', actualizado: 'actualizados', omitido: 'omitidos' }[estado]]++;
+          resumen.ids.push(id);
+        } catch (error) {
+          if (error.status && lista.length > 1) error.message = `Pedido ${i + 1}: ${error.message}`;
+          throw error;
+        }
+      }
+      return resumen;
+    });
+
+    const { ids, ...totales } = resultado;
+    auditar(req, { detalle: { ...totales, ids } });
+    const pedidos = await pool.query(`${CONSULTA_PEDIDOS} WHERE pe.id = ANY($1) ORDER BY pe.fecha, t.codigo`, [ids]);
+    res.status(201).json({ ...totales, pedidos: pedidos.rows });
+  } catch (error) {
+    // Tienda inexistente
+    if (error.code === '23503') return res.status(400).json({ error: 'La tienda no existe' });
+    responderError(res, error, 'Error al guardar los pedidos');
+  }
+});
+
+// Eliminar un pedido (la tienda vuelve a planificarse con su media ese día)
+app.delete('/api/pedidos/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM pedidos WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Pedido no encontrado' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    responderError(res, error, 'Error al eliminar el pedido');
+  }
+});
+
+// ==================== PREVISIÓN DE DEMANDA ====================
+
+// Previsión de las combis de cada tienda por día de la semana a partir de su
+// historial de pedidos. Métodos:
+//  - media_estacional: media de todos los pedidos de ese día de la semana
+//  - media_movil: media de los últimos `ventana` pedidos de ese día de la semana
+//  - suavizado: suavizado exponencial simple (factor `alfa`) de la demanda
+//    desestacionalizada con índices por día de la semana
+const METODOS_PREVISION = ['media_estacional', 'media_movil', 'suavizado'];
+
+const ESQUEMA_PREVISION = {
+  metodo: { tipo: 'texto' },
+  ventana: { tipo: 'entero', min: 1 },
+  alfa: { tipo: 'numero', min: 0.01, max: 1 },
+  dias_historial: { tipo: 'entero', min: 7 }
+};
+
+const PREVISION_POR_DEFECTO = { metodo: 'suavizado', ventana: 4, alfa: 0.3, dias_historial: 365 };
+
+// Opciones de previsión (query string o `prevision` de /api/optimizar) con sus
+// valores por defecto; `true` usa todos los de por defecto
+function leerOpcionesPrevision(opciones) {
+  const datos = leerCampos(esObjeto(opciones) ? opciones : {}, ESQUEMA_PREVISION, false);
+  const resultado = { ...PREVISION_POR_DEFECTO };
+  Object.entries(datos).forEach(([campo, valor]) => { if (valor != null) resultado[campo] = valor; });
+  if (!METODOS_PREVISION.includes(resultado.metodo)) {
+    throw Object.assign(errorPeticion(400, `Método de previsión no soportado: ${resultado.metodo}`), {
+      detalle: { disponibles: METODOS_PREVISION }
+    });
+  }
+  return resultado;
+}
+
+const media = valores => valores.reduce((sum, valor) => sum + valor, 0) / valores.length;
+
+// Previsión de cada día de la semana (índices 1-7, null sin datos) a partir
+// del historial [{ fecha, combis }] ordenado por fecha
+function preverDiasSemana(historial, { metodo, ventana, alfa }) {
+  const porDia = Array.from({ length: 8 }, () => []);
+  historial.forEach(pedido => porDia[obtenerDiaSemana(pedido.fecha)].push(pedido.combis));
+  const prevision = Array(8).fill(null);
+  if (!historial.length) return prevision;
+
+  if (metodo !== 'suavizado') {
+    for (let dia = 1; dia <= 7; dia++) {
+      const valores = metodo === 'media_movil' ? porDia[dia].slice(-ventana) : porDia[dia];
+      if (valores.length) prevision[dia] = media(valores);
+    }
+    return prevision;
+  }
+
+  // Índice de cada día = su media / media global (1 si no hay pedidos ese día)
+  const mediaGlobal = media(historial.map(pedido => pedido.combis));
+  const indices = porDia.map(valores => (valores.length && mediaGlobal > 0 ? media(valores) / mediaGlobal : 1));
+  let nivel = null;
+  historial.forEach(pedido => {
+    const indice = indices[obtenerDiaSemana(pedido.fecha)];
+    const desestacionalizado = indice > 0 ? pedido.combis / indice : mediaGlobal;
+    nivel = nivel === null ? desestacionalizado : alfa * desestacionalizado + (1 - alfa) * nivel;
+  });
+  for (let dia = 1; dia <= 7; dia++) {
+    if (porDia[dia].length) prevision[dia] = nivel * indices[dia];
+  }
+  return prevision;
+}
+
+// Combis previstas para `fecha` con el historial anterior a ella (null sin datos de ese día)
+function preverFecha(historial, fecha, opciones) {
+  const anteriores = historial.filter(pedido => pedido.fecha < fecha);
+  const prevision = preverDiasSemana(anteriores, opciones)[obtenerDiaSemana(fecha)];
+  return prevision === null ? null : redondear(prevision, 2);
+}
+
+// Error de la previsión frente a lo pedido en los pedidos desde `desde`: cada
+// uno se prevé solo con el historial anterior, como se habría hecho ese día
+function errorPrevision(historial, opciones, desde) {
+  const comparaciones = historial
+    .filter(pedido => pedido.fecha >= desde)
+    .map(pedido => ({ ...pedido, prevision: preverFecha(historial, pedido.fecha, opciones) }))
+    .filter(pedido => pedido.prevision !== null);
+  if (!comparaciones.length) return { comparaciones: 0, mae: null, mape: null, sesgo: null };
+
+  const conPedido = comparaciones.filter(pedido => pedido.combis > 0);
+  return {
+    comparaciones: comparaciones.length,
+    mae: redondear(media(comparaciones.map(pedido => Math.abs(pedido.prevision - pedido.combis))), 2),
+    mape: conPedido.length
+      ? redondear(100 * media(conPedido.map(pedido => Math.abs(pedido.prevision - pedido.combis) / pedido.combis)))
+      : null,
+    sesgo: redondear(media(comparaciones.map(pedido => pedido.prevision - pedido.combis)), 2)
+  };
+}
+
+// Suma `dias` a una fecha YYYY-MM-DD
+function sumarDias(fecha, dias) {
+  const resultado = new Date(`${fecha}T00:00:00Z`);
+  resultado.setUTCDate(resultado.getUTCDate() + dias);
+  return resultado.toISOString().slice(0, 10);
+}
+
+const hoy = () => new Date().toISOString().slice(0, 10);
+
+// Historial de pedidos de las tiendas (Map tienda_id -> [{ fecha, combis }])
+// en los `dias` anteriores a `hasta` (sin incluirlo)
+async function cargarHistorial(tiendaIds, hasta, dias) {
+  const result = await pool.query(`
+    SELECT tienda_id, to_char(fecha, 'YYYY-MM-DD') as fecha, combis::float8
+    FROM pedidos
+    WHERE tienda_id::text = ANY($1) AND fecha < $2 AND fecha >= $3
+    ORDER BY fecha
+  `, [tiendaIds.map(String), hasta, sumarDias(hasta, -dias)]);
+
+  const historial = new Map(tiendaIds.map(id => [String(id), []]));
+  result.rows.forEach(row => historial.get(String(row.tienda_id)).push({ fecha: row.fecha, combis: Number(row.combis) }));
+  return historial;
+}
+
+// Previsión de una tienda: por día de la semana, para `fecha` si se indica y
+// el error de los últimos 28 días
+function previsionTienda(tienda, historial, opciones, fecha) {
+  const porDia = preverDiasSemana(historial, opciones);
+  return {
+    tienda_id: tienda.id,
+    codigo: tienda.codigo,
+    nombre: tienda.nombre,
+    combis_promedio: Number(tienda.combis_promedio || 0),
+    pedidos: historial.length,
+    dias_semana: DIAS_SEMANA.slice(1).map((nombre, i) => ({
+      dia_semana: i + 1,
+      nombre,
+      combis: porDia[i + 1] === null ? null : redondear(porDia[i + 1], 2)
+    })),
+    ...(fecha ? { fecha, combis: preverFecha(historial, fecha, opciones) } : {}),
+    error: errorPrevision(historial, opciones, sumarDias(fecha || hoy(), -28))
+  };
+}
+
+// Previsiones de una lista de tiendas ({ id, codigo, nombre, combis_promedio })
+async function preverTiendas(tiendas, query) {
+  const opciones = leerOpcionesPrevision(query);
+  const fecha = query.fecha ? VALIDADORES.fecha(query.fecha, 'fecha') : null;
+  // Sin fecha se usa todo el historial hasta hoy incluido
+  const historiales = await cargarHistorial(tiendas.map(tienda => tienda.id), fecha || sumarDias(hoy(), 1), opciones.dias_historial);
+  return {
+    opciones,
+    previsiones: tiendas.map(tienda => previsionTienda(tienda, historiales.get(String(tienda.id)), opciones, fecha))
+  };
+}
+
+// Previsión de una tienda (?metodo=&ventana=&alfa=&dias_historial=&fecha=)
+app.get('/api/tiendas/:id/prevision', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, codigo, nombre, combis_promedio FROM tiendas WHERE id = $1', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Tienda no encontrada' });
+    }
+    const { opciones, previsiones } = await preverTiendas(result.rows, req.query);
+    res.json({ ...previsiones[0], opciones });
+  } catch (error) {
+    responderError(res, error, 'Error al calcular la previsión de la tienda');
+  }
+});
+
+// Previsión de todas las tiendas activas de un proveedor (su proveedor principal)
+// con el total previsto por día de la semana
+app.get('/api/proveedores/:id/prevision', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.id, t.codigo, t.nombre, t.combis_promedio
+      FROM tiendas t
+      JOIN tienda_proveedores tp ON t.id = tp.tienda_id AND tp.principal = true
+      WHERE tp.proveedor_id = $1 AND t.activo = true
+      ORDER BY t.codigo
+    `, [req.params.id]);
+    const { opciones, previsiones } = await preverTiendas(result.rows, req.query);
+
+    // Las tiendas sin previsión para un día cuentan con su media
+    const total = (combis, tienda) => (combis === null ? tienda.combis_promedio : combis);
+    res.json({
+      proveedor_id: req.params.id,
+      opciones,
+      totales: DIAS_SEMANA.slice(1).map((nombre, i) => ({
+        dia_semana: i + 1,
+        nombre,
+        combis: redondear(previsiones.reduce((sum, tienda) => sum + total(tienda.dias_semana[i].combis, tienda), 0), 2)
+      })),
+      ...(req.query.fecha ? {
+        total_fecha: redondear(previsiones.reduce((sum, tienda) => sum + total(tienda.combis, tienda), 0), 2)
+      } : {}),
+      tiendas: previsiones
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al calcular la previsión del proveedor');
+  }
+});
+
+// Error de la previsión frente a los pedidos reales de los últimos `?dias=`
+// (28 por defecto) de cada tienda activa con pedidos, de mayor a menor error
+app.get('/api/prevision/error', async (req, res) => {
+  try {
+    const dias = req.query.dias ? VALIDADORES.entero(req.query.dias, 'dias', { min: 1 }) : 28;
+    const opciones = leerOpcionesPrevision(req.query);
+    const tiendas = (await pool.query(`
+      SELECT t.id, t.codigo, t.nombre
+      FROM tiendas t
+      WHERE t.activo = true AND EXISTS (SELECT 1 FROM pedidos pe WHERE pe.tienda_id = t.id)
+      ORDER BY t.codigo
+    `)).rows;
+
+    const hasta = sumarDias(hoy(), 1);
+    const historiales = await cargarHistorial(tiendas.map(tienda => tienda.id), hasta, opciones.dias_historial + dias);
+    const desde = sumarDias(hasta, -dias);
+    const errores = tiendas
+      .map(tienda => ({
+        tienda_id: tienda.id,
+        codigo: tienda.codigo,
+        nombre: tienda.nombre,
+        ...errorPrevision(historiales.get(String(tienda.id)), opciones, desde)
+      }))
+      .filter(tienda => tienda.comparaciones > 0)
+      .sort((a, b) => b.mae - a.mae);
+
+    const comparaciones = errores.reduce((sum, tienda) => sum + tienda.comparaciones, 0);
+    res.json({
+      opciones,
+      desde,
+      dias,
+      comparaciones,
+      mae: comparaciones
+        ? redondear(errores.reduce((sum, tienda) => sum + tienda.mae * tienda.comparaciones, 0) / comparaciones, 2)
+        : null,
+      tiendas: errores
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al calcular el error de la previsión');
+  }
+});
+
+// Demanda prevista para `fecha` en las tiendas sin pedido ese día: su
+// combis_promedio pasa a ser la previsión (`con_prevision`) si hay historial
+async function aplicarPrevision(datos, fecha, opciones) {
+  const sinPedido = datos.tiendas.filter(tienda => !tienda.con_pedido);
+  if (!sinPedido.length) return datos;
+  const historiales = await cargarHistorial(sinPedido.map(tienda => tienda.id), fecha, opciones.dias_historial);
+  return {
+    ...datos,
+    tiendas: datos.tiendas.map(tienda => {
+      if (tienda.con_pedido) return tienda;
+      const combis = preverFecha(historiales.get(String(tienda.id)), fecha, opciones);
+      return combis === null ? tienda : { ...tienda, combis_promedio: combis, con_prevision: true };
+    })
+  };
+}
+
+// ==================== DISTANCIAS ====================
+
+const RADIO_TIERRA_KM = 6371;
+
+// Factor para pasar de línea recta a distancia aproximada por carretera
+const FACTOR_CARRETERA = parseFloat(process.env.FACTOR_CARRETERA || '1.3');
+
+function tieneCoordenadas(punto) {
+  return Boolean(punto) && punto.latitud != null && punto.longitud != null;
+}
+
+// Distancia en línea recta (km) entre dos puntos con latitud/longitud
+function distanciaHaversine(origen, destino) {
+  const aRadianes = grados => (Number(grados) * Math.PI) / 180;
+  const dLat = aRadianes(destino.latitud - origen.latitud);
+  const dLon = aRadianes(destino.longitud - origen.longitud);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(aRadianes(origen.latitud)) * Math.cos(aRadianes(destino.latitud)) * Math.sin(dLon / 2) ** 2;
+  return 2 * RADIO_TIERRA_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Distancia "Manhattan" sobre la cuadrícula lat/lon, útil en zonas urbanas
+function distanciaManhattan(origen, destino) {
+  const esquina = { latitud: origen.latitud, longitud: destino.longitud };
+  return distanciaHaversine(origen, esquina) + distanciaHaversine(esquina, destino);
+}
+
+// Funciones de distancia disponibles (seleccionables desde /api/optimizar)
+const FUNCIONES_DISTANCIA = {
+  haversine: distanciaHaversine,
+  manhattan: distanciaManhattan
+};
+
+// Matriz de distancias (km por carretera) entre todos los puntos, indexada por id.
+// Los puntos sin coordenadas se tratan como si estuvieran en el mismo sitio (0 km).
+function calcularMatrizDistancias(puntos, funcionDistancia = distanciaHaversine) {
+  const indice = new Map();
+  puntos.forEach((punto, i) => indice.set(punto.id, i));
+
+  const distancias = puntos.map(origen => puntos.map(destino => {
+    if (origen === destino || !tieneCoordenadas(origen) || !tieneCoordenadas(destino)) return 0;
+    return funcionDistancia(origen, destino) * FACTOR_CARRETERA;
+  }));
+
+  return {
+    distancias,
+    distancia: (idOrigen, idDestino) => distancias[indice.get(idOrigen)][indice.get(idDestino)],
+    // Permite que un punto nuevo (p. ej. una entrega parcial) use la fila de otro existente
+    alias: (id, idExistente) => indice.set(id, indice.get(idExistente))
+  };
+}
+
+// Kilómetros de una secuencia de tiendas saliendo del depósito y, si
+// `volver` (por defecto), regresando a él
+function calcularDistanciaRuta(secuencia, deposito, matriz, volver = true) {
+  if (!secuencia.length) return 0;
+
+  let total = matriz.distancia(deposito.id, secuencia[0].id);
+  for (let i = 1; i < secuencia.length; i++) {
+    total += matriz.distancia(secuencia[i - 1].id, secuencia[i].id);
+  }
+  return volver ? total + matriz.distancia(secuencia[secuencia.length - 1].id, deposito.id) : total;
+}
+
+// Las rutas vuelven al almacén salvo que el contexto diga `regreso: false`
+const vuelveAlAlmacen = contexto => contexto.regreso !== false;
+
+// Ordena las paradas de una ruta por vecino más cercano desde el depósito
+function ordenarPorVecinoMasCercano(tiendas, deposito, matriz) {
+  const pendientes = [...tiendas];
+  const secuencia = [];
+  let actual = deposito;
+
+  while (pendientes.length) {
+    let mejor = 0;
+    for (let i = 1; i < pendientes.length; i++) {
+      if (matriz.distancia(actual.id, pendientes[i].id) < matriz.distancia(actual.id, pendientes[mejor].id)) {
+        mejor = i;
+      }
+    }
+    actual = pendientes.splice(mejor, 1)[0];
+    secuencia.push(actual);
+  }
+
+  return secuencia;
+}
+
+// ==================== VENTANAS HORARIAS ====================
+
+const DIAS_SEMANA = ['', 'LUNES', 'MARTES', 'MIÉRCOLES', 'JUEVES', 'VIERNES', 'SÁBADO', 'DOMINGO'];
+
+// Parámetros de tiempo por defecto del modo VRPTW (sobrescribibles en el body)
+const TIEMPOS_POR_DEFECTO = {
+  hora_salida: '06:00',
+  velocidad_media_kmh: 60,
+  minutos_parada: 15,
+  minutos_por_combi: 2,
+  penalizacion_minuto: 1 // km equivalentes por minuto de retraso en ventanas adaptables
+};
+
+// '08:30:00' -> 510
+function horaAMinutos(hora) {
+  const [horas, minutos] = String(hora).split(':').map(Number);
+  return horas * 60 + (minutos || 0);
+}
+
+// 510 -> '08:30'
+function minutosAHora(minutos) {
+  const total = Math.round(minutos);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Acepta un día ISO (1 = lunes ... 7 = domingo) o una fecha 'YYYY-MM-DD'
+function obtenerDiaSemana(diaEntrega) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(diaEntrega))) {
+    const dia = new Date(`${diaEntrega}T12:00:00Z`).getUTCDay();
+    return dia === 0 ? 7 : dia;
+  }
+  const dia = parseInt(diaEntrega);
+  return dia >= 1 && dia <= 7 ? dia : null;
+}
+
+// Ventanas de entrega del día agrupadas por tienda. Las tiendas con horario
+// en otros días pero no en éste se consideran cerradas.
+async function cargarVentanas(tiendaIds, diaSemana) {
+  const result = await pool.query(`
+    SELECT tienda_id, dia_semana, hora_inicio, hora_fin, adaptable
+    FROM tienda_horarios
+    WHERE tienda_id = ANY($1)
+    ORDER BY hora_inicio
+  `, [tiendaIds]);
+
+  const ventanas = new Map();
+  const conHorario = new Set();
+  result.rows.forEach(row => {
+    conHorario.add(row.tienda_id);
+    if (row.dia_semana !== diaSemana) return;
+    if (!ventanas.has(row.tienda_id)) ventanas.set(row.tienda_id, []);
+    ventanas.get(row.tienda_id).push({
+      inicio: horaAMinutos(row.hora_inicio),
+      fin: horaAMinutos(row.hora_fin),
+      adaptable: row.adaptable
+    });
+  });
+
+  const cerradas = new Set([...conHorario].filter(id => !ventanas.has(id)));
+  return { ventanas, cerradas };
+}
+
+const minutosDeViaje = (km, tiempos) => (km / tiempos.velocidad_media_kmh) * 60;
+
+// Ventanas de una parada: una entrega parcial tiene las de su tienda
+const ventanasDeTienda = (horario, tienda) => horario.ventanas.get(tienda.tienda_original_id || tienda.id) || [];
+
+// Simula la ruta desde la hora de salida: llegada, espera y retraso en cada parada.
+// Las ventanas no adaptables son duras (la ruta deja de ser factible); las
+// adaptables se pueden incumplir con una penalización por minuto de retraso.
+function evaluarHorario(secuencia, { deposito, matriz, horario, regreso = true }) {
+  const { tiempos } = horario;
+  let reloj = horaAMinutos(tiempos.hora_salida);
+  let anterior = deposito;
+  let retrasoTotal = 0;
+  const paradas = [];
+
+  for (const tienda of secuencia) {
+    reloj += minutosDeViaje(matriz.distancia(anterior.id, tienda.id), tiempos);
+    const llegada = reloj;
+    const ventanasTienda = ventanasDeTienda(horario, tienda);
+    let ventana = null;
+    let inicioDescarga = llegada;
+    let retraso = 0;
+
+    if (ventanasTienda.length) {
+      ventana = ventanasTienda.find(v => llegada <= v.fin) || ventanasTienda[ventanasTienda.length - 1];
+      if (llegada > ventana.fin) {
+        if (!ventana.adaptable) {
+          return {
+            factible: false,
+            tienda,
+            motivo: `Llegada a las ${minutosAHora(llegada)} fuera de la ventana ${minutosAHora(ventana.inicio)}-${minutosAHora(ventana.fin)}`
+          };
+        }
+        retraso = llegada - ventana.fin;
+      }
+      inicioDescarga = Math.max(llegada, ventana.inicio);
+    }
+
+    retrasoTotal += retraso;
+    paradas.push({ llegada, inicioDescarga, espera: inicioDescarga - llegada, retraso, ventana });
+    reloj = inicioDescarga + tiempos.minutos_parada + demandaTienda(tienda) * tiempos.minutos_por_combi;
+    anterior = tienda;
+  }
+
+  if (secuencia.length && regreso) reloj += minutosDeViaje(matriz.distancia(anterior.id, deposito.id), tiempos);
+
+  return {
+    factible: true,
+    paradas,
+    regreso: reloj,
+    retraso_minutos: retrasoTotal,
+    penalizacion: retrasoTotal * tiempos.penalizacion_minuto
+  };
+}
+
+// Orden de visita para una ruta recién cargada: en VRPTW primero las ventanas que
+// cierran antes; sin ventanas, vecino más cercano
+function ordenarParadas(tiendas, { deposito, matriz, horario }) {
+  if (!horario) return ordenarPorVecinoMasCercano(tiendas, deposito, matriz);
+
+  const cierre = tienda => {
+    const ventanas = ventanasDeTienda(horario, tienda);
+    return ventanas.length ? ventanas[ventanas.length - 1].fin : Infinity;
+  };
+  return [...tiendas].sort((a, b) => cierre(a) - cierre(b));
+}
+
+// Separa las tiendas que ni siquiera en una ruta exclusiva llegan a su ventana
+function filtrarTiendasPorVentana(tiendas, contexto, cerradas) {
+  const servibles = [];
+  const fueraDeVentana = [];
+
+  tiendas.forEach(tienda => {
+    if (cerradas.has(tienda.id)) {
+      fueraDeVentana.push({ tienda, motivo: 'Sin horario de entrega para el día seleccionado' });
+      return;
+    }
+    const evaluacion = evaluarHorario([tienda], contexto);
+    if (evaluacion.factible) servibles.push(tienda);
+    else fueraDeVentana.push({ tienda, motivo: evaluacion.motivo });
+  });
+
+  return { servibles, fueraDeVentana };
+}
+
+// ==================== COSTES ====================
+
+// Componentes variables que se pagan según el tipo_pago del vehículo (el fijo
+// por viaje se paga siempre). Un tipo_pago desconocido se trata como mixto.
+const TIPOS_PAGO = {
+  por_combi: ['combi'],
+  por_km: ['km'],
+  por_hora: ['hora'],
+  por_viaje: [],
+  mixto: ['km', 'combi', 'hora']
+};
+
+// Tarifa efectiva del vehículo: la propia si la tiene, si no la de su tipo
+function obtenerTarifa(vehiculo) {
+  return {
+    tipo_pago: TIPOS_PAGO[vehiculo.tipo_pago] ? vehiculo.tipo_pago : 'mixto',
+    fija: Number(vehiculo.tarifa_fija || 0),
+    km: Number(vehiculo.tarifa_km || 0),
+    combi: Number(vehiculo.tarifa_combi || 0),
+    hora: Number(vehiculo.tarifa_hora || 0)
+  };
+}
+
+// Minutos desde la salida del almacén hasta el regreso
+function duracionRutaMinutos(secuencia, contexto) {
+  if (!secuencia.length) return 0;
+  if (contexto.horario) {
+    const evaluacion = evaluarHorario(secuencia, contexto);
+    if (evaluacion.factible) return evaluacion.regreso - horaAMinutos(contexto.horario.tiempos.hora_salida);
+  }
+
+  const tiempos = contexto.horario ? contexto.horario.tiempos : TIEMPOS_POR_DEFECTO;
+  const km = calcularDistanciaRuta(secuencia, contexto.deposito, contexto.matriz, vuelveAlAlmacen(contexto));
+  return minutosDeViaje(km, tiempos) +
+    secuencia.length * tiempos.minutos_parada + cargaSecuencia(secuencia) * tiempos.minutos_por_combi;
+}
+
+// Coste de transporte (€) de una secuencia hecha por el vehículo de la ruta
+function calcularCosteTransporte(secuencia, ruta, contexto) {
+  if (!secuencia.length) return { fijo: 0, km: 0, combis: 0, horas: 0, total: 0 };
+
+  const tarifa = ruta.tarifa;
+  const componentes = TIPOS_PAGO[tarifa.tipo_pago];
+  const km = componentes.includes('km')
+    ? calcularDistanciaRuta(secuencia, contexto.deposito, contexto.matriz, vuelveAlAlmacen(contexto))
+    : 0;
+  const coste = {
+    fijo: tarifa.fija,
+    km: km * tarifa.km,
+    combis: componentes.includes('combi') ? cargaSecuencia(secuencia) * tarifa.combi : 0,
+    horas: componentes.includes('hora') ? (duracionRutaMinutos(secuencia, contexto) / 60) * tarifa.hora : 0
+  };
+  coste.total = coste.fijo + coste.km + coste.combis + coste.horas;
+  return coste;
+}
+
+// Plan de referencia "salen todos los camiones": cada tienda va al camión con
+// más hueco libre (worst fit), así todos los vehículos quedan con carga
+function planificarConTodosLosVehiculos(tiendas, vehiculos, contexto) {
+  const rutas = vehiculos.map(crearRuta);
+  const secuencias = new Map(rutas.map(ruta => [ruta, []]));
+
+  [...tiendas].sort((a, b) => demandaTienda(b) - demandaTienda(a)).forEach(tienda => {
+    const hueco = ruta => ruta.capacidad_maxima - cargaSecuencia(secuencias.get(ruta));
+    const ruta = rutas.filter(r => hueco(r) >= demandaTienda(tienda)).sort((a, b) => hueco(b) - hueco(a))[0];
+    if (ruta) secuencias.get(ruta).push(tienda);
+  });
+
+  rutas.forEach(ruta => completarRuta(ruta, ordenarParadas(secuencias.get(ruta), contexto), contexto));
+  return rutas;
+}
+
+// ==================== OPTIMIZACIÓN VRP ====================
+
+const redondear = (valor, decimales = 1) => Math.round(valor * 10 ** decimales) / 10 ** decimales;
+
+// pg devuelve DECIMAL como string: normalizar siempre la demanda a número
+const demandaTienda = tienda => Number(tienda.combis_promedio || 0);
+
+const cargaSecuencia = secuencia => secuencia.reduce((sum, tienda) => sum + demandaTienda(tienda), 0);
+
+// Contexto de las rutas que salen de `deposito`: los camiones no salen antes
+// de que abra el almacén
+function contextoDeAlmacen(contexto, deposito) {
+  const { horario } = contexto;
+  if (!horario || !deposito.hora_apertura ||
+      horaAMinutos(deposito.hora_apertura) <= horaAMinutos(horario.tiempos.hora_salida)) {
+    return { ...contexto, deposito };
+  }
+  const tiempos = { ...horario.tiempos, hora_salida: minutosAHora(horaAMinutos(deposito.hora_apertura)) };
+  return { ...contexto, deposito, horario: { ...horario, tiempos } };
+}
+
+// Con varios almacenes cada ruta sale del de su vehículo
+function contextoDeRuta(contexto, ruta) {
+  return ruta.deposito ? contextoDeAlmacen(contexto, ruta.deposito) : contexto;
+}
+
+// Una tienda solo puede ir en camiones de los proveedores que tiene permitidos
+// y, si el usuario la ha bloqueado en un camión, solo en ese
+function esTiendaPermitida(tienda, ruta) {
+  if (tienda.vehiculo_bloqueado_id) return tienda.vehiculo_bloqueado_id === ruta.vehiculo_id;
+  return !tienda.proveedores_permitidos || !ruta.proveedor_id || tienda.proveedores_permitidos.includes(ruta.proveedor_id);
+}
+
+function crearRuta(vehiculo) {
+  return {
+    vehiculo_id: vehiculo.id,
+    vehiculo_nombre: vehiculo.nombre_corto,
+    numero_camion: vehiculo.numero_camion,
+    proveedor_id: vehiculo.proveedor_id,
+    proveedor_nombre: vehiculo.proveedor_nombre,
+    deposito: vehiculo.deposito,
+    capacidad_maxima: Number(vehiculo.capacidad_combis),
+    capacidad_usada: 0,
+    tiendas: [],
+    eficiencia: 0,
+    distancia_km: 0,
+    tarifa: obtenerTarifa(vehiculo),
+    coste: { fijo: 0, km: 0, combis: 0, horas: 0, total: 0 }
+  };
+}
+
+// Fija el orden de visita de la ruta y calcula eficiencia, kilómetros y, en
+// modo VRPTW, la hora estimada de llegada a cada parada
+function completarRuta(ruta, secuencia, contexto) {
+  contexto = contextoDeRuta(contexto, ruta);
+  const { deposito, matriz, horario } = contexto;
+  const evaluacion = horario && secuencia.length ? evaluarHorario(secuencia, contexto) : null;
+
+  let anterior = deposito;
+  ruta.tiendas = secuencia.map((tienda, index) => {
+    const parada = {
+      ...tienda,
+      orden: index + 1,
+      distancia_desde_anterior_km: redondear(matriz.distancia(anterior.id, tienda.id))
+    };
+    const tiempos = evaluacion && evaluacion.factible && evaluacion.paradas[index];
+    if (tiempos) {
+      parada.hora_llegada = minutosAHora(tiempos.llegada);
+      parada.hora_inicio_descarga = minutosAHora(tiempos.inicioDescarga);
+      parada.espera_minutos = Math.round(tiempos.espera);
+      parada.retraso_minutos = Math.round(tiempos.retraso);
+      parada.ventana = tiempos.ventana && {
+        inicio: minutosAHora(tiempos.ventana.inicio),
+        fin: minutosAHora(tiempos.ventana.fin),
+        adaptable: tiempos.ventana.adaptable
+      };
+    }
+    anterior = tienda;
+    return parada;
+  });
+  ruta.capacidad_usada = redondear(secuencia.reduce((sum, tienda) => sum + demandaTienda(tienda), 0));
+  ruta.eficiencia = ruta.capacidad_maxima ? (ruta.capacidad_usada / ruta.capacidad_maxima) * 100 : 0;
+  ruta.distancia_km = redondear(calcularDistanciaRuta(secuencia, deposito, matriz, vuelveAlAlmacen(contexto)));
+  ruta.almacen_origen = { id: deposito.id, nombre: deposito.nombre };
+  ruta.vuelve_al_almacen = vuelveAlAlmacen(contexto);
+  const coste = calcularCosteTransporte(secuencia, ruta, contexto);
+  ruta.coste = Object.fromEntries(Object.entries(coste).map(([clave, valor]) => [clave, redondear(valor, 2)]));
+
+  if (evaluacion && evaluacion.factible) {
+    ruta.hora_salida = horario.tiempos.hora_salida;
+    // Sin regreso, `regreso` es el final de la última descarga
+    ruta[ruta.vuelve_al_almacen ? 'hora_regreso' : 'hora_fin'] = minutosAHora(evaluacion.regreso);
+    ruta.retraso_minutos = Math.round(evaluacion.retraso_minutos);
+    ruta.penalizacion_ventanas = redondear(evaluacion.penalizacion);
+    const cierre = deposito.hora_cierre ? horaAMinutos(deposito.hora_cierre) : Infinity;
+    ruta.regreso_fuera_de_horario = ruta.vuelve_al_almacen && evaluacion.regreso > cierre;
+  } else {
+    // La ruta se ha vaciado (p. ej. en la búsqueda local): quitar el horario anterior
+    ['hora_salida', 'hora_regreso', 'hora_fin', 'retraso_minutos', 'penalizacion_ventanas', 'regreso_fuera_de_horario'].forEach(campo => delete ruta[campo]);
+  }
+  return ruta;
+}
+
+// 🔧 ALGORITMO VRP CORREGIDO - Muestra TODOS los vehículos disponibles
+function optimizarRutasBasico(tiendas, vehiculos, contexto) {
+  console.log(`🚚 Iniciando optimización con ${vehiculos.length} vehículos y ${tiendas.length} tiendas`);
+
+  // Ordenar tiendas por combis descendente
+  const tiendasOrdenadas = [...tiendas].sort((a, b) => demandaTienda(b) - demandaTienda(a));
+
+  // Inicializar rutas para TODOS los vehículos
+  const rutas = vehiculos.map(crearRuta);
+
+  console.log(`📋 Rutas inicializadas para ${rutas.length} vehículos:`, rutas.map(r => r.vehiculo_nombre));
+
+  // Asignar tiendas a vehículos (First Fit Decreasing)
+  tiendasOrdenadas.forEach((tienda, index) => {
+    const demanda = demandaTienda(tienda);
+    console.log(`🏪 Procesando tienda ${index + 1}/${tiendasOrdenadas.length}: ${tienda.nombre} (${demanda} combis)`);
+
+    let asignada = false;
+    for (let ruta of rutas) {
+      const cabeEnHorario = !contexto.horario ||
+        evaluarHorario(ordenarParadas([...ruta.tiendas, tienda], contexto), contexto).factible;
+      if (ruta.capacidad_usada + demanda <= ruta.capacidad_maxima && cabeEnHorario) {
+        ruta.tiendas.push(tienda);
+        ruta.capacidad_usada += demanda;
+        console.log(`✅ Tienda ${tienda.nombre} asignada a ${ruta.vehiculo_nombre} (${ruta.capacidad_usada}/${ruta.capacidad_maxima} combis)`);
+        asignada = true;
+        break;
+      }
+    }
+
+    if (!asignada) {
+      console.log(`⚠️ Tienda ${tienda.nombre} NO pudo ser asignada - capacidad insuficiente`);
+    }
+  });
+
+  // Ordenar las paradas de cada camión y calcular kilómetros
+  rutas.forEach(ruta => completarRuta(ruta, ordenarParadas(ruta.tiendas, contexto), contexto));
+
+  // CAMBIO CLAVE: Devolver TODAS las rutas, incluso las vacías
+  const rutasConTiendas = rutas.filter(ruta => ruta.tiendas.length > 0);
+  const rutasVacias = rutas.filter(ruta => ruta.tiendas.length === 0);
+
+  console.log(`📊 Resultado: ${rutasConTiendas.length} rutas con tiendas, ${rutasVacias.length} rutas vacías`);
+
+  // Mostrar todas las rutas para diagnóstico
+  rutas.forEach((ruta, index) => {
+    if (ruta.tiendas.length > 0) {
+      console.log(`🚛 Ruta ${index + 1}: ${ruta.vehiculo_nombre} - ${ruta.tiendas.length} tiendas (${ruta.capacidad_usada} combis, ${ruta.distancia_km} km)`);
+    } else {
+      console.log(`🚛 Ruta ${index + 1}: ${ruta.vehiculo_nombre} - DISPONIBLE (0 combis)`);
+    }
+  });
+
+  // Devolver TODAS las rutas para que aparezcan en el frontend
+  return rutas;
+}
+
+// Inserción más barata: coloca la tienda en la ruta y posición que menos
+// kilómetros añaden respetando capacidad y ventanas. `secuencias` es un Map
+// ruta -> secuencia que se actualiza; devuelve la ruta elegida o null.
+function insertarEnMejorPosicion(tienda, rutas, secuencias, contexto) {
+  let mejor = null;
+
+  rutas.forEach(ruta => {
+    const secuencia = secuencias.get(ruta) || [];
+    if (!esTiendaPermitida(tienda, ruta)) return;
+    if (cargaSecuencia(secuencia) + demandaTienda(tienda) > ruta.capacidad_maxima) return;
+
+    const contextoRuta = contextoDeRuta(contexto, ruta);
+    const { deposito, matriz, horario } = contextoRuta;
+    const volver = vuelveAlAlmacen(contextoRuta);
+    const distanciaActual = calcularDistanciaRuta(secuencia, deposito, matriz, volver);
+    for (let k = 0; k <= secuencia.length; k++) {
+      const candidata = [...secuencia.slice(0, k), tienda, ...secuencia.slice(k)];
+      if (horario && !evaluarHorario(candidata, contextoRuta).factible) continue;
+      const incremento = calcularDistanciaRuta(candidata, deposito, matriz, volver) - distanciaActual;
+      if (!mejor || incremento < mejor.incremento) mejor = { ruta, secuencia: candidata, incremento };
+    }
+  });
+
+  if (!mejor) return null;
+  secuencias.set(mejor.ruta, mejor.secuencia);
+  return mejor.ruta;
+}
+
+// 🧭 CVRP por ahorros de Clarke-Wright (versión paralela)
+// Cada unión se limita al camión más grande que no necesitan las demás rutas
+// ya unidas y después se asigna cada ruta al camión libre más pequeño en el
+// que cabe. En modo VRPTW
+// solo se aceptan uniones que respetan las ventanas duras, y el ahorro se
+// reduce con la penalización de las ventanas adaptables incumplidas.
+function optimizarRutasSavings(tiendas, vehiculos, contexto) {
+  const { deposito, matriz, horario } = contexto;
+  console.log(`🧭 Iniciando Clarke-Wright con ${vehiculos.length} vehículos y ${tiendas.length} tiendas`);
+
+  const capacidades = vehiculos.map(v => Number(v.capacidad_combis)).sort((x, y) => y - x);
+  const capacidadMaxima = Math.max(0, ...capacidades);
+
+  // Las rutas de más de una tienda tienen que caber cada una en un camión
+  // distinto: ordenadas de mayor a menor carga, la i-ésima en el i-ésimo camión
+  const unidas = new Set();
+  const cabenEnLaFlota = cargas => cargas.length <= capacidades.length &&
+    [...cargas].sort((x, y) => y - x).every((carga, i) => carga <= capacidades[i] + 1e-9);
+
+  // Ruta inicial: depósito → tienda → depósito para cada tienda que quepa en algún camión
+  const rutaDeTienda = new Map();
+  tiendas.forEach(tienda => {
+    if (demandaTienda(tienda) > capacidadMaxima) {
+      console.log(`⚠️ Tienda ${tienda.nombre} NO pudo ser asignada - ningún vehículo tiene capacidad suficiente`);
+      return;
+    }
+    const penalizacion = horario ? evaluarHorario([tienda], contexto).penalizacion : 0;
+    rutaDeTienda.set(tienda.id, { secuencia: [tienda], carga: demandaTienda(tienda), penalizacion });
+  });
+
+  // Ahorro de unir i y j en la misma ruta: d(0,i) + d(0,j) - d(i,j)
+  const candidatas = tiendas.filter(tienda => rutaDeTienda.has(tienda.id));
+  const ahorros = [];
+  for (let i = 0; i < candidatas.length; i++) {
+    for (let j = i + 1; j < candidatas.length; j++) {
+      const a = candidatas[i];
+      const b = candidatas[j];
+      ahorros.push({
+        a,
+        b,
+        ahorro: matriz.distancia(deposito.id, a.id) + matriz.distancia(deposito.id, b.id) - matriz.distancia(a.id, b.id)
+      });
+    }
+  }
+  ahorros.sort((x, y) => y.ahorro - x.ahorro);
+
+  ahorros.forEach(({ a, b, ahorro }) => {
+    const rutaA = rutaDeTienda.get(a.id);
+    const rutaB = rutaDeTienda.get(b.id);
+    if (rutaA === rutaB || rutaA.carga + rutaB.carga > capacidadMaxima) return;
+
+    // Solo se pueden unir tiendas que estén en un extremo de su ruta
+    const alFinal = (ruta, tienda) => ruta.secuencia[ruta.secuencia.length - 1] === tienda;
+    const alInicio = (ruta, tienda) => ruta.secuencia[0] === tienda;
+    let secuencia = null;
+
+    if (alFinal(rutaA, a) && alInicio(rutaB, b)) secuencia = [...rutaA.secuencia, ...rutaB.secuencia];
+    else if (alFinal(rutaB, b) && alInicio(rutaA, a)) secuencia = [...rutaB.secuencia, ...rutaA.secuencia];
+    else if (alFinal(rutaA, a) && alFinal(rutaB, b)) secuencia = [...rutaA.secuencia, ...[...rutaB.secuencia].reverse()];
+    else if (alInicio(rutaA, a) && alInicio(rutaB, b)) secuencia = [...[...rutaA.secuencia].reverse(), ...rutaB.secuencia];
+    if (!secuencia) return;
+
+    const otras = [...unidas].filter(ruta => ruta !== rutaA && ruta !== rutaB).map(ruta => ruta.carga);
+    if (!cabenEnLaFlota([...otras, rutaA.carga + rutaB.carga])) return;
+
+    let penalizacion = 0;
+    if (horario) {
+      const evaluacion = evaluarHorario(secuencia, contexto);
+      if (!evaluacion.factible) return;
+      penalizacion = evaluacion.penalizacion;
+      if (ahorro - (penalizacion - rutaA.penalizacion - rutaB.penalizacion) < 0) return;
+    }
+
+    const unida = { secuencia, carga: rutaA.carga + rutaB.carga, penalizacion };
+    secuencia.forEach(tienda => rutaDeTienda.set(tienda.id, unida));
+    unidas.delete(rutaA);
+    unidas.delete(rutaB);
+    unidas.add(unida);
+  });
+
+  // Asignar cada ruta (de mayor a menor carga) al camión libre más pequeño que la admita
+  const rutasConstruidas = [...new Set(rutaDeTienda.values())].sort((x, y) => y.carga - x.carga);
+  const rutas = vehiculos.map(crearRuta);
+  const libres = [...rutas].sort((x, y) => x.capacidad_maxima - y.capacidad_maxima);
+  const secuencias = new Map();
+  const sueltas = [];
+
+  rutasConstruidas.forEach(construida => {
+    const indice = libres.findIndex(ruta => ruta.capacidad_maxima >= construida.carga);
+    if (indice === -1) {
+      sueltas.push(...construida.secuencia);
+      return;
+    }
+    secuencias.set(libres.splice(indice, 1)[0], construida.secuencia);
+  });
+
+  // Las rutas que no caben en ningún camión libre se deshacen y sus tiendas se
+  // insertan una a una donde menos kilómetros añaden
+  sueltas.sort((a, b) => demandaTienda(b) - demandaTienda(a)).forEach(tienda => {
+    if (!insertarEnMejorPosicion(tienda, rutas, secuencias, contexto)) {
+      console.log(`⚠️ Tienda ${tienda.nombre} NO pudo ser asignada - no quedan vehículos libres`);
+    }
+  });
+
+  secuencias.forEach((secuencia, ruta) => {
+    completarRuta(ruta, secuencia, contexto);
+    console.log(`✅ ${ruta.vehiculo_nombre}: ${ruta.tiendas.length} tiendas (${ruta.capacidad_usada}/${ruta.capacidad_maxima} combis, ${ruta.distancia_km} km)`);
+  });
+
+  // Igual que en FFD: se devuelven también los camiones que quedan disponibles
+  return rutas;
+}
+
+// ==================== BÚSQUEDA LOCAL ====================
+
+// Coste fijo (en km equivalentes) por cada camión que sale: empuja a vaciar
+// los camiones poco cargados en lugar de repartir la carga entre todos
+const COSTE_FIJO_VEHICULO_KM = parseFloat(process.env.COSTE_FIJO_VEHICULO_KM || '100');
+
+const BUSQUEDA_LOCAL_POR_DEFECTO = {
+  max_iteraciones: 1000,
+  tiempo_maximo_ms: 2000
+};
+
+// Tope de `tiempo_maximo_ms`: la búsqueda es síncrona y la API no atiende
+// otras peticiones mientras dura
+const TIEMPO_MAXIMO_BUSQUEDA_MS = parseInt(process.env.TIEMPO_MAXIMO_BUSQUEDA_MS || '10000');
+
+// Objetivos disponibles en /api/optimizar (campo `objetivo`)
+const OBJETIVOS = ['distancia', 'coste'];
+
+// Función objetivo de una ruta. Con objetivo 'distancia': km + penalización por
+// ventanas + coste fijo del camión; con 'coste': € de transporte + penalización.
+// Devuelve Infinity si la ruta no es factible (capacidad o ventana dura).
+function costeRuta(secuencia, ruta, contexto) {
+  if (!secuencia.length) return 0;
+  if (cargaSecuencia(secuencia) > ruta.capacidad_maxima + 1e-9) return Infinity;
+  if (!secuencia.every(tienda => esTiendaPermitida(tienda, ruta))) return Infinity;
+  contexto = contextoDeRuta(contexto, ruta);
+
+  let penalizacion = 0;
+  if (contexto.horario) {
+    const evaluacion = evaluarHorario(secuencia, contexto);
+    if (!evaluacion.factible) return Infinity;
+    penalizacion = evaluacion.penalizacion;
+  }
+  if (contexto.objetivo === 'coste') return calcularCosteTransporte(secuencia, ruta, contexto).total + penalizacion;
+  return calcularDistanciaRuta(secuencia, contexto.deposito, contexto.matriz, vuelveAlAlmacen(contexto)) + penalizacion + COSTE_FIJO_VEHICULO_KM;
+}
+
+const costeSolucion = (rutas, contexto) =>
+  rutas.reduce((sum, ruta) => sum + costeRuta(ruta.tiendas, ruta, contexto), 0);
+
+// Mejora las rutas con relocate, swap, 2-opt y Or-opt (dentro de una ruta y
+// entre rutas) aplicando la primera mejora encontrada hasta agotar el
+// presupuesto. Cada iteración es una pasada por los vecindarios (acabe o no en
+// mejora) y el tiempo se comprueba en cada movimiento, así que con rutas
+// largas tampoco se pasa de `tiempo_maximo_ms`.
+function mejorarRutasBusquedaLocal(rutas, contexto, opciones = {}) {
+  const { max_iteraciones, tiempo_maximo_ms } = { ...BUSQUEDA_LOCAL_POR_DEFECTO, ...opciones };
+  const inicio = Date.now();
+  const agotado = () => iteraciones >= max_iteraciones || Date.now() - inicio >= tiempo_maximo_ms;
+  const sinTiempo = () => Date.now() - inicio >= tiempo_maximo_ms;
+
+  const secuencias = rutas.map(ruta => [...ruta.tiendas]);
+  const costes = rutas.map((ruta, i) => costeRuta(secuencias[i], ruta, contexto));
+  let iteraciones = 0;
+  let mejoras = 0;
+
+  // Aplica el cambio si reduce el coste de las rutas afectadas
+  const probar = cambios => {
+    const actual = cambios.reduce((sum, { indice }) => sum + costes[indice], 0);
+    const nuevos = cambios.map(({ indice, secuencia }) => costeRuta(secuencia, rutas[indice], contexto));
+    const nuevo = nuevos.reduce((sum, coste) => sum + coste, 0);
+    if (!(nuevo < actual - 1e-6)) return false;
+
+    cambios.forEach(({ indice, secuencia }, i) => {
+      secuencias[indice] = secuencia;
+      costes[indice] = nuevos[i];
+    });
+    mejoras++;
+    return true;
+  };
+
+  // 2-opt: invertir un tramo de la ruta
+  const dosOpt = r => {
+    const s = secuencias[r];
+    for (let i = 0; i < s.length - 1 && !sinTiempo(); i++) {
+      for (let j = i + 1; j < s.length && !sinTiempo(); j++) {
+        const secuencia = [...s.slice(0, i), ...s.slice(i, j + 1).reverse(), ...s.slice(j + 1)];
+        if (probar([{ indice: r, secuencia }])) return true;
+      }
+    }
+    return false;
+  };
+
+  // Or-opt / relocate: mover un tramo de 1 a 3 paradas a otra posición de la
+  // misma ruta o de otra ruta
+  const moverTramo = (origen, destino) => {
+    const s = secuencias[origen];
+    for (let largo = 1; largo <= Math.min(3, s.length) && !sinTiempo(); largo++) {
+      for (let i = 0; i + largo <= s.length && !sinTiempo(); i++) {
+        const tramo = s.slice(i, i + largo);
+        const resto = [...s.slice(0, i), ...s.slice(i + largo)];
+        const base = origen === destino ? resto : secuencias[destino];
+        for (let k = 0; k <= base.length && !sinTiempo(); k++) {
+          if (origen === destino && k === i) continue;
+          const insertada = [...base.slice(0, k), ...tramo, ...base.slice(k)];
+          const cambios = origen === destino
+            ? [{ indice: origen, secuencia: insertada }]
+            : [{ indice: origen, secuencia: resto }, { indice: destino, secuencia: insertada }];
+          if (probar(cambios)) return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  // Swap: intercambiar una parada de cada ruta
+  const intercambiar = (a, b) => {
+    for (let i = 0; i < secuencias[a].length && !sinTiempo(); i++) {
+      for (let j = 0; j < secuencias[b].length && !sinTiempo(); j++) {
+        const nuevaA = [...secuencias[a]];
+        const nuevaB = [...secuencias[b]];
+        [nuevaA[i], nuevaB[j]] = [secuencias[b][j], secuencias[a][i]];
+        if (probar([{ indice: a, secuencia: nuevaA }, { indice: b, secuencia: nuevaB }])) return true;
+      }
+    }
+    return false;
+  };
+
+  // Cambio de camión: la ruta completa pasa a otro vehículo (útil con tarifas distintas)
+  const cambiarCamion = (a, b) =>
+    probar([{ indice: a, secuencia: secuencias[b] }, { indice: b, secuencia: secuencias[a] }]);
+
+  const buscarMejora = () => {
+    iteraciones++;
+    for (let a = 0; a < rutas.length && !sinTiempo(); a++) {
+      if (!secuencias[a].length) continue;
+      if (dosOpt(a) || moverTramo(a, a)) return true;
+      for (let b = 0; b < rutas.length && !sinTiempo(); b++) {
+        if (a === b) continue;
+        if (moverTramo(a, b)) return true;
+        if (b > a && secuencias[b].length && intercambiar(a, b)) return true;
+        if (cambiarCamion(a, b)) return true;
+      }
+    }
+    return false;
+  };
+
+  const objetivoInicial = costes.reduce((sum, coste) => sum + coste, 0);
+  while (!agotado() && buscarMejora());
+
+  rutas.forEach((ruta, i) => completarRuta(ruta, secuencias[i], contexto));
+  const objetivoFinal = costes.reduce((sum, coste) => sum + coste, 0);
+
+  console.log(`🔁 Búsqueda local: ${mejoras} mejoras en ${iteraciones} iteraciones y ${Date.now() - inicio} ms (${redondear(objetivoInicial)} → ${redondear(objetivoFinal)})`);
+
+  return {
+    iteraciones,
+    mejoras,
+    duracion_ms: Date.now() - inicio,
+    objetivo_inicial: redondear(objetivoInicial),
+    objetivo_final: redondear(objetivoFinal)
+  };
+}
+
+// Algoritmos disponibles en /api/optimizar (campo `algoritmo`)
+const ALGORITMOS = {
+  ffd: { construir: optimizarRutasBasico, busquedaLocal: false },
+  'ffd+ls': { construir: optimizarRutasBasico, busquedaLocal: true },
+  savings: { construir: optimizarRutasSavings, busquedaLocal: false },
+  'savings+ls': { construir: optimizarRutasSavings, busquedaLocal: true }
+};
+
+// Coloca las tiendas bloqueadas en su camión, en la posición que menos
+// kilómetros añade. `rutas` se construyeron sin la carga bloqueada, así que
+// primero se les devuelve la capacidad real del vehículo. Si la ventana
+// horaria no lo permite, la tienda queda sin asignar.
+function colocarTiendasBloqueadas(rutas, bloqueadas, vehiculos, contexto) {
+  const capacidades = new Map(vehiculos.map(vehiculo => [vehiculo.id, Number(vehiculo.capacidad_combis)]));
+  rutas.forEach(ruta => { ruta.capacidad_maxima = capacidades.get(ruta.vehiculo_id); });
+
+  const secuencias = new Map(rutas.map(ruta => [ruta, [...ruta.tiendas]]));
+  [...bloqueadas].sort((a, b) => demandaTienda(b) - demandaTienda(a)).forEach(tienda => {
+    const ruta = rutas.filter(r => r.vehiculo_id === tienda.vehiculo_bloqueado_id);
+    if (!insertarEnMejorPosicion(tienda, ruta, secuencias, contexto)) {
+      console.log(`⚠️ Tienda bloqueada ${tienda.nombre} NO cabe en su camión respetando las ventanas`);
+    }
+  });
+  secuencias.forEach((secuencia, ruta) => completarRuta(ruta, secuencia, contexto));
+}
+
+// Construye la solución con el algoritmo elegido y, si procede, la mejora.
+// Las tiendas `bloqueadas` (con vehiculo_bloqueado_id) no pasan por el
+// constructor: se reserva su carga en el camión y se insertan después.
+function ejecutarAlgoritmo(nombre, tiendas, vehiculos, contexto, opcionesBusquedaLocal, bloqueadas = []) {
+  const { construir, busquedaLocal } = ALGORITMOS[nombre];
+  const inicio = Date.now();
+  const reservada = new Map();
+  bloqueadas.forEach(tienda => {
+    reservada.set(tienda.vehiculo_bloqueado_id, (reservada.get(tienda.vehiculo_bloqueado_id) || 0) + demandaTienda(tienda));
+  });
+  const vehiculosLibres = vehiculos.map(vehiculo => reservada.has(vehiculo.id)
+    ? { ...vehiculo, capacidad_combis: Math.max(0, Number(vehiculo.capacidad_combis) - reservada.get(vehiculo.id)) }
+    : vehiculo);
+
+  const rutas = construir(tiendas, vehiculosLibres, contexto);
+  if (bloqueadas.length) colocarTiendasBloqueadas(rutas, bloqueadas, vehiculos, contexto);
+  const objetivoInicial = redondear(costeSolucion(rutas, contexto));
+
+  const resumen = {
+    algoritmo: nombre,
+    iteraciones: 0,
+    mejoras: 0,
+    objetivo_inicial: objetivoInicial,
+    objetivo_final: objetivoInicial
+  };
+
+  if (busquedaLocal) {
+    const mejora = mejorarRutasBusquedaLocal(rutas, contexto, opcionesBusquedaLocal);
+    resumen.iteraciones = mejora.iteraciones;
+    resumen.mejoras = mejora.mejoras;
+    resumen.objetivo_final = mejora.objetivo_final;
+  }
+
+  resumen.mejora_porcentaje = objetivoInicial
+    ? redondear(((objetivoInicial - resumen.objetivo_final) / objetivoInicial) * 100)
+    : 0;
+  resumen.duracion_ms = Date.now() - inicio;
+  return { rutas, resumen };
+}
+
+// ==================== ENTREGAS DIVIDIDAS ====================
+
+const ENTREGAS_DIVIDIDAS_POR_DEFECTO = {
+  activo: false,
+  minimo_combis: 5 // ninguna entrega parcial puede ser menor
+};
+
+// Entrega parcial de una tienda: parada independiente para el solver que
+// comparte ubicación (fila de la matriz) y ventanas (ventanasDeTienda) con la
+// tienda original
+function crearEntregaParcial(tienda, combis, sufijo, matriz) {
+  const originalId = tienda.tienda_original_id || tienda.id;
+  const id = `${originalId}#${sufijo}`;
+  matriz.alias(id, originalId);
+  return {
+    ...tienda,
+    id,
+    tienda_original_id: originalId,
+    combis_promedio: redondear(combis, 2),
+    combis_total: tienda.combis_total || demandaTienda(tienda),
+    entrega_dividida: true
+  };
+}
+
+// Antes de optimizar: trocea en partes iguales las tiendas que no caben en ningún camión
+function dividirTiendasGrandes(tiendas, capacidadMaxima, { minimo_combis }, matriz) {
+  return tiendas.flatMap(tienda => {
+    const demanda = demandaTienda(tienda);
+    const partes = Math.ceil(demanda / capacidadMaxima);
+    if (demanda <= capacidadMaxima || demanda / partes < minimo_combis) return [tienda];
+
+    console.log(`✂️ Tienda ${tienda.nombre} (${demanda} combis) dividida en ${partes} entregas`);
+    return Array.from({ length: partes }, (_, i) => crearEntregaParcial(tienda, demanda / partes, i + 1, matriz));
+  });
+}
+
+// Después de optimizar: reparte las tiendas sin camión en los huecos libres de
+// las rutas (de mayor a menor hueco). Si no se puede cubrir toda la demanda de
+// la tienda se deshace el reparto y la tienda queda sin asignar.
+function repartirEnHuecos(pendientes, rutas, contexto, { minimo_combis }) {
+  const secuencias = new Map(rutas.map(ruta => [ruta, [...ruta.tiendas]]));
+  const modificadas = new Set();
+  let sufijo = 0;
+
+  [...pendientes].sort((a, b) => demandaTienda(b) - demandaTienda(a)).forEach(pendiente => {
+    let restante = demandaTienda(pendiente);
+    const insertadas = [];
+    const huecos = rutas
+      .map(ruta => ({ ruta, hueco: ruta.capacidad_maxima - cargaSecuencia(secuencias.get(ruta)) }))
+      .sort((a, b) => b.hueco - a.hueco);
+
+    for (const { ruta, hueco } of huecos) {
+      if (restante < 1e-6) break;
+      let combis = Math.min(hueco, restante);
+      // No dejar un resto menor que el mínimo para la siguiente entrega
+      if (restante - combis > 1e-6 && restante - combis < minimo_combis) combis = restante - minimo_combis;
+      if (combis < minimo_combis) continue;
+
+      const parcial = crearEntregaParcial(pendiente, combis, `r${++sufijo}`, contexto.matriz);
+      if (insertarEnMejorPosicion(parcial, [ruta], secuencias, contexto)) {
+        insertadas.push({ ruta, parcial });
+        restante -= combis;
+      }
+    }
+
+    if (restante > 1e-6) {
+      insertadas.forEach(({ ruta, parcial }) => {
+        secuencias.set(ruta, secuencias.get(ruta).filter(parada => parada !== parcial));
+      });
+      return;
+    }
+    console.log(`✂️ Tienda ${pendiente.nombre} repartida entre ${insertadas.map(i => i.ruta.vehiculo_nombre).join(', ')}`);
+    insertadas.forEach(({ ruta }) => modificadas.add(ruta));
+  });
+
+  modificadas.forEach(ruta => completarRuta(ruta, secuencias.get(ruta), contexto));
+}
+
+// Numera las entregas parciales de cada tienda (parte 1 de N, ...) en el plan final
+function numerarEntregasDivididas(rutas) {
+  const partes = new Map();
+  rutas.forEach(ruta => ruta.tiendas.filter(parada => parada.entrega_dividida).forEach(parada => {
+    if (!partes.has(parada.tienda_original_id)) partes.set(parada.tienda_original_id, []);
+    partes.get(parada.tienda_original_id).push(parada);
+  }));
+
+  partes.forEach(paradas => paradas.forEach((parada, i) => {
+    parada.parte = i + 1;
+    parada.partes = paradas.length;
+    parada.combis_entrega = demandaTienda(parada);
+  }));
+}
+
+// ==================== RESULTADO Y MÉTRICAS ====================
+
+// Motivos por los que una tienda puede quedar fuera del plan
+const MOTIVOS_NO_ASIGNADA = {
+  sin_vehiculo_suficiente: 'Ningún vehículo tiene capacidad suficiente',
+  capacidad_agotada: 'Capacidad total de la flota agotada',
+  conflicto_ventana: 'Conflicto con la ventana horaria de entrega'
+};
+
+// Explica por qué cada tienda quedó sin ruta y sugiere cómo cubrir el hueco.
+// `tiposVehiculo` es [{ nombre, capacidad }] ordenado por capacidad ascendente.
+function analizarTiendasNoAsignadas(tiendas, rutas, fueraDeVentana, tiposVehiculo, contexto) {
+  // Combis entregados por tienda (con entregas divididas una tienda puede estar en varias rutas)
+  const entregado = new Map();
+  rutas.forEach(ruta => ruta.tiendas.forEach(parada => {
+    const id = parada.tienda_original_id || parada.id;
+    entregado.set(id, (entregado.get(id) || 0) + demandaTienda(parada));
+  }));
+  const capacidadMaxima = Math.max(0, ...rutas.map(ruta => ruta.capacidad_maxima));
+  const huecoMaximo = Math.max(0, ...rutas.map(ruta => ruta.capacidad_maxima - ruta.capacidad_usada));
+  const tipoParaCombis = combis => tiposVehiculo.find(tipo => tipo.capacidad >= combis);
+
+  const noAsignadas = [];
+  const ventanas = new Map(fueraDeVentana.map(({ tienda, motivo }) => [tienda.id, motivo]));
+
+  tiendas.filter(tienda => (entregado.get(tienda.id) || 0) < demandaTienda(tienda) - 1e-6).forEach(tienda => {
+    const combis = redondear(demandaTienda(tienda) - (entregado.get(tienda.id) || 0), 2);
+    const entrada = { id: tienda.id, codigo: tienda.codigo, nombre: tienda.nombre, combis };
+    if (entregado.has(tienda.id)) entrada.combis_entregados = redondear(entregado.get(tienda.id), 2);
+
+    if (ventanas.has(tienda.id)) {
+      noAsignadas.push({
+        ...entrada,
+        motivo: 'conflicto_ventana',
+        detalle: ventanas.get(tienda.id),
+        combis_faltantes: 0,
+        sugerencia: 'Revisar el horario de la tienda, marcar su ventana como adaptable o adelantar la salida'
+      });
+    } else if (combis > capacidadMaxima) {
+      const tipo = tipoParaCombis(combis);
+      noAsignadas.push({
+        ...entrada,
+        motivo: 'sin_vehiculo_suficiente',
+        detalle: `${combis} combis y el vehículo más grande admite ${capacidadMaxima}`,
+        combis_faltantes: redondear(combis - capacidadMaxima),
+        tipo_vehiculo_sugerido: tipo ? tipo.nombre : null,
+        sugerencia: tipo
+          ? `Añadir un vehículo ${tipo.nombre} (${tipo.capacidad} combis)`
+          : `Dividir la entrega en ${Math.ceil(combis / capacidadMaxima)} viajes`
+      });
+    } else if (contexto.horario && combis <= huecoMaximo) {
+      noAsignadas.push({
+        ...entrada,
+        motivo: 'conflicto_ventana',
+        detalle: 'Queda hueco en algún camión pero ninguna ruta llega a tiempo a la tienda',
+        combis_faltantes: 0,
+        sugerencia: 'Añadir un vehículo para una ruta adicional o flexibilizar la ventana'
+      });
+    } else {
+      const tipo = tipoParaCombis(combis);
+      noAsignadas.push({
+        ...entrada,
+        motivo: 'capacidad_agotada',
+        detalle: `Necesita ${combis} combis y el mayor hueco libre es de ${redondear(huecoMaximo)}`,
+        combis_faltantes: redondear(combis - huecoMaximo),
+        tipo_vehiculo_sugerido: tipo ? tipo.nombre : null,
+        sugerencia: `Ampliar la flota en ${redondear(combis - huecoMaximo)} combis${tipo ? ` (p. ej. un ${tipo.nombre})` : ''}`
+      });
+    }
+  });
+
+  noAsignadas.forEach(tienda => { tienda.motivo_descripcion = MOTIVOS_NO_ASIGNADA[tienda.motivo]; });
+
+  // Sugerencia global: qué vehículo cubriría todas las tiendas sin sitio por capacidad
+  const combisSinCapacidad = noAsignadas
+    .filter(tienda => tienda.motivo !== 'conflicto_ventana')
+    .reduce((sum, tienda) => sum + tienda.combis, 0);
+  const tipoGlobal = combisSinCapacidad > 0 ? tipoParaCombis(combisSinCapacidad) : null;
+
+  return {
+    tiendas: noAsignadas,
+    sugerencia: noAsignadas.length ? {
+      combis_pendientes: redondear(noAsignadas.reduce((sum, tienda) => sum + tienda.combis, 0)),
+      combis_adicionales_necesarias: redondear(combisSinCapacidad),
+      tipo_vehiculo_sugerido: tipoGlobal ? tipoGlobal.nombre : null,
+      vehiculos_adicionales: combisSinCapacidad > 0 && tiposVehiculo.length
+        ? Math.ceil(combisSinCapacidad / tiposVehiculo[tiposVehiculo.length - 1].capacidad)
+        : 0
+    } : null
+  };
+}
+
+// Calcular métricas de optimización
+// `rutasReferencia` (opcional) es el plan con todos los camiones para comparar costes
+function calcularMetricas(rutas, totalTiendas, rutasReferencia = null) {
+  const totalCapacidad = rutas.reduce((sum, ruta) => sum + ruta.capacidad_maxima, 0);
+  const capacidadUsada = rutas.reduce((sum, ruta) => sum + ruta.capacidad_usada, 0);
+  const paradas = rutas.flatMap(ruta => ruta.tiendas);
+  // Una tienda con entrega dividida solo está asignada si van todas sus
+  // partes; con alguna parte sin ruta cuenta como parcial (y sin asignar)
+  const cobertura = new Map();
+  paradas.forEach(parada => {
+    const id = parada.tienda_original_id || parada.id;
+    const { entregado = 0 } = cobertura.get(id) || {};
+    const demanda = parada.entrega_dividida ? Number(parada.combis_total || 0) : demandaTienda(parada);
+    cobertura.set(id, { entregado: entregado + demandaTienda(parada), demanda });
+  });
+  const tiendasAsignadas = [...cobertura.values()].filter(({ entregado, demanda }) => entregado >= demanda - 1e-6).length;
+  const rutasConTiendas = rutas.filter(ruta => ruta.tiendas.length > 0);
+  const distanciaTotal = rutas.reduce((sum, ruta) => sum + ruta.distancia_km, 0);
+  const costeTotal = rutas.reduce((sum, ruta) => sum + ruta.coste.total, 0);
+  const costeReferencia = rutasReferencia && rutasReferencia.reduce((sum, ruta) => sum + ruta.coste.total, 0);
+
+  return {
+    eficiencia_llenado: Math.round((capacidadUsada / totalCapacidad) * 100),
+    vehiculos_necesarios: rutasConTiendas.length,
+    vehiculos_disponibles: rutas.length,
+    tiendas_asignadas: tiendasAsignadas,
+    tiendas_totales: totalTiendas,
+    capacidad_total: totalCapacidad,
+    capacidad_usada: Math.round(capacidadUsada * 10) / 10,
+    ahorro_potencial: Math.max(0, rutas.length - Math.ceil(capacidadUsada / (totalCapacidad / rutas.length))),
+    tiendas_no_asignadas: totalTiendas - tiendasAsignadas,
+    tiendas_parcialmente_asignadas: cobertura.size - tiendasAsignadas,
+    tiendas_con_entrega_dividida: new Set(paradas.filter(p => p.entrega_dividida).map(p => p.tienda_original_id)).size,
+    distancia_total_km: redondear(distanciaTotal),
+    distancia_media_km: rutasConTiendas.length ? redondear(distanciaTotal / rutasConTiendas.length) : 0,
+    retraso_total_minutos: rutas.reduce((sum, ruta) => sum + (ruta.retraso_minutos || 0), 0),
+    km_por_ruta: rutasConTiendas.map(ruta => ({
+      vehiculo_id: ruta.vehiculo_id,
+      vehiculo_nombre: ruta.vehiculo_nombre,
+      distancia_km: ruta.distancia_km
+    })),
+    coste_total: redondear(costeTotal, 2),
+    coste_por_combi: capacidadUsada ? redondear(costeTotal / capacidadUsada, 2) : 0,
+    coste_por_ruta: rutasConTiendas.map(ruta => ({
+      vehiculo_id: ruta.vehiculo_id,
+      vehiculo_nombre: ruta.vehiculo_nombre,
+      tipo_pago: ruta.tarifa.tipo_pago,
+      coste: ruta.coste.total
+    })),
+    comparacion_todos_los_vehiculos: rutasReferencia ? {
+      coste_todos_los_vehiculos: redondear(costeReferencia, 2),
+      ahorro: redondear(costeReferencia - costeTotal, 2),
+      ahorro_porcentaje: costeReferencia ? redondear(((costeReferencia - costeTotal) / costeReferencia) * 100) : 0
+    } : null
+  };
+}
+
+// ==================== PLANIFICACIÓN MULTI-PROVEEDOR ====================
+
+// Almacén base de un proveedor a partir de las columnas del JOIN con almacenes
+// (almacen_id, almacen_nombre, latitud, ...); sin almacén, uno sin coordenadas
+function depositoDeProveedor(proveedorId, row) {
+  return row.almacen_id
+    ? {
+        id: row.almacen_id,
+        nombre: row.almacen_nombre,
+        latitud: row.latitud,
+        longitud: row.longitud,
+        hora_apertura: row.hora_apertura,
+        hora_cierre: row.hora_cierre,
+        muelles: row.muelles
+      }
+    : { id: `deposito-${proveedorId}`, nombre: 'Almacén sin definir', latitud: null, longitud: null };
+}
+
+// Carga los proveedores seleccionados (por id o por nombre, o 'todos') con su
+// almacén base, sus vehículos activos y las tiendas que tienen asignadas
+async function cargarDatosOptimizacion(seleccion, { reasignaciones = {}, fecha = null } = {}) {
+  const proveedoresResult = seleccion === 'todos'
+    ? await pool.query(`
+        SELECT p.id, p.nombre, a.id as almacen_id, a.nombre as almacen_nombre, a.latitud, a.longitud,
+               a.hora_apertura, a.hora_cierre, a.muelles
+        FROM proveedores p
+        LEFT JOIN almacenes a ON p.almacen_base_id = a.id
+        WHERE p.activo = true
+        ORDER BY p.nombre
+      `)
+    : await pool.query(`
+        SELECT p.id, p.nombre, a.id as almacen_id, a.nombre as almacen_nombre, a.latitud, a.longitud,
+               a.hora_apertura, a.hora_cierre, a.muelles
+        FROM proveedores p
+        LEFT JOIN almacenes a ON p.almacen_base_id = a.id
+        WHERE p.id::text = ANY($1) OR p.nombre = ANY($1)
+        ORDER BY p.nombre
+      `, [seleccion]);
+
+  const proveedores = proveedoresResult.rows.map(row => ({
+    id: row.id,
+    nombre: row.nombre,
+    deposito: depositoDeProveedor(row.id, row)
+  }));
+  const proveedorIds = proveedores.map(p => p.id);
+
+  const vehiculosResult = await pool.query(`
+    SELECT v.id, v.numero_camion, v.nombre_corto, v.tipo_pago, v.capacidad_combis,
+           v.proveedor_id, p.nombre as proveedor_nombre,
+           COALESCE(v.tarifa_fija, tv.tarifa_fija) as tarifa_fija,
+           COALESCE(v.tarifa_km, tv.tarifa_km) as tarifa_km,
+           COALESCE(v.tarifa_combi, tv.tarifa_combi) as tarifa_combi,
+           COALESCE(v.tarifa_hora, tv.tarifa_hora) as tarifa_hora
+    FROM vehiculos v
+    LEFT JOIN proveedores p ON v.proveedor_id = p.id
+    LEFT JOIN tipos_vehiculo tv ON v.tipo_vehiculo_id = tv.id
+    WHERE v.proveedor_id = ANY($1) AND v.activo = true
+    ORDER BY v.capacidad_combis DESC
+  `, [proveedorIds]);
+
+  // Entran las tiendas cuyo proveedor principal está seleccionado. En
+  // `proveedores` el primero es esa asignación actual y el resto, alternativas.
+  // Las `reasignaciones` de un escenario ({ tienda_id: proveedor_id }) cambian
+  // el proveedor principal solo para esta ejecución. Con `fecha`, la demanda
+  // (combis_promedio) es la del pedido de ese día si lo hay (`con_pedido`).
+  const reasignadasAqui = Object.keys(reasignaciones).filter(id => proveedorIds.includes(reasignaciones[id]));
+  const tiendasResult = await pool.query(`
+    SELECT t.id, t.codigo, t.nombre, t.direccion, COALESCE(pe.combis, t.combis_promedio) as combis_promedio,
+           t.combis_promedio as combis_media, pe.id IS NOT NULL as con_pedido,
+           t.provincia, t.latitud, t.longitud,
+           array_agg(tp.proveedor_id::text
+                     ORDER BY (tp.principal AND tp.proveedor_id = ANY($1)) DESC, tp.principal DESC, tp.id) as proveedores
+    FROM tiendas t
+    JOIN tienda_proveedores tp ON t.id = tp.tienda_id
+    LEFT JOIN pedidos pe ON pe.tienda_id = t.id AND pe.fecha = $3
+    WHERE t.activo = true
+    GROUP BY t.id, pe.id
+    HAVING bool_or(tp.principal AND tp.proveedor_id = ANY($1)) OR t.id::text = ANY($2)
+    ORDER BY COALESCE(pe.combis, t.combis_promedio) DESC
+  `, [proveedorIds, reasignadasAqui, fecha]);
+
+  const tiendas = tiendasResult.rows.flatMap(tienda => {
+    const nuevo = reasignaciones[tienda.id];
+    if (!nuevo) return [tienda];
+    if (!proveedorIds.includes(nuevo)) return []; // pasa a un proveedor que no se planifica
+    return [{ ...tienda, proveedores: [nuevo, ...tienda.proveedores.filter(id => id !== nuevo)] }];
+  });
+
+  const depositoDe = new Map(proveedores.map(p => [p.id, p.deposito]));
+  const vehiculos = vehiculosResult.rows.map(vehiculo => ({ ...vehiculo, deposito: depositoDe.get(vehiculo.proveedor_id) }));
+
+  return { proveedores, vehiculos, tiendas };
+}
+
+// Ejecuta la optimización completa sobre los datos cargados. Cada proveedor
+// planifica sus tiendas desde su almacén; si hay varios y se permite
+// reasignar, una búsqueda local global mueve tiendas entre transportistas
+// (solo a los permitidos en tienda_proveedores) y recoloca las que sobran.
+async function optimizarPlan({ proveedores, vehiculos, tiendas }, parametros) {
+  const {
+    distancia, diaSemana, tiempos, algoritmo, busqueda_local, entregas_divididas, objetivo, permitir_reasignacion,
+    volver_al_almacen, bloqueos = new Map()
+  } = parametros;
+  const inicio = Date.now();
+
+  const depositos = [...new Map(proveedores.map(p => [p.deposito.id, p.deposito])).values()];
+  const base = {
+    deposito: null,
+    matriz: calcularMatrizDistancias([...depositos, ...tiendas], FUNCIONES_DISTANCIA[distancia]),
+    horario: null,
+    objetivo,
+    regreso: volver_al_almacen
+  };
+
+  let cerradas = new Set();
+  if (diaSemana) {
+    const ventanas = await cargarVentanas(tiendas.map(t => t.id), diaSemana);
+    base.horario = { ventanas: ventanas.ventanas, tiempos };
+    cerradas = ventanas.cerradas;
+  }
+
+  const reasignar = Boolean(permitir_reasignacion) && proveedores.length > 1;
+  tiendas.forEach(tienda => {
+    tienda.proveedor_actual_id = tienda.proveedores[0];
+    tienda.proveedores_permitidos = reasignar
+      ? tienda.proveedores.filter(id => proveedores.some(p => p.id === id))
+      : [tienda.proveedores[0]];
+
+    // Bloqueada por el usuario: se planifica con el proveedor de su camión
+    const vehiculo = bloqueos.get(tienda.id);
+    if (vehiculo) {
+      tienda.vehiculo_bloqueado_id = vehiculo.id;
+      tienda.proveedores_permitidos = [vehiculo.proveedor_id];
+    }
+  });
+
+  const divisiones = { ...ENTREGAS_DIVIDIDAS_POR_DEFECTO, ...entregas_divididas };
+  const rutas = [];
+  const rutasReferencia = [];
+  const planificables = [];
+  const sinFlota = [];
+  let tiendasFueraDeVentana = [];
+  let objetivoInicial = 0;
+  let iteraciones = 0;
+  let mejoras = 0;
+
+  for (const proveedor of proveedores) {
+    const contexto = contextoDeAlmacen(base, proveedor.deposito);
+    const vehiculosProveedor = vehiculos.filter(v => v.proveedor_id === proveedor.id);
+    let tiendasProveedor = tiendas.filter(t =>
+      (t.vehiculo_bloqueado_id ? t.proveedores_permitidos[0] : t.proveedor_actual_id) === proveedor.id);
+    if (!tiendasProveedor.length && !vehiculosProveedor.length) continue;
+
+    if (base.horario) {
+      const filtro = filtrarTiendasPorVentana(tiendasProveedor, contexto, cerradas);
+      tiendasProveedor = filtro.servibles;
+      tiendasFueraDeVentana = tiendasFueraDeVentana.concat(filtro.fueraDeVentana);
+    }
+
+    if (!vehiculosProveedor.length) {
+      console.log(`⚠️ ${proveedor.nombre} no tiene vehículos activos: ${tiendasProveedor.length} tiendas sin flota propia`);
+      sinFlota.push(...tiendasProveedor);
+      continue;
+    }
+
+    const bloqueadas = tiendasProveedor.filter(t => t.vehiculo_bloqueado_id);
+    tiendasProveedor = tiendasProveedor.filter(t => !t.vehiculo_bloqueado_id);
+
+    if (divisiones.activo) {
+      const capacidadMaxima = Math.max(...vehiculosProveedor.map(v => Number(v.capacidad_combis)));
+      tiendasProveedor = dividirTiendasGrandes(tiendasProveedor, capacidadMaxima, divisiones, base.matriz);
+    }
+
+    console.log(`🏢 ${proveedor.nombre}: ${vehiculosProveedor.length} vehículos, ${tiendasProveedor.length + bloqueadas.length} tiendas (${bloqueadas.length} bloqueadas) desde ${proveedor.deposito.nombre}`);
+    const resultado = ejecutarAlgoritmo(algoritmo, tiendasProveedor, vehiculosProveedor, contexto, busqueda_local, bloqueadas);
+    rutas.push(...resultado.rutas);
+    rutasReferencia.push(...planificarConTodosLosVehiculos([...bloqueadas, ...tiendasProveedor], vehiculosProveedor, contexto));
+    planificables.push(...bloqueadas, ...tiendasProveedor);
+    objetivoInicial += resultado.resumen.objetivo_inicial;
+    iteraciones += resultado.resumen.iteraciones;
+    mejoras += resultado.resumen.mejoras;
+  }
+
+  if (reasignar && rutas.length) {
+    const reasignacion = mejorarRutasBusquedaLocal(rutas, base, busqueda_local);
+    iteraciones += reasignacion.iteraciones;
+    mejoras += reasignacion.mejoras;
+  }
+  // La mejora se mide antes de recolocar tiendas: servir más tiendas sube el objetivo
+  const objetivoFinal = redondear(costeSolucion(rutas, base));
+  objetivoInicial = redondear(objetivoInicial);
+
+  // Tiendas que se han quedado sin camión (o cuyo proveedor no tiene flota)
+  const enRuta = new Set(rutas.flatMap(ruta => ruta.tiendas.map(parada => parada.id)));
+  const pendientes = [...planificables.filter(t => !enRuta.has(t.id)), ...sinFlota];
+  if (divisiones.activo) {
+    repartirEnHuecos(pendientes, rutas, base, divisiones);
+    numerarEntregasDivididas(rutas);
+  } else if (reasignar && pendientes.length) {
+    const secuencias = new Map(rutas.map(ruta => [ruta, [...ruta.tiendas]]));
+    const modificadas = new Set();
+    pendientes.forEach(tienda => {
+      const ruta = insertarEnMejorPosicion(tienda, rutas, secuencias, base);
+      if (ruta) modificadas.add(ruta);
+    });
+    modificadas.forEach(ruta => completarRuta(ruta, secuencias.get(ruta), base));
+  }
+
+  // Tiendas que acaban en un transportista distinto del actual
+  const nombreProveedor = new Map(proveedores.map(p => [p.id, p.nombre]));
+  const tiendasReasignadas = [];
+  rutas.forEach(ruta => ruta.tiendas.forEach(parada => {
+    if (parada.proveedor_actual_id === ruta.proveedor_id) return;
+    parada.reasignada = true;
+    tiendasReasignadas.push({
+      id: parada.tienda_original_id || parada.id,
+      codigo: parada.codigo,
+      nombre: parada.nombre,
+      combis: demandaTienda(parada),
+      proveedor_actual_id: parada.proveedor_actual_id,
+      proveedor_actual_nombre: nombreProveedor.get(parada.proveedor_actual_id),
+      proveedor_nuevo_id: ruta.proveedor_id,
+      proveedor_nuevo_nombre: ruta.proveedor_nombre,
+      vehiculo_nombre: ruta.vehiculo_nombre
+    });
+  }));
+
+  // Capacidad de referencia de cada tipo de vehículo para las sugerencias
+  const tiposResult = await pool.query(`
+    SELECT tv.nombre, MAX(v.capacidad_combis) as capacidad
+    FROM tipos_vehiculo tv
+    JOIN vehiculos v ON v.tipo_vehiculo_id = tv.id AND v.activo = true
+    GROUP BY tv.nombre
+    ORDER BY capacidad
+  `);
+  const noAsignadas = analizarTiendasNoAsignadas(tiendas, rutas, tiendasFueraDeVentana, tiposResult.rows, base);
+
+  return {
+    rutas,
+    metricas: calcularMetricas(rutas, tiendas.length, rutasReferencia),
+    proveedores: proveedores.map(proveedor => ({
+      id: proveedor.id,
+      nombre: proveedor.nombre,
+      deposito: proveedor.deposito,
+      rutas: rutas.filter(ruta => ruta.proveedor_id === proveedor.id),
+      metricas: calcularMetricas(
+        rutas.filter(ruta => ruta.proveedor_id === proveedor.id),
+        tiendas.filter(t => t.proveedor_actual_id === proveedor.id).length,
+        rutasReferencia.filter(ruta => ruta.proveedor_id === proveedor.id)
+      )
+    })),
+    tiendas_reasignadas: tiendasReasignadas,
+    tiendas_no_asignadas: noAsignadas.tiendas,
+    sugerencia_no_asignadas: noAsignadas.sugerencia,
+    dia_entrega: diaSemana ? { dia_semana: diaSemana, nombre: DIAS_SEMANA[diaSemana], tiempos: base.horario.tiempos } : null,
+    optimizacion: {
+      algoritmo,
+      objetivo,
+      reasignacion_entre_proveedores: reasignar,
+      volver_al_almacen: vuelveAlAlmacen(base),
+      bloqueos: [...bloqueos].map(([tiendaId, vehiculo]) => ({ tienda_id: tiendaId, vehiculo_id: vehiculo.id })),
+      iteraciones,
+      mejoras,
+      objetivo_inicial: objetivoInicial,
+      objetivo_final: objetivoFinal,
+      mejora_porcentaje: objetivoInicial ? redondear(((objetivoInicial - objetivoFinal) / objetivoInicial) * 100) : 0,
+      duracion_ms: Date.now() - inicio
+    },
+    entregas_divididas: divisiones
+  };
+}
+
+// 🔧 ENDPOINT DE OPTIMIZACIÓN HÍBRIDO - Funciona con ID o Nombre, uno o varios proveedores
+// Copia de los datos de entrada tal y como estaban al optimizar (sin los
+// almacenes repetidos en cada vehículo: ya van en `proveedores`)
+const entradaOptimizacion = ({ proveedores, vehiculos, tiendas }) => JSON.parse(JSON.stringify({
+  proveedores,
+  vehiculos: vehiculos.map(({ deposito, ...vehiculo }) => vehiculo),
+  tiendas
+}));
+
+// Guarda la ejecución en el historial; si falla, el plan se devuelve igualmente
+async function guardarOptimizacion(peticion, entrada, resultado, duracionMs) {
+  try {
+    const result = await pool.query(`
+      INSERT INTO optimizaciones (parametros, algoritmo, entrada, resultado, metricas, duracion_ms, escenario_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      JSON.stringify(peticion),
+      resultado.optimizacion ? resultado.optimizacion.algoritmo : null,
+      JSON.stringify(entrada),
+      JSON.stringify(resultado),
+      JSON.stringify(resultado.metricas || {}),
+      duracionMs,
+      resultado.escenario ? resultado.escenario.id : null
+    ]);
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('⚠️ No se pudo guardar la optimización en el historial:', error.message);
+    return null;
+  }
+}
+
+// Valida los parámetros con los que se calculan las rutas (comunes a la
+// optimización y a la validación de rutas editadas). Devuelve `diaSemana`, el
+// día del modo VRPTW (null sin día de entrega), `fecha`, la de los pedidos
+// que fijan la demanda: la indicada o la de dia_entrega si es una fecha, y
+// `prevision`, las opciones de previsión (null si no se pide).
+// Tiempos del body sobre los de por defecto: la velocidad tiene que ser
+// positiva (se divide por ella), el resto números no negativos y la hora de
+// salida HH:MM
+function leerTiempos(tiempos) {
+  if (!esObjeto(tiempos)) throw errorPeticion(400, 'tiempos debe ser un objeto');
+  const desconocidos = Object.keys(tiempos).filter(campo => !(campo in TIEMPOS_POR_DEFECTO));
+  if (desconocidos.length) {
+    throw Object.assign(errorPeticion(400, `Tiempos no soportados: ${desconocidos.join(', ')}`), {
+      detalle: { disponibles: Object.keys(TIEMPOS_POR_DEFECTO) }
+    });
+  }
+
+  const resultado = { ...TIEMPOS_POR_DEFECTO };
+  Object.entries(tiempos).forEach(([campo, valor]) => {
+    if (campo === 'hora_salida') {
+      resultado[campo] = VALIDADORES.hora(valor, `tiempos.${campo}`);
+      return;
+    }
+    const positivo = campo === 'velocidad_media_kmh';
+    if (typeof valor !== 'number' || !Number.isFinite(valor) || valor < 0 || (positivo && valor === 0)) {
+      throw errorPeticion(400, `tiempos.${campo} debe ser un número ${positivo ? 'mayor que 0' : 'mayor o igual que 0'}`);
+    }
+    resultado[campo] = valor;
+  });
+  return resultado;
+}
+
+// Opciones `busqueda_local` del body: enteros positivos, con el tiempo
+// recortado a TIEMPO_MAXIMO_BUSQUEDA_MS
+function leerBusquedaLocal(opciones) {
+  if (!esObjeto(opciones)) throw errorPeticion(400, 'busqueda_local debe ser un objeto');
+  const desconocidas = Object.keys(opciones).filter(campo => !(campo in BUSQUEDA_LOCAL_POR_DEFECTO));
+  if (desconocidas.length) {
+    throw Object.assign(errorPeticion(400, `Opciones de búsqueda local no soportadas: ${desconocidas.join(', ')}`), {
+      detalle: { disponibles: Object.keys(BUSQUEDA_LOCAL_POR_DEFECTO) }
+    });
+  }
+
+  const resultado = { ...BUSQUEDA_LOCAL_POR_DEFECTO };
+  Object.entries(opciones).forEach(([campo, valor]) => {
+    resultado[campo] = VALIDADORES.entero(valor, `busqueda_local.${campo}`, { min: 1 });
+  });
+  resultado.tiempo_maximo_ms = Math.min(resultado.tiempo_maximo_ms, TIEMPO_MAXIMO_BUSQUEDA_MS);
+  return resultado;
+}
+
+function leerParametrosRutas({ distancia, objetivo, dia_entrega, fecha, prevision, tiempos = {} }) {
+  if (!FUNCIONES_DISTANCIA[distancia]) {
+    throw Object.assign(errorPeticion(400, `Función de distancia no soportada: ${distancia}`), {
+      detalle: { disponibles: Object.keys(FUNCIONES_DISTANCIA) }
+    });
+  }
+
+  if (!OBJETIVOS.includes(objetivo)) {
+    throw Object.assign(errorPeticion(400, `Objetivo no soportado: ${objetivo}`), { detalle: { disponibles: OBJETIVOS } });
+  }
+
+  let fechaPedidos = fecha != null && fecha !== '' ? VALIDADORES.fecha(fecha, 'fecha') : null;
+
+  // Modo VRPTW: solo si se indica el día de entrega
+  let diaSemana = null;
+  if (dia_entrega != null && dia_entrega !== '') {
+    diaSemana = obtenerDiaSemana(dia_entrega);
+    if (!diaSemana) throw errorPeticion(400, 'dia_entrega debe ser 1-7 (lunes-domingo) o una fecha YYYY-MM-DD');
+    if (!fechaPedidos && FECHA_VALIDA.test(String(dia_entrega))) fechaPedidos = VALIDADORES.fecha(dia_entrega, 'dia_entrega');
+  }
+
+  const tiemposRuta = leerTiempos(tiempos);
+  if (!prevision) return { diaSemana, fecha: fechaPedidos, prevision: null, tiempos: tiemposRuta };
+  if (!fechaPedidos) throw errorPeticion(400, 'La previsión de demanda necesita una fecha');
+  return { diaSemana, fecha: fechaPedidos, prevision: leerOpcionesPrevision(prevision), tiempos: tiemposRuta };
+}
+
+// Bloqueos de la edición manual ([{ tienda_id, vehiculo_id }]) como Map
+// tienda -> vehículo. Cada tienda va en un único camión, ambos tienen que
+// entrar en la optimización y la carga bloqueada tiene que caber en el camión.
+function leerBloqueos(bloqueos, { vehiculos, tiendas }) {
+  if (!Array.isArray(bloqueos)) throw errorPeticion(400, 'bloqueos debe ser una lista de { tienda_id, vehiculo_id }');
+  const vehiculoPorId = new Map(vehiculos.map(vehiculo => [String(vehiculo.id), vehiculo]));
+  const tiendaPorId = new Map(tiendas.map(tienda => [String(tienda.id), tienda]));
+  const resultado = new Map();
+  const errores = [];
+
+  bloqueos.forEach(bloqueo => {
+    const { tienda_id, vehiculo_id } = bloqueo || {};
+    const tienda = tiendaPorId.get(String(tienda_id));
+    const vehiculo = vehiculoPorId.get(String(vehiculo_id));
+    if (!tienda) errores.push({ tienda_id, vehiculo_id, mensaje: 'La tienda no entra en esta optimización' });
+    else if (!vehiculo) errores.push({ tienda_id, vehiculo_id, mensaje: 'El vehículo no está disponible en esta optimización' });
+    else if (resultado.has(tienda.id) && resultado.get(tienda.id) !== vehiculo) {
+      errores.push({ tienda_id, vehiculo_id, mensaje: 'La tienda está bloqueada en más de un camión' });
+    } else resultado.set(tienda.id, vehiculo);
+  });
+
+  const carga = new Map();
+  resultado.forEach((vehiculo, tiendaId) => {
+    carga.set(vehiculo, (carga.get(vehiculo) || 0) + demandaTienda(tiendaPorId.get(String(tiendaId))));
+  });
+  carga.forEach((combis, vehiculo) => {
+    if (combis <= Number(vehiculo.capacidad_combis) + 1e-9) return;
+    errores.push({
+      vehiculo_id: vehiculo.id,
+      mensaje: `Las tiendas bloqueadas en ${vehiculo.nombre_corto} suman ${redondear(combis)} combis y el camión admite ${Number(vehiculo.capacidad_combis)}`
+    });
+  });
+
+  if (errores.length) throw Object.assign(errorPeticion(400, 'Bloqueos no válidos'), { detalle: { errores } });
+  return resultado;
+}
+
+// Valida los parámetros de una optimización (body de /api/optimizar o la
+// configuración de un escenario), carga los datos y devuelve el plan. Los
+// errores de la petición salen como errorPeticion con el detalle en `detalle`.
+// Con `guardar` la ejecución queda en el historial (`optimizacion_id`); con
+// `escenario` ({ id, nombre, configuracion }) se aplican sus cambios a los datos.
+// Las tiendas de `bloqueos` se quedan en el camión indicado al re-optimizar y,
+// con `fecha` (o un dia_entrega con fecha), la demanda sale de sus pedidos; con
+// `prevision` (true u opciones), la de las tiendas sin pedido es la prevista.
+async function ejecutarOptimizacion(peticion, { guardar = false, escenario = null } = {}) {
+  const inicio = Date.now();
+  const {
+    proveedor_id,
+    proveedores,
+    distancia = 'haversine',
+    dia_entrega,
+    tiempos = {},
+    algoritmo = 'savings',
+    busqueda_local = {},
+    entregas_divididas = {},
+    objetivo = 'distancia',
+    permitir_reasignacion = true,
+    volver_al_almacen = true,
+    bloqueos = [],
+    fecha,
+    prevision
+  } = peticion;
+
+  // Selección: `proveedores` (lista de ids/nombres o 'todos') o un único `proveedor_id`
+  const seleccion = proveedores === 'todos' ? 'todos' : (Array.isArray(proveedores) ? proveedores : [proveedor_id]);
+  if (seleccion !== 'todos' && (!seleccion.length || seleccion.some(p => !p))) {
+    throw errorPeticion(400, 'Indica proveedor_id o una lista de proveedores (o "todos")');
+  }
+  console.log(`🚀 Iniciando optimización para: ${seleccion === 'todos' ? 'todos los proveedores' : seleccion.join(', ')}`);
+
+  if (!ALGORITMOS[algoritmo]) {
+    throw Object.assign(errorPeticion(400, `Algoritmo no soportado: ${algoritmo}`), {
+      detalle: { disponibles: Object.keys(ALGORITMOS) }
+    });
+  }
+  const { diaSemana, fecha: fechaPedidos, prevision: opcionesPrevision, tiempos: tiemposRuta } = leerParametrosRutas({
+    distancia, objetivo, dia_entrega, fecha, prevision, tiempos
+  });
+  const opcionesBusqueda = leerBusquedaLocal(busqueda_local);
+
+  let datos = await cargarDatosOptimizacion(seleccion, { ...(escenario && escenario.configuracion), fecha: fechaPedidos });
+  if (opcionesPrevision) datos = await aplicarPrevision(datos, fechaPedidos, opcionesPrevision);
+  if (escenario) datos = aplicarEscenario(datos, escenario.configuracion);
+  // Un pedido de 0 combis significa que ese día no se sirve la tienda
+  const sinEntrega = datos.tiendas.filter(tienda => tienda.con_pedido && !(demandaTienda(tienda) > 0));
+  datos = { ...datos, tiendas: datos.tiendas.filter(tienda => !sinEntrega.includes(tienda)) };
+  const { vehiculos, tiendas } = datos;
+
+  console.log(`✅ Encontrados ${datos.proveedores.length} proveedores, ${vehiculos.length} vehículos y ${tiendas.length} tiendas`);
+
+  if (!vehiculos.length || !tiendas.length) {
+    throw Object.assign(errorPeticion(400, 'No se encontraron vehículos o tiendas para este proveedor'), {
+      detalle: {
+        debug: {
+          proveedor: seleccion,
+          proveedores_encontrados: datos.proveedores.map(p => p.nombre),
+          vehiculos_count: vehiculos.length,
+          tiendas_count: tiendas.length
+        }
+      }
+    });
+  }
+
+  const tiendasBloqueadas = leerBloqueos(bloqueos, datos);
+
+  const tiendasSinCoordenadas = tiendas.filter(tienda => !tieneCoordenadas(tienda));
+  const depositosSinCoordenadas = datos.proveedores.filter(p => !tieneCoordenadas(p.deposito));
+  if (depositosSinCoordenadas.length || tiendasSinCoordenadas.length) {
+    console.log(`⚠️ Faltan coordenadas (almacenes: ${depositosSinCoordenadas.length}, tiendas: ${tiendasSinCoordenadas.length}) - se cuentan como 0 km`);
+  }
+
+  const entrada = guardar ? entradaOptimizacion(datos) : null;
+  const resultado = await optimizarPlan(datos, {
+    distancia, diaSemana, tiempos: tiemposRuta, algoritmo, busqueda_local: opcionesBusqueda, entregas_divididas, objetivo, permitir_reasignacion,
+    volver_al_almacen: Boolean(volver_al_almacen), bloqueos: tiendasBloqueadas
+  });
+
+  console.log(`🎯 Optimización completada: ${resultado.rutas.length} rutas generadas, ${resultado.metricas.distancia_total_km} km, ${resultado.tiendas_no_asignadas.length} tiendas sin asignar, ${resultado.tiendas_reasignadas.length} reasignadas`);
+
+  const plan = {
+    ...resultado,
+    proveedor_id: proveedor_id,
+    deposito: datos.proveedores[0].deposito,
+    demanda: {
+      fecha: fechaPedidos,
+      tiendas_con_pedido: tiendas.filter(tienda => tienda.con_pedido).length,
+      tiendas_con_prevision: tiendas.filter(tienda => tienda.con_prevision).length,
+      tiendas_con_media: tiendas.filter(tienda => !tienda.con_pedido && !tienda.con_prevision).length,
+      tiendas_sin_entrega: sinEntrega.map(tienda => tienda.codigo),
+      prevision: opcionesPrevision
+    },
+    debug: {
+      distancia: distancia,
+      vehiculos_usados: vehiculos.length,
+      tiendas_procesadas: tiendas.length,
+      vehiculos_nombres: vehiculos.map(v => v.nombre_corto),
+      tiendas_sin_coordenadas: tiendasSinCoordenadas.map(t => t.codigo),
+      almacenes_sin_coordenadas: depositosSinCoordenadas.map(p => p.nombre)
+    },
+    timestamp: new Date().toISOString()
+  };
+  if (escenario) plan.escenario = { id: escenario.id, nombre: escenario.nombre };
+  if (guardar) plan.optimizacion_id = await guardarOptimizacion(peticion, entrada, plan, Date.now() - inicio);
+  return plan;
+}
+
+// Con un escenario activo se optimiza sobre sus datos y con sus parámetros
+// (salvo la selección de proveedores, que es la de la petición); `base: true`
+// en el body lo ignora y usa los datos reales
+app.post('/api/optimizar', async (req, res) => {
+  try {
+    const escenario = await escenarioDePeticion(req);
+    let peticion = req.body;
+    if (escenario) {
+      const { proveedores, proveedor_id, ...parametros } = escenario.configuracion.parametros;
+      peticion = { ...req.body, ...parametros };
+    }
+    const plan = await ejecutarOptimizacion(peticion, { guardar: true, escenario });
+    auditar(req, {
+      entidad: 'optimizaciones',
+      entidad_id: plan.optimizacion_id,
+      detalle: { ...resumenPlanAuditoria(plan), escenario: plan.escenario || null }
+    });
+    res.json(plan);
+  } catch (error) {
+    if (error.status) return responderError(res, error);
+    console.error('❌ Error en optimización:', error);
+    res.status(500).json({
+      error: 'Error en la optimización de rutas',
+      message: error.message
+    });
+  }
+});
+
+// ==================== EDICIÓN MANUAL DE RUTAS ====================
+
+// Camiones (con su tarifa y el almacén de su proveedor) y tiendas de un plan
+// editado a mano. Cada tienda trae en `proveedores` los que tiene asignados y,
+// con `fecha`, la demanda de su pedido de ese día (como en la optimización).
+async function cargarDatosEdicion(vehiculoIds, tiendaIds, fecha = null) {
+  const vehiculosResult = await pool.query(`
+    SELECT v.id, v.numero_camion, v.nombre_corto, v.tipo_pago, v.capacidad_combis, v.activo,
+           v.proveedor_id, p.nombre as proveedor_nombre,
+           COALESCE(v.tarifa_fija, tv.tarifa_fija) as tarifa_fija,
+           COALESCE(v.tarifa_km, tv.tarifa_km) as tarifa_km,
+           COALESCE(v.tarifa_combi, tv.tarifa_combi) as tarifa_combi,
+           COALESCE(v.tarifa_hora, tv.tarifa_hora) as tarifa_hora,
+           a.id as almacen_id, a.nombre as almacen_nombre, a.latitud, a.longitud,
+           a.hora_apertura, a.hora_cierre, a.muelles
+    FROM vehiculos v
+    LEFT JOIN proveedores p ON v.proveedor_id = p.id
+    LEFT JOIN almacenes a ON p.almacen_base_id = a.id
+    LEFT JOIN tipos_vehiculo tv ON v.tipo_vehiculo_id = tv.id
+    WHERE v.id::text = ANY($1)
+  `, [vehiculoIds]);
+
+  const tiendasResult = await pool.query(`
+    SELECT t.id, t.codigo, t.nombre, t.direccion, COALESCE(pe.combis, t.combis_promedio) as combis_promedio,
+           t.combis_promedio as combis_media, pe.id IS NOT NULL as con_pedido,
+           t.provincia, t.latitud, t.longitud,
+           array_remove(array_agg(tp.proveedor_id::text ORDER BY tp.principal DESC, tp.id), NULL) as proveedores
+    FROM tiendas t
+    LEFT JOIN tienda_proveedores tp ON t.id = tp.tienda_id
+    LEFT JOIN pedidos pe ON pe.tienda_id = t.id AND pe.fecha = $2
+    WHERE t.id::text = ANY($1)
+    GROUP BY t.id, pe.id
+  `, [tiendaIds, fecha]);
+
+  const vehiculos = vehiculosResult.rows.map(row => {
+    const { almacen_id, almacen_nombre, latitud, longitud, hora_apertura, hora_cierre, muelles, ...vehiculo } = row;
+    return { ...vehiculo, deposito: depositoDeProveedor(row.proveedor_id, row) };
+  });
+  const proveedores = [...new Map(vehiculos.map(vehiculo => [vehiculo.proveedor_id, {
+    id: vehiculo.proveedor_id,
+    nombre: vehiculo.proveedor_nombre,
+    deposito: vehiculo.deposito
+  }])).values()];
+
+  return { proveedores, vehiculos, tiendas: tiendasResult.rows };
+}
+
+// Paradas de una ruta editada: cada una es el id de la tienda o { id, combis }
+// para entregar solo parte de su demanda
+function leerParadasEditadas(ruta, indice) {
+  if (!esObjeto(ruta) || !ruta.vehiculo_id || !Array.isArray(ruta.tiendas)) {
+    throw errorPeticion(400, `Ruta ${indice + 1}: debe ser { vehiculo_id, tiendas: [...] }`);
+  }
+  return ruta.tiendas.map(parada => {
+    const id = esObjeto(parada) ? parada.id : parada;
+    const combis = esObjeto(parada) && parada.combis != null && parada.combis !== '' ? Number(parada.combis) : null;
+    if (!id) throw errorPeticion(400, `Ruta ${indice + 1}: hay una parada sin id de tienda`);
+    if (combis !== null && !(combis > 0)) {
+      throw errorPeticion(400, `Ruta ${indice + 1}: los combis de la tienda ${id} deben ser un número positivo`);
+    }
+    return { id: String(id), combis };
+  });
+}
+
+// Problemas que impiden ejecutar una ruta tal y como se ha editado
+function problemasDeRuta(ruta, secuencia, contexto, cerradas) {
+  const problemas = [];
+  const carga = cargaSecuencia(secuencia);
+  if (carga > ruta.capacidad_maxima + 1e-9) {
+    problemas.push({
+      tipo: 'capacidad',
+      mensaje: `Supera la capacidad en ${redondear(carga - ruta.capacidad_maxima)} combis (${redondear(carga)}/${ruta.capacidad_maxima})`
+    });
+  }
+  if (ruta.activo === false) {
+    problemas.push({ tipo: 'vehiculo_inactivo', mensaje: `${ruta.vehiculo_nombre} está dado de baja` });
+  }
+
+  secuencia.filter(tienda => !esTiendaPermitida(tienda, ruta)).forEach(tienda => {
+    problemas.push({
+      tipo: 'proveedor',
+      tienda_id: tienda.tienda_original_id || tienda.id,
+      mensaje: `${tienda.nombre} no tiene asignado a ${ruta.proveedor_nombre} como proveedor`
+    });
+  });
+
+  if (contexto.horario && secuencia.length) {
+    secuencia.filter(tienda => cerradas.has(tienda.tienda_original_id || tienda.id)).forEach(tienda => {
+      problemas.push({
+        tipo: 'ventana',
+        tienda_id: tienda.tienda_original_id || tienda.id,
+        mensaje: `${tienda.nombre}: sin horario de entrega para el día seleccionado`
+      });
+    });
+    const evaluacion = evaluarHorario(secuencia, contexto);
+    if (!evaluacion.factible) {
+      problemas.push({
+        tipo: 'ventana',
+        tienda_id: evaluacion.tienda.tienda_original_id || evaluacion.tienda.id,
+        mensaje: `${evaluacion.tienda.nombre}: ${evaluacion.motivo}`
+      });
+    }
+    if (ruta.regreso_fuera_de_horario) {
+      problemas.push({ tipo: 'horario_almacen', mensaje: `Vuelve a las ${ruta.hora_regreso}, con el almacén cerrado` });
+    }
+  }
+
+  return problemas;
+}
+
+// Recalcula un plan editado a mano con los mismos parámetros que la
+// optimización: carga, eficiencia, km, coste y horario de cada ruta, más los
+// problemas que tenga (capacidad superada, ventana incumplida, proveedor no
+// permitido, tienda servida de más...). Con `escenario_id` se usan los datos
+// de ese escenario y con `fecha` sus pedidos (y la previsión con `prevision`),
+// como en la optimización de la que sale el plan.
+async function validarRutasEditadas(peticion) {
+  const {
+    rutas: edicion,
+    sin_asignar = [],
+    distancia = 'haversine',
+    dia_entrega,
+    tiempos = {},
+    objetivo = 'distancia',
+    volver_al_almacen = true,
+    escenario_id,
+    fecha,
+    prevision
+  } = peticion;
+
+  if (!Array.isArray(edicion) || !edicion.length) {
+    throw errorPeticion(400, 'rutas debe ser una lista de { vehiculo_id, tiendas: [...] }');
+  }
+  if (!Array.isArray(sin_asignar)) {
+    throw errorPeticion(400, 'sin_asignar debe ser una lista de ids de tienda');
+  }
+  const { diaSemana, fecha: fechaPedidos, prevision: opcionesPrevision, tiempos: tiemposRuta } = leerParametrosRutas({
+    distancia, objetivo, dia_entrega, fecha, prevision, tiempos
+  });
+  const edicionRutas = edicion.map((ruta, i) => ({ vehiculo_id: String(ruta && ruta.vehiculo_id), paradas: leerParadasEditadas(ruta, i) }));
+
+  const vehiculoIds = edicionRutas.map(ruta => ruta.vehiculo_id);
+  if (new Set(vehiculoIds).size !== vehiculoIds.length) throw errorPeticion(400, 'Cada camión solo puede tener una ruta');
+  const tiendaIds = [...new Set(edicionRutas.flatMap(ruta => ruta.paradas.map(parada => parada.id)))];
+
+  let escenario = null;
+  let datos = await cargarDatosEdicion(vehiculoIds, tiendaIds, fechaPedidos);
+  if (opcionesPrevision) datos = await aplicarPrevision(datos, fechaPedidos, opcionesPrevision);
+  if (escenario_id) {
+    const fila = await leerEscenario(escenario_id);
+    escenario = { id: fila.id, nombre: fila.nombre, configuracion: leerConfiguracionEscenario(fila.configuracion) };
+    datos = aplicarEscenario(datos, escenario.configuracion);
+  }
+
+  const vehiculoPorId = new Map(datos.vehiculos.map(vehiculo => [String(vehiculo.id), vehiculo]));
+  const tiendaPorId = new Map(datos.tiendas.map(tienda => [String(tienda.id), tienda]));
+  const vehiculosNoEncontrados = vehiculoIds.filter(id => !vehiculoPorId.has(id));
+  const tiendasNoEncontradas = tiendaIds.filter(id => !tiendaPorId.has(id));
+  if (vehiculosNoEncontrados.length || tiendasNoEncontradas.length) {
+    throw Object.assign(errorPeticion(400, 'Hay camiones o tiendas que no existen (o que el escenario excluye)'), {
+      detalle: { vehiculos_no_encontrados: vehiculosNoEncontrados, tiendas_no_encontradas: tiendasNoEncontradas }
+    });
+  }
+
+  // Proveedores permitidos: los asignados en tienda_proveedores y, si el
+  // escenario la reasigna, también el nuevo
+  const reasignaciones = escenario ? escenario.configuracion.reasignaciones : {};
+  datos.tiendas.forEach(tienda => {
+    tienda.proveedores_permitidos = reasignaciones[tienda.id]
+      ? [reasignaciones[tienda.id], ...tienda.proveedores]
+      : tienda.proveedores;
+  });
+
+  const depositos = [...new Map(datos.vehiculos.map(vehiculo => [vehiculo.deposito.id, vehiculo.deposito])).values()];
+  const base = {
+    deposito: null,
+    matriz: calcularMatrizDistancias([...depositos, ...datos.tiendas], FUNCIONES_DISTANCIA[distancia]),
+    horario: null,
+    objetivo,
+    regreso: Boolean(volver_al_almacen)
+  };
+  let cerradas = new Set();
+  if (diaSemana) {
+    const ventanas = await cargarVentanas(tiendaIds, diaSemana);
+    base.horario = { ventanas: ventanas.ventanas, tiempos: tiemposRuta };
+    cerradas = ventanas.cerradas;
+  }
+
+  const entregado = new Map();
+  let sufijo = 0;
+  const rutas = edicionRutas.map(({ vehiculo_id, paradas }) => {
+    const vehiculo = vehiculoPorId.get(vehiculo_id);
+    const ruta = crearRuta(vehiculo);
+    const secuencia = paradas.map(({ id, combis }) => {
+      const tienda = tiendaPorId.get(id);
+      entregado.set(id, (entregado.get(id) || 0) + (combis === null ? demandaTienda(tienda) : combis));
+      if (combis === null || Math.abs(combis - demandaTienda(tienda)) < 1e-6) return tienda;
+
+      // Entrega parcial: misma ubicación y mismas ventanas que la tienda
+      return crearEntregaParcial(tienda, combis, `m${++sufijo}`, base.matriz);
+    });
+
+    completarRuta(ruta, secuencia, base);
+    const problemas = problemasDeRuta({ ...ruta, activo: vehiculo.activo }, secuencia, contextoDeRuta(base, ruta), cerradas);
+    return Object.assign(ruta, { valida: !problemas.length, problemas });
+  });
+  numerarEntregasDivididas(rutas);
+
+  const problemas = [...entregado]
+    .filter(([id, combis]) => combis > demandaTienda(tiendaPorId.get(id)) + 1e-6)
+    .map(([id, combis]) => {
+      const tienda = tiendaPorId.get(id);
+      return {
+        tipo: 'demanda',
+        tienda_id: tienda.id,
+        mensaje: `${tienda.nombre}: se entregan ${redondear(combis)} combis y pide ${redondear(demandaTienda(tienda))}`
+      };
+    });
+
+  const totalTiendas = new Set([...tiendaIds, ...sin_asignar.map(String)]).size;
+  const rutasDe = proveedor => rutas.filter(ruta => ruta.proveedor_id === proveedor.id);
+  return {
+    valida: !problemas.length && rutas.every(ruta => ruta.valida),
+    rutas,
+    metricas: calcularMetricas(rutas, totalTiendas),
+    proveedores: datos.proveedores.map(proveedor => ({
+      id: proveedor.id,
+      nombre: proveedor.nombre,
+      deposito: proveedor.deposito,
+      metricas: calcularMetricas(
+        rutasDe(proveedor),
+        new Set(rutasDe(proveedor).flatMap(ruta => ruta.tiendas.map(parada => parada.tienda_original_id || parada.id))).size
+      )
+    })),
+    problemas,
+    escenario: escenario && { id: escenario.id, nombre: escenario.nombre }
+  };
+}
+
+// Validar un plan editado a mano (arrastrando tiendas entre camiones)
+app.post('/api/rutas/validar', async (req, res) => {
+  try {
+    res.json(await validarRutasEditadas(req.body || {}));
+  } catch (error) {
+    responderError(res, error, 'Error validando las rutas editadas');
+  }
+});
+
+// ==================== HISTORIAL DE OPTIMIZACIONES ====================
+
+// Últimas ejecuciones (sin los datos de entrada ni las rutas: se piden por id)
+app.get('/api/optimizaciones', async (req, res) => {
+  try {
+    const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 50, 1), 500);
+    const proveedorId = proveedorDelUsuario(req);
+    if (proveedorId) {
+      // Un transportista solo ve las ejecuciones con rutas de su proveedor y,
+      // de ellas, lo justo para sacar sus hojas de ruta (nada de los demás)
+      const result = await pool.query(`
+        SELECT o.id, o.created_at, ARRAY[p.nombre] as proveedores
+        FROM optimizaciones o
+        JOIN proveedores p ON p.id = $2::uuid
+        WHERE EXISTS (
+          SELECT 1 FROM jsonb_array_elements(COALESCE(o.resultado->'rutas', '[]')) ruta
+          WHERE ruta->>'proveedor_id' = $2::uuid::text
+        )
+        ORDER BY o.created_at DESC
+        LIMIT $1
+      `, [limite, proveedorId]);
+      return res.json(result.rows);
+    }
+    const result = await pool.query(`
+      SELECT id, algoritmo, parametros, metricas, duracion_ms, created_at, escenario_id,
+             resultado->'escenario'->>'nombre' as escenario_nombre,
+             jsonb_array_length(COALESCE(entrada->'vehiculos', '[]')) as vehiculos,
+             jsonb_array_length(COALESCE(entrada->'tiendas', '[]')) as tiendas,
+             ARRAY(SELECT jsonb_array_elements(COALESCE(resultado->'proveedores', '[]'))->>'nombre') as proveedores
+      FROM optimizaciones
+      ORDER BY created_at DESC
+      LIMIT $1
+    `, [limite]);
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el historial de optimizaciones');
+  }
+});
+
+// Ejecución completa: parámetros, datos de entrada y resultado tal como se devolvió
+app.get('/api/optimizaciones/:id', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM optimizaciones WHERE id = $1', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Optimización no encontrada' });
+    }
+    const optimizacion = result.rows[0];
+    res.json({ ...optimizacion, resultado: { ...optimizacion.resultado, optimizacion_id: optimizacion.id } });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener la optimización');
+  }
+});
+
+// ==================== HOJAS DE RUTA ====================
+
+// Plan a exportar: el resultado de /api/optimizar tal cual (`resultado`), una
+// ejecución del historial (`optimizacion_id`) o el de optimizar con la
+// configuración guardada en un escenario (`escenario_id`)
+async function leerPlanHojasRuta(body) {
+  if (body.optimizacion_id) {
+    const result = await pool.query('SELECT resultado FROM optimizaciones WHERE id = $1', [body.optimizacion_id]);
+    if (!result.rows.length) throw errorPeticion(404, 'Optimización no encontrada');
+    return result.rows[0].resultado;
+  }
+  if (body.escenario_id) {
+    const escenario = await leerEscenario(body.escenario_id);
+    const configuracion = leerConfiguracionEscenario(escenario.configuracion);
+    const plan = await ejecutarOptimizacion(configuracion.parametros, {
+      escenario: { id: escenario.id, nombre: escenario.nombre, configuracion }
+    });
+    return { ...plan, titulo: escenario.nombre };
+  }
+  if (!body.resultado || !Array.isArray(body.resultado.rutas)) {
+    throw errorPeticion(400, 'Indica el resultado de una optimización (resultado.rutas), un optimizacion_id o un escenario_id');
+  }
+  return body.resultado;
+}
+
+// Rutas con paradas (o solo la del vehículo pedido), con la dirección de cada
+// tienda aunque el resultado recibido no la traiga
+async function rutasHojasRuta(plan, vehiculoId) {
+  const rutas = plan.rutas.filter(ruta => (ruta.tiendas || []).length && (!vehiculoId || ruta.vehiculo_id === vehiculoId));
+  if (!rutas.length) {
+    throw errorPeticion(404, vehiculoId ? 'Ese vehículo no tiene ruta en el plan' : 'El plan no tiene rutas con paradas');
+  }
+
+  const codigos = [...new Set(rutas.flatMap(ruta => ruta.tiendas.map(parada => String(parada.codigo))))];
+  const result = await pool.query('SELECT codigo, direccion FROM tiendas WHERE codigo = ANY($1)', [codigos]);
+  const direcciones = new Map(result.rows.map(fila => [fila.codigo, fila.direccion]));
+  return rutas.map(ruta => ({
+    ...ruta,
+    tiendas: ruta.tiendas.map(parada => ({
+      ...parada,
+      direccion: parada.direccion ?? direcciones.get(String(parada.codigo)) ?? ''
+    }))
+  }));
+}
+
+const COLUMNAS_HOJA_RUTA = ['Orden', 'Código', 'Tienda', 'Dirección', 'Combis', 'Ventana', 'Llegada', 'Observaciones'];
+
+const filaHojaRuta = parada => [
+  parada.orden,
+  parada.codigo,
+  parada.nombre,
+  parada.direccion,
+  redondear(demandaTienda(parada), 2),
+  parada.ventana ? `${parada.ventana.inicio}-${parada.ventana.fin}${parada.ventana.adaptable ? ' (adaptable)' : ''}` : '',
+  parada.hora_llegada || '',
+  [
+    parada.entrega_dividida && `Entrega ${parada.parte || '?'} de ${parada.partes || '?'} (${redondear(parada.combis_total || 0, 2)} combis en total)`,
+    parada.espera_minutos > 0 && `Espera ${parada.espera_minutos} min`,
+    parada.retraso_minutos > 0 && `Retraso ${parada.retraso_minutos} min`
+  ].filter(Boolean).join('. ')
+];
+
+// Datos de cabecera de la hoja de un camión
+const cabeceraHojaRuta = ruta => [
+  ['Camión', `${ruta.numero_camion ? `${ruta.numero_camion} - ` : ''}${ruta.vehiculo_nombre || ''}`],
+  ['Proveedor', ruta.proveedor_nombre || ''],
+  ['Almacén de salida', ruta.almacen_origen ? ruta.almacen_origen.nombre : ''],
+  ['Salida', ruta.hora_salida || ''],
+  [ruta.vuelve_al_almacen === false ? 'Fin de la última descarga' : 'Regreso al almacén', ruta.hora_regreso || ruta.hora_fin || ''],
+  ['Paradas', ruta.tiendas.length],
+  ['Combis', `${redondear(ruta.capacidad_usada || 0, 2)} de ${ruta.capacidad_maxima}`],
+  ['Distancia (km)', redondear(ruta.distancia_km || 0)]
+];
+
+// Nombre de hoja de Excel: máximo 31 caracteres, sin : \ / ? * [ ] y único en el libro
+function nombreHojaRuta(ruta, usados) {
+  const base = `${ruta.numero_camion || ''} ${ruta.vehiculo_nombre || 'Camión'}`.replace(/[:\\/?*[\]\s]+/g, ' ').trim().slice(0, 28);
+  let nombre = base;
+  for (let i = 2; usados.has(nombre); i++) nombre = `${base} ${i}`;
+  usados.add(nombre);
+  return nombre;
+}
+
+// Libro con un resumen del plan y una hoja por camión
+function generarLibroHojasRuta(rutas, titulo) {
+  const libro = XLSX.utils.book_new();
+  const usados = new Set(['Resumen']);
+  const nombres = rutas.map(ruta => nombreHojaRuta(ruta, usados));
+
+  XLSX.utils.book_append_sheet(libro, XLSX.utils.aoa_to_sheet([
+    ['Plan de rutas', titulo],
+    [],
+    ['Hoja', 'Camión', 'Proveedor', 'Almacén', 'Paradas', 'Combis', 'Km', 'Salida', 'Regreso / fin'],
+    ...rutas.map((ruta, i) => [
+      nombres[i], ruta.vehiculo_nombre, ruta.proveedor_nombre || '', ruta.almacen_origen ? ruta.almacen_origen.nombre : '',
+      ruta.tiendas.length, redondear(ruta.capacidad_usada || 0, 2), redondear(ruta.distancia_km || 0),
+      ruta.hora_salida || '', ruta.hora_regreso || ruta.hora_fin || ''
+    ])
+  ]), 'Resumen');
+
+  rutas.forEach((ruta, i) => {
+    const hoja = XLSX.utils.aoa_to_sheet([
+      ['Hoja de ruta', titulo],
+      ...cabeceraHojaRuta(ruta),
+      [],
+      COLUMNAS_HOJA_RUTA,
+      ...ruta.tiendas.map(filaHojaRuta)
+    ]);
+    hoja['!cols'] = [6, 10, 30, 40, 8, 18, 8, 40].map(ancho => ({ wch: ancho }));
+    XLSX.utils.book_append_sheet(libro, hoja, nombres[i]);
+  });
+  return XLSX.write(libro, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const escaparHtml = texto => String(texto ?? '').replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[c]);
+
+// Página imprimible con una hoja por conductor (salto de página entre camiones).
+// Para PDF basta con "Imprimir → Guardar como PDF" en el navegador.
+function generarHtmlHojasRuta(rutas, titulo) {
+  const paginas = rutas.map(ruta => `
+  <section class="hoja">
+    <h1>Hoja de ruta · ${escaparHtml(ruta.vehiculo_nombre)}</h1>
+    <p class="titulo">${escaparHtml(titulo)}</p>
+    <table class="cabecera">
+      ${cabeceraHojaRuta(ruta).map(([campo, valor]) => `<tr><th>${escaparHtml(campo)}</th><td>${escaparHtml(valor)}</td></tr>`).join('')}
+    </table>
+    <table class="paradas">
+      <thead><tr>${COLUMNAS_HOJA_RUTA.map(columna => `<th>${escaparHtml(columna)}</th>`).join('')}<th>Firma</th></tr></thead>
+      <tbody>
+        ${ruta.tiendas.map(parada => `<tr>${filaHojaRuta(parada).map(valor => `<td>${escaparHtml(valor)}</td>`).join('')}<td class="firma"></td></tr>`).join('\n        ')}
+      </tbody>
+    </table>
+    <p class="pie">Conductor: ______________________ &nbsp; Firma: ______________________</p>
+  </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+  <meta charset="utf-8">
+  <title>Hojas de ruta · ${escaparHtml(titulo)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; color: #111; margin: 24px; }
+    h1 { font-size: 18px; margin: 0; }
+    .titulo { color: #555; margin: 4px 0 12px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+    .cabecera { width: auto; }
+    .cabecera th { text-align: left; padding: 2px 12px 2px 0; color: #555; font-weight: normal; }
+    .paradas th, .paradas td { border: 1px solid #999; padding: 4px 6px; text-align: left; vertical-align: top; }
+    .paradas th { background: #eee; }
+    .firma { width: 90px; }
+    .pie { margin-top: 24px; }
+    .hoja { page-break-after: always; }
+    .hoja:last-child { page-break-after: auto; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="no-print" onclick="window.print()">🖨️ Imprimir</button>
+${paginas}
+</body>
+</html>`;
+}
+
+// Hojas de ruta para los conductores: `?formato=xlsx` (por defecto; resumen y
+// una hoja por camión) o `html` (página imprimible). Body: `resultado`,
+// `optimizacion_id` o `escenario_id` y, opcionalmente, `vehiculo_id` para una sola ruta.
+app.post('/api/rutas/hojas', async (req, res) => {
+  try {
+    const formato = (req.query.formato || 'xlsx').toLowerCase();
+    if (!['xlsx', 'html'].includes(formato)) {
+      return res.status(400).json({ error: `Formato no soportado: ${formato} (xlsx, html)` });
+    }
+
+    // Un transportista solo saca las hojas de sus camiones y de ejecuciones guardadas
+    const proveedorId = proveedorDelUsuario(req);
+    if (proveedorId && !req.body.optimizacion_id) throw errorPeticion(403, 'Indica el optimizacion_id del plan');
+    let plan = await leerPlanHojasRuta(req.body);
+    if (proveedorId) plan = { ...plan, rutas: plan.rutas.filter(ruta => String(ruta.proveedor_id) === String(proveedorId)) };
+    const rutas = await rutasHojasRuta(plan, req.body.vehiculo_id);
+    const fecha = (plan.timestamp ? new Date(plan.timestamp) : new Date()).toISOString().split('T')[0];
+    const titulo = `${plan.titulo || (plan.escenario && `Escenario ${plan.escenario.nombre}`) || 'Plan de rutas'} · ${fecha}`;
+    const sufijo = rutas.length === 1 ? nombreHojaRuta(rutas[0], new Set()) : fecha;
+    const archivo = `hojas-ruta-${sufijo.normalize('NFD').replace(/[^\w-]+/g, '-')}`;
+
+    if (formato === 'html') {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Disposition', `inline; filename="${archivo}.html"`);
+      return res.send(generarHtmlHojasRuta(rutas, titulo));
+    }
+    res.setHeader('Content-Type', FORMATOS_EXPORTACION.xlsx);
+    res.setHeader('Content-Disposition', `attachment; filename="${archivo}.xlsx"`);
+    res.send(generarLibroHojasRuta(rutas, titulo));
+  } catch (error) {
+    responderError(res, error, 'Error al generar las hojas de ruta');
+  }
+});
+
+// ==================== GESTIÓN DE ESCENARIOS ====================
+
+// Un escenario es un "qué pasaría si" sobre los datos actuales. Su
+// `configuracion` no copia los datos: guarda solo los cambios que se aplican
+// al optimizar.
+//   parametros:     body de /api/optimizar (proveedores, algoritmo, objetivo...)
+//   vehiculos:      { excluidos: [vehiculo_id], capacidades: { vehiculo_id: combis } }
+//   demanda:        { general: %, provincias: { provincia: % } } (+15 = 15% más combis)
+//   reasignaciones: { tienda_id: proveedor_id } (nuevo proveedor principal)
+const PARAMETROS_ESCENARIO = [
+  'proveedores', 'proveedor_id', 'distancia', 'dia_entrega', 'tiempos', 'algoritmo', 'busqueda_local',
+  'entregas_divididas', 'objetivo', 'permitir_reasignacion', 'volver_al_almacen', 'fecha', 'prevision'
+];
+
+const esObjeto = valor => valor !== null && typeof valor === 'object' && !Array.isArray(valor);
+
+// Normaliza y valida la configuración (los parámetros del optimizador se
+// validan al ejecutarlo). Las configuraciones antiguas sin estas claves valen
+// como "datos actuales con todos los proveedores".
+function leerConfiguracionEscenario(configuracion = {}) {
+  if (!esObjeto(configuracion)) throw errorPeticion(400, 'configuracion debe ser un objeto');
+  const { parametros = {}, vehiculos = {}, demanda = {}, reasignaciones = {} } = configuracion;
+  if (![parametros, vehiculos, demanda, reasignaciones].every(esObjeto)) {
+    throw errorPeticion(400, 'parametros, vehiculos, demanda y reasignaciones deben ser objetos');
+  }
+
+  const excluidos = vehiculos.excluidos || [];
+  if (!Array.isArray(excluidos)) throw errorPeticion(400, 'vehiculos.excluidos debe ser una lista de ids');
+  const porcentaje = (valor, campo) => VALIDADORES.numero(valor, campo, { min: -100, max: 1000 });
+
+  return {
+    parametros: {
+      proveedores: 'todos',
+      ...Object.fromEntries(Object.entries(parametros).filter(([clave]) => PARAMETROS_ESCENARIO.includes(clave)))
+    },
+    vehiculos: {
+      excluidos: excluidos.map(id => VALIDADORES.uuid(id, 'vehiculos.excluidos')),
+      capacidades: Object.fromEntries(Object.entries(vehiculos.capacidades || {}).map(([id, capacidad]) => [
+        VALIDADORES.uuid(id, 'vehiculos.capacidades'),
+        VALIDADORES.entero(capacidad, `capacidad del vehículo ${id}`, { min: 1 })
+      ]))
+    },
+    demanda: {
+      general: porcentaje(demanda.general || 0, 'demanda.general'),
+      provincias: Object.fromEntries(Object.entries(demanda.provincias || {})
+        .map(([provincia, valor]) => [provincia, porcentaje(valor, `demanda de ${provincia}`)]))
+    },
+    reasignaciones: Object.fromEntries(Object.entries(reasignaciones).map(([tiendaId, proveedorId]) => [
+      VALIDADORES.uuid(tiendaId, 'reasignaciones'),
+      VALIDADORES.uuid(proveedorId, `proveedor de la tienda ${tiendaId}`)
+    ]))
+  };
+}
+
+// Aplica los cambios de vehículos y demanda a los datos cargados (las
+// reasignaciones ya las aplica cargarDatosOptimizacion)
+function aplicarEscenario({ proveedores, vehiculos, tiendas }, { vehiculos: flota, demanda }) {
+  const excluidos = new Set(flota.excluidos);
+  const porProvincia = new Map(Object.entries(demanda.provincias).map(([provincia, pct]) => [normalizarTexto(provincia), pct]));
+
+  return {
+    proveedores,
+    vehiculos: vehiculos
+      .filter(vehiculo => !excluidos.has(vehiculo.id))
+      .map(vehiculo => flota.capacidades[vehiculo.id] != null
+        ? { ...vehiculo, capacidad_combis: flota.capacidades[vehiculo.id] }
+        : vehiculo),
+    tiendas: tiendas.map(tienda => {
+      const pct = demanda.general + (porProvincia.get(normalizarTexto(tienda.provincia)) || 0);
+      return pct ? { ...tienda, combis_promedio: redondear(demandaTienda(tienda) * (1 + pct / 100), 2) } : tienda;
+    })
+  };
+}
+
+// Escenario activo ({ id, nombre, configuracion } ya normalizada) o null
+async function leerEscenarioActivo() {
+  const result = await pool.query('SELECT id, nombre, configuracion FROM escenarios WHERE activo = true LIMIT 1');
+  if (!result.rows.length) return null;
+  const { id, nombre, configuracion } = result.rows[0];
+  return { id, nombre, configuracion: leerConfiguracionEscenario(configuracion) };
+}
+
+// Escenario que aplica a una petición: el activo, salvo que pida los datos
+// base con `?base=true` (o `base: true` en el body)
+async function escenarioDePeticion(req) {
+  if (req.query.base === 'true' || (req.body && req.body.base === true)) return null;
+  return leerEscenarioActivo();
+}
+
+const ESQUEMA_ESCENARIO = {
+  nombre: { tipo: 'texto', obligatorio: true, max: 255 },
+  descripcion: { tipo: 'texto' }
+};
+
+async function leerEscenario(id) {
+  const result = await pool.query('SELECT * FROM escenarios WHERE id = $1', [id]);
+  if (!result.rows.length) throw errorPeticion(404, 'Escenario no encontrado');
+  return result.rows[0];
+}
+
+// Obtener escenarios (con la última ejecución de cada uno)
+app.get('/api/escenarios', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT e.id, e.nombre, e.descripcion, e.configuracion, e.metricas, e.activo, e.created_at,
+             o.id as ultima_optimizacion_id, o.created_at as ultima_optimizacion_fecha
+      FROM escenarios e
+      LEFT JOIN LATERAL (
+        SELECT id, created_at FROM optimizaciones
+        WHERE escenario_id = e.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) o ON true
+      ORDER BY e.created_at DESC
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener escenarios');
+  }
+});
+
+// Comparar la última ejecución de varios escenarios (?ids=a,b,c): métricas,
+// resumen de rutas y diferencias respecto al primero
+const METRICAS_COMPARACION = [
+  'vehiculos_necesarios', 'tiendas_asignadas', 'tiendas_no_asignadas', 'capacidad_usada',
+  'eficiencia_llenado', 'distancia_total_km', 'coste_total', 'coste_por_combi', 'retraso_total_minutos'
+];
+
+app.get('/api/escenarios/comparar', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (ids.length < 2) {
+      return res.status(400).json({ error: 'Indica al menos dos escenarios: ?ids=id1,id2' });
+    }
+    ids.forEach(id => VALIDADORES.uuid(id, 'ids'));
+
+    const result = await pool.query(`
+      SELECT e.id, e.nombre, o.id as optimizacion_id, o.created_at as optimizacion_fecha, o.resultado
+      FROM escenarios e
+      LEFT JOIN LATERAL (
+        SELECT id, created_at, resultado FROM optimizaciones
+        WHERE escenario_id = e.id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) o ON true
+      WHERE e.id = ANY($1)
+    `, [ids]);
+    if (result.rows.length !== ids.length) {
+      return res.status(404).json({ error: 'Algún escenario no existe' });
+    }
+
+    const porId = new Map(result.rows.map(fila => [fila.id, fila]));
+    const escenarios = ids.map(id => {
+      const { nombre, optimizacion_id, optimizacion_fecha, resultado } = porId.get(id);
+      if (!resultado) return { id, nombre, sin_resultados: true };
+      return {
+        id,
+        nombre,
+        optimizacion_id,
+        optimizacion_fecha,
+        metricas: Object.fromEntries(METRICAS_COMPARACION.map(clave => [clave, Number((resultado.metricas || {})[clave] || 0)])),
+        rutas: (resultado.rutas || []).filter(ruta => (ruta.tiendas || []).length).map(ruta => ({
+          vehiculo_id: ruta.vehiculo_id,
+          vehiculo_nombre: ruta.vehiculo_nombre,
+          proveedor_nombre: ruta.proveedor_nombre,
+          paradas: ruta.tiendas.length,
+          tiendas: ruta.tiendas.map(parada => parada.codigo),
+          capacidad_usada: ruta.capacidad_usada,
+          capacidad_maxima: ruta.capacidad_maxima,
+          distancia_km: ruta.distancia_km,
+          coste: ruta.coste ? ruta.coste.total : 0
+        }))
+      };
+    });
+
+    const referencia = escenarios.find(escenario => escenario.metricas);
+    escenarios.forEach(escenario => {
+      if (!escenario.metricas || !referencia) return;
+      escenario.diferencias = Object.fromEntries(METRICAS_COMPARACION.map(clave => [
+        clave, redondear(escenario.metricas[clave] - referencia.metricas[clave], 2)
+      ]));
+    });
+
+    res.json({ referencia_id: referencia ? referencia.id : null, metricas: METRICAS_COMPARACION, escenarios });
+  } catch (error) {
+    responderError(res, error, 'Error al comparar escenarios');
+  }
+});
+
+// Escenario activo (null si se trabaja con los datos base)
+app.get('/api/escenarios/activo', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM escenarios WHERE activo = true LIMIT 1');
+    res.json(result.rows[0] || null);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el escenario activo');
+  }
+});
+
+app.get('/api/escenarios/:id', async (req, res) => {
+  try {
+    res.json(await leerEscenario(req.params.id));
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el escenario');
+  }
+});
+
+// Crear escenario
+app.post('/api/escenarios', async (req, res) => {
+  try {
+    const { nombre, descripcion } = leerCampos(req.body, ESQUEMA_ESCENARIO, true);
+    const configuracion = leerConfiguracionEscenario(req.body.configuracion);
+    
+    const result = await pool.query(`
+      INSERT INTO escenarios (nombre, descripcion, configuracion, metricas, activo)
+      VALUES ($1, $2, $3, $4, false)
+      RETURNING *
+    `, [nombre, descripcion, JSON.stringify(configuracion), JSON.stringify(req.body.metricas || {})]);
+    
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    responderError(res, error, 'Error al crear escenario');
+  }
+});
+
+// Modificar nombre, descripción o configuración (cambios parciales)
+app.patch('/api/escenarios/:id', async (req, res) => {
+  try {
+    const datos = leerCampos(req.body, ESQUEMA_ESCENARIO, false);
+    if (req.body.configuracion !== undefined) {
+      datos.configuracion = JSON.stringify(leerConfiguracionEscenario(req.body.configuracion));
+    }
+    if (!Object.keys(datos).length) {
+      return res.status(400).json({ error: 'No hay cambios que guardar' });
+    }
+    const escenario = await actualizarRegistro(pool, 'escenarios', req.params.id, datos);
+    if (!escenario) {
+      return res.status(404).json({ error: 'Escenario no encontrado' });
+    }
+    res.json(escenario);
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar escenario');
+  }
+});
+
+// Las ejecuciones del escenario se conservan en el historial
+app.delete('/api/escenarios/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM escenarios WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Escenario no encontrado' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    responderError(res, error, 'Error al eliminar escenario');
+  }
+});
+
+// Optimizar con la configuración del escenario; la ejecución queda en el
+// historial y sus métricas en el escenario
+app.post('/api/escenarios/:id/optimizar', async (req, res) => {
+  try {
+    const escenario = await leerEscenario(req.params.id);
+    const configuracion = leerConfiguracionEscenario(escenario.configuracion);
+    const plan = await ejecutarOptimizacion(configuracion.parametros, {
+      guardar: true,
+      escenario: { id: escenario.id, nombre: escenario.nombre, configuracion }
+    });
+    await pool.query('UPDATE escenarios SET metricas = $2 WHERE id = $1', [escenario.id, JSON.stringify(plan.metricas)]);
+    auditar(req, { detalle: resumenPlanAuditoria(plan) });
+    res.json(plan);
+  } catch (error) {
+    responderError(res, error, 'Error al optimizar el escenario');
+  }
+});
+
+// Activar escenario
+app.put('/api/escenarios/:id/activar', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const escenario = await conTransaccion(async cliente => {
+      // Desactivar todos los escenarios
+      const anteriores = await cliente.query('UPDATE escenarios SET activo = false WHERE activo = true RETURNING id, nombre');
+      auditar(req, { detalle: { desactivados: anteriores.rows } });
+      
+      // Activar el escenario seleccionado
+      const result = await cliente.query(`
+        UPDATE escenarios SET activo = true WHERE id = $1 RETURNING *
+      `, [id]);
+      if (!result.rows.length) throw errorPeticion(404, 'Escenario no encontrado');
+      return result.rows[0];
+    });
+    
+    res.json(escenario);
+  } catch (error) {
+    responderError(res, error, 'Error al activar escenario');
+  }
+});
+
+// Volver a los datos base: ningún escenario activo
+app.put('/api/escenarios/desactivar', async (req, res) => {
+  try {
+    const result = await pool.query('UPDATE escenarios SET activo = false WHERE activo = true RETURNING id, nombre');
+    auditar(req, { entidad: 'escenarios', detalle: { desactivados: result.rows } });
+    res.json({ success: true });
+  } catch (error) {
+    responderError(res, error, 'Error al desactivar el escenario');
+  }
+});
+
+// Totales del dashboard con el escenario activo aplicado (y los de los datos
+// base para comparar); `?base=true` los calcula sin escenario
+app.get('/api/dashboard/resumen', async (req, res) => {
+  try {
+    const escenario = await escenarioDePeticion(req);
+    const [proveedores, vehiculos, tiendas] = await Promise.all([
+      pool.query('SELECT COUNT(*) as total FROM proveedores WHERE activo = true'),
+      pool.query('SELECT id, capacidad_combis FROM vehiculos WHERE activo = true'),
+      pool.query('SELECT id, provincia, combis_promedio FROM tiendas WHERE activo = true')
+    ]);
+
+    const totales = datos => ({
+      total_vehiculos: datos.vehiculos.length,
+      capacidad_total: datos.vehiculos.reduce((sum, vehiculo) => sum + Number(vehiculo.capacidad_combis), 0),
+      total_tiendas: datos.tiendas.length,
+      demanda_total_combis: redondear(cargaSecuencia(datos.tiendas))
+    });
+    const base = totales({ vehiculos: vehiculos.rows, tiendas: tiendas.rows });
+
+    res.json({
+      escenario: escenario && { id: escenario.id, nombre: escenario.nombre },
+      total_proveedores: parseInt(proveedores.rows[0].total),
+      ...(escenario
+        ? totales(aplicarEscenario({ proveedores: [], vehiculos: vehiculos.rows, tiendas: tiendas.rows }, escenario.configuracion))
+        : base),
+      base
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al obtener el resumen del dashboard');
+  }
+});
+
+// ==================== ADMINISTRACIÓN ====================
+
+// ---------- Copia de seguridad y restauración ----------
+
+// Tablas de datos en orden de dependencia: se restauran en este orden y se
+// vacían en el inverso. La auditoría no entra (no se puede borrar ni reescribir).
+const TABLAS_COPIA = [
+  'almacenes', 'proveedores', 'tipos_vehiculo', 'vehiculos', 'tiendas', 'tienda_horarios', 'pedidos',
+  'tienda_proveedores', 'plantillas_importacion', 'escenarios', 'optimizaciones', 'usuarios'
+];
+
+// Última migración aplicada: una copia solo se restaura sobre el mismo esquema
+async function versionEsquema(cliente) {
+  const result = await cliente.query('SELECT MAX(version) as version FROM schema_migrations');
+  return result.rows[0].version;
+}
+
+// Copia completa en JSON. Se lee en una transacción de solo lectura para que
+// todas las tablas sean del mismo instante; PostgreSQL serializa las filas
+// (fechas, decimales) tal y como luego las vuelve a leer al restaurar. Los
+// hashes de las contraseñas no salen de la base de datos.
+app.get('/api/admin/copia', async (req, res) => {
+  try {
+    const copia = await conTransaccion(async cliente => {
+      await cliente.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ, READ ONLY');
+      const tablas = {};
+      for (let tabla of TABLAS_COPIA) {
+        const result = await cliente.query(
+          `SELECT COALESCE(jsonb_agg(to_jsonb(t) - 'password_hash' ORDER BY t.id), '[]') as filas FROM ${tabla} t`
+        );
+        tablas[tabla] = result.rows[0].filas;
+      }
+      return { version_esquema: await versionEsquema(cliente), creada_at: new Date().toISOString(), tablas };
+    });
+    res.setHeader('Content-Disposition', `attachment; filename="copia-${copia.creada_at.split('T')[0]}.json"`);
+    res.json(copia);
+  } catch (error) {
+    responderError(res, error, 'Error al crear la copia de seguridad');
+  }
+});
+
+// La copia llega como archivo (el que descarga /api/admin/copia) o como body JSON
+function leerCopia(req) {
+  let copia = req.body;
+  if (req.file) {
+    try {
+      copia = JSON.parse(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      throw errorPeticion(400, 'El archivo no es un JSON válido');
+    }
+  }
+  if (!esObjeto(copia) || !esObjeto(copia.tablas)) {
+    throw errorPeticion(400, 'La copia debe tener el formato de /api/admin/copia');
+  }
+  const desconocidas = Object.keys(copia.tablas).filter(tabla => !TABLAS_COPIA.includes(tabla));
+  if (desconocidas.length) throw errorPeticion(400, `Tablas desconocidas en la copia: ${desconocidas.join(', ')}`);
+  const incompletas = TABLAS_COPIA.filter(tabla => !Array.isArray(copia.tablas[tabla]) || !copia.tablas[tabla].every(esObjeto));
+  if (incompletas.length) throw errorPeticion(400, `Faltan o no son listas de filas: ${incompletas.join(', ')}`);
+  // Quien restaura conserva su contraseña y puede dar una nueva al resto
+  if (!copia.tablas.usuarios.some(usuario => usuario.id === req.usuario.id && usuario.rol === 'admin' && usuario.activo !== false)) {
+    throw errorPeticion(400, 'La copia tiene que incluir tu usuario como administrador activo');
+  }
+  return copia;
+}
+
+// La copia no lleva contraseñas: cada usuario conserva la que tenga ahora
+// (mismo id) y los demás se quedan sin ninguna válida hasta que un
+// administrador les ponga una (PATCH /api/usuarios/:id)
+async function usuariosConPassword(cliente, usuarios) {
+  const result = await cliente.query('SELECT id, password_hash FROM usuarios');
+  const actuales = new Map(result.rows.map(usuario => [usuario.id, usuario.password_hash]));
+  return usuarios.map(usuario => ({ ...usuario, password_hash: actuales.get(usuario.id) || '' }));
+}
+
+// Restaurar una copia: sustituye todos los datos en una sola transacción, así
+// que si algo falla no cambia nada. Con `?dry_run=true` se hace igual y se
+// deshace: la respuesta dice cuántas filas se borrarían y restaurarían por
+// tabla y qué usuarios se quedan sin contraseña.
+app.post('/api/admin/restaurar', upload.single('file'), async (req, res) => {
+  try {
+    const copia = leerCopia(req);
+    const simular = req.query.dry_run === 'true';
+    const restauracion = await conTransaccion(async cliente => {
+      const version = await versionEsquema(cliente);
+      if (Number(copia.version_esquema) !== version) {
+        throw Object.assign(errorPeticion(409, 'La copia es de otra versión del esquema'), {
+          detalle: { version_copia: copia.version_esquema ?? null, version_actual: version }
+        });
+      }
+      const filas = { ...copia.tablas, usuarios: await usuariosConPassword(cliente, copia.tablas.usuarios) };
+      const resumen = {};
+      for (let tabla of [...TABLAS_COPIA].reverse()) {
+        resumen[tabla] = { borradas: (await cliente.query(`DELETE FROM ${tabla}`)).rowCount };
+      }
+      for (let tabla of TABLAS_COPIA) {
+        const result = await cliente.query(
+          `INSERT INTO ${tabla} SELECT * FROM json_populate_recordset(NULL::${tabla}, $1)`,
+          [JSON.stringify(filas[tabla])]
+        );
+        resumen[tabla].restauradas = result.rowCount;
+      }
+      const sinPassword = filas.usuarios.filter(usuario => !usuario.password_hash).map(usuario => usuario.email);
+      return { tablas: resumen, usuarios_sin_password: sinPassword };
+    }, { simular });
+    
+    auditar(req, { detalle: { creada_at: copia.creada_at || null, ...restauracion } });
+    res.json({ exitoso: true, simulacion: simular, ...restauracion });
+  } catch (error) {
+    responderError(res, error, 'Error al restaurar la copia');
+  }
+});
+
+// ---------- Limpieza por ámbitos ----------
+
+// Todo salvo los usuarios que no son transportistas. usuarios.proveedor_id es
+// ON DELETE CASCADE, así que al borrar los proveedores caerían también las
+// cuentas de otros roles que tengan uno: se desvinculan antes y el informe
+// dice cuántas. Los transportistas se borran con su proveedor.
+async function borrarTodosLosDatos(cliente) {
+  const desvinculados = await cliente.query(
+    "UPDATE usuarios SET proveedor_id = NULL WHERE rol <> 'transportista' AND proveedor_id IS NOT NULL"
+  );
+  const borrados = {};
+  for (let tabla of [...TABLAS_COPIA].reverse()) {
+    const condicion = tabla === 'usuarios' ? " WHERE rol = 'transportista'" : '';
+    borrados[tabla] = (await cliente.query(`DELETE FROM ${tabla}${condicion}`)).rowCount;
+  }
+  return { ...borrados, usuarios_desvinculados_de_proveedor: desvinculados.rowCount };
+}
+
+// Cada ámbito devuelve su parte del informe
+const AMBITOS_LIMPIEZA = {
+  proveedores_duplicados: fusionarProveedoresDuplicados,
+  pedidos: async cliente => ({ borrados: (await cliente.query('DELETE FROM pedidos')).rowCount }),
+  optimizaciones: async cliente => ({ borradas: (await cliente.query('DELETE FROM optimizaciones')).rowCount }),
+  todo: borrarTodosLosDatos
+};
+
+// Limpieza de los ámbitos pedidos en `{ ambitos: [...], datos_prueba }`, todo
+// en una transacción: si un paso falla no se borra nada. `datos_prueba: true`
+// inserta después los datos de demostración. Con `?dry_run=true` se ejecuta y
+// se deshace, y la respuesta es el informe de lo que se haría. Borrar un
+// proveedor borra en cascada las cuentas de sus transportistas, y la respuesta
+// lo avisa para que se confirme sabiéndolo (mejor tras un dry_run).
+app.post('/api/admin/limpiar-datos', async (req, res) => {
+  try {
+    const { ambitos, datos_prueba: datosPrueba = false } = req.body;
+    if (!Array.isArray(ambitos) || !ambitos.length) {
+      throw errorPeticion(400, `Indica los ámbitos a limpiar: ${Object.keys(AMBITOS_LIMPIEZA).join(', ')}`);
+    }
+    const desconocidos = ambitos.filter(ambito => !(ambito in AMBITOS_LIMPIEZA));
+    if (desconocidos.length) throw errorPeticion(400, `Ámbitos de limpieza desconocidos: ${desconocidos.join(', ')}`);
+    VALIDADORES.booleano(datosPrueba, 'datos_prueba');
+    const simular = req.query.dry_run === 'true';
+    
+    const resultado = await conTransaccion(async cliente => {
+      const informe = {};
+      for (let ambito of Object.keys(AMBITOS_LIMPIEZA).filter(ambito => ambitos.includes(ambito))) {
+        informe[ambito] = await AMBITOS_LIMPIEZA[ambito](cliente);
+      }
+      if (datosPrueba) {
+        await insertarDatosPrueba(cliente);
+        informe.datos_prueba = true;
+      }
+      return informe;
+    }, { simular });
+    
+    if (!simular) console.log(`🧹 Limpieza de datos: ${Object.keys(resultado).join(', ')}`);
+    auditar(req, { detalle: resultado });
+    res.json({
+      exitoso: true,
+      simulacion: simular,
+      resultado,
+      ...(resultado.todo && {
+        aviso: `Las cuentas de transportista (${resultado.todo.usuarios}) se borran con su proveedor (usuarios.proveedor_id es ON DELETE CASCADE)`
+      })
+    });
+  } catch (error) {
+    responderError(res, error, 'Error limpiando datos');
+  }
+});
+
+// ENDPOINT DE ESTADÍSTICAS - Para diagnóstico
+app.get('/api/admin/estadisticas', async (req, res) => {
+  try {
+    const stats = {
+      proveedores: await pool.query('SELECT COUNT(*) as total FROM proveedores'),
+      vehiculos: await pool.query('SELECT COUNT(*) as total FROM vehiculos'),
+      tiendas: await pool.query('SELECT COUNT(*) as total FROM tiendas'),
+      relaciones: await pool.query('SELECT COUNT(*) as total FROM tienda_proveedores'),
+      duplicados_proveedores: await buscarProveedoresDuplicados(pool)
     };
     
     res.json({
@@ -426,299 +3981,1142 @@ app.get('/api/admin/estadisticas', async (req, res) => {
       total_vehiculos: parseInt(stats.vehiculos.rows[0].total),
       total_tiendas: parseInt(stats.tiendas.rows[0].total),
       total_relaciones: parseInt(stats.relaciones.rows[0].total),
-      proveedores_duplicados: stats.duplicados_proveedores.rows,
+      proveedores_duplicados: stats.duplicados_proveedores.map(({ nombre, proveedores }) => ({
+        nombre,
+        duplicados: proveedores.length,
+        ids: proveedores.map(proveedor => proveedor.id)
+      })),
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('Error obteniendo estadísticas:', error);
-    res.status(500).json({ error: 'Error obteniendo estadísticas' });
+    console.error('Error obteniendo estadísticas:', error);
+    res.status(500).json({ error: 'Error obteniendo estadísticas' });
+  }
+});
+
+// ---------- Calidad de los datos ----------
+
+// Comprobaciones sobre los registros activos. Cada consulta devuelve los
+// registros afectados; `error` es lo que deja tiendas sin servir o rutas sin
+// sentido, `aviso` lo que el optimizador resuelve con supuestos.
+const COMPROBACIONES_CALIDAD = [
+  {
+    id: 'tiendas_sin_proveedor',
+    severidad: 'error',
+    descripcion: 'Tiendas sin proveedor principal activo',
+    consulta: `
+      SELECT t.id, t.codigo, t.nombre
+      FROM tiendas t
+      WHERE t.activo = true AND NOT EXISTS (
+        SELECT 1 FROM tienda_proveedores tp JOIN proveedores p ON p.id = tp.proveedor_id
+        WHERE tp.tienda_id = t.id AND tp.principal = true AND p.activo = true
+      )
+      ORDER BY t.codigo
+    `
+  },
+  {
+    id: 'tiendas_varios_proveedores',
+    severidad: 'aviso',
+    descripcion: 'Tiendas con más de un proveedor principal (los alternativos no cuentan)',
+    consulta: `
+      SELECT t.id, t.codigo, t.nombre, json_agg(json_build_object('id', p.id, 'nombre', p.nombre) ORDER BY p.nombre) as proveedores
+      FROM tiendas t
+      JOIN tienda_proveedores tp ON tp.tienda_id = t.id AND tp.principal = true
+      JOIN proveedores p ON p.id = tp.proveedor_id
+      WHERE t.activo = true
+      GROUP BY t.id
+      HAVING COUNT(*) > 1
+      ORDER BY t.codigo
+    `
+  },
+  {
+    id: 'tiendas_sin_horario',
+    severidad: 'aviso',
+    descripcion: 'Tiendas sin horario de entrega',
+    consulta: `
+      SELECT t.id, t.codigo, t.nombre
+      FROM tiendas t
+      WHERE t.activo = true AND NOT EXISTS (SELECT 1 FROM tienda_horarios h WHERE h.tienda_id = t.id)
+      ORDER BY t.codigo
+    `
+  },
+  {
+    id: 'tiendas_sin_demanda',
+    severidad: 'aviso',
+    descripcion: 'Tiendas con combis_promedio vacío o a cero',
+    consulta: `
+      SELECT t.id, t.codigo, t.nombre, t.combis_promedio::float8 as combis_promedio
+      FROM tiendas t
+      WHERE t.activo = true AND COALESCE(t.combis_promedio, 0) = 0
+      ORDER BY t.codigo
+    `
+  },
+  {
+    id: 'vehiculos_sin_tipo',
+    severidad: 'aviso',
+    descripcion: 'Vehículos sin tipo (sin tarifas de referencia)',
+    consulta: `
+      SELECT v.id, v.numero_camion, v.nombre_corto
+      FROM vehiculos v
+      LEFT JOIN tipos_vehiculo tv ON tv.id = v.tipo_vehiculo_id
+      WHERE v.activo = true AND tv.id IS NULL
+      ORDER BY v.numero_camion
+    `
+  },
+  {
+    id: 'vehiculos_sin_proveedor',
+    severidad: 'error',
+    descripcion: 'Vehículos sin proveedor',
+    // La clave foránea impide que apunten a un proveedor que no existe
+    consulta: `
+      SELECT v.id, v.numero_camion, v.nombre_corto
+      FROM vehiculos v
+      WHERE v.activo = true AND v.proveedor_id IS NULL
+      ORDER BY v.numero_camion
+    `
+  },
+  {
+    id: 'demanda_supera_flota',
+    severidad: 'error',
+    descripcion: 'Proveedores cuya demanda diaria supera la capacidad de su flota',
+    consulta: `
+      SELECT p.id, p.nombre, d.demanda, COALESCE(f.capacidad, 0) as capacidad
+      FROM proveedores p
+      JOIN (
+        SELECT tp.proveedor_id, SUM(t.combis_promedio)::float8 as demanda
+        FROM tienda_proveedores tp JOIN tiendas t ON t.id = tp.tienda_id
+        WHERE tp.principal = true AND t.activo = true
+        GROUP BY tp.proveedor_id
+      ) d ON d.proveedor_id = p.id
+      LEFT JOIN (
+        SELECT proveedor_id, SUM(capacidad_combis)::float8 as capacidad
+        FROM vehiculos WHERE activo = true
+        GROUP BY proveedor_id
+      ) f ON f.proveedor_id = p.id
+      WHERE p.activo = true AND d.demanda > COALESCE(f.capacidad, 0)
+      ORDER BY d.demanda - COALESCE(f.capacidad, 0) DESC
+    `
+  },
+  {
+    id: 'proveedores_sin_almacen',
+    severidad: 'error',
+    descripcion: 'Proveedores sin almacén base (sus rutas no tienen origen)',
+    consulta: `
+      SELECT p.id, p.nombre
+      FROM proveedores p
+      WHERE p.activo = true AND p.almacen_base_id IS NULL
+      ORDER BY p.nombre
+    `
+  }
+];
+
+// Informe de calidad: todas las comprobaciones con sus registros (las que no
+// encuentran nada también, con total 0) y un resumen por severidad
+app.get('/api/admin/calidad', async (req, res) => {
+  try {
+    const comprobaciones = [];
+    for (let { consulta, ...comprobacion } of COMPROBACIONES_CALIDAD) {
+      const result = await pool.query(consulta);
+      comprobaciones.push({ ...comprobacion, total: result.rows.length, registros: result.rows });
+    }
+    const afectadas = severidad => comprobaciones.filter(c => c.severidad === severidad && c.total > 0).length;
+    
+    res.json({
+      resumen: { errores: afectadas('error'), avisos: afectadas('aviso') },
+      comprobaciones,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    responderError(res, error, 'Error al comprobar la calidad de los datos');
+  }
+});
+
+// ==================== USUARIOS ====================
+
+// ---------- Sesión ----------
+
+// Inicio de sesión con email y contraseña: devuelve el token y el usuario
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) throw errorPeticion(400, 'Indica email y contraseña');
+    const result = await pool.query('SELECT * FROM usuarios WHERE LOWER(email) = LOWER($1)', [String(email).trim()]);
+    const usuario = result.rows[0];
+    if (!usuario || !usuario.activo || !(await comprobarPassword(password, usuario.password_hash))) {
+      return res.status(401).json({ error: 'Email o contraseña incorrectos' });
+    }
+    await pool.query('UPDATE usuarios SET ultimo_acceso = NOW() WHERE id = $1', [usuario.id]);
+    auditar(req, { usuario, entidad: 'usuarios', entidad_id: usuario.id });
+    res.json({ ...firmarToken(usuario), usuario: usuarioPublico(usuario) });
+  } catch (error) {
+    responderError(res, error, 'Error al iniciar sesión');
+  }
+});
+
+app.get('/api/auth/yo', (req, res) => {
+  res.json(req.usuario);
+});
+
+// Cambio de la contraseña propia ({ actual, nueva })
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const nueva = leerPassword(req.body.nueva, 'La nueva contraseña');
+    const result = await pool.query('SELECT password_hash FROM usuarios WHERE id = $1', [req.usuario.id]);
+    if (!(await comprobarPassword(req.body.actual, result.rows[0].password_hash))) {
+      throw errorPeticion(400, 'La contraseña actual no es correcta');
+    }
+    await pool.query(
+      'UPDATE usuarios SET password_hash = $2, updated_at = NOW() WHERE id = $1',
+      [req.usuario.id, await cifrarPassword(nueva)]
+    );
+    auditar(req, { entidad: 'usuarios', entidad_id: req.usuario.id, detalle: { password_cambiada: true } });
+    res.json({ success: true });
+  } catch (error) {
+    responderError(res, error, 'Error al cambiar la contraseña');
+  }
+});
+
+// ---------- Gestión de usuarios (admin) ----------
+
+const EMAIL_VALIDO = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ESQUEMA_USUARIO = {
+  email: { tipo: 'texto', obligatorio: true, max: 255 },
+  nombre: { tipo: 'texto', obligatorio: true, max: 100 },
+  rol: { tipo: 'texto', obligatorio: true },
+  proveedor_id: { tipo: 'uuid' },
+  activo: { tipo: 'booleano' }
+};
+
+// Valida el usuario tal como quedará (`actual` + cambios): rol conocido, email
+// único y, para un transportista, su proveedor. No se puede dejar el sistema
+// sin ningún administrador activo.
+async function validarUsuario(cliente, datos, actual = null) {
+  const usuario = { ...actual, ...datos };
+  if (datos.email != null && !EMAIL_VALIDO.test(datos.email)) throw errorPeticion(400, 'email no es válido');
+  if (!ROLES.includes(usuario.rol)) {
+    throw Object.assign(errorPeticion(400, `Rol no soportado: ${usuario.rol}`), { detalle: { disponibles: ROLES } });
+  }
+  if (usuario.rol === 'transportista' && !usuario.proveedor_id) {
+    throw errorPeticion(400, 'Un transportista necesita su proveedor_id');
+  }
+  await comprobarReferencias(cliente, datos, { proveedor_id: 'proveedores' });
+  if (datos.email != null) {
+    const result = await cliente.query(
+      'SELECT id FROM usuarios WHERE LOWER(email) = LOWER($1) AND id IS DISTINCT FROM $2',
+      [datos.email, actual && actual.id]
+    );
+    if (result.rows.length) throw errorPeticion(409, `Ya existe un usuario con el email ${datos.email}`);
+  }
+  if (actual && actual.rol === 'admin' && actual.activo && (usuario.rol !== 'admin' || usuario.activo === false)) {
+    const otros = await cliente.query("SELECT 1 FROM usuarios WHERE rol = 'admin' AND activo = true AND id <> $1", [actual.id]);
+    if (!otros.rows.length) throw errorPeticion(400, 'Tiene que quedar al menos un administrador activo');
+  }
+}
+
+// Obtener usuarios (sin las contraseñas)
+app.get('/api/usuarios', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT u.id, u.email, u.nombre, u.rol, u.proveedor_id, u.activo, u.ultimo_acceso, u.created_at,
+             u.updated_at, p.nombre as proveedor_nombre
+      FROM usuarios u
+      LEFT JOIN proveedores p ON u.proveedor_id = p.id
+      ORDER BY u.activo DESC, u.email
+    `);
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener los usuarios');
   }
 });
 
-// ==================== IMPORTACIÓN EXCEL ====================
+// Crear usuario ({ email, nombre, rol, proveedor_id, password })
+app.post('/api/usuarios', async (req, res) => {
+  try {
+    const datos = leerCampos(req.body, ESQUEMA_USUARIO, true);
+    const password = leerPassword(req.body.password, 'password');
+    await validarUsuario(pool, datos);
+    const usuario = await insertarRegistro(pool, 'usuarios', { ...datos, password_hash: await cifrarPassword(password) });
+    res.status(201).json(usuarioPublico(usuario));
+  } catch (error) {
+    responderError(res, error, 'Error al crear el usuario');
+  }
+});
 
-// Importar datos de Excel
-app.post('/api/import/excel', upload.single('file'), async (req, res) => {
+// Modificar usuario (PATCH): rol, proveedor, baja/alta o nueva `password`
+app.patch('/api/usuarios/:id', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No se proporcionó archivo' });
+    const datos = leerCampos(req.body, ESQUEMA_USUARIO, false);
+    if (req.body.password !== undefined) datos.password_hash = await cifrarPassword(leerPassword(req.body.password, 'password'));
+    if (!Object.keys(datos).length) {
+      return res.status(400).json({ error: 'No hay campos que actualizar' });
     }
-    
-    const workbook = XLSX.read(req.file.buffer, { type: 'buffer' });
-    const sheetNames = workbook.SheetNames;
-    
-    let resultados = {
-      vehiculos_importados: 0,
-      tiendas_importadas: 0,
-      errores: []
+    const actual = (await pool.query('SELECT * FROM usuarios WHERE id = $1', [req.params.id])).rows[0];
+    if (!actual) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    await validarUsuario(pool, datos, actual);
+    if (datos.password_hash) auditar(req, { detalle: { password_cambiada: true } });
+    const usuario = await actualizarRegistro(pool, 'usuarios', req.params.id, { ...datos, updated_at: new Date() });
+    res.json(usuarioPublico(usuario));
+  } catch (error) {
+    responderError(res, error, 'Error al actualizar el usuario');
+  }
+});
+
+// Baja lógica: el usuario deja de poder iniciar sesión (y sus tokens dejan de valer)
+app.delete('/api/usuarios/:id', async (req, res) => {
+  try {
+    const actual = (await pool.query('SELECT * FROM usuarios WHERE id = $1', [req.params.id])).rows[0];
+    if (!actual) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    await validarUsuario(pool, { activo: false }, actual);
+    const usuario = await actualizarRegistro(pool, 'usuarios', req.params.id, { activo: false, updated_at: new Date() });
+    res.json(usuarioPublico(usuario));
+  } catch (error) {
+    responderError(res, error, 'Error al dar de baja el usuario');
+  }
+});
+
+// Primer administrador: si no hay usuarios se crea con ADMIN_EMAIL y
+// ADMIN_PASSWORD (o una contraseña aleatoria que se muestra una vez en el log)
+async function crearAdministradorInicial() {
+  const existentes = await pool.query('SELECT COUNT(*) FROM usuarios');
+  if (parseInt(existentes.rows[0].count) > 0) return;
+
+  const email = process.env.ADMIN_EMAIL || 'admin@tms.local';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  await pool.query(
+    "INSERT INTO usuarios (email, nombre, rol, password_hash) VALUES ($1, 'Administrador', 'admin', $2)",
+    [email, await cifrarPassword(password)]
+  );
+  console.log(`👤 Usuario administrador creado: ${email}${process.env.ADMIN_PASSWORD ? '' : ` (contraseña: ${password})`}`);
+}
+
+// ==================== IMPORTACIÓN (EXCEL, CSV Y JSON) ====================
+
+// '  Cód. Tienda ' -> 'COD TIENDA': cabeceras y nombres comparables sin acentos ni puntuación
+const normalizarTexto = texto => String(texto ?? '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+
+// Columnas aceptadas para cada campo (cabeceras ya normalizadas)
+const COLUMNAS_IMPORTACION = {
+  almacenes: {
+    nombre: ['NOMBRE', 'ALMACEN', 'NOMBRE ALMACEN'],
+    direccion: ['DIRECCION'],
+    latitud: ['LATITUD', 'LAT'],
+    longitud: ['LONGITUD', 'LON', 'LNG'],
+    hora_apertura: ['HORA APERTURA', 'APERTURA'],
+    hora_cierre: ['HORA CIERRE', 'CIERRE'],
+    muelles: ['MUELLES']
+  },
+  proveedores: {
+    nombre: ['NOMBRE', 'PROVEEDOR', 'TRANSPORTISTA'],
+    almacen: ['ALMACEN', 'ALMACEN BASE'],
+    activo: ['ACTIVO']
+  },
+  tipos_vehiculo: {
+    nombre: ['NOMBRE', 'TIPO VEHICULO', 'TIPO'],
+    tarifa_fija: ['TARIFA FIJA'],
+    tarifa_km: ['TARIFA KM'],
+    tarifa_combi: ['TARIFA COMBI'],
+    tarifa_hora: ['TARIFA HORA']
+  },
+  vehiculos: {
+    numero_camion: ['CAMION', 'NUMERO CAMION', 'NUMERO', 'N CAMION'],
+    nombre_corto: ['NOMBRE CORTO', 'NOMBRE'],
+    tipo_pago: ['TIPO PAGO'],
+    capacidad_combis: ['CAP CAM', 'CAPACIDAD', 'CAPACIDAD COMBIS'],
+    proveedor: ['PROVEEDOR', 'TRANSPORTISTA'],
+    tipo_vehiculo: ['TIPO VEHICULO', 'TIPO CAMION'],
+    tarifa_fija: ['TARIFA FIJA'],
+    tarifa_km: ['TARIFA KM'],
+    tarifa_combi: ['TARIFA COMBI'],
+    tarifa_hora: ['TARIFA HORA'],
+    activo: ['ACTIVO']
+  },
+  tiendas: {
+    codigo: ['CODIGO', 'COD TIENDA', 'CODIGO TIENDA'],
+    nombre: ['NOMBRE', 'NOMBRE TIENDA', 'TIENDA'],
+    direccion: ['DIRECCION'],
+    provincia: ['PROVINCIA'],
+    combis_promedio: ['COMBIS PROMEDIO', 'MEDIA COMBIS', 'COMBIS'],
+    latitud: ['LATITUD', 'LAT'],
+    longitud: ['LONGITUD', 'LON', 'LNG'],
+    activo: ['ACTIVO']
+  },
+  asignaciones: {
+    tienda: ['TIENDA', 'CODIGO', 'COD TIENDA', 'CODIGO TIENDA'],
+    proveedor: ['PROVEEDOR', 'TRANSPORTISTA'],
+    principal: ['PRINCIPAL'],
+    motivo: ['MOTIVO']
+  },
+  horarios: {
+    tienda: ['TIENDA', 'CODIGO', 'COD TIENDA', 'CODIGO TIENDA'],
+    dia_semana: ['DIA', 'DIA SEMANA'],
+    hora_inicio: ['HORA INICIO', 'DESDE', 'INICIO'],
+    hora_fin: ['HORA FIN', 'HASTA', 'FIN'],
+    adaptable: ['ADAPTABLE']
+  },
+  pedidos: {
+    tienda: ['TIENDA', 'CODIGO', 'COD TIENDA', 'CODIGO TIENDA'],
+    fecha: ['FECHA', 'FECHA ENTREGA', 'DIA ENTREGA'],
+    combis: ['COMBIS', 'COMBIS PEDIDO', 'PEDIDO']
+  }
+};
+
+// Las hojas se procesan en este orden para que existan los almacenes antes que
+// sus proveedores, los tipos antes que los vehículos y las tiendas antes de
+// asignarlas o darles horario, sea cual sea el orden en el libro
+const ORDEN_IMPORTACION = [
+  'almacenes', 'proveedores', 'tipos_vehiculo', 'tiendas', 'vehiculos', 'asignaciones', 'horarios', 'pedidos'
+];
+
+// Tipo de hoja por su nombre o, si no lo dice, por sus cabeceras (normalizadas)
+function detectarTipoHoja(nombreHoja, cabeceras) {
+  const nombre = normalizarTexto(nombreHoja);
+  if (nombre.includes('PEDIDO') || nombre.includes('DEMANDA')) return 'pedidos';
+  if (nombre.includes('HORARIO')) return 'horarios';
+  if (nombre.includes('ASIGNACION') || (nombre.includes('TIENDA') && nombre.includes('PROVEEDOR'))) return 'asignaciones';
+  if (nombre.includes('TIPO') && nombre.includes('VEHICULO')) return 'tipos_vehiculo';
+  if (nombre.includes('VEHICULO') || nombre.includes('FLOTA')) return 'vehiculos';
+  if (nombre.includes('TIENDA')) return 'tiendas';
+  if (nombre.includes('ALMACEN')) return 'almacenes';
+  if (nombre.includes('PROVEEDOR') || nombre.includes('TRANSPORTISTA')) return 'proveedores';
+
+  const tiene = columnas => columnas.some(columna => cabeceras.includes(columna));
+  if (tiene(COLUMNAS_IMPORTACION.pedidos.fecha)) return 'pedidos';
+  if (tiene(COLUMNAS_IMPORTACION.horarios.dia_semana)) return 'horarios';
+  if (tiene(COLUMNAS_IMPORTACION.vehiculos.numero_camion)) return 'vehiculos';
+  if (tiene(['PROVEEDOR', 'TRANSPORTISTA']) && tiene(COLUMNAS_IMPORTACION.asignaciones.tienda)) return 'asignaciones';
+  if (tiene(COLUMNAS_IMPORTACION.tiendas.codigo)) return 'tiendas';
+  if (tiene(COLUMNAS_IMPORTACION.tipos_vehiculo.tarifa_fija)) return 'tipos_vehiculo';
+  if (tiene(['MUELLES', 'HORA APERTURA'])) return 'almacenes';
+  if (tiene(['PROVEEDOR', 'TRANSPORTISTA']) || tiene(COLUMNAS_IMPORTACION.proveedores.almacen)) return 'proveedores';
+  return null;
+}
+
+// Columnas propuestas para una hoja de `tipo`: para cada campo, la cabecera
+// original del Excel que lo contiene (o null si no hay ninguna reconocible)
+function proponerColumnas(tipo, cabeceras) {
+  const normalizadas = cabeceras.map(normalizarTexto);
+  return Object.fromEntries(Object.entries(COLUMNAS_IMPORTACION[tipo]).map(([campo, alias]) => {
+    const encontrada = alias.find(a => normalizadas.includes(a));
+    return [campo, encontrada ? cabeceras[normalizadas.indexOf(encontrada)] : null];
+  }));
+}
+
+// Valores de la fila por campo según el mapeo campo → cabecera (celdas vacías = ausentes)
+function leerFila(fila, columnas) {
+  const valores = {};
+  for (let [campo, cabecera] of Object.entries(columnas)) {
+    if (!cabecera || fila[cabecera] === undefined || fila[cabecera] === null || fila[cabecera] === '') continue;
+    valores[campo] = typeof fila[cabecera] === 'string' ? fila[cabecera].trim() : fila[cabecera];
+  }
+  return valores;
+}
+
+const VALORES_SI = ['SI', 'S', 'X', '1', 'TRUE', 'VERDADERO'];
+const leerBooleano = valor => valor !== undefined && VALORES_SI.includes(normalizarTexto(valor));
+const leerBooleanoOpcional = valor => valor === undefined ? undefined : leerBooleano(valor);
+
+// Excel guarda las horas como fracción de día (0.25 = 06:00)
+function leerHora(valor, campo) {
+  if (typeof valor === 'number' && valor >= 0 && valor < 1) return minutosAHora(valor * 24 * 60);
+  return VALIDADORES.hora(valor, campo);
+}
+
+// Fecha como número de serie de Excel, 'YYYY-MM-DD' o 'DD/MM/YYYY'
+function leerFecha(valor, campo) {
+  if (typeof valor === 'number') {
+    return VALIDADORES.fecha(new Date(Math.round((valor - 25569) * 86400000)).toISOString().slice(0, 10), campo);
+  }
+  const europea = String(valor).trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  return VALIDADORES.fecha(europea
+    ? `${europea[3]}-${europea[2].padStart(2, '0')}-${europea[1].padStart(2, '0')}`
+    : valor, campo);
+}
+
+// Día de la semana como número ISO (1-7) o por su nombre ('Lunes', 'MIÉRCOLES'...)
+function leerDiaSemana(valor) {
+  const numero = Number(valor);
+  if (Number.isInteger(numero) && numero >= 1 && numero <= 7) return numero;
+  const dia = DIAS_SEMANA.findIndex(nombre => nombre && normalizarTexto(nombre) === normalizarTexto(valor));
+  if (dia < 1) throw errorPeticion(400, `dia_semana no reconocido: ${valor}`);
+  return dia;
+}
+
+// Inserta o actualiza por `clave`; 'omitido' si la fila no cambia nada
+async function guardarPorClave(cliente, tabla, clave, datos) {
+  const existente = (await cliente.query(`SELECT * FROM ${tabla} WHERE ${clave} = $1`, [datos[clave]])).rows[0];
+  if (!existente) {
+    await insertarRegistro(cliente, tabla, datos);
+    return 'creado';
+  }
+
+  const cambios = Object.fromEntries(Object.entries(datos).filter(([columna, valor]) =>
+    typeof valor === 'number'
+      ? Number(existente[columna]) !== valor
+      : String(existente[columna] ?? '') !== String(valor ?? '')
+  ));
+  if (!Object.keys(cambios).length) return 'omitido';
+
+  await actualizarRegistro(cliente, tabla, existente.id, cambios);
+  return 'actualizado';
+}
+
+// Busca por nombre (sin distinguir mayúsculas) en una tabla pequeña, con caché por importación
+async function buscarPorNombre(cliente, cache, tabla, nombre) {
+  const clave = `${tabla}:${normalizarTexto(nombre)}`;
+  if (!cache.has(clave)) {
+    const result = await cliente.query(`SELECT id FROM ${tabla} WHERE UPPER(nombre) = UPPER($1)`, [String(nombre).trim()]);
+    cache.set(clave, result.rows[0] ? result.rows[0].id : null);
+  }
+  return cache.get(clave);
+}
+
+// guardarPorClave para las tablas que se identifican por nombre (almacenes,
+// proveedores y tipos): el alta queda en la caché para las hojas siguientes
+async function guardarPorNombre(cliente, contexto, tabla, datos) {
+  const id = await buscarPorNombre(cliente, contexto.cache, tabla, datos.nombre);
+  if (id) return guardarPorClave(cliente, tabla, 'id', { ...datos, id });
+  const creado = await insertarRegistro(cliente, tabla, datos);
+  contexto.cache.set(`${tabla}:${normalizarTexto(datos.nombre)}`, creado.id);
+  return 'creado';
+}
+
+async function buscarTienda(cliente, codigo) {
+  if (codigo === undefined) throw errorPeticion(400, 'tienda es obligatorio');
+  const result = await cliente.query('SELECT id FROM tiendas WHERE codigo = $1', [String(codigo)]);
+  if (!result.rows.length) throw errorPeticion(400, `La tienda ${codigo} no existe`);
+  return result.rows[0].id;
+}
+
+// Tarifas propias del vehículo: opcionales, las celdas vacías no cambian nada
+const ESQUEMA_TARIFAS_VEHICULO = Object.fromEntries(COLUMNAS_TARIFA.map(columna => [columna, { tipo: 'numero', min: 0 }]));
+
+// Importadores por tipo de hoja: reciben los valores de una fila y devuelven
+// 'creado', 'actualizado' u 'omitido' (o lanzan un error de fila)
+const IMPORTADORES = {
+  almacenes: async (cliente, valores, contexto) => {
+    const datos = leerAlmacen({
+      ...valores,
+      hora_apertura: valores.hora_apertura !== undefined ? leerHora(valores.hora_apertura, 'hora_apertura') : undefined,
+      hora_cierre: valores.hora_cierre !== undefined ? leerHora(valores.hora_cierre, 'hora_cierre') : undefined
+    }, true);
+    return guardarPorNombre(cliente, contexto, 'almacenes', datos);
+  },
+
+  // El almacén base va por nombre; sin columna ALMACEN no se toca el que tenga
+  proveedores: async (cliente, valores, contexto) => {
+    let almacenId;
+    if (valores.almacen !== undefined) {
+      almacenId = await buscarPorNombre(cliente, contexto.cache, 'almacenes', valores.almacen);
+      if (!almacenId) throw errorPeticion(400, `El almacén ${valores.almacen} no existe`);
+    }
+    const datos = leerCampos({
+      nombre: valores.nombre,
+      almacen_base_id: almacenId,
+      activo: leerBooleanoOpcional(valores.activo)
+    }, ESQUEMA_PROVEEDOR, true);
+    return guardarPorNombre(cliente, contexto, 'proveedores', datos);
+  },
+
+  tipos_vehiculo: async (cliente, valores, contexto) => {
+    const datos = leerCampos(valores, { nombre: { tipo: 'texto', obligatorio: true, max: 50 }, ...ESQUEMA_TARIFAS_VEHICULO }, true);
+    return guardarPorNombre(cliente, contexto, 'tipos_vehiculo', datos);
+  },
+
+  vehiculos: async (cliente, valores, contexto) => {
+    // El proveedor sale de su columna o del prefijo del nombre corto ('TTES BARA - 013')
+    const nombreProveedor = valores.proveedor ||
+      (valores.nombre_corto && String(valores.nombre_corto).split(' - ')[0]);
+    if (!nombreProveedor) throw errorPeticion(400, 'proveedor es obligatorio');
+
+    let proveedorId = await buscarPorNombre(cliente, contexto.cache, 'proveedores', nombreProveedor);
+    if (!proveedorId) {
+      proveedorId = (await insertarRegistro(cliente, 'proveedores', { nombre: String(nombreProveedor).trim() })).id;
+      contexto.cache.set(`proveedores:${normalizarTexto(nombreProveedor)}`, proveedorId);
+      contexto.proveedoresCreados.push(String(nombreProveedor).trim());
+    }
+
+    let tipoVehiculoId;
+    if (valores.tipo_vehiculo !== undefined) {
+      tipoVehiculoId = await buscarPorNombre(cliente, contexto.cache, 'tipos_vehiculo', valores.tipo_vehiculo);
+      if (!tipoVehiculoId) throw errorPeticion(400, `Tipo de vehículo desconocido: ${valores.tipo_vehiculo}`);
+    }
+
+    const datos = leerCampos({
+      numero_camion: valores.numero_camion,
+      nombre_corto: valores.nombre_corto,
+      tipo_pago: valores.tipo_pago,
+      capacidad_combis: valores.capacidad_combis,
+      proveedor_id: proveedorId,
+      tipo_vehiculo_id: tipoVehiculoId,
+      activo: leerBooleanoOpcional(valores.activo),
+      ...Object.fromEntries(COLUMNAS_TARIFA.map(columna => [columna, valores[columna]]))
+    }, { ...ESQUEMA_VEHICULO, tipo_vehiculo_id: { tipo: 'uuid' }, ...ESQUEMA_TARIFAS_VEHICULO }, true);
+    return guardarPorClave(cliente, 'vehiculos', 'numero_camion', datos);
+  },
+
+  tiendas: async (cliente, valores) => {
+    const datos = leerCampos({ ...valores, activo: leerBooleanoOpcional(valores.activo) }, ESQUEMA_TIENDA, true);
+    return guardarPorClave(cliente, 'tiendas', 'codigo', datos);
+  },
+
+  asignaciones: async (cliente, valores, contexto) => {
+    const tiendaId = await buscarTienda(cliente, valores.tienda);
+    if (!valores.proveedor) throw errorPeticion(400, 'proveedor es obligatorio');
+    const proveedorId = await buscarPorNombre(cliente, contexto.cache, 'proveedores', valores.proveedor);
+    if (!proveedorId) throw errorPeticion(400, `El proveedor ${valores.proveedor} no existe`);
+
+    // Sin columna PRINCIPAL, la primera asignación de cada tienda es la principal
+    const actuales = (await cliente.query(
+      'SELECT id, proveedor_id, principal, motivo FROM tienda_proveedores WHERE tienda_id = $1',
+      [tiendaId]
+    )).rows;
+    const principal = valores.principal !== undefined ? leerBooleano(valores.principal) : !actuales.length;
+    const motivo = valores.motivo || 'Importación Excel';
+    const existente = actuales.find(a => a.proveedor_id === proveedorId);
+
+    if (principal) {
+      await cliente.query(
+        'UPDATE tienda_proveedores SET principal = false WHERE tienda_id = $1 AND proveedor_id <> $2',
+        [tiendaId, proveedorId]
+      );
+    }
+    if (!existente) {
+      await insertarRegistro(cliente, 'tienda_proveedores', { tienda_id: tiendaId, proveedor_id: proveedorId, motivo, principal });
+      return 'creado';
+    }
+    if (existente.principal === principal && (valores.motivo === undefined || existente.motivo === motivo)) return 'omitido';
+    await actualizarRegistro(cliente, 'tienda_proveedores', existente.id, {
+      principal,
+      ...(valores.motivo !== undefined && { motivo })
+    });
+    return 'actualizado';
+  },
+
+  // Las ventanas del libro sustituyen a las que tuviera la tienda ese día
+  horarios: async (cliente, valores, contexto) => {
+    const tiendaId = await buscarTienda(cliente, valores.tienda);
+    if (valores.dia_semana === undefined) throw errorPeticion(400, 'dia_semana es obligatorio');
+    if (valores.hora_inicio === undefined || valores.hora_fin === undefined) {
+      throw errorPeticion(400, 'hora_inicio y hora_fin son obligatorias');
+    }
+    const dia = leerDiaSemana(valores.dia_semana);
+    const horaInicio = leerHora(valores.hora_inicio, 'hora_inicio');
+    const horaFin = leerHora(valores.hora_fin, 'hora_fin');
+    if (horaAMinutos(horaFin) <= horaAMinutos(horaInicio)) {
+      throw errorPeticion(400, 'hora_fin debe ser posterior a hora_inicio');
+    }
+
+    let resultado = 'creado';
+    const clave = `${tiendaId}:${dia}`;
+    if (!contexto.diasReemplazados.has(clave)) {
+      contexto.diasReemplazados.add(clave);
+      const borrados = await cliente.query(
+        'DELETE FROM tienda_horarios WHERE tienda_id = $1 AND dia_semana = $2',
+        [tiendaId, dia]
+      );
+      if (borrados.rowCount) resultado = 'actualizado';
+    }
+    await insertarRegistro(cliente, 'tienda_horarios', {
+      tienda_id: tiendaId,
+      dia_semana: dia,
+      hora_inicio: horaInicio,
+      hora_fin: horaFin,
+      adaptable: leerBooleano(valores.adaptable)
+    });
+    return resultado;
+  },
+
+  pedidos: async (cliente, valores) => {
+    const tiendaId = await buscarTienda(cliente, valores.tienda);
+    const datos = leerCampos({
+      tienda_id: tiendaId,
+      fecha: valores.fecha !== undefined ? leerFecha(valores.fecha, 'fecha') : undefined,
+      combis: valores.combis
+    }, ESQUEMA_PEDIDO, true);
+    return (await guardarPedido(cliente, datos)).estado;
+  }
+};
+
+const FILAS_DE_MUESTRA = 5;
+
+// Importa las hojas ({ nombre, filas }) con el cliente de una transacción.
+// `mapeo` ({ [hoja]: { tipo, columnas } }) corrige el tipo o las columnas
+// propuestas para cada hoja (`tipo: null` la ignora). Cada fila va en su propio
+// savepoint: una fila con error no invalida las demás y queda anotada con su
+// número de fila (la de Excel/CSV, contando la cabecera).
+async function importarHojas(cliente, hojas, mapeo = {}) {
+  const contexto = { cache: new Map(), proveedoresCreados: [], diasReemplazados: new Set() };
+  const informe = hojas.map(({ nombre, filas }) => {
+    // En JSON cada fila puede traer sus propias claves
+    const cabeceras = [...new Set(filas.flatMap(fila => Object.keys(fila)))];
+    const ajuste = mapeo[nombre] || {};
+    const tipo = 'tipo' in ajuste ? ajuste.tipo : detectarTipoHoja(nombre, cabeceras.map(normalizarTexto));
+    if (tipo && !COLUMNAS_IMPORTACION[tipo]) throw errorPeticion(400, `Tipo de hoja no soportado: ${tipo}`);
+
+    const columnas = tipo ? proponerColumnas(tipo, cabeceras) : {};
+    Object.entries(ajuste.columnas || {}).forEach(([campo, cabecera]) => {
+      if (campo in columnas) columnas[campo] = cabecera || null;
+    });
+    // Una plantilla puede referirse a columnas que este archivo no tiene
+    const errores = Object.entries(columnas)
+      .filter(([, cabecera]) => cabecera && !cabeceras.includes(cabecera))
+      .map(([campo, cabecera]) => ({ fila: null, mensaje: `La columna "${cabecera}" (${campo}) no existe en la hoja` }));
+
+    return {
+      hoja: nombre,
+      tipo,
+      cabeceras,
+      columnas,
+      filas: filas.length,
+      creados: 0,
+      actualizados: 0,
+      omitidos: 0,
+      muestra: [],
+      errores
     };
-    
-    // Procesar cada hoja del Excel
-    for (let sheetName of sheetNames) {
-      const worksheet = workbook.Sheets[sheetName];
-      const data = XLSX.utils.sheet_to_json(worksheet);
-      
-      // Lógica de importación basada en el nombre de la hoja
-      if (sheetName.toLowerCase().includes('vehiculo') || sheetName.toLowerCase().includes('flota')) {
-        // Importar vehículos
-        for (let row of data) {
-          try {
-            // Mapear columnas del Excel a campos de la base de datos
-            const vehiculo = {
-              numero_camion: row['CAMION'] || row['numero'] || row['id'],
-              nombre_corto: row['NOMBRE CORTO'] || row['proveedor'] || row['nombre'],
-              tipo_pago: row['TIPO PAGO'] || row['tipo'] || 'DESCONOCIDO',
-              capacidad_combis: parseInt(row['CAP CAM'] || row['capacidad'] || 0)
-            };
-            
-            if (vehiculo.numero_camion && vehiculo.capacidad_combis > 0) {
-              // Insertar vehículo (simplificado para demo)
-              resultados.vehiculos_importados++;
-            }
-          } catch (error) {
-            resultados.errores.push(`Error en vehículo ${row['CAMION']}: ${error.message}`);
-          }
+  });
+
+  for (let tipo of ORDEN_IMPORTACION) {
+    for (let [indice, { filas }] of hojas.entries()) {
+      const resumen = informe[indice];
+      if (resumen.tipo !== tipo) continue;
+
+      for (let [i, fila] of filas.entries()) {
+        const valores = leerFila(fila, resumen.columnas);
+        if (resumen.muestra.length < FILAS_DE_MUESTRA) resumen.muestra.push({ fila: i + 2, valores });
+        if (!Object.keys(valores).length) {
+          resumen.omitidos++;
+          continue;
+        }
+        await cliente.query('SAVEPOINT fila_importacion');
+        try {
+          const resultado = await IMPORTADORES[tipo](cliente, valores, contexto);
+          await cliente.query('RELEASE SAVEPOINT fila_importacion');
+          resumen[{ creado: 'creados', actualizado: 'actualizados', omitido: 'omitidos' }[resultado]]++;
+        } catch (error) {
+          await cliente.query('ROLLBACK TO SAVEPOINT fila_importacion');
+          resumen.errores.push({ fila: i + 2, mensaje: error.status ? error.message : (error.detail || error.message) });
         }
       }
     }
+  }
+
+  informe.filter(resumen => !resumen.tipo).forEach(resumen => {
+    resumen.omitidos = resumen.filas;
+    if (!(resumen.hoja in mapeo)) {
+      resumen.errores.push({ fila: null, mensaje: `No se reconoce el tipo de hoja (${ORDEN_IMPORTACION.join(', ')})` });
+    }
+  });
+
+  return { hojas: informe, proveedores_creados: contexto.proveedoresCreados };
+}
+
+// Totales del informe (compatibles con la respuesta anterior de la importación)
+function resumirImportacion(informe) {
+  const importados = tipo => informe.hojas
+    .filter(hoja => hoja.tipo === tipo)
+    .reduce((sum, hoja) => sum + hoja.creados + hoja.actualizados, 0);
+  return {
+    ...informe,
+    almacenes_importados: importados('almacenes'),
+    proveedores_importados: importados('proveedores'),
+    tipos_vehiculo_importados: importados('tipos_vehiculo'),
+    vehiculos_importados: importados('vehiculos'),
+    tiendas_importadas: importados('tiendas'),
+    asignaciones_importadas: importados('asignaciones'),
+    horarios_importados: importados('horarios'),
+    pedidos_importados: importados('pedidos'),
+    errores: informe.hojas.flatMap(hoja =>
+      hoja.errores.map(error => `${hoja.hoja}${error.fila ? ` (fila ${error.fila})` : ''}: ${error.mensaje}`)
+    )
+  };
+}
+
+// Mapeo de la petición: `mapeo` (JSON en el formulario) o una plantilla guardada
+async function leerMapeoImportacion(body) {
+  if (body.plantilla_id) {
+    const result = await pool.query('SELECT mapeo FROM plantillas_importacion WHERE id = $1', [body.plantilla_id]);
+    if (!result.rows.length) throw errorPeticion(404, 'Plantilla de importación no encontrada');
+    return result.rows[0].mapeo;
+  }
+  if (!body.mapeo) return {};
+  try {
+    return typeof body.mapeo === 'string' ? JSON.parse(body.mapeo) : body.mapeo;
+  } catch (parseError) {
+    throw errorPeticion(400, 'mapeo no es un JSON válido');
+  }
+}
+
+const FORMATOS_IMPORTACION = ['xlsx', 'xls', 'csv', 'json'];
+
+const textoSinBom = buffer => buffer.toString('utf8').replace(/^\ufeff/, '');
+
+const hojasDeLibro = libro => libro.SheetNames.map(nombre => ({
+  nombre,
+  filas: XLSX.utils.sheet_to_json(libro.Sheets[nombre], { defval: '' })
+}));
+
+// Un documento JSON es un array de filas (una hoja) o un objeto con un array
+// por tipo, como el que genera /api/export: { vehiculos: [...], tiendas: [...] }
+function hojasDeJson(documento, nombre) {
+  const hojas = Array.isArray(documento)
+    ? [{ nombre, filas: documento }]
+    : Object.entries(documento || {})
+      .filter(([, filas]) => Array.isArray(filas))
+      .map(([clave, filas]) => ({ nombre: clave, filas }));
+  if (!hojas.length) throw errorPeticion(400, 'El JSON no contiene filas para importar');
+  if (hojas.some(({ filas }) => filas.some(fila => !fila || typeof fila !== 'object' || Array.isArray(fila)))) {
+    throw errorPeticion(400, 'Cada fila del JSON debe ser un objeto { columna: valor }');
+  }
+  return hojas;
+}
+
+// Hojas del archivo subido según su formato (`?formato=` o la extensión).
+// Un CSV es una sola hoja con el nombre del archivo ('tiendas.csv' -> 'tiendas').
+function leerArchivoImportacion(archivo, formato) {
+  const nombre = archivo.originalname.replace(/\.[^.]*$/, '');
+  formato = (formato || archivo.originalname.split('.').pop()).toLowerCase();
+  if (!FORMATOS_IMPORTACION.includes(formato)) {
+    throw errorPeticion(400, `Formato no soportado: ${formato} (${FORMATOS_IMPORTACION.join(', ')})`);
+  }
+
+  if (formato === 'json') {
+    let documento;
+    try {
+      documento = JSON.parse(textoSinBom(archivo.buffer));
+    } catch (parseError) {
+      throw errorPeticion(400, 'El archivo no es un JSON válido');
+    }
+    return hojasDeJson(documento, nombre);
+  }
+  if (formato === 'csv') {
+    // raw: códigos ('0012') y horas se leen como texto, sin convertirlos a número o fecha
+    const libro = XLSX.read(textoSinBom(archivo.buffer), { type: 'string', raw: true });
+    return hojasDeLibro(libro).map(hoja => ({ ...hoja, nombre }));
+  }
+  return hojasDeLibro(XLSX.read(archivo.buffer, { type: 'buffer' }));
+}
+
+// Importar vehículos, tiendas, asignaciones, horarios y pedidos desde un archivo
+// (multipart `file`: Excel, CSV o JSON) o desde un body JSON con el mismo
+// formato que /api/export. `?tipo=` indica el tipo de las hojas que no lo
+// dicen por su nombre (p. ej. un CSV). Todo va en una transacción: si alguna
+// fila tiene errores no se guarda nada (422 con el detalle), salvo con
+// `?omitir_errores=true`, que guarda las filas válidas y salta las demás.
+// Con `?dry_run=true` se valida todo contra la base de datos y se deshace: la
+// respuesta trae las hojas detectadas, el mapeo usado, filas de muestra y errores.
+app.post(['/api/import', '/api/import/excel'], upload.single('file'), async (req, res) => {
+  try {
+    let hojas;
+    if (req.file) {
+      hojas = leerArchivoImportacion(req.file, req.query.formato);
+    } else if (req.is('json')) {
+      hojas = hojasDeJson(req.body, req.query.tipo || 'datos');
+    } else {
+      return res.status(400).json({ error: 'No se proporcionó archivo' });
+    }
+    const omitirErrores = req.query.omitir_errores === 'true';
+    const simular = req.query.dry_run === 'true';
+    const mapeo = await leerMapeoImportacion(req.body);
+    if (req.query.tipo) {
+      hojas.forEach(({ nombre }) => {
+        if (!mapeo[nombre] || !('tipo' in mapeo[nombre])) mapeo[nombre] = { ...mapeo[nombre], tipo: req.query.tipo };
+      });
+    }
+    
+    let informe;
+    try {
+      informe = await conTransaccion(async cliente => {
+        const resultado = await importarHojas(cliente, hojas, mapeo);
+        if (!simular && !omitirErrores && resultado.hojas.some(hoja => hoja.errores.length)) {
+          throw Object.assign(errorPeticion(422, 'El archivo tiene errores: no se ha importado nada'), { informe: resultado });
+        }
+        return resultado;
+      }, { simular });
+    } catch (error) {
+      if (!error.informe) throw error;
+      return res.status(422).json({ exitoso: false, error: error.message, ...resumirImportacion(error.informe) });
+    }
     
-    res.json(resultados);
+    if (simular) {
+      return res.json({ exitoso: true, simulacion: true, ...resumirImportacion(informe) });
+    }
+    console.log(`📥 Importación: ${informe.hojas.map(h => `${h.hoja} (${h.creados}+${h.actualizados})`).join(', ')}`);
+    auditar(req, {
+      detalle: {
+        archivo: req.file ? req.file.originalname : null,
+        hojas: informe.hojas.map(hoja => ({
+          hoja: hoja.hoja, tipo: hoja.tipo, creados: hoja.creados, actualizados: hoja.actualizados, errores: hoja.errores.length
+        }))
+      }
+    });
+    res.json({ exitoso: true, ...resumirImportacion(informe) });
     
   } catch (error) {
-    console.error('Error importing Excel:', error);
-    res.status(500).json({ error: 'Error al importar archivo Excel' });
+    responderError(res, error, 'Error al importar el archivo');
   }
 });
 
-// ==================== INICIALIZACIÓN ====================
+// Campos que admite cada tipo de hoja (para construir el mapeo en el frontend)
+app.get('/api/import/campos', (req, res) => {
+  res.json(Object.fromEntries(Object.entries(COLUMNAS_IMPORTACION).map(([tipo, campos]) => [tipo, Object.keys(campos)])));
+});
 
-// Crear tablas básicas si no existen (para demo)
-async function initializeDatabase() {
+// ---------- Plantillas de mapeo ----------
+
+const ESQUEMA_PLANTILLA = {
+  nombre: { tipo: 'texto', obligatorio: true, max: 255 }
+};
+
+app.get('/api/import/plantillas', async (req, res) => {
   try {
-    // Verificar conexión primero
-    await pool.query('SELECT NOW()');
-    console.log('✅ Conexión a PostgreSQL exitosa');
-    
-    // Crear tabla de proveedores
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS proveedores (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        nombre VARCHAR(255) NOT NULL,
-        almacen_base_id UUID,
-        activo BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Crear tabla de tipos de vehículo
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS tipos_vehiculo (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        nombre VARCHAR(50) UNIQUE NOT NULL
-      )
-    `);
-    
-    // Crear tabla de vehículos
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS vehiculos (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        numero_camion INTEGER UNIQUE NOT NULL,
-        proveedor_id UUID REFERENCES proveedores(id),
-        nombre_corto VARCHAR(100),
-        tipo_pago VARCHAR(50),
-        tipo_vehiculo_id UUID REFERENCES tipos_vehiculo(id),
-        capacidad_combis INTEGER NOT NULL,
-        activo BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Crear tabla de tiendas
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS tiendas (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        codigo VARCHAR(20) UNIQUE NOT NULL,
-        nombre VARCHAR(255) NOT NULL,
-        direccion TEXT,
-        provincia VARCHAR(100),
-        combis_promedio DECIMAL(5,2),
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    // Crear tabla de escenarios
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS escenarios (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        nombre VARCHAR(255) NOT NULL,
-        descripcion TEXT,
-        configuracion JSONB DEFAULT '{}',
-        metricas JSONB DEFAULT '{}',
-        activo BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
-    
-    console.log('✅ Base de datos inicializada correctamente');
-    
-    // Insertar datos de prueba si no existen
-    await insertarDatosPrueba();
+    const result = await pool.query('SELECT * FROM plantillas_importacion ORDER BY nombre');
+    res.json(result.rows);
+  } catch (error) {
+    responderError(res, error, 'Error al obtener plantillas de importación');
+  }
+});
+
+// Guarda (o sobrescribe por nombre) un mapeo { [hoja]: { tipo, columnas } }
+app.post('/api/import/plantillas', async (req, res) => {
+  try {
+    const { nombre } = leerCampos(req.body, ESQUEMA_PLANTILLA, true);
+    const { mapeo } = req.body;
+    if (!mapeo || typeof mapeo !== 'object' || Array.isArray(mapeo)) {
+      return res.status(400).json({ error: 'mapeo debe ser un objeto { hoja: { tipo, columnas } }' });
+    }
+    const tipoInvalido = Object.values(mapeo).find(hoja => hoja.tipo && !COLUMNAS_IMPORTACION[hoja.tipo]);
+    if (tipoInvalido) {
+      return res.status(400).json({ error: `Tipo de hoja no soportado: ${tipoInvalido.tipo}` });
+    }
     
+    const result = await pool.query(`
+      INSERT INTO plantillas_importacion (nombre, mapeo)
+      VALUES ($1, $2)
+      ON CONFLICT (nombre) DO UPDATE SET mapeo = EXCLUDED.mapeo
+      RETURNING *
+    `, [nombre, JSON.stringify(mapeo)]);
+    res.status(201).json(result.rows[0]);
   } catch (error) {
-    console.error('⚠️ Error inicializando base de datos:', error.message);
-    console.log('🔄 Servidor continuará sin base de datos (modo demo)');
+    responderError(res, error, 'Error al guardar la plantilla de importación');
+  }
+});
+
+app.delete('/api/import/plantillas/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM plantillas_importacion WHERE id = $1 RETURNING id', [req.params.id]);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Plantilla de importación no encontrada' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    responderError(res, error, 'Error al eliminar la plantilla de importación');
+  }
+});
+
+// ==================== EXPORTACIÓN ====================
+
+// Consultas de exportación: cada una devuelve exactamente las columnas de
+// COLUMNAS_IMPORTACION[tipo], así que un archivo exportado se puede volver a
+// importar tal cual (también en otro entorno: todo va por códigos y nombres)
+const CONSULTAS_EXPORTACION = {
+  almacenes: `
+    SELECT nombre, direccion, latitud::float8, longitud::float8,
+           to_char(hora_apertura, 'HH24:MI') as hora_apertura,
+           to_char(hora_cierre, 'HH24:MI') as hora_cierre, muelles
+    FROM almacenes
+    ORDER BY nombre
+  `,
+  proveedores: `
+    SELECT p.nombre, a.nombre as almacen, p.activo
+    FROM proveedores p
+    LEFT JOIN almacenes a ON p.almacen_base_id = a.id
+    ORDER BY p.nombre
+  `,
+  tipos_vehiculo: `
+    SELECT nombre, tarifa_fija::float8, tarifa_km::float8, tarifa_combi::float8, tarifa_hora::float8
+    FROM tipos_vehiculo
+    ORDER BY nombre
+  `,
+  vehiculos: `
+    SELECT v.id, v.numero_camion, v.nombre_corto, v.tipo_pago, v.capacidad_combis,
+           p.nombre as proveedor, tv.nombre as tipo_vehiculo,
+           v.tarifa_fija::float8, v.tarifa_km::float8, v.tarifa_combi::float8, v.tarifa_hora::float8,
+           v.activo
+    FROM vehiculos v
+    JOIN proveedores p ON v.proveedor_id = p.id
+    LEFT JOIN tipos_vehiculo tv ON v.tipo_vehiculo_id = tv.id
+    ORDER BY v.numero_camion
+  `,
+  tiendas: `
+    SELECT id, codigo, nombre, direccion, provincia, combis_promedio::float8,
+           latitud::float8, longitud::float8, activo
+    FROM tiendas
+    ORDER BY codigo
+  `,
+  asignaciones: `
+    SELECT tp.tienda_id, tp.proveedor_id, t.codigo as tienda, p.nombre as proveedor, tp.principal, tp.motivo
+    FROM tienda_proveedores tp
+    JOIN tiendas t ON tp.tienda_id = t.id
+    JOIN proveedores p ON tp.proveedor_id = p.id
+    ORDER BY t.codigo, tp.principal DESC, p.nombre
+  `,
+  horarios: `
+    SELECT t.codigo as tienda, th.dia_semana,
+           to_char(th.hora_inicio, 'HH24:MI') as hora_inicio,
+           to_char(th.hora_fin, 'HH24:MI') as hora_fin, th.adaptable
+    FROM tienda_horarios th
+    JOIN tiendas t ON th.tienda_id = t.id
+    ORDER BY t.codigo, th.dia_semana, th.hora_inicio
+  `,
+  pedidos: `
+    SELECT t.codigo as tienda, t.provincia, to_char(pe.fecha, 'YYYY-MM-DD') as fecha, pe.combis::float8
+    FROM pedidos pe
+    JOIN tiendas t ON pe.tienda_id = t.id
+    ORDER BY pe.fecha, t.codigo
+  `
+};
+
+const FORMATOS_EXPORTACION = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Cambios del escenario sobre las filas exportadas: los camiones excluidos
+// salen como inactivos, con su capacidad simulada; la demanda (media y pedidos)
+// ajustada y las tiendas reasignadas con su nuevo proveedor principal
+async function aplicarEscenarioExportacion(tipo, filas, { nombre, configuracion }) {
+  if (tipo === 'vehiculos') {
+    const { excluidos, capacidades } = configuracion.vehiculos;
+    return filas.map(fila => ({
+      ...fila,
+      capacidad_combis: capacidades[fila.id] ?? fila.capacidad_combis,
+      activo: fila.activo && !excluidos.includes(fila.id)
+    }));
+  }
+  if (tipo === 'tiendas') {
+    return aplicarEscenario({ proveedores: [], vehiculos: [], tiendas: filas }, configuracion).tiendas;
+  }
+  if (tipo === 'pedidos') {
+    const comoTiendas = filas.map(fila => ({ ...fila, combis_promedio: fila.combis }));
+    return aplicarEscenario({ proveedores: [], vehiculos: [], tiendas: comoTiendas }, configuracion).tiendas
+      .map(({ combis_promedio, ...fila }) => ({ ...fila, combis: Number(combis_promedio) }));
   }
+  if (tipo === 'asignaciones') {
+    const { reasignaciones } = configuracion;
+    const proveedorIds = [...new Set(Object.values(reasignaciones))];
+    const nombres = new Map((await pool.query('SELECT id, nombre FROM proveedores WHERE id = ANY($1)', [proveedorIds]))
+      .rows.map(proveedor => [proveedor.id, proveedor.nombre]));
+
+    const resultado = filas.map(fila => reasignaciones[fila.tienda_id]
+      ? { ...fila, principal: fila.proveedor_id === reasignaciones[fila.tienda_id] }
+      : fila);
+    Object.entries(reasignaciones).forEach(([tiendaId, proveedorId]) => {
+      const actual = filas.find(fila => fila.tienda_id === tiendaId);
+      if (!actual || !nombres.has(proveedorId) || filas.some(fila => fila.tienda_id === tiendaId && fila.proveedor_id === proveedorId)) return;
+      resultado.push({ tienda: actual.tienda, proveedor: nombres.get(proveedorId), principal: true, motivo: `Escenario ${nombre}` });
+    });
+    return resultado;
+  }
+  return filas;
+}
+
+// Filas de un tipo con las columnas en el orden de COLUMNAS_IMPORTACION
+async function leerExportacion(tipo, escenario) {
+  const columnas = Object.keys(COLUMNAS_IMPORTACION[tipo]);
+  let filas = (await pool.query(CONSULTAS_EXPORTACION[tipo])).rows;
+  if (escenario) filas = await aplicarEscenarioExportacion(tipo, filas, escenario);
+  return filas.map(fila => Object.fromEntries(columnas.map(columna => [columna, fila[columna]])));
 }
 
-// Insertar datos de prueba basados en tu flota real
-async function insertarDatosPrueba() {
+const hojaExportacion = (tipo, filas) =>
+  XLSX.utils.json_to_sheet(filas, { header: Object.keys(COLUMNAS_IMPORTACION[tipo]) });
+
+// GET /api/export?formato=json|xlsx exporta todos los tipos (un array o una
+// hoja por tipo); /api/export/:tipo uno solo, y es la única forma de pedir CSV.
+// Con un escenario activo se exportan sus datos, salvo con `?base=true`.
+app.get(['/api/export', '/api/export/:tipo'], async (req, res) => {
   try {
-    // Verificar si ya existen datos
-    const existingProviders = await pool.query('SELECT COUNT(*) FROM proveedores');
-    if (parseInt(existingProviders.rows[0].count) > 0) {
-      // Verificar si ya hay vehículos
-      const existingVehicles = await pool.query('SELECT COUNT(*) FROM vehiculos');
-      if (parseInt(existingVehicles.rows[0].count) > 0) {
-        console.log('✅ Datos de prueba ya existen');
-        return;
-      }
+    const formato = (req.query.formato || 'json').toLowerCase();
+    const { tipo } = req.params;
+    if (!FORMATOS_EXPORTACION[formato]) {
+      return res.status(400).json({ error: `Formato no soportado: ${formato} (${Object.keys(FORMATOS_EXPORTACION).join(', ')})` });
     }
-    
-    // Insertar proveedores principales
-    const proveedores = [
-      'TTES BARA', 'GERMANS SARDA', 'IBARZO', 'TESO', 
-      'TRANSMEDALLO', 'SANTIAGO LOZANO', 'TTES AGUSTIN', 
-      'TTES RODRIGUEZ', 'DRA', 'TRANSMEDITERRANEA'
-    ];
-    
-    for (let proveedor of proveedores) {
-      await pool.query(
-        'INSERT INTO proveedores (nombre) VALUES ($1) ON CONFLICT DO NOTHING',
-        [proveedor]
-      );
+    if (tipo && !CONSULTAS_EXPORTACION[tipo]) {
+      return res.status(404).json({ error: `Tipo no exportable: ${tipo} (${ORDEN_IMPORTACION.join(', ')})` });
     }
-    
-    // Insertar tipos de vehículo
-    const tipos = [
-      '3.5 TONELADAS', '7.5 TONELADAS', '12 TONELADAS', '18 TONELADAS',
-      'TREN DE CARRETERA', 'DOBLE PISO', 'TRAILER'
-    ];
-    
-    for (let tipo of tipos) {
-      await pool.query(
-        'INSERT INTO tipos_vehiculo (nombre) VALUES ($1) ON CONFLICT DO NOTHING',
-        [tipo]
-      );
+    if (formato === 'csv' && !tipo) {
+      return res.status(400).json({ error: 'Un CSV solo admite un tipo: usa /api/export/:tipo?formato=csv' });
     }
-    
-    // Obtener IDs de proveedores y tipos
-    const proveedoresIds = await pool.query('SELECT id, nombre FROM proveedores');
-    const tiposIds = await pool.query('SELECT id, nombre FROM tipos_vehiculo');
-    
-    const proveedorMap = {};
-    proveedoresIds.rows.forEach(p => proveedorMap[p.nombre] = p.id);
-    
-    const tipoMap = {};
-    tiposIds.rows.forEach(t => tipoMap[t.nombre] = t.id);
-    
-    // Insertar vehículos basados en tu flota real exacta
-    const vehiculos = [
-      // TTES BARA - 5 vehículos exactos
-      { numero: 7, proveedor: 'TTES BARA', nombre: 'TTES BARA - 007', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 8, proveedor: 'TTES BARA', nombre: 'TTES BARA - 008', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 13, proveedor: 'TTES BARA', nombre: 'TTES BARA - 013', tipo: '18 TONELADAS', capacidad: 30 },
-      { numero: 14, proveedor: 'TTES BARA', nombre: 'TTES BARA - 014', tipo: '18 TONELADAS', capacidad: 30 },
-      { numero: 20, proveedor: 'TTES BARA', nombre: 'TTES BARA - 020', tipo: '7.5 TONELADAS', capacidad: 17 },
-      
-      // GERMANS SARDA - según tu Excel
-      { numero: 2, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 002', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 3, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 003', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 4, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 004', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 5, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 005', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      { numero: 6, proveedor: 'GERMANS SARDA', nombre: 'GERMANS SARDA - 006', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      
-      // IBARZO - según tu Excel  
-      { numero: 30, proveedor: 'IBARZO', nombre: 'IBARZO - 030', tipo: 'TREN DE CARRETERA', capacidad: 63 },
-      
-      // TESO - según tu Excel
-      { numero: 9, proveedor: 'TESO', nombre: 'TESO - 009', tipo: 'TREN DE CARRETERA', capacidad: 60 },
-      { numero: 11, proveedor: 'TESO', nombre: 'TESO - 011', tipo: '18 TONELADAS', capacidad: 48 },
-      { numero: 12, proveedor: 'TESO', nombre: 'TESO - 012', tipo: '18 TONELADAS', capacidad: 30 },
-      { numero: 16, proveedor: 'TESO', nombre: 'TESO - 016', tipo: '12 TONELADAS', capacidad: 24 }
-    ];
-    
-    for (let vehiculo of vehiculos) {
-      const proveedorId = proveedorMap[vehiculo.proveedor];
-      const tipoId = tipoMap[vehiculo.tipo];
-      
-      if (proveedorId && tipoId) {
-        await pool.query(`
-          INSERT INTO vehiculos (numero_camion, proveedor_id, nombre_corto, tipo_pago, tipo_vehiculo_id, capacidad_combis)
-          VALUES ($1, $2, $3, $4, $5, $6)
-          ON CONFLICT (numero_camion) DO NOTHING
-        `, [vehiculo.numero, proveedorId, vehiculo.nombre, 'por_combi', tipoId, vehiculo.capacidad]);
-      }
+
+    const escenario = await escenarioDePeticion(req);
+    const tipos = tipo ? [tipo] : ORDEN_IMPORTACION;
+    const datos = {};
+    for (let t of tipos) {
+      datos[t] = await leerExportacion(t, escenario);
     }
-    
-    // Insertar algunas tiendas de prueba
-    const tiendas = [
-      { codigo: '60318', nombre: 'Artés', provincia: 'BARCELONA', combis: 5.2 },
-      { codigo: '60445', nombre: 'Cervelló', provincia: 'BARCELONA', combis: 8.1 },
-      { codigo: '60446', nombre: 'Corbera de Llobregat', provincia: 'BARCELONA', combis: 6.3 },
-      { codigo: '60481', nombre: 'Manresa', provincia: 'BARCELONA', combis: 7.8 },
-      { codigo: '60485', nombre: 'Polinyà', provincia: 'BARCELONA', combis: 4.9 },
-      { codigo: '60489', nombre: 'Ripollet', provincia: 'BARCELONA', combis: 5.7 },
-      { codigo: '60078', nombre: 'María de Huerva', provincia: 'ZARAGOZA', combis: 6.2 },
-      { codigo: '60084', nombre: 'Quinto', provincia: 'ZARAGOZA', combis: 4.1 },
-      { codigo: '60093', nombre: 'Zaragoza', provincia: 'ZARAGOZA', combis: 12.3 }
-    ];
-    
-    for (let tienda of tiendas) {
-      await pool.query(`
-        INSERT INTO tiendas (codigo, nombre, provincia, combis_promedio)
-        VALUES ($1, $2, $3, $4)
-        ON CONFLICT (codigo) DO NOTHING
-      `, [tienda.codigo, tienda.nombre, tienda.provincia, tienda.combis]);
+
+    let contenido;
+    if (formato === 'json') {
+      contenido = JSON.stringify({
+        exportado: new Date().toISOString(),
+        ...(escenario && { escenario: escenario.nombre }),
+        ...datos
+      }, null, 2);
+    } else if (formato === 'csv') {
+      // Con BOM para que Excel abra bien los acentos; la importación lo descarta
+      contenido = '\ufeff' + XLSX.utils.sheet_to_csv(hojaExportacion(tipo, datos[tipo]));
+    } else {
+      const libro = XLSX.utils.book_new();
+      tipos.forEach(t => XLSX.utils.book_append_sheet(libro, hojaExportacion(t, datos[t]), t));
+      contenido = XLSX.write(libro, { type: 'buffer', bookType: 'xlsx' });
     }
+
+    const fecha = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', FORMATOS_EXPORTACION[formato]);
+    res.setHeader('Content-Disposition', `attachment; filename="${tipo || 'datos'}-${fecha}.${formato}"`);
+    res.send(contenido);
+  } catch (error) {
+    responderError(res, error, 'Error al exportar datos');
+  }
+});
+
+// ==================== INICIALIZACIÓN ====================
+
+// El esquema se define en migrations/ (ver migrate.js). Al arrancar se aplican
+// las pendientes salvo con MIGRAR_AL_ARRANCAR=false, para desplegar migrando
+// aparte con `npm run migrate`. Los datos de prueba ya no se insertan solos: `npm run seed`
+async function initializeDatabase() {
+  try {
+    // Verificar conexión primero
+    await pool.query('SELECT NOW()');
+    console.log('✅ Conexión a PostgreSQL exitosa');
     
-    // Crear tabla de relación tienda-proveedor si no existe
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS tienda_proveedores (
-        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        tienda_id UUID REFERENCES tiendas(id),
-        proveedor_id UUID REFERENCES proveedores(id),
-        motivo VARCHAR(255)
-      )
-    `);
-    
-    // Asignar tiendas a proveedores
-    const asignaciones = [
-      { proveedor: 'TTES BARA', tiendas: ['60318', '60445', '60446', '60481'] },
-      { proveedor: 'GERMANS SARDA', tiendas: ['60485', '60489'] },
-      { proveedor: 'IBARZO', tiendas: ['60078', '60084', '60093'] }
-    ];
-    
-    for (let asignacion of asignaciones) {
-      const proveedorId = proveedorMap[asignacion.proveedor];
-      
-      for (let codigoTienda of asignacion.tiendas) {
-        const tiendaResult = await pool.query('SELECT id FROM tiendas WHERE codigo = $1', [codigoTienda]);
-        if (tiendaResult.rows.length > 0) {
-          const tiendaId = tiendaResult.rows[0].id;
-          await pool.query(`
-            INSERT INTO tienda_proveedores (tienda_id, proveedor_id, motivo)
-            VALUES ($1, $2, $3)
-            ON CONFLICT DO NOTHING
-          `, [tiendaId, proveedorId, 'Asignación de prueba']);
-        }
-      }
+    // Una migración fallida no impide entrar: el administrador inicial solo
+    // necesita la tabla de usuarios, y las pendientes se avisan en el log
+    if (process.env.MIGRAR_AL_ARRANCAR !== 'false') {
+      await migrar(pool).catch(error => console.error('⚠️ Error aplicando migraciones:', error.message));
+    }
+    const pendientes = (await estadoMigraciones(pool)).filter(migracion => !migracion.aplicada);
+    if (pendientes.length) {
+      console.log(`⚠️ Migraciones pendientes: ${pendientes.map(m => `${m.version}_${m.nombre}`).join(', ')}`);
     }
     
-    console.log('✅ Datos de prueba insertados - Vehículos y tiendas añadidos');
+    await crearAdministradorInicial();
+    console.log('✅ Base de datos inicializada correctamente');
     
   } catch (error) {
-    console.error('Error insertando datos de prueba:', error);
+    console.error('⚠️ Error inicializando base de datos:', error.message);
+    console.log('🔄 Servidor continuará sin base de datos (modo demo)');
   }
 }
 
@@ -740,4 +5138,25 @@ async function startServer() {
   }
 }
 
-startServer();
\ No newline at end of file
+// Solo arranca con `node server.js`: los tests cargan el módulo para probar
+// la API y los algoritmos sin levantar el servidor
+if (require.main === module) startServer();
+
+module.exports = {
+  puedeAcceder,
+  calcularMatrizDistancias,
+  evaluarHorario,
+  TIEMPOS_POR_DEFECTO,
+  optimizarRutasBasico,
+  optimizarRutasSavings,
+  mejorarRutasBusquedaLocal,
+  costeSolucion,
+  dividirTiendasGrandes,
+  repartirEnHuecos,
+  ORDEN_IMPORTACION,
+  importarHojas,
+  hojasDeJson,
+  leerExportacion,
+  conTransaccion,
+  borrarTodosLosDatos
+};
\ No newline at end of file
@@ -0,0 +1,73 @@
+// exportacion.test.js - Exportar todos los datos e importarlos de nuevo (PostgreSQL real)
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { iniciarPostgres } = require('./postgres');
+
+let postgres;
+let pool;
+let servidor;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  postgres = await iniciarPostgres();
+  // db.js crea el pool con DATABASE_URL al cargarse
+  process.env.DATABASE_URL = postgres.url;
+  ({ pool } = require('../db'));
+  servidor = require('../server');
+
+  await require('../migrate').migrar(pool);
+  await require('../seeds/datos-prueba').insertarDatosPrueba(pool);
+  await pool.query(`
+    INSERT INTO pedidos (tienda_id, fecha, combis)
+    SELECT id, DATE '2026-10-20' + (ROW_NUMBER() OVER (ORDER BY codigo))::int, 3.5 FROM tiendas
+  `);
+});
+
+after(async () => {
+  if (pool) await pool.end();
+  if (postgres) await postgres.parar();
+});
+
+// El mismo documento que GET /api/export?formato=json
+const exportarTodo = async () => {
+  const documento = { exportado: new Date().toISOString() };
+  for (const tipo of servidor.ORDEN_IMPORTACION) {
+    documento[tipo] = await servidor.leerExportacion(tipo);
+  }
+  return documento;
+};
+
+const importar = documento => servidor.conTransaccion(cliente =>
+  servidor.importarHojas(cliente, servidor.hojasDeJson(JSON.parse(JSON.stringify(documento)), 'datos')));
+
+const sinFecha = ({ exportado, ...datos }) => datos;
+
+const erroresDe = informe => informe.hojas.flatMap(hoja => hoja.errores);
+
+test('importar la exportación en una base vacía deja los mismos datos', async () => {
+  const original = await exportarTodo();
+  for (const tipo of servidor.ORDEN_IMPORTACION) assert.ok(original[tipo].length, `sin filas de ${tipo}`);
+
+  await servidor.conTransaccion(servidor.borrarTodosLosDatos);
+  const vacia = sinFecha(await exportarTodo());
+  assert.ok(Object.values(vacia).every(filas => !filas.length));
+
+  const informe = await importar(original);
+  assert.deepEqual(erroresDe(informe), []);
+  assert.deepEqual(informe.hojas.map(hoja => hoja.tipo), servidor.ORDEN_IMPORTACION);
+  assert.deepEqual(sinFecha(await exportarTodo()), sinFecha(original));
+});
+
+test('volver a importar la misma exportación no duplica nada', async () => {
+  const antes = await exportarTodo();
+  const totales = async () => (await pool.query(`
+    SELECT (SELECT COUNT(*) FROM proveedores)::int as proveedores, (SELECT COUNT(*) FROM tiendas)::int as tiendas,
+      (SELECT COUNT(*) FROM vehiculos)::int as vehiculos, (SELECT COUNT(*) FROM tienda_horarios)::int as horarios
+  `)).rows[0];
+  const totalesAntes = await totales();
+
+  assert.deepEqual(erroresDe(await importar(antes)), []);
+  assert.deepEqual(await totales(), totalesAntes);
+  assert.deepEqual(sinFecha(await exportarTodo()), sinFecha(antes));
+});
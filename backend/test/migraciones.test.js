@@ -0,0 +1,84 @@
+// migraciones.test.js - Migraciones up/down sobre un PostgreSQL real
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Pool } = require('pg');
+
+const { iniciarPostgres } = require('./postgres');
+const { migrar, revertir, estadoMigraciones } = require('../migrate');
+const { fusionarProveedoresDuplicados } = require('../proveedores-duplicados');
+const { insertarDatosPrueba } = require('../seeds/datos-prueba');
+
+let postgres;
+let pool;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  postgres = await iniciarPostgres();
+  pool = new Pool({ connectionString: postgres.url });
+});
+
+after(async () => {
+  if (pool) await pool.end();
+  if (postgres) await postgres.parar();
+});
+
+const aplicadas = async () => (await estadoMigraciones(pool)).filter(m => m.aplicada).map(m => m.version);
+
+const existeTabla = async tabla =>
+  (await pool.query('SELECT to_regclass($1) IS NOT NULL as existe', [tabla])).rows[0].existe;
+
+test('aplica todas las migraciones una vez y las revierte en orden inverso', async () => {
+  const todas = (await estadoMigraciones(pool)).map(m => m.version);
+
+  assert.deepEqual((await migrar(pool)).map(m => m.version), todas);
+  assert.deepEqual(await aplicadas(), todas);
+  assert.deepEqual(await migrar(pool), []);
+
+  const revertidas = await revertir(pool, { pasos: todas.length });
+  assert.deepEqual(revertidas.map(m => m.version), [...todas].reverse());
+  assert.deepEqual(await aplicadas(), []);
+  for (const tabla of ['proveedores', 'tiendas', 'usuarios', 'auditoria']) {
+    assert.equal(await existeTabla(tabla), false, tabla);
+  }
+});
+
+test('cada migración se revierte y se vuelve a aplicar con datos', async () => {
+  await migrar(pool);
+  await insertarDatosPrueba(pool);
+  const todas = await aplicadas();
+  const tiendas = (await pool.query('SELECT COUNT(*)::int as total FROM tiendas')).rows[0].total;
+
+  // De la última a la 002 (la 001 borra las tablas con los datos)
+  for (let i = todas.length - 1; i >= 1; i--) {
+    await revertir(pool);
+    assert.deepEqual(await aplicadas(), todas.slice(0, i));
+    await migrar(pool, { hasta: todas[i] });
+    assert.deepEqual(await aplicadas(), todas.slice(0, i + 1));
+    await revertir(pool);
+  }
+  assert.equal((await pool.query('SELECT COUNT(*)::int as total FROM tiendas')).rows[0].total, tiendas);
+
+  await revertir(pool);
+  assert.deepEqual(await aplicadas(), []);
+});
+
+test('la 005 se detiene con proveedores duplicados hasta que se fusionan', async () => {
+  await migrar(pool, { hasta: 4 });
+  await pool.query("INSERT INTO proveedores (nombre) VALUES ('Trans Norte'), ('TRANS NORTE')");
+
+  await assert.rejects(migrar(pool), /TRANS NORTE \(2\).*node migrate\.js fusionar-proveedores/);
+  assert.deepEqual(await aplicadas(), [1, 2, 3, 4]);
+
+  const cliente = await pool.connect();
+  try {
+    await fusionarProveedoresDuplicados(cliente);
+  } finally {
+    cliente.release();
+  }
+  await migrar(pool);
+  assert.deepEqual(await aplicadas(), [1, 2, 3, 4, 5]);
+  assert.equal((await pool.query('SELECT COUNT(*)::int as total FROM proveedores')).rows[0].total, 1);
+  await assert.rejects(pool.query("INSERT INTO proveedores (nombre) VALUES ('trans norte')"), { code: '23505' });
+
+  await revertir(pool, { pasos: 5 });
+});
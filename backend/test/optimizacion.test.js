@@ -0,0 +1,286 @@
+// optimizacion.test.js - Algoritmos de rutas sobre datos en memoria (sin base de datos)
+const { test, describe, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  calcularMatrizDistancias,
+  evaluarHorario,
+  TIEMPOS_POR_DEFECTO,
+  optimizarRutasBasico,
+  optimizarRutasSavings,
+  mejorarRutasBusquedaLocal,
+  costeSolucion,
+  dividirTiendasGrandes,
+  repartirEnHuecos
+} = require('../server');
+
+// Los algoritmos van contando por consola cada paso
+before(() => mock.method(console, 'log', () => {}));
+
+const deposito = { id: 'almacen', nombre: 'Almacén', latitud: 0, longitud: 0 };
+
+const tienda = (id, latitud, longitud, combis) => ({ id, nombre: id, latitud, longitud, combis_promedio: combis });
+
+const vehiculo = (id, capacidad) => ({
+  id,
+  nombre_corto: id,
+  numero_camion: id,
+  capacidad_combis: capacidad,
+  proveedor_id: 'proveedor'
+});
+
+// Distancia en el plano: los kilómetros se pueden calcular a mano
+const distanciaPlana = (a, b) => Math.hypot(a.latitud - b.latitud, a.longitud - b.longitud);
+
+const crearContexto = (tiendas, extra = {}) => ({
+  deposito,
+  matriz: calcularMatrizDistancias([deposito, ...tiendas], distanciaPlana),
+  horario: null,
+  objetivo: 'distancia',
+  ...extra
+});
+
+const idsServidos = rutas => rutas.flatMap(ruta => ruta.tiendas.map(parada => parada.id)).sort();
+
+const comprobarCapacidad = rutas => rutas.forEach(ruta => {
+  assert.ok(ruta.capacidad_usada <= ruta.capacidad_maxima, `${ruta.vehiculo_id} supera su capacidad`);
+});
+
+// Dos zonas a lados opuestos del almacén, con 15 combis cada una
+const zonaEste = [tienda('e1', 10, 0, 5), tienda('e2', 11, 1, 5), tienda('e3', 11, -1, 5)];
+const zonaOeste = [tienda('o1', -10, 0, 5), tienda('o2', -11, 1, 5), tienda('o3', -11, -1, 5)];
+
+describe('savings (Clarke-Wright)', () => {
+  test('agrupa en un camión las tiendas de cada zona', () => {
+    const tiendas = [...zonaEste, ...zonaOeste];
+    const rutas = optimizarRutasSavings(tiendas, [vehiculo('v1', 15), vehiculo('v2', 15)], crearContexto(tiendas));
+
+    assert.deepEqual(idsServidos(rutas), tiendas.map(t => t.id).sort());
+    const zonas = rutas.map(ruta => new Set(ruta.tiendas.map(parada => parada.id[0])));
+    assert.deepEqual(zonas.map(zona => [...zona]).sort(), [['e'], ['o']]);
+  });
+
+  test('respeta la capacidad de cada camión y sirve cada tienda una vez', () => {
+    const tiendas = Array.from({ length: 12 }, (_, i) => tienda(`t${i}`, (i % 4) * 3 - 4, Math.floor(i / 4) * 3 - 3, 4));
+    const rutas = optimizarRutasSavings(tiendas, [vehiculo('v1', 20), vehiculo('v2', 20), vehiculo('v3', 10)], crearContexto(tiendas));
+
+    comprobarCapacidad(rutas);
+    assert.deepEqual(idsServidos(rutas), tiendas.map(t => t.id).sort());
+  });
+
+  test('con una flota mixta limita cada unión al camión más grande que queda libre', () => {
+    // Las uniones o1-o2 (13 combis) y s-n (15) caben en el camión de 20, pero
+    // no las dos a la vez: la segunda se queda sin camión y sobra una tienda
+    const tiendas = [tienda('o1', -10, -6, 6), tienda('o2', -8, -8, 7), tienda('s', 3, -9, 9), tienda('n', 4, 4, 6)];
+    const rutas = optimizarRutasSavings(tiendas, [vehiculo('v1', 20), vehiculo('v2', 10)], crearContexto(tiendas));
+
+    comprobarCapacidad(rutas);
+    assert.deepEqual(idsServidos(rutas), ['n', 'o1', 'o2', 's']);
+  });
+
+  test('deja fuera la tienda que no cabe en ningún camión y devuelve los camiones libres', () => {
+    const tiendas = [...zonaEste, tienda('enorme', 5, 5, 40)];
+    const rutas = optimizarRutasSavings(tiendas, [vehiculo('v1', 20), vehiculo('v2', 20)], crearContexto(tiendas));
+
+    assert.equal(rutas.length, 2);
+    assert.deepEqual(idsServidos(rutas), ['e1', 'e2', 'e3']);
+    assert.equal(rutas.filter(ruta => !ruta.tiendas.length).length, 1);
+  });
+
+  test('calcula los kilómetros de la ruta saliendo y volviendo al almacén', () => {
+    const tiendas = [tienda('a', 3, 0, 1), tienda('b', 3, 4, 1)];
+    const [ruta] = optimizarRutasSavings(tiendas, [vehiculo('v1', 10)], crearContexto(tiendas, { regreso: true }));
+
+    // 3 + 4 + 5 en línea recta, por el factor de carretera (1,3)
+    assert.equal(ruta.distancia_km, 15.6);
+    assert.deepEqual(ruta.tiendas.map(parada => parada.orden), [1, 2]);
+  });
+});
+
+describe('ventanas horarias', () => {
+  // 60 km entre cualquier par de puntos: a 60 km/h, una hora de viaje
+  const contextoHorario = ventanas => ({
+    deposito,
+    matriz: { distancia: () => 60 },
+    horario: { ventanas: new Map(Object.entries(ventanas)), tiempos: { ...TIEMPOS_POR_DEFECTO } }
+  });
+  const ventana = (inicio, fin, adaptable = false) => ({ inicio: inicio * 60, fin: fin * 60, adaptable });
+
+  test('espera a que abra la ventana', () => {
+    const evaluacion = evaluarHorario([tienda('a', 0, 0, 5)], contextoHorario({ a: [ventana(8, 10)] }));
+
+    assert.equal(evaluacion.factible, true);
+    assert.equal(evaluacion.paradas[0].llegada, 7 * 60);
+    assert.equal(evaluacion.paradas[0].espera, 60);
+    // 15 min de parada + 2 min por combi y una hora de vuelta
+    assert.equal(evaluacion.regreso, 8 * 60 + 25 + 60);
+  });
+
+  test('usa la primera ventana que aún no ha cerrado', () => {
+    const evaluacion = evaluarHorario([tienda('a', 0, 0, 5)], contextoHorario({ a: [ventana(6, 6.5), ventana(9, 10)] }));
+
+    assert.equal(evaluacion.paradas[0].inicioDescarga, 9 * 60);
+  });
+
+  test('una ventana estricta incumplida hace la ruta inviable', () => {
+    const evaluacion = evaluarHorario([tienda('a', 0, 0, 5)], contextoHorario({ a: [ventana(6, 6.5)] }));
+
+    assert.equal(evaluacion.factible, false);
+    assert.equal(evaluacion.tienda.id, 'a');
+    assert.match(evaluacion.motivo, /07:00 fuera de la ventana 06:00-06:30/);
+  });
+
+  test('una ventana adaptable se puede incumplir con penalización por minuto', () => {
+    const evaluacion = evaluarHorario([tienda('a', 0, 0, 5)], contextoHorario({ a: [ventana(6, 6.5, true)] }));
+
+    assert.equal(evaluacion.factible, true);
+    assert.equal(evaluacion.retraso_minutos, 30);
+    assert.equal(evaluacion.penalizacion, 30 * TIEMPOS_POR_DEFECTO.penalizacion_minuto);
+  });
+
+  test('savings no une tiendas si la segunda llegaría tarde', () => {
+    // Cada una está a unos 52 km (52 min): juntas, la segunda llega pasadas las 07:00
+    const tiendas = [tienda('a', 40, 0, 5), tienda('b', 40, 5, 5)];
+    const horario = { ventanas: new Map([['a', [ventana(6, 7)]], ['b', [ventana(6, 7)]]]), tiempos: { ...TIEMPOS_POR_DEFECTO } };
+    const contexto = crearContexto(tiendas, { horario });
+    const rutas = optimizarRutasSavings(tiendas, [vehiculo('v1', 20), vehiculo('v2', 20)], contexto);
+
+    assert.deepEqual(rutas.map(ruta => ruta.tiendas.length), [1, 1]);
+    rutas.forEach(ruta => {
+      assert.equal(evaluarHorario(ruta.tiendas, contexto).factible, true);
+      assert.ok(ruta.tiendas[0].hora_llegada <= '07:00');
+    });
+  });
+});
+
+describe('búsqueda local', () => {
+  // FFD reparte por demanda sin mirar la distancia: con las zonas intercaladas
+  // cada camión acaba yendo a las dos
+  const planInicial = () => {
+    const tiendas = zonaEste.flatMap((este, i) => [este, zonaOeste[i]]);
+    const contexto = crearContexto(tiendas);
+    return { tiendas, contexto, rutas: optimizarRutasBasico(tiendas, [vehiculo('v1', 15), vehiculo('v2', 15)], contexto) };
+  };
+
+  test('mejora el objetivo sin perder tiendas ni superar la capacidad', () => {
+    const { tiendas, contexto, rutas } = planInicial();
+    const resultado = mejorarRutasBusquedaLocal(rutas, contexto);
+
+    assert.ok(resultado.objetivo_final < resultado.objetivo_inicial);
+    assert.ok(Math.abs(costeSolucion(rutas, contexto) - resultado.objetivo_final) < 0.1);
+    assert.deepEqual(idsServidos(rutas), tiendas.map(t => t.id).sort());
+    comprobarCapacidad(rutas);
+    rutas.forEach(ruta => assert.equal(new Set(ruta.tiendas.map(parada => parada.id[0])).size, 1));
+  });
+
+  test('cuenta como iteración cada pasada, haya mejora o no', () => {
+    const { contexto, rutas } = planInicial();
+    const resultado = mejorarRutasBusquedaLocal(rutas, contexto);
+
+    // La última pasada es la que ya no encuentra nada
+    assert.ok(resultado.mejoras > 0);
+    assert.equal(resultado.iteraciones, resultado.mejoras + 1);
+  });
+
+  test('se detiene al llegar a max_iteraciones', () => {
+    const { contexto, rutas } = planInicial();
+    const resultado = mejorarRutasBusquedaLocal(rutas, contexto, { max_iteraciones: 1 });
+
+    assert.equal(resultado.iteraciones, 1);
+    assert.equal(resultado.mejoras, 1);
+  });
+
+  test('sin tiempo no toca las rutas', () => {
+    const { contexto, rutas } = planInicial();
+    const antes = rutas.map(ruta => ruta.tiendas.map(parada => parada.id));
+    const resultado = mejorarRutasBusquedaLocal(rutas, contexto, { tiempo_maximo_ms: 0 });
+
+    assert.equal(resultado.iteraciones, 0);
+    assert.equal(resultado.objetivo_final, resultado.objetivo_inicial);
+    assert.deepEqual(rutas.map(ruta => ruta.tiendas.map(parada => parada.id)), antes);
+  });
+});
+
+describe('entregas divididas', () => {
+  const combisEntregados = (rutas, id) => rutas
+    .flatMap(ruta => ruta.tiendas)
+    .filter(parada => (parada.tienda_original_id || parada.id) === id)
+    .reduce((sum, parada) => sum + Number(parada.combis_promedio), 0);
+
+  test('trocea en partes iguales la tienda que no cabe en ningún camión', () => {
+    const grande = tienda('grande', 5, 0, 50);
+    const contexto = crearContexto([grande]);
+    const partes = dividirTiendasGrandes([grande], 20, { minimo_combis: 5 }, contexto.matriz);
+
+    assert.deepEqual(partes.map(parte => parte.id), ['grande#1', 'grande#2', 'grande#3']);
+    partes.forEach(parte => {
+      assert.equal(parte.tienda_original_id, 'grande');
+      assert.equal(parte.combis_total, 50);
+      assert.equal(parte.combis_promedio, 16.67);
+      // Cada parte está donde la tienda original
+      assert.equal(contexto.matriz.distancia('almacen', parte.id), contexto.matriz.distancia('almacen', 'grande'));
+    });
+  });
+
+  test('no divide si las partes quedarían por debajo del mínimo', () => {
+    const justa = tienda('justa', 5, 0, 21);
+    const pequena = tienda('pequena', 5, 0, 10);
+    const contexto = crearContexto([justa, pequena]);
+
+    assert.deepEqual(dividirTiendasGrandes([justa, pequena], 20, { minimo_combis: 15 }, contexto.matriz), [justa, pequena]);
+  });
+
+  test('las partes se planifican en camiones distintos y suman la demanda', () => {
+    const tiendas = [tienda('grande', 5, 0, 50)];
+    const contexto = crearContexto(tiendas);
+    const partes = dividirTiendasGrandes(tiendas, 20, { minimo_combis: 5 }, contexto.matriz);
+    const rutas = optimizarRutasSavings(partes, [vehiculo('v1', 20), vehiculo('v2', 20), vehiculo('v3', 20)], contexto);
+
+    comprobarCapacidad(rutas);
+    assert.deepEqual(rutas.map(ruta => ruta.tiendas.length), [1, 1, 1]);
+    assert.ok(Math.abs(combisEntregados(rutas, 'grande') - 50) < 0.1);
+  });
+
+  test('cada parte respeta la ventana estricta de su tienda', () => {
+    // A 52 km (llegada 06:52) con ventana hasta las 07:00: tras descargar una
+    // parte (15 + 40 min) la otra ya llegaría tarde, aunque quepan juntas
+    const tiendas = [tienda('grande', 40, 0, 40)];
+    const horario = {
+      ventanas: new Map([['grande', [{ inicio: 6 * 60, fin: 7 * 60, adaptable: false }]]]),
+      tiempos: { ...TIEMPOS_POR_DEFECTO }
+    };
+    const contexto = crearContexto(tiendas, { horario });
+    const partes = dividirTiendasGrandes(tiendas, 25, { minimo_combis: 5 }, contexto.matriz);
+
+    assert.equal(evaluarHorario(partes, contexto).factible, false);
+    const rutas = optimizarRutasSavings(partes, [vehiculo('v1', 40), vehiculo('v2', 40)], contexto);
+    assert.deepEqual(rutas.map(ruta => ruta.tiendas.length), [1, 1]);
+    rutas.forEach(ruta => assert.equal(ruta.tiendas[0].ventana.fin, '07:00'));
+  });
+
+  // Dos camiones de 20 con 12 combis cada uno: quedan 8 libres en cada uno
+  const planConHuecos = combisPendientes => {
+    const servidas = [tienda('a', 5, 0, 12), tienda('b', -5, 0, 12)];
+    const pendiente = tienda('c', 0, 5, combisPendientes);
+    const contexto = crearContexto([...servidas, pendiente]);
+    const rutas = optimizarRutasSavings(servidas, [vehiculo('v1', 20), vehiculo('v2', 20)], contexto);
+    return { rutas, contexto, pendiente };
+  };
+
+  test('reparte una tienda sin camión entre los huecos de las rutas', () => {
+    const { rutas, contexto, pendiente } = planConHuecos(14);
+    repartirEnHuecos([pendiente], rutas, contexto, { minimo_combis: 5 });
+
+    comprobarCapacidad(rutas);
+    assert.equal(combisEntregados(rutas, 'c'), 14);
+    assert.deepEqual(rutas.map(ruta => ruta.tiendas.some(parada => parada.tienda_original_id === 'c')), [true, true]);
+  });
+
+  test('si los huecos no cubren toda la demanda la tienda queda sin asignar', () => {
+    const { rutas, contexto, pendiente } = planConHuecos(20);
+    repartirEnHuecos([pendiente], rutas, contexto, { minimo_combis: 5 });
+
+    assert.equal(combisEntregados(rutas, 'c'), 0);
+    assert.deepEqual(idsServidos(rutas), ['a', 'b']);
+  });
+});
@@ -0,0 +1,45 @@
+// permisos.test.js - Qué puede pedir cada rol (puedeAcceder)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { puedeAcceder } = require('../server');
+
+const PROVEEDOR = '6f1c2a9e-0000-4000-8000-000000000001';
+const OTRO_PROVEEDOR = '6f1c2a9e-0000-4000-8000-000000000002';
+
+const usuario = (rol, proveedorId = null) => ({ id: 'usuario', rol, proveedor_id: proveedorId });
+
+// [método, ruta, admin, planificador, consulta, transportista]
+const CASOS = [
+  ['GET', '/api/admin/copia', true, false, false, false],
+  ['POST', '/api/admin/limpiar-datos', true, false, false, false],
+  ['GET', '/api/usuarios', true, false, false, false],
+  ['GET', '/api/auth/yo', true, true, true, true],
+  ['PUT', '/api/auth/password', true, true, true, true],
+  ['POST', '/api/optimizar', true, true, false, false],
+  ['DELETE', '/api/vehiculos/1', true, true, false, false],
+  ['GET', '/api/escenarios', true, true, true, false],
+  ['POST', '/api/rutas/validar', true, true, true, false],
+  ['POST', '/api/rutas/hojas', true, true, true, true],
+  ['GET', '/api/vehiculos', true, true, true, true],
+  ['GET', '/api/vehiculos/1', true, true, true, true],
+  ['GET', '/api/optimizaciones', true, true, true, true],
+  ['GET', '/api/optimizaciones/1', true, true, true, false],
+  ['GET', `/api/proveedores/${PROVEEDOR}/tiendas`, true, true, true, true],
+  ['GET', `/api/proveedores/${OTRO_PROVEEDOR}/tiendas`, true, true, true, false],
+  ['PUT', `/api/proveedores/${PROVEEDOR}`, true, true, false, false]
+];
+
+const ROLES = ['admin', 'planificador', 'consulta', 'transportista'];
+
+for (const [metodo, ruta, ...permitido] of CASOS) {
+  test(`${metodo} ${ruta}`, () => {
+    ROLES.forEach((rol, i) => {
+      assert.equal(puedeAcceder(usuario(rol, PROVEEDOR), metodo, ruta), permitido[i], rol);
+    });
+  });
+}
+
+test('el transportista sin proveedor no ve los datos de ninguno', () => {
+  assert.equal(puedeAcceder(usuario('transportista'), 'GET', `/api/proveedores/${PROVEEDOR}/vehiculos`), false);
+});
@@ -1,43 +1,287 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 
 // URL del backend API
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+const DIAS_SEMANA = ['Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado', 'Domingo'];
+
+const ALGORITMOS = [
+  { value: 'savings', label: 'Ahorros (Clarke-Wright)' },
+  { value: 'savings+ls', label: 'Ahorros + búsqueda local' },
+  { value: 'ffd', label: 'First Fit Decreasing' },
+  { value: 'ffd+ls', label: 'FFD + búsqueda local' }
+];
+
+// Demanda de las tiendas sin pedido en la fecha planificada ('' = su media)
+const METODOS_PREVISION = [
+  { value: '', label: 'Combis promedio' },
+  { value: 'suavizado', label: 'Previsión: suavizado exponencial' },
+  { value: 'media_movil', label: 'Previsión: media móvil' },
+  { value: 'media_estacional', label: 'Previsión: media por día de la semana' }
+];
+
+// Formulario vacío de almacén (las horas y muelles son opcionales)
+const ALMACEN_VACIO = {
+  nombre: '', direccion: '', latitud: '', longitud: '', hora_apertura: '', hora_cierre: '', muelles: ''
+};
+
+// Escenario nuevo: los datos actuales sin cambios. Solo se guardan los
+// cambios (vehículos, demanda, reasignaciones) que se aplican al optimizar.
+const CONFIGURACION_VACIA = {
+  parametros: { proveedores: 'todos', algoritmo: 'savings', objetivo: 'distancia' },
+  vehiculos: { excluidos: [], capacidades: {} },
+  demanda: { general: 0, provincias: {} },
+  reasignaciones: {}
+};
+
+// Mapa de rutas: lienzo SVG (en unidades de pantalla) y vista inicial
+const MAPA_ANCHO = 1000;
+const MAPA_ALTO = 600;
+const MAPA_INICIAL = { ocultos: [], seleccion: null, escala: 1, dx: 0, dy: 0 };
+
+// Servidor de mosaicos opcional, p. ej. uno propio sin salida a Internet
+// (REACT_APP_MAP_TILES=http://tiles.local/{z}/{x}/{y}.png). Sin él, el mapa
+// se dibuja sobre una retícula vectorial y no depende de servicios externos.
+const MAPA_TESELAS = process.env.REACT_APP_MAP_TILES || '';
+
+// Un color por camión (se repiten si hay más rutas que colores)
+const COLORES_RUTA = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#65a30d', '#ea580c', '#4f46e5'];
+
+// Web Mercator normalizada a 0-1 (la proyección de los mosaicos de mapa)
+const proyectarMercator = (latitud, longitud) => {
+  const lat = (Math.max(-85, Math.min(85, Number(latitud))) * Math.PI) / 180;
+  return {
+    x: (Number(longitud) + 180) / 360,
+    y: (1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2,
+  };
+};
+
+const latitudMercator = y => (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI;
+
+const METRICAS_ESCENARIO = {
+  vehiculos_necesarios: 'Vehículos',
+  tiendas_asignadas: 'Tiendas asignadas',
+  tiendas_no_asignadas: 'Tiendas sin asignar',
+  capacidad_usada: 'Combis',
+  eficiencia_llenado: 'Eficiencia (%)',
+  distancia_total_km: 'Km',
+  coste_total: 'Coste (€)',
+  coste_por_combi: '€/combi',
+  retraso_total_minutos: 'Retraso (min)'
+};
+
+// Vistas de la navegación y roles que las ven (los permisos los aplica el backend)
+const VISTAS = [
+  { id: 'dashboard', label: '📊 Dashboard', roles: ['admin', 'planificador', 'consulta', 'transportista'] },
+  { id: 'optimization', label: '⚡ Optimización', roles: ['admin', 'planificador', 'consulta'] },
+  { id: 'escenarios', label: '🧪 Escenarios', roles: ['admin', 'planificador', 'consulta'] },
+  { id: 'import', label: '📁 Importar / Exportar', roles: ['admin', 'planificador'] },
+  { id: 'almacenes', label: '🏭 Almacenes', roles: ['admin', 'planificador', 'consulta'] },
+  { id: 'usuarios', label: '👥 Usuarios', roles: ['admin'] },
+  { id: 'auditoria', label: '📜 Auditoría', roles: ['admin'] }
+];
+
+// Entidades por las que se puede filtrar la auditoría
+// Tipos de /api/export en el orden en que se importan
+const TIPOS_EXPORTACION = [
+  'almacenes', 'proveedores', 'tipos_vehiculo', 'tiendas', 'vehiculos', 'asignaciones', 'horarios', 'pedidos'
+];
+
+const ENTIDADES_AUDITORIA = [
+  'vehiculos', 'proveedores', 'tiendas', 'almacenes', 'tipos_vehiculo', 'pedidos', 'escenarios',
+  'optimizaciones', 'usuarios', 'plantillas_importacion', 'import', 'admin'
+];
+
+// Campos que cambian entre dos versiones de una fila de la auditoría
+const cambiosAuditoria = (antes, despues) => {
+  const campos = [...new Set([...Object.keys(antes || {}), ...Object.keys(despues || {})])];
+  return campos
+    .filter(campo => JSON.stringify(antes?.[campo]) !== JSON.stringify(despues?.[campo]))
+    .map(campo => ({ campo, antes: antes?.[campo], despues: despues?.[campo] }));
+};
+
+const valorAuditoria = (valor) => (valor === undefined || valor === null ? '—' : typeof valor === 'object' ? JSON.stringify(valor) : String(valor));
+
+// Informe de calidad de datos: estilo de cada severidad y texto de cada registro
+// afectado (tienda, vehículo o proveedor, con el dato que explica el problema)
+const SEVERIDADES = {
+  error: { icono: '⛔', clase: 'bg-red-50 text-red-700' },
+  aviso: { icono: '⚠️', clase: 'bg-yellow-50 text-yellow-700' }
+};
+
+const describirRegistroCalidad = (registro) => {
+  let texto = registro.codigo ? `${registro.codigo} - ${registro.nombre}`
+    : registro.numero_camion != null ? registro.nombre_corto || `Camión ${registro.numero_camion}`
+    : registro.nombre;
+  if (registro.proveedores) texto += ` (${registro.proveedores.map(p => p.nombre).join(', ')})`;
+  if (registro.demanda != null) {
+    texto += ` — demanda ${Number(registro.demanda).toFixed(1)} / capacidad ${Number(registro.capacidad).toFixed(0)} combis`;
+  }
+  return texto;
+};
+
+const ROLES = {
+  admin: 'Administrador',
+  planificador: 'Planificador',
+  consulta: 'Consulta',
+  transportista: 'Transportista'
+};
+
+// La sesión (token y usuario) se guarda en el navegador entre recargas
+const CLAVE_SESION = 'tms_sesion';
+
+const leerSesionGuardada = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CLAVE_SESION));
+  } catch (error) {
+    return null;
+  }
+};
+
 const App = () => {
+  // Sesión del usuario: sin ella solo se muestra el login
+  const [sesion, setSesion] = useState(leerSesionGuardada);
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' });
+  const [usuarios, setUsuarios] = useState([]);
+  const [usuarioForm, setUsuarioForm] = useState(null);
+  const [auditoria, setAuditoria] = useState(null);
+  const [filtrosAuditoria, setFiltrosAuditoria] = useState({ entidad: '', usuario: '', desde: '', hasta: '', pagina: 1 });
+  const [registroAuditoria, setRegistroAuditoria] = useState(null);
+  const token = sesion?.token;
+  const rol = sesion?.usuario.rol;
+  const puedeEditar = rol === 'admin' || rol === 'planificador';
+
   // Estados principales
   const [activeView, setActiveView] = useState('dashboard');
   const [proveedores, setProveedores] = useState([]);
   const [vehiculos, setVehiculos] = useState([]);
   const [selectedProveedor, setSelectedProveedor] = useState(null);
+  const [proveedoresOptimizacion, setProveedoresOptimizacion] = useState([]);
+  const [permitirReasignacion, setPermitirReasignacion] = useState(true);
   const [optimizationResult, setOptimizationResult] = useState(null);
+  const [diaEntrega, setDiaEntrega] = useState('');
+  const [fechaPedidos, setFechaPedidos] = useState('');
+  const [metodoPrevision, setMetodoPrevision] = useState('');
+  const [algoritmo, setAlgoritmo] = useState('savings');
+  const [objetivo, setObjetivo] = useState('distancia');
+  const [entregasDivididas, setEntregasDivididas] = useState(false);
+  const [minimoDivision, setMinimoDivision] = useState(5);
+  const [volverAlAlmacen, setVolverAlAlmacen] = useState(true);
   const [escenarios, setEscenarios] = useState([]);
+  const [almacenes, setAlmacenes] = useState([]);
+  const [almacenForm, setAlmacenForm] = useState(null);
+  const [tiposVehiculo, setTiposVehiculo] = useState([]);
+  const [tiendas, setTiendas] = useState([]);
+  const [creando, setCreando] = useState(null); // 'proveedor' | 'vehiculo' | 'tienda'
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
   // Estados para upload de archivos
   const [uploadFile, setUploadFile] = useState(null);
   const [uploadResult, setUploadResult] = useState(null);
+  const [omitirErrores, setOmitirErrores] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMapeo, setImportMapeo] = useState({});
+  const [camposImportacion, setCamposImportacion] = useState({});
+  const [plantillas, setPlantillas] = useState([]);
+  const [nombrePlantilla, setNombrePlantilla] = useState('');
+  const [historialOptimizaciones, setHistorialOptimizaciones] = useState([]);
+  const [planesTransportista, setPlanesTransportista] = useState([]);
+  const [escenarioForm, setEscenarioForm] = useState(null);
+  const [reasignacionNueva, setReasignacionNueva] = useState({ tienda_id: '', proveedor_id: '' });
+  const [escenariosComparar, setEscenariosComparar] = useState([]);
+  const [comparacion, setComparacion] = useState(null);
+  const [escenarioActivo, setEscenarioActivo] = useState(null);
+  const [resumenDashboard, setResumenDashboard] = useState(null);
+  const [usarDatosBase, setUsarDatosBase] = useState(false);
+  const [edicionRutas, setEdicionRutas] = useState(null);
+  const [mapaRutas, setMapaRutas] = useState(null);
+  const arrastreMapa = useRef(null);
+  const [errorPrevision, setErrorPrevision] = useState(null);
+  const [previsionTienda, setPrevisionTienda] = useState(null);
+  const [calidadDatos, setCalidadDatos] = useState(null);
+  const [comprobacionAbierta, setComprobacionAbierta] = useState(null);
 
-  // Cargar datos iniciales
+  // Cargar datos al iniciar sesión: el transportista solo tiene acceso a lo
+  // de su proveedor (flota, tiendas y hojas de ruta)
   useEffect(() => {
+    if (!token) return;
     loadProveedores();
     loadVehiculos();
+    loadTiendas();
+    if (rol === 'transportista') {
+      loadPlanesTransportista();
+      return;
+    }
+    loadOptimizaciones();
     loadEscenarios();
-  }, []);
+    loadAlmacenes();
+    loadTiposVehiculo();
+    loadImportacion();
+    loadEscenarioActivo();
+    loadErrorPrevision();
+    if (rol === 'admin') {
+      loadUsuarios();
+      loadAuditoria();
+      loadCalidadDatos();
+    }
+  }, [token, rol]);
+
+  const guardarSesion = (nueva) => {
+    if (nueva) {
+      localStorage.setItem(CLAVE_SESION, JSON.stringify(nueva));
+    } else {
+      localStorage.removeItem(CLAVE_SESION);
+    }
+    setSesion(nueva);
+  };
+
+  const iniciarSesion = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      const data = await apiCall('/auth/login', { method: 'POST', body: JSON.stringify(loginForm) });
+      setError(null);
+      setLoginForm({ email: '', password: '' });
+      setActiveView('dashboard');
+      guardarSesion({ token: data.token, usuario: data.usuario });
+    } catch (error) {
+      console.error('Error logging in:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cerrarSesion = () => {
+    guardarSesion(null);
+    setOptimizationResult(null);
+    setEdicionRutas(null);
+  };
+
+  // Cabecera con el token para las peticiones que no pasan por apiCall
+  const cabeceraSesion = token ? { Authorization: `Bearer ${token}` } : {};
+
+  // Los enlaces de descarga no pueden enviar cabeceras: el token va en la URL
+  const conSesion = (url) => `${url}${url.includes('?') ? '&' : '?'}token=${token}`;
 
   // Funciones de API
   const apiCall = async (endpoint, options = {}) => {
     try {
       const response = await fetch(`${API_URL}/api${endpoint}`, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...cabeceraSesion,
           ...options.headers,
         },
-        ...options,
       });
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        // El backend explica el error en `error` (validación, conflictos...)
+        const data = await response.json().catch(() => ({}));
+        // Sesión caducada o usuario dado de baja: volver al login
+        if (response.status === 401 && token) guardarSesion(null);
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
       
       return await response.json();
@@ -78,178 +322,1509 @@ const App = () => {
     }
   };
 
-  const optimizarRutas = async (proveedorId) => {
+  const loadOptimizaciones = async () => {
     try {
-      setLoading(true);
-      const result = await apiCall('/optimizar', {
-        method: 'POST',
-        body: JSON.stringify({ proveedor_id: proveedorId }),
+      const data = await apiCall('/optimizaciones?limite=20');
+      setHistorialOptimizaciones(data);
+    } catch (error) {
+      console.error('Error loading optimization history:', error);
+    }
+  };
+
+  // Planes con rutas del transportista (el backend solo devuelve fecha y su proveedor)
+  const loadPlanesTransportista = async () => {
+    try {
+      const data = await apiCall('/optimizaciones?limite=10');
+      setPlanesTransportista(data);
+    } catch (error) {
+      console.error('Error loading carrier route plans:', error);
+    }
+  };
+
+  const loadUsuarios = async () => {
+    try {
+      const data = await apiCall('/usuarios');
+      setUsuarios(data);
+    } catch (error) {
+      console.error('Error loading users:', error);
+    }
+  };
+
+  // Alta (sin id) o modificación de un usuario; la contraseña solo se envía si se escribe
+  const guardarUsuario = async (id, datos) => {
+    try {
+      const { password, ...resto } = datos;
+      await apiCall(id ? `/usuarios/${id}` : '/usuarios', {
+        method: id ? 'PATCH' : 'POST',
+        body: JSON.stringify({
+          ...resto,
+          proveedor_id: resto.rol === 'transportista' ? resto.proveedor_id : null,
+          ...(password ? { password } : {}),
+        }),
       });
-      setOptimizationResult(result);
+      setUsuarioForm(null);
+      await loadUsuarios();
     } catch (error) {
-      console.error('Error optimizing routes:', error);
+      console.error('Error saving user:', error);
+    }
+  };
+
+  const cambiarActivoUsuario = async (usuario) => {
+    try {
+      await apiCall(`/usuarios/${usuario.id}`, usuario.activo
+        ? { method: 'DELETE' }
+        : { method: 'PATCH', body: JSON.stringify({ activo: true }) });
+      await loadUsuarios();
+    } catch (error) {
+      console.error('Error changing user status:', error);
+    }
+  };
+
+  const loadAuditoria = async (filtros = filtrosAuditoria) => {
+    try {
+      const params = new URLSearchParams(Object.entries({ ...filtros, limite: 50 }).filter(([, valor]) => valor !== ''));
+      const data = await apiCall(`/admin/auditoria?${params}`);
+      setFiltrosAuditoria(filtros);
+      setAuditoria(data);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+    }
+  };
+
+  const loadCalidadDatos = async () => {
+    try {
+      const data = await apiCall('/admin/calidad');
+      setCalidadDatos(data);
+    } catch (error) {
+      console.error('Error loading data quality report:', error);
+    }
+  };
+
+  // Error de la previsión de demanda frente a los pedidos de las últimas 4 semanas
+  const loadErrorPrevision = async () => {
+    try {
+      const data = await apiCall('/prevision/error?dias=28');
+      setErrorPrevision(data);
+    } catch (error) {
+      console.error('Error loading forecast error:', error);
+    }
+  };
+
+  const verPrevisionTienda = async (tiendaId) => {
+    if (previsionTienda?.tienda_id === tiendaId) {
+      setPrevisionTienda(null);
+      return;
+    }
+    try {
+      setPrevisionTienda(await apiCall(`/tiendas/${tiendaId}/prevision`));
+    } catch (error) {
+      console.error('Error loading store forecast:', error);
+    }
+  };
+
+  // Vuelve a mostrar una ejecución anterior tal como se calculó
+  const abrirOptimizacion = async (id) => {
+    try {
+      setLoading(true);
+      const data = await apiCall(`/optimizaciones/${id}`);
+      setOptimizationResult(data.resultado);
+    } catch (error) {
+      console.error('Error opening optimization:', error);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleFileUpload = async () => {
-    if (!uploadFile) return;
+  // Escenario activo y totales del dashboard (que dependen de él)
+  const loadEscenarioActivo = async () => {
+    try {
+      const [activo, resumen] = await Promise.all([
+        apiCall('/escenarios/activo'),
+        apiCall('/dashboard/resumen'),
+      ]);
+      setEscenarioActivo(activo);
+      setResumenDashboard(resumen);
+    } catch (error) {
+      console.error('Error loading active scenario:', error);
+    }
+  };
 
+  // Sin id vuelve a los datos base
+  const activarEscenario = async (id) => {
     try {
-      setLoading(true);
-      const formData = new FormData();
-      formData.append('file', uploadFile);
+      await apiCall(id ? `/escenarios/${id}/activar` : '/escenarios/desactivar', { method: 'PUT' });
+      await Promise.all([loadEscenarios(), loadEscenarioActivo()]);
+    } catch (error) {
+      console.error('Error activating scenario:', error);
+    }
+  };
 
-      const response = await fetch(`${API_URL}/api/import/excel`, {
-        method: 'POST',
-        body: formData,
-      });
+  const editarEscenario = (escenario) => {
+    setEscenarioForm(escenario
+      ? {
+          id: escenario.id,
+          nombre: escenario.nombre,
+          descripcion: escenario.descripcion || '',
+          configuracion: { ...CONFIGURACION_VACIA, ...escenario.configuracion },
+        }
+      : { nombre: '', descripcion: '', configuracion: CONFIGURACION_VACIA });
+    setReasignacionNueva({ tienda_id: '', proveedor_id: '' });
+  };
 
-      const result = await response.json();
-      setUploadResult(result);
-      
-      // Recargar datos después de la importación
-      await loadVehiculos();
-      await loadProveedores();
+  // Sustituye una sección de la configuración (parametros, vehiculos, demanda, reasignaciones)
+  const cambiarConfiguracion = (seccion, valor) => {
+    setEscenarioForm({ ...escenarioForm, configuracion: { ...escenarioForm.configuracion, [seccion]: valor } });
+  };
+
+  const guardarEscenario = async (escenario) => {
+    try {
+      setLoading(true);
+      const { id, ...datos } = escenario;
+      await apiCall(id ? `/escenarios/${id}` : '/escenarios', {
+        method: id ? 'PATCH' : 'POST',
+        body: JSON.stringify(datos),
+      });
+      setEscenarioForm(null);
+      await Promise.all([loadEscenarios(), loadEscenarioActivo()]);
     } catch (error) {
-      console.error('Error uploading file:', error);
+      console.error('Error saving scenario:', error);
     } finally {
       setLoading(false);
     }
   };
 
-  // Componentes de UI
-  const LoadingSpinner = () => (
-    <div className="flex items-center justify-center p-8">
-      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-      <span className="ml-2 text-gray-600">Cargando...</span>
-    </div>
-  );
+  const eliminarEscenario = async (escenario) => {
+    if (!window.confirm(`¿Eliminar el escenario ${escenario.nombre}?`)) return;
+    try {
+      await apiCall(`/escenarios/${escenario.id}`, { method: 'DELETE' });
+      setEscenariosComparar(escenariosComparar.filter(id => id !== escenario.id));
+      await loadEscenarios();
+    } catch (error) {
+      console.error('Error deleting scenario:', error);
+    }
+  };
 
-  const ErrorAlert = ({ message, onClose }) => (
-    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
-      <div className="flex justify-between items-center">
-        <div className="flex items-center">
-          <div className="text-red-600 mr-2">⚠️</div>
-          <span className="text-red-800">{message}</span>
-        </div>
-        <button 
-          onClick={onClose}
-          className="text-red-600 hover:text-red-800"
-        >
-          ✕
-        </button>
-      </div>
-    </div>
-  );
+  const optimizarEscenario = async (id) => {
+    try {
+      setLoading(true);
+      const result = await apiCall(`/escenarios/${id}/optimizar`, { method: 'POST' });
+      setOptimizationResult(result);
+      await Promise.all([loadEscenarios(), loadOptimizaciones()]);
+    } catch (error) {
+      console.error('Error optimizing scenario:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-  const ProveedorCard = ({ proveedor, onClick, isSelected }) => (
-    <div 
-      className={`p-4 border rounded-lg cursor-pointer transition-all ${
-        isSelected 
-          ? 'border-blue-500 bg-blue-50 shadow-md' 
-          : 'border-gray-200 hover:border-gray-300 hover:shadow-sm'
-      }`}
-      onClick={() => onClick(proveedor)}
-    >
-      <div className="font-semibold text-gray-900">{proveedor.nombre}</div>
-      <div className="text-sm text-gray-600 mt-1">
-        {Number(proveedor.total_vehiculos || 0)} vehículos • {Number(proveedor.capacidad_total || 0)} combis
-      </div>
-    </div>
-  );
+  // Optimiza los escenarios marcados que aún no tienen resultados y los compara
+  const compararEscenarios = async () => {
+    try {
+      setLoading(true);
+      const pendientes = escenarios.filter(e => escenariosComparar.includes(e.id) && !e.ultima_optimizacion_id);
+      for (const escenario of pendientes) {
+        await apiCall(`/escenarios/${escenario.id}/optimizar`, { method: 'POST' });
+      }
+      if (pendientes.length) await Promise.all([loadEscenarios(), loadOptimizaciones()]);
+      setComparacion(await apiCall(`/escenarios/comparar?ids=${escenariosComparar.join(',')}`));
+    } catch (error) {
+      console.error('Error comparing scenarios:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-  const VehiculosList = ({ vehiculos, proveedorFilter = null }) => {
-    const vehiculosFiltrados = proveedorFilter 
-      ? vehiculos.filter(v => v.proveedor_nombre === proveedorFilter)
-      : vehiculos;
+  const loadTiposVehiculo = async () => {
+    try {
+      const data = await apiCall('/tipos-vehiculo');
+      setTiposVehiculo(data);
+    } catch (error) {
+      console.error('Error loading vehicle types:', error);
+    }
+  };
 
-    return (
-      <div className="grid gap-3">
-        {vehiculosFiltrados.map(vehiculo => (
-          <div key={vehiculo.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-            <div>
-              <span className="font-medium">Camión {vehiculo.numero_camion}</span>
-              <span className="text-gray-600 ml-2">• {vehiculo.proveedor_nombre}</span>
-            </div>
-            <div className="text-right">
-              <div className="text-sm font-medium">{Number(vehiculo.capacidad_combis || 0)} combis</div>
-              <div className="text-xs text-gray-500">{vehiculo.tipo_nombre}</div>
-            </div>
-          </div>
-        ))}
-      </div>
-    );
+  const loadTiendas = async () => {
+    try {
+      const data = await apiCall('/tiendas');
+      setTiendas(data);
+    } catch (error) {
+      console.error('Error loading stores:', error);
+    }
   };
 
-  const OptimizationResults = ({ result }) => {
-    if (!result) return null;
+  // Alta (sin id) o modificación (PATCH) de vehículos, proveedores y tiendas
+  const guardarRegistro = async (recurso, id, datos) => {
+    try {
+      setLoading(true);
+      await apiCall(id ? `/${recurso}/${id}` : `/${recurso}`, {
+        method: id ? 'PATCH' : 'POST',
+        body: JSON.stringify(datos),
+      });
+      setCreando(null);
+      await Promise.all([loadProveedores(), loadVehiculos(), loadTiendas(), loadEscenarioActivo()]);
+    } catch (error) {
+      console.error(`Error saving ${recurso}:`, error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-    return (
-      <div className="bg-white rounded-lg shadow-sm border p-6">
-        <h3 className="font-semibold text-lg mb-4">📊 Resultados de Optimización</h3>
-        
-        {/* Métricas generales */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-          <div className="text-center p-3 bg-blue-50 rounded-lg">
-            <div className="text-2xl font-bold text-blue-600">{Number(result.metricas?.eficiencia_llenado || 0)}%</div>
-            <div className="text-xs text-gray-600">Eficiencia</div>
-          </div>
-          <div className="text-center p-3 bg-green-50 rounded-lg">
-            <div className="text-2xl font-bold text-green-600">{Number(result.metricas?.vehiculos_necesarios || 0)}</div>
-            <div className="text-xs text-gray-600">Vehículos</div>
-          </div>
-          <div className="text-center p-3 bg-yellow-50 rounded-lg">
-            <div className="text-2xl font-bold text-yellow-600">{Number(result.metricas?.tiendas_asignadas || 0)}</div>
-            <div className="text-xs text-gray-600">Tiendas</div>
-          </div>
-          <div className="text-center p-3 bg-purple-50 rounded-lg">
-            <div className="text-2xl font-bold text-purple-600">{Number(result.metricas?.capacidad_usada || 0).toFixed(1)}</div>
-            <div className="text-xs text-gray-600">Combis Usados</div>
-          </div>
-        </div>
+  // Baja lógica (el backend marca activo = false)
+  const darDeBaja = async (recurso, id, nombre) => {
+    if (!window.confirm(`¿Dar de baja ${nombre}?`)) return;
+    try {
+      await apiCall(`/${recurso}/${id}`, { method: 'DELETE' });
+      await Promise.all([loadProveedores(), loadVehiculos(), loadTiendas()]);
+    } catch (error) {
+      console.error(`Error deactivating ${recurso}:`, error);
+    }
+  };
 
-        {/* Rutas detalladas */}
-        <div className="space-y-4">
-          <h4 className="font-medium text-gray-900">🚛 Rutas Optimizadas</h4>
-          {result.rutas && result.rutas.map((ruta, index) => (
-            <div key={index} className="border border-gray-200 rounded-lg p-4">
-              <div className="flex justify-between items-center mb-3">
-                <h5 className="font-medium">{ruta.vehiculo_nombre || 'Vehículo'}</h5>
-                <div className="text-sm text-gray-600">
-                  {Number(ruta.eficiencia || 0).toFixed(1)}% llenado
-                </div>
-              </div>
-              
-              <div className="mb-2">
-                <div className="flex justify-between text-sm mb-1">
-                  <span>{Number(ruta.capacidad_usada || 0).toFixed(1)} combis</span>
-                  <span>{Number(ruta.capacidad_maxima || 0)} combis máx</span>
-                </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div 
-                    className="bg-blue-500 h-2 rounded-full transition-all duration-300"
-                    style={{ width: `${Math.min(100, Number(ruta.eficiencia || 0))}%` }}
-                  ></div>
-                </div>
-              </div>
+  const loadAlmacenes = async () => {
+    try {
+      const data = await apiCall('/almacenes');
+      setAlmacenes(data);
+    } catch (error) {
+      console.error('Error loading warehouses:', error);
+    }
+  };
 
-              <div className="text-sm text-gray-600">
-                <strong>Tiendas ({(ruta.tiendas || []).length}):</strong> {' '}
-                {(ruta.tiendas || []).slice(0, 3).map(t => t.nombre || t.codigo).join(', ')}
-                {(ruta.tiendas || []).length > 3 && ` y ${(ruta.tiendas || []).length - 3} más...`}
-              </div>
-            </div>
-          ))}
-        </div>
-      </div>
-    );
+  const guardarAlmacen = async () => {
+    try {
+      setLoading(true);
+      const { id, ...datos } = almacenForm;
+      await apiCall(id ? `/almacenes/${id}` : '/almacenes', {
+        method: id ? 'PUT' : 'POST',
+        body: JSON.stringify(datos),
+      });
+      setAlmacenForm(null);
+      await loadAlmacenes();
+    } catch (error) {
+      console.error('Error saving warehouse:', error);
+    } finally {
+      setLoading(false);
+    }
   };
 
-  // Render principal
-  return (
-    <div className="min-h-screen bg-gray-50">
+  const eliminarAlmacen = async (almacen) => {
+    if (!window.confirm(`¿Eliminar el almacén ${almacen.nombre}?`)) return;
+    try {
+      await apiCall(`/almacenes/${almacen.id}`, { method: 'DELETE' });
+      await loadAlmacenes();
+    } catch (error) {
+      console.error('Error deleting warehouse:', error);
+    }
+  };
+
+  const optimizarRutas = async (seleccion, bloqueos = []) => {
+    try {
+      setLoading(true);
+      const result = await apiCall('/optimizar', {
+        method: 'POST',
+        body: JSON.stringify({
+          proveedores: seleccion.length === proveedores.length ? 'todos' : seleccion,
+          permitir_reasignacion: permitirReasignacion,
+          volver_al_almacen: volverAlAlmacen,
+          dia_entrega: diaEntrega || undefined,
+          fecha: fechaPedidos || undefined,
+          prevision: fechaPedidos && metodoPrevision ? { metodo: metodoPrevision } : undefined,
+          algoritmo,
+          objetivo,
+          entregas_divididas: { activo: entregasDivididas, minimo_combis: Number(minimoDivision) },
+          base: usarDatosBase,
+          bloqueos,
+        }),
+      });
+      setOptimizationResult(result);
+      await loadOptimizaciones();
+    } catch (error) {
+      console.error('Error optimizing routes:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Hojas de ruta del plan actual (o de un solo camión): el XLSX se descarga y
+  // el HTML se abre en otra pestaña lista para imprimir
+  const descargarHojasRuta = async (formato, vehiculoId, plan = optimizationResult) => {
+    const ventana = formato === 'html' ? window.open('', '_blank') : null;
+    try {
+      const response = await fetch(`${API_URL}/api/rutas/hojas?formato=${formato}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...cabeceraSesion },
+        // Las ejecuciones guardadas se piden por id para no reenviar todo el plan
+        body: JSON.stringify({
+          ...(plan.optimizacion_id
+            ? { optimizacion_id: plan.optimizacion_id }
+            : { resultado: plan }),
+          vehiculo_id: vehiculoId,
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      if (ventana) {
+        ventana.location.href = url;
+      } else {
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/)?.[1] || 'hojas-ruta.xlsx';
+        enlace.click();
+        URL.revokeObjectURL(url);
+      }
+    } catch (error) {
+      if (ventana) ventana.close();
+      console.error('Error downloading route sheets:', error);
+    }
+  };
+
+  // Edición manual del plan: las paradas se arrastran entre camiones y cada
+  // cambio se valida en el backend (capacidad, km, ventanas...). `bloqueos`
+  // ({ tienda_id: vehiculo_id }) fija tiendas en su camión al re-optimizar.
+  const paradaEditada = (parada) => ({
+    id: parada.tienda_original_id || parada.id,
+    combis: parada.entrega_dividida ? Number(parada.combis_promedio || 0) : undefined,
+  });
+
+  const validarEdicion = async (edicion) => {
+    setEdicionRutas({ ...edicion, validando: true });
+    const resultado = edicion.resultado;
+    try {
+      const data = await apiCall('/rutas/validar', {
+        method: 'POST',
+        body: JSON.stringify({
+          rutas: edicion.rutas.map(ruta => ({ vehiculo_id: ruta.vehiculo_id, tiendas: ruta.tiendas.map(paradaEditada) })),
+          sin_asignar: edicion.sin_asignar.map(parada => parada.id),
+          dia_entrega: resultado.dia_entrega?.dia_semana,
+          fecha: resultado.demanda?.fecha || undefined,
+          prevision: resultado.demanda?.prevision || undefined,
+          tiempos: resultado.dia_entrega?.tiempos,
+          distancia: resultado.debug?.distancia,
+          objetivo: resultado.optimizacion?.objetivo,
+          volver_al_almacen: resultado.optimizacion?.volver_al_almacen,
+          escenario_id: resultado.escenario?.id,
+        }),
+      });
+      setEdicionRutas(actual => actual && actual.version === edicion.version
+        ? { ...actual, rutas: data.rutas, validacion: data, validando: false }
+        : actual);
+    } catch (error) {
+      console.error('Error validating routes:', error);
+      setEdicionRutas(actual => actual && actual.version === edicion.version
+        ? { ...actual, validacion: null, validando: false }
+        : actual);
+    }
+  };
+
+  const iniciarEdicion = () => {
+    const rutas = optimizationResult.rutas || [];
+    validarEdicion({
+      resultado: optimizationResult,
+      version: 0,
+      rutas,
+      sin_asignar: (optimizationResult.tiendas_no_asignadas || []).map(tienda => ({
+        id: tienda.id,
+        codigo: tienda.codigo,
+        nombre: tienda.nombre,
+        combis_promedio: tienda.combis,
+        // Si ya tiene parte entregada, lo que queda es una entrega parcial
+        entrega_dividida: tienda.combis_entregados != null,
+      })),
+      bloqueos: Object.fromEntries(rutas.flatMap(ruta => ruta.tiendas
+        .filter(parada => parada.vehiculo_bloqueado_id)
+        .map(parada => [parada.tienda_original_id || parada.id, ruta.vehiculo_id]))),
+      validacion: null,
+    });
+  };
+
+  // Mueve una parada ({ ruta: vehiculo_id o null para "sin asignar", indice })
+  // delante de la posición `destino.indice` (o al final) de la ruta destino
+  const moverParada = (origen, destino) => {
+    const edicion = edicionRutas;
+    const paradasDe = id => (id === null ? edicion.sin_asignar : edicion.rutas.find(ruta => ruta.vehiculo_id === id)?.tiendas) || [];
+    const parada = paradasDe(origen.ruta)[origen.indice];
+    if (!parada) return;
+
+    let indice = destino.indice ?? Infinity;
+    if (origen.ruta === destino.ruta) {
+      if (indice === origen.indice || indice === origen.indice + 1) return;
+      if (indice > origen.indice) indice -= 1;
+    }
+    const recolocar = (paradas, id) => {
+      const resultado = id === origen.ruta ? paradas.filter((_, i) => i !== origen.indice) : [...paradas];
+      if (id === destino.ruta) resultado.splice(Math.min(indice, resultado.length), 0, parada);
+      return resultado;
+    };
+
+    // Una tienda bloqueada que se cambia de camión queda bloqueada en el nuevo
+    const bloqueos = { ...edicion.bloqueos };
+    const tiendaId = parada.tienda_original_id || parada.id;
+    if (bloqueos[tiendaId]) {
+      if (destino.ruta === null) delete bloqueos[tiendaId];
+      else bloqueos[tiendaId] = destino.ruta;
+    }
+
+    validarEdicion({
+      ...edicion,
+      version: edicion.version + 1,
+      bloqueos,
+      rutas: edicion.rutas.map(ruta => ({ ...ruta, tiendas: recolocar(ruta.tiendas, ruta.vehiculo_id) })),
+      sin_asignar: recolocar(edicion.sin_asignar, null),
+    });
+  };
+
+  const soltarParada = (e, destino) => {
+    e.preventDefault();
+    e.stopPropagation();
+    try {
+      const origen = JSON.parse(e.dataTransfer.getData('text/plain'));
+      if (origen && 'ruta' in origen) moverParada(origen, destino);
+    } catch (error) {
+      // No es una parada del editor
+    }
+  };
+
+  const alternarBloqueo = (parada, vehiculoId) => {
+    const tiendaId = parada.tienda_original_id || parada.id;
+    setEdicionRutas(actual => {
+      const bloqueos = { ...actual.bloqueos };
+      if (bloqueos[tiendaId]) delete bloqueos[tiendaId];
+      else bloqueos[tiendaId] = vehiculoId;
+      return { ...actual, bloqueos };
+    });
+  };
+
+  // Sustituye el plan mostrado por el editado (las hojas de ruta salen de él)
+  const aplicarEdicion = () => {
+    const { resultado, validacion, sin_asignar } = edicionRutas;
+    const noAsignadas = sin_asignar.map(parada =>
+      (resultado.tiendas_no_asignadas || []).find(tienda => tienda.id === parada.id) || {
+        id: parada.id,
+        codigo: parada.codigo,
+        nombre: parada.nombre,
+        combis: Number(parada.combis_promedio || 0),
+        motivo_descripcion: 'Sacada de su ruta en la edición manual',
+      });
+    setOptimizationResult({
+      ...resultado,
+      optimizacion_id: undefined,
+      editado: true,
+      rutas: validacion.rutas,
+      metricas: validacion.metricas,
+      proveedores: (resultado.proveedores || []).map(proveedor => ({
+        ...proveedor,
+        rutas: validacion.rutas.filter(ruta => ruta.proveedor_id === proveedor.id),
+        metricas: validacion.proveedores.find(p => p.id === proveedor.id)?.metricas || proveedor.metricas,
+      })),
+      tiendas_no_asignadas: noAsignadas,
+      sugerencia_no_asignadas: noAsignadas.length
+        ? { combis_pendientes: noAsignadas.reduce((sum, tienda) => sum + Number(tienda.combis || 0), 0) }
+        : null,
+    });
+    setEdicionRutas(null);
+  };
+
+  // Vuelve a optimizar con los mismos proveedores dejando fijas las tiendas bloqueadas
+  // (el editor se cierra solo al llegar el nuevo resultado)
+  const reoptimizarConBloqueos = () => {
+    const { resultado, bloqueos } = edicionRutas;
+    optimizarRutas(
+      resultado.proveedores ? resultado.proveedores.map(proveedor => proveedor.id) : [resultado.proveedor_id],
+      Object.entries(bloqueos).map(([tienda_id, vehiculo_id]) => ({ tienda_id, vehiculo_id }))
+    );
+  };
+
+  const loadImportacion = async () => {
+    try {
+      const [campos, plantillasGuardadas] = await Promise.all([
+        apiCall('/import/campos'),
+        apiCall('/import/plantillas'),
+      ]);
+      setCamposImportacion(campos);
+      setPlantillas(plantillasGuardadas);
+    } catch (error) {
+      console.error('Error loading import settings:', error);
+    }
+  };
+
+  // Sube el archivo con el mapeo actual; `simular` valida sin guardar nada
+  const enviarImportacion = async (simular) => {
+    const formData = new FormData();
+    formData.append('file', uploadFile);
+    formData.append('mapeo', JSON.stringify(importMapeo));
+
+    const params = new URLSearchParams();
+    if (simular) params.set('dry_run', 'true');
+    if (omitirErrores) params.set('omitir_errores', 'true');
+
+    const response = await fetch(`${API_URL}/api/import?${params}`, {
+      method: 'POST',
+      headers: cabeceraSesion,
+      body: formData,
+    });
+    return response.json();
+  };
+
+  const analizarImportacion = async () => {
+    if (!uploadFile) return;
+
+    try {
+      setLoading(true);
+      const result = await enviarImportacion(true);
+      setImportPreview(result);
+      setUploadResult(null);
+      if (result.hojas) {
+        setImportMapeo(Object.fromEntries(result.hojas.map(hoja => [hoja.hoja, { tipo: hoja.tipo, columnas: hoja.columnas }])));
+      }
+    } catch (error) {
+      console.error('Error previewing import:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFileUpload = async () => {
+    if (!uploadFile) return;
+
+    try {
+      setLoading(true);
+      const result = await enviarImportacion(false);
+      setUploadResult(result);
+      if (result.exitoso) setImportPreview(null);
+      
+      // Recargar datos después de la importación
+      await loadVehiculos();
+      await loadProveedores();
+      await loadTiendas();
+      await loadErrorPrevision();
+      if (rol === 'admin') await loadCalidadDatos();
+    } catch (error) {
+      console.error('Error uploading file:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cambiarMapeoHoja = (hoja, cambios) => {
+    setImportMapeo({ ...importMapeo, [hoja]: { ...importMapeo[hoja], ...cambios } });
+  };
+
+  const guardarPlantilla = async () => {
+    try {
+      await apiCall('/import/plantillas', {
+        method: 'POST',
+        body: JSON.stringify({ nombre: nombrePlantilla, mapeo: importMapeo }),
+      });
+      setNombrePlantilla('');
+      await loadImportacion();
+    } catch (error) {
+      console.error('Error saving import template:', error);
+    }
+  };
+
+  // Componentes de UI
+  const LoadingSpinner = () => (
+    <div className="flex items-center justify-center p-8">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      <span className="ml-2 text-gray-600">Cargando...</span>
+    </div>
+  );
+
+  const ErrorAlert = ({ message, onClose }) => (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+      <div className="flex justify-between items-center">
+        <div className="flex items-center">
+          <div className="text-red-600 mr-2">⚠️</div>
+          <span className="text-red-800">{message}</span>
+        </div>
+        <button 
+          onClick={onClose}
+          className="text-red-600 hover:text-red-800"
+        >
+          ✕
+        </button>
+      </div>
+    </div>
+  );
+
+  // Formulario en línea: `campos` es [{ campo, etiqueta, tipo, opciones }] y
+  // `opciones` (para selects) es [{ value, label }]
+  const EditorRegistro = ({ campos, inicial, onGuardar, onCancelar }) => {
+    const [valores, setValores] = useState(() =>
+      Object.fromEntries(campos.map(({ campo }) => [campo, inicial[campo] ?? '']))
+    );
+
+    return (
+      <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg" onClick={(e) => e.stopPropagation()}>
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {campos.map(({ campo, etiqueta, tipo = 'text', opciones }) => (
+            <label key={campo} className="flex flex-col gap-1">
+              {etiqueta}
+              {opciones ? (
+                <select
+                  value={valores[campo]}
+                  onChange={(e) => setValores({ ...valores, [campo]: e.target.value })}
+                  className="p-1 border border-gray-300 rounded"
+                >
+                  <option value="">—</option>
+                  {opciones.map(opcion => (
+                    <option key={opcion.value} value={opcion.value}>{opcion.label}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type={tipo}
+                  step={tipo === 'number' ? 'any' : undefined}
+                  value={valores[campo]}
+                  onChange={(e) => setValores({ ...valores, [campo]: e.target.value })}
+                  className="p-1 border border-gray-300 rounded"
+                />
+              )}
+            </label>
+          ))}
+        </div>
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={() => onGuardar(valores)}
+            disabled={loading}
+            className="bg-green-600 text-white py-1 px-3 rounded hover:bg-green-700 disabled:bg-gray-400 text-sm"
+          >
+            💾 Guardar
+          </button>
+          <button
+            onClick={onCancelar}
+            className="bg-gray-100 text-gray-700 py-1 px-3 rounded hover:bg-gray-200 text-sm"
+          >
+            Cancelar
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const camposProveedor = () => [
+    { campo: 'nombre', etiqueta: 'Nombre' },
+    {
+      campo: 'almacen_base_id',
+      etiqueta: 'Almacén base',
+      opciones: almacenes.map(a => ({ value: a.id, label: a.nombre })),
+    },
+  ];
+
+  const camposVehiculo = () => [
+    { campo: 'numero_camion', etiqueta: 'Nº camión', tipo: 'number' },
+    { campo: 'nombre_corto', etiqueta: 'Nombre corto' },
+    { campo: 'proveedor_id', etiqueta: 'Proveedor', opciones: proveedores.map(p => ({ value: p.id, label: p.nombre })) },
+    { campo: 'tipo_vehiculo_id', etiqueta: 'Tipo', opciones: tiposVehiculo.map(t => ({ value: t.id, label: t.nombre })) },
+    { campo: 'capacidad_combis', etiqueta: 'Capacidad (combis)', tipo: 'number' },
+    { campo: 'tipo_pago', etiqueta: 'Tipo de pago' },
+  ];
+
+  const camposTienda = () => [
+    { campo: 'codigo', etiqueta: 'Código' },
+    { campo: 'nombre', etiqueta: 'Nombre' },
+    { campo: 'provincia', etiqueta: 'Provincia' },
+    { campo: 'combis_promedio', etiqueta: 'Combis promedio', tipo: 'number' },
+    { campo: 'latitud', etiqueta: 'Latitud', tipo: 'number' },
+    { campo: 'longitud', etiqueta: 'Longitud', tipo: 'number' },
+    { campo: 'proveedor_id', etiqueta: 'Proveedor principal', opciones: proveedores.map(p => ({ value: p.id, label: p.nombre })) },
+  ];
+
+  const ProveedorCard = ({ proveedor, onClick, isSelected }) => {
+    const [editando, setEditando] = useState(false);
+
+    if (editando) {
+      return (
+        <EditorRegistro
+          campos={camposProveedor()}
+          inicial={proveedor}
+          onGuardar={(datos) => guardarRegistro('proveedores', proveedor.id, datos)}
+          onCancelar={() => setEditando(false)}
+        />
+      );
+    }
+
+    return (
+      <div 
+        className={`p-4 border rounded-lg cursor-pointer transition-all ${
+          isSelected 
+            ? 'border-blue-500 bg-blue-50 shadow-md' 
+            : 'border-gray-200 hover:border-gray-300 hover:shadow-sm'
+        }`}
+        onClick={() => onClick(proveedor)}
+      >
+        <div className="flex justify-between items-start">
+          <div className="font-semibold text-gray-900">{proveedor.nombre}</div>
+          {puedeEditar && (
+            <div className="flex gap-2 text-sm" onClick={(e) => e.stopPropagation()}>
+              <button onClick={() => setEditando(true)} title="Editar">✏️</button>
+              <button onClick={() => darDeBaja('proveedores', proveedor.id, proveedor.nombre)} title="Dar de baja">🗑️</button>
+            </div>
+          )}
+        </div>
+        <div className="text-sm text-gray-600 mt-1">
+          {Number(proveedor.total_vehiculos || 0)} vehículos • {Number(proveedor.capacidad_total || 0)} combis
+          {proveedor.almacen_nombre && ` • 🏭 ${proveedor.almacen_nombre}`}
+        </div>
+      </div>
+    );
+  };
+
+  const VehiculosList = ({ vehiculos, proveedorFilter = null }) => {
+    const [editandoId, setEditandoId] = useState(null);
+    const vehiculosFiltrados = proveedorFilter 
+      ? vehiculos.filter(v => v.proveedor_nombre === proveedorFilter)
+      : vehiculos;
+
+    return (
+      <div className="grid gap-3">
+        {vehiculosFiltrados.map(vehiculo => editandoId === vehiculo.id ? (
+          <EditorRegistro
+            key={vehiculo.id}
+            campos={camposVehiculo()}
+            inicial={vehiculo}
+            onGuardar={(datos) => guardarRegistro('vehiculos', vehiculo.id, datos)}
+            onCancelar={() => setEditandoId(null)}
+          />
+        ) : (
+          <div key={vehiculo.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+            <div>
+              <span className="font-medium">Camión {vehiculo.numero_camion}</span>
+              <span className="text-gray-600 ml-2">• {vehiculo.proveedor_nombre}</span>
+            </div>
+            <div className="flex items-center gap-3">
+              <div className="text-right">
+                <div className="text-sm font-medium">{Number(vehiculo.capacidad_combis || 0)} combis</div>
+                <div className="text-xs text-gray-500">{vehiculo.tipo_nombre}</div>
+              </div>
+              {puedeEditar && (
+                <>
+                  <button onClick={() => setEditandoId(vehiculo.id)} title="Editar">✏️</button>
+                  <button onClick={() => darDeBaja('vehiculos', vehiculo.id, `el camión ${vehiculo.numero_camion}`)} title="Dar de baja">🗑️</button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const TiendasList = ({ tiendas }) => {
+    const [editandoId, setEditandoId] = useState(null);
+
+    return (
+      <div className="grid gap-2">
+        {tiendas.map(tienda => editandoId === tienda.id ? (
+          <EditorRegistro
+            key={tienda.id}
+            campos={camposTienda()}
+            inicial={tienda}
+            onGuardar={(datos) => guardarRegistro('tiendas', tienda.id, datos)}
+            onCancelar={() => setEditandoId(null)}
+          />
+        ) : (
+          <div key={tienda.id} className="flex justify-between items-center p-2 bg-gray-50 rounded-lg text-sm">
+            <div>
+              <span className="font-medium">{tienda.codigo}</span> {tienda.nombre}
+              <span className="text-gray-500"> • {tienda.provincia} • {tienda.proveedor_nombre || 'sin proveedor'}</span>
+            </div>
+            <div className="flex items-center gap-3">
+              <span>{Number(tienda.combis_promedio || 0).toFixed(1)} combis</span>
+              {puedeEditar && (
+                <>
+                  <button onClick={() => setEditandoId(tienda.id)} title="Editar">✏️</button>
+                  <button onClick={() => darDeBaja('tiendas', tienda.id, `la tienda ${tienda.codigo}`)} title="Dar de baja">🗑️</button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  // Mapa de las rutas en SVG: almacenes, tiendas y el recorrido de cada camión
+  // sobre un fondo vectorial (o sobre MAPA_TESELAS si se configura). El estado
+  // (rutas ocultas, popup, zoom) vive en `mapaRutas` para no perderse al
+  // repintar App; si cambia el resultado se vuelve a la vista inicial.
+  const MapaRutas = ({ result }) => {
+    const vista = mapaRutas && mapaRutas.resultado === result ? mapaRutas : { resultado: result, ...MAPA_INICIAL };
+    const cambiarVista = cambios => setMapaRutas({ ...vista, ...cambios });
+
+    const rutas = (result.rutas || []).filter(ruta => (ruta.tiendas || []).length > 0);
+    const depositos = new Map((result.proveedores || [{ deposito: result.deposito }])
+      .filter(proveedor => proveedor.deposito)
+      .map(proveedor => [proveedor.deposito.id, proveedor.deposito]));
+    const conCoordenadas = punto => punto && punto.latitud != null && punto.longitud != null && punto.latitud !== '';
+    const tiendaPorId = new Map(tiendas.map(tienda => [tienda.id, tienda]));
+    const sinAsignar = (result.tiendas_no_asignadas || [])
+      .map(tienda => ({ ...tiendaPorId.get(tienda.id), ...tienda, combis_promedio: tienda.combis }))
+      .filter(conCoordenadas);
+
+    const puntos = [
+      ...[...depositos.values()],
+      ...rutas.flatMap(ruta => ruta.tiendas),
+      ...sinAsignar,
+    ].filter(conCoordenadas).map(punto => proyectarMercator(punto.latitud, punto.longitud));
+    if (!puntos.length) {
+      return <p className="text-sm text-gray-500 mb-6">🗺️ No hay coordenadas para dibujar el mapa de rutas</p>;
+    }
+
+    // Nivel de zoom de los mosaicos en el que el plan cabe en el lienzo
+    const minX = Math.min(...puntos.map(p => p.x));
+    const maxX = Math.max(...puntos.map(p => p.x));
+    const minY = Math.min(...puntos.map(p => p.y));
+    const maxY = Math.max(...puntos.map(p => p.y));
+    const encaje = Math.min(MAPA_ANCHO / Math.max(maxX - minX, 1e-6), MAPA_ALTO / Math.max(maxY - minY, 1e-6)) * 0.85;
+    const nivel = Math.max(0, Math.min(16, Math.floor(Math.log2(encaje / 256))));
+    const mundo = 256 * 2 ** nivel;
+    const aLienzo = punto => {
+      const { x, y } = proyectarMercator(punto.latitud, punto.longitud);
+      return { x: x * mundo, y: y * mundo };
+    };
+
+    // Ventana visible (viewBox) según zoom y desplazamiento
+    const ancho = MAPA_ANCHO / vista.escala;
+    const alto = MAPA_ALTO / vista.escala;
+    const vx = ((minX + maxX) / 2) * mundo + vista.dx - ancho / 2;
+    const vy = ((minY + maxY) / 2) * mundo + vista.dy - alto / 2;
+    const tamano = 1 / vista.escala; // los marcadores no crecen con el zoom
+
+    // Mosaicos visibles, con más detalle al acercar
+    const teselas = [];
+    if (MAPA_TESELAS) {
+      const extra = Math.max(0, Math.floor(Math.log2(vista.escala)));
+      const z = Math.min(19, nivel + extra);
+      const lado = 256 / 2 ** (z - nivel);
+      const limite = 2 ** z;
+      for (let tx = Math.floor(vx / lado); tx <= Math.floor((vx + ancho) / lado); tx++) {
+        for (let ty = Math.floor(vy / lado); ty <= Math.floor((vy + alto) / lado); ty++) {
+          if (tx < 0 || ty < 0 || tx >= limite || ty >= limite) continue;
+          teselas.push({ clave: `${z}-${tx}-${ty}`, x: tx * lado, y: ty * lado, lado, url: MAPA_TESELAS.replace('{z}', z).replace('{x}', tx).replace('{y}', ty) });
+        }
+      }
+    }
+
+    // Retícula de meridianos y paralelos para el fondo vectorial
+    const esquinaNO = { lon: (vx / mundo) * 360 - 180, lat: latitudMercator(vy / mundo) };
+    const esquinaSE = { lon: ((vx + ancho) / mundo) * 360 - 180, lat: latitudMercator((vy + alto) / mundo) };
+    const paso = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10].find(p => (esquinaSE.lon - esquinaNO.lon) / p <= 12) || 20;
+    const meridianos = [];
+    for (let lon = Math.ceil(esquinaNO.lon / paso) * paso; lon <= esquinaSE.lon; lon += paso) meridianos.push(lon);
+    const paralelos = [];
+    for (let lat = Math.ceil(esquinaSE.lat / paso) * paso; lat <= esquinaNO.lat; lat += paso) paralelos.push(lat);
+
+    const colorDe = indice => COLORES_RUTA[indice % COLORES_RUTA.length];
+    const visible = id => !vista.ocultos.includes(id);
+    const alternar = id => cambiarVista({
+      ocultos: visible(id) ? [...vista.ocultos, id] : vista.ocultos.filter(oculto => oculto !== id),
+      seleccion: null,
+    });
+    const seleccion = vista.seleccion;
+    const posicionPopup = seleccion && aLienzo(seleccion.parada);
+
+    // Arrastrar para desplazar el mapa
+    const empezarArrastre = e => {
+      arrastreMapa.current = { x: e.clientX, y: e.clientY, dx: vista.dx, dy: vista.dy, ancho: e.currentTarget.getBoundingClientRect().width };
+    };
+    const arrastrar = e => {
+      const inicio = arrastreMapa.current;
+      if (!inicio) return;
+      const unidades = ancho / inicio.ancho;
+      cambiarVista({ dx: inicio.dx - (e.clientX - inicio.x) * unidades, dy: inicio.dy - (e.clientY - inicio.y) * unidades });
+    };
+    const soltarArrastre = () => { arrastreMapa.current = null; };
+
+    return (
+      <div className="mb-6">
+        <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+          <span className="font-medium text-gray-900 mr-2">🗺️ Mapa de rutas</span>
+          {rutas.map((ruta, indice) => (
+            <label key={ruta.vehiculo_id} className="flex items-center gap-1 px-2 py-0.5 border rounded cursor-pointer">
+              <input type="checkbox" checked={visible(ruta.vehiculo_id)} onChange={() => alternar(ruta.vehiculo_id)} />
+              <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: colorDe(indice) }}></span>
+              {ruta.vehiculo_nombre}
+            </label>
+          ))}
+          {sinAsignar.length > 0 && (
+            <label className="flex items-center gap-1 px-2 py-0.5 border rounded cursor-pointer">
+              <input type="checkbox" checked={visible('sin-asignar')} onChange={() => alternar('sin-asignar')} />
+              <span className="inline-block w-3 h-3 rounded-full bg-gray-400"></span>
+              Sin asignar
+            </label>
+          )}
+          <div className="ml-auto flex gap-1">
+            <button onClick={() => cambiarVista({ escala: vista.escala * 1.5 })} className="px-2 border rounded hover:bg-gray-100" title="Acercar">➕</button>
+            <button onClick={() => cambiarVista({ escala: Math.max(0.5, vista.escala / 1.5) })} className="px-2 border rounded hover:bg-gray-100" title="Alejar">➖</button>
+            <button onClick={() => cambiarVista(MAPA_INICIAL)} className="px-2 border rounded hover:bg-gray-100" title="Ver todo">⟲</button>
+          </div>
+        </div>
+
+        <div className="relative w-full border rounded-lg overflow-hidden" style={{ aspectRatio: `${MAPA_ANCHO} / ${MAPA_ALTO}` }}>
+          <svg
+            viewBox={`${vx} ${vy} ${ancho} ${alto}`}
+            className="w-full h-full cursor-grab select-none"
+            onMouseDown={empezarArrastre}
+            onMouseMove={arrastrar}
+            onMouseUp={soltarArrastre}
+            onMouseLeave={soltarArrastre}
+          >
+            <rect x={vx} y={vy} width={ancho} height={alto} fill="#f1f5f9" />
+            {teselas.map(tesela => (
+              <image key={tesela.clave} href={tesela.url} x={tesela.x} y={tesela.y} width={tesela.lado} height={tesela.lado} />
+            ))}
+            {!MAPA_TESELAS && (
+              <g stroke="#cbd5e1" strokeWidth={tamano}>
+                {meridianos.map(lon => {
+                  const x = ((lon + 180) / 360) * mundo;
+                  return <line key={`lon-${lon}`} x1={x} y1={vy} x2={x} y2={vy + alto} />;
+                })}
+                {paralelos.map(lat => {
+                  const y = proyectarMercator(lat, 0).y * mundo;
+                  return <line key={`lat-${lat}`} x1={vx} y1={y} x2={vx + ancho} y2={y} />;
+                })}
+              </g>
+            )}
+
+            {rutas.map((ruta, indice) => {
+              if (!visible(ruta.vehiculo_id)) return null;
+              const deposito = depositos.get(ruta.almacen_origen?.id);
+              const paradas = ruta.tiendas.filter(conCoordenadas);
+              const recorrido = [
+                ...(conCoordenadas(deposito) ? [deposito] : []),
+                ...paradas,
+                ...(ruta.vuelve_al_almacen && conCoordenadas(deposito) ? [deposito] : []),
+              ].map(aLienzo);
+              return (
+                <g key={ruta.vehiculo_id}>
+                  <polyline
+                    points={recorrido.map(p => `${p.x},${p.y}`).join(' ')}
+                    fill="none"
+                    stroke={colorDe(indice)}
+                    strokeWidth={3 * tamano}
+                    strokeOpacity={0.8}
+                    strokeLinejoin="round"
+                  />
+                  {paradas.map(parada => {
+                    const p = aLienzo(parada);
+                    return (
+                      <g key={parada.id} className="cursor-pointer" onClick={() => cambiarVista({ seleccion: { parada, ruta } })}>
+                        <circle cx={p.x} cy={p.y} r={8 * tamano} fill="white" stroke={colorDe(indice)} strokeWidth={2.5 * tamano} />
+                        <text x={p.x} y={p.y} dy="0.35em" textAnchor="middle" fontSize={9 * tamano} fill="#1f2937">{parada.orden}</text>
+                      </g>
+                    );
+                  })}
+                </g>
+              );
+            })}
+
+            {visible('sin-asignar') && sinAsignar.map(tienda => {
+              const p = aLienzo(tienda);
+              return (
+                <circle
+                  key={tienda.id}
+                  cx={p.x}
+                  cy={p.y}
+                  r={6 * tamano}
+                  fill="#9ca3af"
+                  stroke="white"
+                  strokeWidth={1.5 * tamano}
+                  className="cursor-pointer"
+                  onClick={() => cambiarVista({ seleccion: { parada: tienda, ruta: null } })}
+                />
+              );
+            })}
+
+            {[...depositos.values()].filter(conCoordenadas).map(deposito => {
+              const p = aLienzo(deposito);
+              return (
+                <g key={deposito.id}>
+                  <title>🏭 {deposito.nombre}</title>
+                  <rect x={p.x - 9 * tamano} y={p.y - 9 * tamano} width={18 * tamano} height={18 * tamano} fill="#111827" rx={3 * tamano} />
+                  <text x={p.x} y={p.y} dy="0.35em" textAnchor="middle" fontSize={11 * tamano} fill="white">A</text>
+                </g>
+              );
+            })}
+          </svg>
+
+          {seleccion && (
+            <div
+              className="absolute bg-white border rounded-lg shadow-md p-2 text-xs pointer-events-auto"
+              style={{
+                left: `${((posicionPopup.x - vx) / ancho) * 100}%`,
+                top: `${((posicionPopup.y - vy) / alto) * 100}%`,
+                transform: 'translate(-50%, calc(-100% - 12px))',
+              }}
+            >
+              <div className="flex justify-between gap-3">
+                <strong>{seleccion.parada.codigo} {seleccion.parada.nombre}</strong>
+                <button onClick={() => cambiarVista({ seleccion: null })} className="text-gray-400 hover:text-gray-700">✕</button>
+              </div>
+              <div>
+                {Number(seleccion.parada.combis_promedio || 0).toFixed(1)} combis
+                {seleccion.parada.entrega_dividida && ` (entrega ${seleccion.parada.parte}/${seleccion.parada.partes})`}
+              </div>
+              {seleccion.ruta ? (
+                <div className="text-gray-600">
+                  {seleccion.ruta.vehiculo_nombre} • parada {seleccion.parada.orden}
+                  {seleccion.parada.hora_llegada && ` • llegada ${seleccion.parada.hora_llegada}`}
+                  {seleccion.parada.ventana && ` (ventana ${seleccion.parada.ventana.inicio}-${seleccion.parada.ventana.fin})`}
+                </div>
+              ) : (
+                <div className="text-red-600">Sin asignar{seleccion.parada.motivo_descripcion && `: ${seleccion.parada.motivo_descripcion}`}</div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const OptimizationResults = ({ result }) => {
+    if (!result) return null;
+    const edicion = edicionRutas && edicionRutas.resultado === result ? edicionRutas : null;
+
+    return (
+      <div className="bg-white rounded-lg shadow-sm border p-6">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h3 className="font-semibold text-lg">
+            📊 Resultados de Optimización
+            {result.escenario && <span className="text-sm font-normal text-purple-700"> • 🧪 {result.escenario.nombre}</span>}
+            {result.editado && <span className="text-sm font-normal text-orange-600"> • ✏️ editado a mano</span>}
+          </h3>
+          <div className="flex gap-2">
+            {!edicion && (
+              <button
+                onClick={iniciarEdicion}
+                className="bg-gray-100 text-gray-700 py-1 px-3 rounded-lg text-sm hover:bg-gray-200"
+              >
+                ✏️ Editar rutas
+              </button>
+            )}
+            <button
+              onClick={() => descargarHojasRuta('xlsx')}
+              className="bg-gray-100 text-gray-700 py-1 px-3 rounded-lg text-sm hover:bg-gray-200"
+            >
+              📥 Hojas de ruta (XLSX)
+            </button>
+            <button
+              onClick={() => descargarHojasRuta('html')}
+              className="bg-gray-100 text-gray-700 py-1 px-3 rounded-lg text-sm hover:bg-gray-200"
+            >
+              🖨️ Imprimir hojas de ruta
+            </button>
+          </div>
+        </div>
+        
+        {/* Métricas generales */}
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
+          <div className="text-center p-3 bg-blue-50 rounded-lg">
+            <div className="text-2xl font-bold text-blue-600">{Number(result.metricas?.eficiencia_llenado || 0)}%</div>
+            <div className="text-xs text-gray-600">Eficiencia</div>
+          </div>
+          <div className="text-center p-3 bg-green-50 rounded-lg">
+            <div className="text-2xl font-bold text-green-600">{Number(result.metricas?.vehiculos_necesarios || 0)}</div>
+            <div className="text-xs text-gray-600">Vehículos</div>
+          </div>
+          <div className="text-center p-3 bg-yellow-50 rounded-lg">
+            <div className="text-2xl font-bold text-yellow-600">{Number(result.metricas?.tiendas_asignadas || 0)}</div>
+            <div className="text-xs text-gray-600">
+              Tiendas
+              {result.metricas?.tiendas_parcialmente_asignadas > 0 && ` (+${result.metricas.tiendas_parcialmente_asignadas} parciales)`}
+            </div>
+          </div>
+          <div className="text-center p-3 bg-purple-50 rounded-lg">
+            <div className="text-2xl font-bold text-purple-600">{Number(result.metricas?.capacidad_usada || 0).toFixed(1)}</div>
+            <div className="text-xs text-gray-600">Combis Usados</div>
+          </div>
+          <div className="text-center p-3 bg-indigo-50 rounded-lg">
+            <div className="text-2xl font-bold text-indigo-600">{Number(result.metricas?.distancia_total_km || 0).toFixed(1)}</div>
+            <div className="text-xs text-gray-600">Km Totales</div>
+          </div>
+          <div className="text-center p-3 bg-emerald-50 rounded-lg">
+            <div className="text-2xl font-bold text-emerald-600">{Number(result.metricas?.coste_total || 0).toFixed(0)} €</div>
+            <div className="text-xs text-gray-600">
+              Coste ({Number(result.metricas?.coste_por_combi || 0).toFixed(2)} €/combi)
+            </div>
+          </div>
+        </div>
+
+        {/* Comparación con sacar todos los camiones */}
+        {result.metricas?.comparacion_todos_los_vehiculos && (
+          <div className="text-sm text-emerald-700 mb-6 p-3 bg-emerald-50 rounded-lg">
+            💶 Con todos los camiones el plan costaría {Number(result.metricas.comparacion_todos_los_vehiculos.coste_todos_los_vehiculos || 0).toFixed(0)} €:
+            {' '}ahorro de {Number(result.metricas.comparacion_todos_los_vehiculos.ahorro || 0).toFixed(0)} €
+            {' '}({Number(result.metricas.comparacion_todos_los_vehiculos.ahorro_porcentaje || 0).toFixed(1)}%)
+          </div>
+        )}
+
+        {/* Tiendas sin asignar */}
+        {(result.tiendas_no_asignadas || []).length > 0 && (
+          <div className="mb-6 p-4 bg-red-50 border-2 border-red-300 rounded-lg">
+            <h4 className="font-semibold text-red-800 mb-1">
+              ⚠️ {result.tiendas_no_asignadas.length} tiendas sin asignar
+              ({Number(result.sugerencia_no_asignadas?.combis_pendientes || 0).toFixed(1)} combis)
+            </h4>
+            {result.sugerencia_no_asignadas?.tipo_vehiculo_sugerido && (
+              <p className="text-sm text-red-700 mb-3">
+                💡 Faltan {Number(result.sugerencia_no_asignadas.combis_adicionales_necesarias || 0).toFixed(1)} combis:
+                {' '}un vehículo {result.sugerencia_no_asignadas.tipo_vehiculo_sugerido} cubriría el hueco
+              </p>
+            )}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-red-800 border-b border-red-200">
+                    <th className="py-1 pr-3">Tienda</th>
+                    <th className="py-1 pr-3">Combis</th>
+                    <th className="py-1 pr-3">Motivo</th>
+                    <th className="py-1">Sugerencia</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.tiendas_no_asignadas.map(tienda => (
+                    <tr key={tienda.id} className="border-b border-red-100 text-red-700 align-top">
+                      <td className="py-1 pr-3"><strong>{tienda.codigo}</strong> {tienda.nombre}</td>
+                      <td className="py-1 pr-3">{Number(tienda.combis || 0).toFixed(1)}</td>
+                      <td className="py-1 pr-3">
+                        {tienda.motivo_descripcion}
+                        <div className="text-xs text-red-500">{tienda.detalle}</div>
+                      </td>
+                      <td className="py-1">{tienda.sugerencia}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {/* Tiendas que cambian de transportista */}
+        {(result.tiendas_reasignadas || []).length > 0 && (
+          <div className="mb-6 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+            <h4 className="font-semibold text-purple-800 mb-2">
+              🔀 {result.tiendas_reasignadas.length} tiendas cambian de proveedor
+            </h4>
+            <ul className="text-sm text-purple-700 space-y-1">
+              {result.tiendas_reasignadas.map(tienda => (
+                <li key={`${tienda.id}-${tienda.vehiculo_nombre}`}>
+                  <strong>{tienda.codigo}</strong> {tienda.nombre}: {tienda.proveedor_actual_nombre} → {tienda.proveedor_nuevo_nombre}
+                  {' '}({tienda.vehiculo_nombre}, {Number(tienda.combis || 0).toFixed(1)} combis)
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Origen de la demanda: pedidos del día o combis promedio */}
+        {result.demanda?.fecha && (
+          <div className="text-sm text-gray-600 mb-3 p-3 bg-gray-50 rounded-lg">
+            📦 Pedidos del <strong>{result.demanda.fecha}</strong>
+            {' • '}{Number(result.demanda.tiendas_con_pedido || 0)} tiendas con pedido
+            {result.demanda.prevision && (
+              <>{' • '}{Number(result.demanda.tiendas_con_prevision || 0)} con previsión ({result.demanda.prevision.metodo})</>
+            )}
+            {' • '}{Number(result.demanda.tiendas_con_media || 0)} con su media
+            {result.demanda.tiendas_sin_entrega?.length > 0 && (
+              <>{' • '}sin entrega: {result.demanda.tiendas_sin_entrega.join(', ')}</>
+            )}
+          </div>
+        )}
+
+        {/* Resumen del algoritmo */}
+        {result.optimizacion && (
+          <div className="text-sm text-gray-600 mb-6 p-3 bg-gray-50 rounded-lg">
+            🧮 <strong>{result.optimizacion.algoritmo}</strong>
+            {' • '}{Number(result.optimizacion.mejoras || 0)} mejoras en {Number(result.optimizacion.iteraciones || 0)} iteraciones
+            {' • '}objetivo {Number(result.optimizacion.objetivo_inicial || 0).toFixed(1)} → {Number(result.optimizacion.objetivo_final || 0).toFixed(1)}
+            {' '}({Number(result.optimizacion.mejora_porcentaje || 0).toFixed(1)}%)
+            {' • '}{Number(result.optimizacion.duracion_ms || 0)} ms
+          </div>
+        )}
+
+        {/* Rutas detalladas, agrupadas por proveedor, o su edición manual
+            (arrastrar tiendas entre camiones o dentro de una ruta) */}
+        {edicion ? (
+          <div className="space-y-4">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+              <div>
+                <h4 className="font-medium text-gray-900">✏️ Edición manual de rutas</h4>
+                <p className="text-xs text-gray-500">
+                  Arrastra las tiendas entre camiones o dentro de una ruta. 🔒 fija la tienda en su camión al re-optimizar.
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={aplicarEdicion}
+                  disabled={!edicion.validacion || edicion.validando}
+                  className="bg-blue-600 text-white py-1 px-3 rounded-lg text-sm hover:bg-blue-700 disabled:bg-gray-400"
+                >
+                  ✅ Aplicar cambios
+                </button>
+                <button
+                  onClick={reoptimizarConBloqueos}
+                  disabled={!Object.keys(edicion.bloqueos).length || loading}
+                  className="bg-green-600 text-white py-1 px-3 rounded-lg text-sm hover:bg-green-700 disabled:bg-gray-400"
+                >
+                  🔄 Re-optimizar con {Object.keys(edicion.bloqueos).length} bloqueos
+                </button>
+                <button
+                  onClick={() => setEdicionRutas(null)}
+                  className="bg-gray-100 text-gray-700 py-1 px-3 rounded-lg text-sm hover:bg-gray-200"
+                >
+                  Cancelar
+                </button>
+              </div>
+            </div>
+
+            {edicion.validacion && (
+              <div className={`text-sm p-3 rounded-lg ${edicion.validacion.valida ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                {edicion.validando ? '⏳ Validando... ' : (edicion.validacion.valida ? '✅ Plan válido' : '⚠️ El plan tiene problemas')}
+                {' • '}{Number(edicion.validacion.metricas?.eficiencia_llenado || 0)}% llenado
+                {' • '}{Number(edicion.validacion.metricas?.distancia_total_km || 0).toFixed(1)} km
+                {' • '}{Number(edicion.validacion.metricas?.coste_total || 0).toFixed(0)} €
+                {(edicion.validacion.problemas || []).map(problema => (
+                  <div key={`${problema.tipo}-${problema.tienda_id}`} className="text-xs mt-1">• {problema.mensaje}</div>
+                ))}
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {[...edicion.rutas, { vehiculo_id: null, vehiculo_nombre: '📋 Sin asignar', tiendas: edicion.sin_asignar }].map(ruta => (
+                <div
+                  key={ruta.vehiculo_id || 'sin-asignar'}
+                  onDragOver={e => e.preventDefault()}
+                  onDrop={e => soltarParada(e, { ruta: ruta.vehiculo_id })}
+                  className={`border rounded-lg p-3 min-h-[6rem] ${
+                    ruta.vehiculo_id === null ? 'border-dashed border-gray-300 bg-gray-50'
+                      : ruta.valida === false ? 'border-red-300 bg-red-50' : 'border-gray-200'
+                  }`}
+                >
+                  <div className="flex justify-between items-baseline mb-1">
+                    <h5 className="font-medium text-sm">
+                      {ruta.vehiculo_nombre}
+                      {ruta.proveedor_nombre && <span className="text-xs font-normal text-gray-500"> • {ruta.proveedor_nombre}</span>}
+                    </h5>
+                    {ruta.vehiculo_id !== null && (
+                      <span className="text-xs text-gray-600">
+                        {Number(ruta.distancia_km || 0).toFixed(1)} km • {Number(ruta.coste?.total || 0).toFixed(0)} €
+                      </span>
+                    )}
+                  </div>
+                  {ruta.vehiculo_id !== null && (
+                    <div className="mb-2">
+                      <div className="flex justify-between text-xs mb-1">
+                        <span>{Number(ruta.capacidad_usada || 0).toFixed(1)} / {Number(ruta.capacidad_maxima || 0)} combis</span>
+                        <span>{Number(ruta.eficiencia || 0).toFixed(1)}%</span>
+                      </div>
+                      <div className="w-full bg-gray-200 rounded-full h-1.5">
+                        <div
+                          className={`h-1.5 rounded-full ${Number(ruta.eficiencia || 0) > 100 ? 'bg-red-500' : 'bg-blue-500'}`}
+                          style={{ width: `${Math.min(100, Number(ruta.eficiencia || 0))}%` }}
+                        ></div>
+                      </div>
+                    </div>
+                  )}
+                  {(ruta.problemas || []).map(problema => (
+                    <div key={`${problema.tipo}-${problema.tienda_id}`} className="text-xs text-red-700">⚠️ {problema.mensaje}</div>
+                  ))}
+                  <ul className="mt-2 space-y-1">
+                    {ruta.tiendas.map((parada, indice) => {
+                      const bloqueada = edicion.bloqueos[parada.tienda_original_id || parada.id] === ruta.vehiculo_id;
+                      return (
+                        <li
+                          key={`${parada.id}-${indice}`}
+                          draggable
+                          onDragStart={e => e.dataTransfer.setData('text/plain', JSON.stringify({ ruta: ruta.vehiculo_id, indice }))}
+                          onDragOver={e => e.preventDefault()}
+                          onDrop={e => soltarParada(e, { ruta: ruta.vehiculo_id, indice })}
+                          className={`flex justify-between items-center gap-2 text-xs px-2 py-1 rounded border cursor-move ${
+                            bloqueada ? 'bg-yellow-50 border-yellow-300' : 'bg-white border-gray-200'
+                          }`}
+                        >
+                          <span>
+                            {ruta.vehiculo_id !== null && `${indice + 1}. `}
+                            <strong>{parada.codigo}</strong> {parada.nombre}
+                            {parada.entrega_dividida && ' ✂️'}
+                            {parada.hora_llegada && <span className="text-gray-500"> • {parada.hora_llegada}</span>}
+                          </span>
+                          <span className="flex items-center gap-1 whitespace-nowrap">
+                            {Number(parada.combis_promedio || 0).toFixed(1)}
+                            {ruta.vehiculo_id !== null && (
+                              <button
+                                onClick={() => alternarBloqueo(parada, ruta.vehiculo_id)}
+                                disabled={parada.entrega_dividida}
+                                title={parada.entrega_dividida ? 'Las entregas divididas no se pueden bloquear' : (bloqueada ? 'Desbloquear' : 'Bloquear en este camión')}
+                                className="disabled:opacity-30"
+                              >
+                                {bloqueada ? '🔒' : '🔓'}
+                              </button>
+                            )}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <MapaRutas result={result} />
+            <h4 className="font-medium text-gray-900">🚛 Rutas Optimizadas</h4>
+            {(result.proveedores || [{ id: result.proveedor_id, rutas: result.rutas || [] }]).map(proveedor => (
+              <div key={proveedor.id} className="space-y-4">
+                {proveedor.nombre && (
+                  <div className="flex justify-between items-baseline border-b pb-1">
+                    <h5 className="font-semibold text-gray-800">
+                      🏢 {proveedor.nombre}
+                      <span className="text-sm font-normal text-gray-500"> • desde {proveedor.deposito?.nombre}</span>
+                    </h5>
+                    <div className="text-sm text-gray-600">
+                      {Number(proveedor.metricas?.vehiculos_necesarios || 0)} vehículos
+                      {' • '}{Number(proveedor.metricas?.tiendas_asignadas || 0)} tiendas
+                      {' • '}{Number(proveedor.metricas?.distancia_total_km || 0).toFixed(1)} km
+                      {' • '}{Number(proveedor.metricas?.coste_total || 0).toFixed(0)} €
+                    </div>
+                  </div>
+                )}
+                {(proveedor.rutas || []).length === 0 && (
+                  <p className="text-sm text-gray-500">Sin rutas para este proveedor</p>
+                )}
+                {(proveedor.rutas || []).map(ruta => (
+                  <RutaCard key={ruta.vehiculo_id} ruta={ruta} />
+                ))}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const RutaCard = ({ ruta }) => (
+    <div className="border border-gray-200 rounded-lg p-4">
+      <div className="flex justify-between items-center mb-3">
+        <h5 className="font-medium">
+          {ruta.vehiculo_nombre || 'Vehículo'}
+          {ruta.almacen_origen && (
+            <span className="text-xs font-normal text-gray-500">
+              {' '}• 🏭 {ruta.almacen_origen.nombre}{ruta.vuelve_al_almacen ? ' ⇄' : ' →'}
+            </span>
+          )}
+        </h5>
+        <div className="text-sm text-gray-600">
+          {Number(ruta.eficiencia || 0).toFixed(1)}% llenado • {Number(ruta.distancia_km || 0).toFixed(1)} km
+          {ruta.coste && ` • ${Number(ruta.coste.total || 0).toFixed(0)} € (${ruta.tarifa?.tipo_pago})`}
+          {(ruta.tiendas || []).length > 0 && (
+            <>
+              <button onClick={() => descargarHojasRuta('xlsx', ruta.vehiculo_id)} className="ml-3 text-blue-600 hover:underline" title="Hoja de ruta en Excel">
+                📥 XLSX
+              </button>
+              <button onClick={() => descargarHojasRuta('html', ruta.vehiculo_id)} className="ml-2 text-blue-600 hover:underline" title="Hoja de ruta imprimible">
+                🖨️ Imprimir
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      
+      <div className="mb-2">
+        <div className="flex justify-between text-sm mb-1">
+          <span>{Number(ruta.capacidad_usada || 0).toFixed(1)} combis</span>
+          <span>{Number(ruta.capacidad_maxima || 0)} combis máx</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div 
+            className="bg-blue-500 h-2 rounded-full transition-all duration-300"
+            style={{ width: `${Math.min(100, Number(ruta.eficiencia || 0))}%` }}
+          ></div>
+        </div>
+      </div>
+
+      <div className="text-sm text-gray-600">
+        <strong>Tiendas ({(ruta.tiendas || []).length}):</strong> {' '}
+        {(ruta.tiendas || []).slice(0, 3).map(t => {
+          const detalles = [
+            t.reasignada && '🔀 reasignada',
+            t.vehiculo_bloqueado_id && '🔒 bloqueada',
+            t.entrega_dividida && `✂️ ${Number(t.combis_entrega || 0).toFixed(1)}/${Number(t.combis_total || 0).toFixed(1)} combis`,
+            t.hora_llegada
+          ].filter(Boolean);
+          return detalles.length ? `${t.nombre || t.codigo} (${detalles.join(', ')})` : (t.nombre || t.codigo);
+        }).join(' → ')}
+        {(ruta.tiendas || []).length > 3 && ` y ${(ruta.tiendas || []).length - 3} más...`}
+      </div>
+      {(ruta.tiendas || []).slice(3).some(t => t.reasignada) && (
+        <div className="text-xs text-purple-600 mt-1">
+          🔀 También reasignadas: {ruta.tiendas.slice(3).filter(t => t.reasignada).map(t => t.nombre || t.codigo).join(', ')}
+        </div>
+      )}
+      {(ruta.hora_regreso || ruta.hora_fin) && (
+        <div className="text-xs text-gray-500 mt-1">
+          🕐 Salida {ruta.hora_salida} • {ruta.hora_regreso ? `Regreso ${ruta.hora_regreso}` : `Fin ${ruta.hora_fin}`}
+          {ruta.regreso_fuera_de_horario && (
+            <span className="text-red-600"> • vuelve con el almacén cerrado</span>
+          )}
+          {Number(ruta.retraso_minutos || 0) > 0 && (
+            <span className="text-orange-600"> • {ruta.retraso_minutos} min de retraso en ventanas adaptables</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  // Sin sesión solo se muestra el inicio de sesión
+  if (!sesion) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <form onSubmit={iniciarSesion} className="bg-white rounded-lg shadow-sm border p-8 w-full max-w-sm space-y-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">🚛 TMS Optimizador de Rutas</h1>
+            <p className="text-gray-600">Inicia sesión para continuar</p>
+          </div>
+          {error && <ErrorAlert message={error} onClose={() => setError(null)} />}
+          <label className="block text-sm font-medium text-gray-700">
+            Email
+            <input
+              type="email"
+              autoComplete="username"
+              className="mt-1 w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              value={loginForm.email}
+              onChange={(e) => setLoginForm({ ...loginForm, email: e.target.value })}
+              required
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Contraseña
+            <input
+              type="password"
+              autoComplete="current-password"
+              className="mt-1 w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              value={loginForm.password}
+              onChange={(e) => setLoginForm({ ...loginForm, password: e.target.value })}
+              required
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+          >
+            {loading ? '⏳ Entrando...' : 'Entrar'}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  // Render principal
+  return (
+    <div className="min-h-screen bg-gray-50">
       {/* Header */}
       <header className="bg-white shadow-sm border-b">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -257,38 +1832,41 @@ const App = () => {
             <div>
               <h1 className="text-2xl font-bold text-gray-900">🚛 TMS Optimizador de Rutas</h1>
               <p className="text-gray-600">Sistema de gestión y optimización de flota</p>
+              {escenarioActivo ? (
+                <div className="mt-1 inline-flex items-center gap-2 text-sm bg-purple-100 text-purple-800 px-2 py-0.5 rounded">
+                  🧪 Escenario activo: <strong>{escenarioActivo.nombre}</strong>
+                  <button onClick={() => activarEscenario(null)} className="underline hover:text-purple-900">
+                    volver a datos base
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-1 inline-block text-sm bg-gray-100 text-gray-600 px-2 py-0.5 rounded">📦 Datos base</div>
+              )}
             </div>
-            <div className="flex gap-3">
-              <button
-                onClick={() => setActiveView('dashboard')}
-                className={`px-4 py-2 rounded-lg transition-colors ${
-                  activeView === 'dashboard'
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                📊 Dashboard
-              </button>
-              <button
-                onClick={() => setActiveView('optimization')}
-                className={`px-4 py-2 rounded-lg transition-colors ${
-                  activeView === 'optimization'
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                ⚡ Optimización
-              </button>
-              <button
-                onClick={() => setActiveView('import')}
-                className={`px-4 py-2 rounded-lg transition-colors ${
-                  activeView === 'import'
-                    ? 'bg-blue-600 text-white'
-                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                }`}
-              >
-                📁 Importar
-              </button>
+            <div className="flex flex-col items-end gap-3">
+              <div className="flex items-center gap-3 text-sm text-gray-600">
+                <span>
+                  👤 <strong>{sesion.usuario.nombre}</strong> • {ROLES[rol]}
+                </span>
+                <button onClick={cerrarSesion} className="text-blue-600 hover:underline">
+                  Cerrar sesión
+                </button>
+              </div>
+              <div className="flex gap-3">
+                {VISTAS.filter(vista => vista.roles.includes(rol)).map(vista => (
+                  <button
+                    key={vista.id}
+                    onClick={() => setActiveView(vista.id)}
+                    className={`px-4 py-2 rounded-lg transition-colors ${
+                      activeView === vista.id
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {vista.label}
+                  </button>
+                ))}
+              </div>
             </div>
           </div>
         </div>
@@ -304,10 +1882,13 @@ const App = () => {
               <h2 className="text-xl font-semibold mb-4">📈 Resumen de Flota</h2>
               
               {loading ? <LoadingSpinner /> : (
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                   <div className="text-center p-4 bg-blue-50 rounded-lg">
-                    <div className="text-3xl font-bold text-blue-600">{vehiculos.length}</div>
+                    <div className="text-3xl font-bold text-blue-600">{resumenDashboard?.total_vehiculos ?? vehiculos.length}</div>
                     <div className="text-gray-600">Total Vehículos</div>
+                    {resumenDashboard?.escenario && (
+                      <div className="text-xs text-purple-600">datos base: {resumenDashboard.base.total_vehiculos}</div>
+                    )}
                   </div>
                   <div className="text-center p-4 bg-green-50 rounded-lg">
                     <div className="text-3xl font-bold text-green-600">{proveedores.length}</div>
@@ -315,17 +1896,91 @@ const App = () => {
                   </div>
                   <div className="text-center p-4 bg-yellow-50 rounded-lg">
                     <div className="text-3xl font-bold text-yellow-600">
-                      {vehiculos.reduce((sum, v) => sum + Number(v.capacidad_combis || 0), 0)}
+                      {resumenDashboard?.capacidad_total ?? vehiculos.reduce((sum, v) => sum + Number(v.capacidad_combis || 0), 0)}
                     </div>
                     <div className="text-gray-600">Capacidad Total (combis)</div>
+                    {resumenDashboard?.escenario && (
+                      <div className="text-xs text-purple-600">datos base: {resumenDashboard.base.capacidad_total}</div>
+                    )}
+                  </div>
+                  <div className="text-center p-4 bg-orange-50 rounded-lg">
+                    <div className="text-3xl font-bold text-orange-600">
+                      {Number(resumenDashboard?.demanda_total_combis || 0).toFixed(0)}
+                    </div>
+                    <div className="text-gray-600">Demanda (combis/día)</div>
+                    {resumenDashboard?.escenario && (
+                      <div className="text-xs text-purple-600">
+                        datos base: {Number(resumenDashboard.base.demanda_total_combis || 0).toFixed(0)}
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
             </div>
 
+            {/* Salud de los datos (admin): cada comprobación se despliega con sus registros */}
+            {rol === 'admin' && calidadDatos && (
+              <div className="bg-white rounded-lg shadow-sm border p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="font-semibold text-lg">🩺 Calidad de los datos</h3>
+                  <div className="flex items-center gap-3 text-sm">
+                    <span className="text-red-600">{calidadDatos.resumen.errores} errores</span>
+                    <span className="text-yellow-600">{calidadDatos.resumen.avisos} avisos</span>
+                    <button onClick={loadCalidadDatos} className="text-blue-600 hover:underline">
+                      🔄 Revisar
+                    </button>
+                  </div>
+                </div>
+                {!calidadDatos.comprobaciones.some(c => c.total) ? (
+                  <p className="text-sm text-green-600">✅ No se han encontrado problemas en los datos.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {calidadDatos.comprobaciones.filter(c => c.total).map(comprobacion => (
+                      <div key={comprobacion.id}>
+                        <button
+                          onClick={() => setComprobacionAbierta(comprobacionAbierta === comprobacion.id ? null : comprobacion.id)}
+                          className={`w-full flex justify-between items-center p-3 rounded-lg text-sm ${SEVERIDADES[comprobacion.severidad].clase}`}
+                        >
+                          <span>{SEVERIDADES[comprobacion.severidad].icono} {comprobacion.descripcion}</span>
+                          <strong>{comprobacion.total}</strong>
+                        </button>
+                        {comprobacionAbierta === comprobacion.id && (
+                          <ul className="mt-1 ml-6 text-sm text-gray-700 list-disc">
+                            {comprobacion.registros.slice(0, 20).map(registro => (
+                              <li key={registro.id}>{describirRegistroCalidad(registro)}</li>
+                            ))}
+                            {comprobacion.total > 20 && (
+                              <li className="text-gray-500">y {comprobacion.total - 20} más</li>
+                            )}
+                          </ul>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               <div className="bg-white rounded-lg shadow-sm border p-6">
-                <h3 className="font-semibold text-lg mb-4">🏢 Proveedores</h3>
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="font-semibold text-lg">🏢 Proveedores</h3>
+                  {puedeEditar && (
+                    <button onClick={() => setCreando('proveedor')} className="text-sm text-blue-600 hover:underline">
+                      ➕ Nuevo proveedor
+                    </button>
+                  )}
+                </div>
+                {creando === 'proveedor' && (
+                  <div className="mb-3">
+                    <EditorRegistro
+                      campos={camposProveedor()}
+                      inicial={{}}
+                      onGuardar={(datos) => guardarRegistro('proveedores', null, datos)}
+                      onCancelar={() => setCreando(null)}
+                    />
+                  </div>
+                )}
                 {loading ? <LoadingSpinner /> : (
                   <div className="space-y-3">
                     {proveedores.map(proveedor => (
@@ -341,9 +1996,26 @@ const App = () => {
               </div>
 
               <div className="bg-white rounded-lg shadow-sm border p-6">
-                <h3 className="font-semibold text-lg mb-4">
-                  🚛 Vehículos {selectedProveedor && `- ${selectedProveedor.nombre}`}
-                </h3>
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="font-semibold text-lg">
+                    🚛 Vehículos {selectedProveedor && `- ${selectedProveedor.nombre}`}
+                  </h3>
+                  {puedeEditar && (
+                    <button onClick={() => setCreando('vehiculo')} className="text-sm text-blue-600 hover:underline">
+                      ➕ Nuevo vehículo
+                    </button>
+                  )}
+                </div>
+                {creando === 'vehiculo' && (
+                  <div className="mb-3">
+                    <EditorRegistro
+                      campos={camposVehiculo()}
+                      inicial={{ proveedor_id: selectedProveedor?.id }}
+                      onGuardar={(datos) => guardarRegistro('vehiculos', null, datos)}
+                      onCancelar={() => setCreando(null)}
+                    />
+                  </div>
+                )}
                 {loading ? <LoadingSpinner /> : (
                   <VehiculosList 
                     vehiculos={vehiculos} 
@@ -352,6 +2024,133 @@ const App = () => {
                 )}
               </div>
             </div>
+
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="font-semibold text-lg">
+                  🏪 Tiendas {selectedProveedor && `- ${selectedProveedor.nombre}`}
+                </h3>
+                {puedeEditar && (
+                  <button onClick={() => setCreando('tienda')} className="text-sm text-blue-600 hover:underline">
+                    ➕ Nueva tienda
+                  </button>
+                )}
+              </div>
+              {creando === 'tienda' && (
+                <div className="mb-3">
+                  <EditorRegistro
+                    campos={camposTienda()}
+                    inicial={{ proveedor_id: selectedProveedor?.id }}
+                    onGuardar={(datos) => guardarRegistro('tiendas', null, datos)}
+                    onCancelar={() => setCreando(null)}
+                  />
+                </div>
+              )}
+              {loading ? <LoadingSpinner /> : (
+                <TiendasList
+                  tiendas={selectedProveedor ? tiendas.filter(t => t.proveedor_id === selectedProveedor.id) : tiendas}
+                />
+              )}
+            </div>
+
+            {/* El transportista descarga las hojas de ruta de sus camiones */}
+            {rol === 'transportista' && (
+              <div className="bg-white rounded-lg shadow-sm border p-6">
+                <h3 className="font-semibold text-lg mb-4">🧾 Hojas de ruta</h3>
+                {!planesTransportista.length ? (
+                  <p className="text-sm text-gray-500">Todavía no hay planes de rutas.</p>
+                ) : (
+                  <div className="space-y-2">
+                    {planesTransportista.map(optimizacion => (
+                      <div key={optimizacion.id} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg text-sm">
+                        <span>{new Date(optimizacion.created_at).toLocaleString('es-ES')}</span>
+                        <div className="flex gap-3">
+                          <button
+                            onClick={() => descargarHojasRuta('html', undefined, { optimizacion_id: optimizacion.id })}
+                            className="text-blue-600 hover:underline"
+                          >
+                            🖨️ Imprimir
+                          </button>
+                          <button
+                            onClick={() => descargarHojasRuta('xlsx', undefined, { optimizacion_id: optimizacion.id })}
+                            className="text-blue-600 hover:underline"
+                          >
+                            ⬇️ Excel
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Previsión frente a pedidos reales: las tiendas con más error primero */}
+            {rol !== 'transportista' && (
+              <div className="bg-white rounded-lg shadow-sm border p-6">
+                <div className="flex justify-between items-center mb-4">
+                  <h3 className="font-semibold text-lg">🔮 Previsión de demanda vs. pedidos</h3>
+                  {errorPrevision?.mae != null && (
+                    <span className="text-sm text-gray-600">
+                      Error medio: <strong>{Number(errorPrevision.mae).toFixed(2)}</strong> combis
+                      {' '}({errorPrevision.comparaciones} pedidos desde {errorPrevision.desde})
+                    </span>
+                  )}
+                </div>
+                {!errorPrevision?.tiendas.length ? (
+                  <p className="text-sm text-gray-500">
+                    Aún no hay historial de pedidos suficiente para comparar la previsión.
+                  </p>
+                ) : (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2">Tienda</th>
+                        <th className="py-2 text-right">Pedidos</th>
+                        <th className="py-2 text-right">Error medio</th>
+                        <th className="py-2 text-right">Error %</th>
+                        <th className="py-2 text-right">Sesgo</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {errorPrevision.tiendas.slice(0, 10).map(tienda => (
+                        <React.Fragment key={tienda.tienda_id}>
+                          <tr
+                            className="border-b cursor-pointer hover:bg-gray-50"
+                            onClick={() => verPrevisionTienda(tienda.tienda_id)}
+                          >
+                            <td className="py-2">{tienda.codigo} - {tienda.nombre}</td>
+                            <td className="py-2 text-right">{tienda.comparaciones}</td>
+                            <td className="py-2 text-right">{Number(tienda.mae).toFixed(2)}</td>
+                            <td className="py-2 text-right">{tienda.mape == null ? '—' : `${Number(tienda.mape).toFixed(1)}%`}</td>
+                            <td className={`py-2 text-right ${tienda.sesgo > 0 ? 'text-orange-600' : 'text-blue-600'}`}>
+                              {tienda.sesgo > 0 ? '+' : ''}{Number(tienda.sesgo).toFixed(2)}
+                            </td>
+                          </tr>
+                          {previsionTienda?.tienda_id === tienda.tienda_id && (
+                            <tr className="border-b bg-gray-50">
+                              <td colSpan={5} className="py-2">
+                                <div className="grid grid-cols-7 gap-2 text-center text-xs">
+                                  {previsionTienda.dias_semana.map(dia => (
+                                    <div key={dia.dia_semana}>
+                                      <div className="text-gray-500">{dia.nombre}</div>
+                                      <div className="font-medium">{dia.combis == null ? '—' : Number(dia.combis).toFixed(1)}</div>
+                                    </div>
+                                  ))}
+                                </div>
+                                <div className="text-xs text-gray-500 mt-1">
+                                  Combis previstas por día ({previsionTienda.opciones.metodo}) • media: {Number(previsionTienda.combis_promedio).toFixed(1)}
+                                </div>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -360,82 +2159,1233 @@ const App = () => {
             <div className="bg-white rounded-lg shadow-sm border p-6">
               <h2 className="text-xl font-semibold mb-4">⚡ Optimización de Rutas</h2>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+              <div className="mb-6">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="block text-sm font-medium text-gray-700">
+                    Proveedores a optimizar:
+                  </span>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={proveedores.length > 0 && proveedoresOptimizacion.length === proveedores.length}
+                      onChange={(e) => setProveedoresOptimizacion(e.target.checked ? proveedores.map(p => p.id) : [])}
+                    />
+                    🌍 Todos (región completa)
+                  </label>
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                  {proveedores.map(proveedor => (
+                    <label
+                      key={proveedor.id}
+                      className={`flex items-center gap-2 p-2 border rounded-lg text-sm cursor-pointer ${
+                        proveedoresOptimizacion.includes(proveedor.id) ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={proveedoresOptimizacion.includes(proveedor.id)}
+                        onChange={(e) => setProveedoresOptimizacion(e.target.checked
+                          ? [...proveedoresOptimizacion, proveedor.id]
+                          : proveedoresOptimizacion.filter(id => id !== proveedor.id))}
+                      />
+                      {proveedor.nombre} ({Number(proveedor.total_vehiculos || 0)} vehículos)
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Seleccionar Proveedor:
+                    Día de entrega (ventanas horarias):
                   </label>
-                  <select 
+                  <select
                     className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                    value={selectedProveedor?.id || ''}
-                    onChange={(e) => {
-                      const proveedor = proveedores.find(p => p.id === e.target.value);
-                      setSelectedProveedor(proveedor);
-                    }}
+                    value={diaEntrega}
+                    onChange={(e) => setDiaEntrega(e.target.value)}
                   >
-                    <option value="">Seleccionar proveedor...</option>
-                    {proveedores.map(proveedor => (
-                      <option key={proveedor.id} value={proveedor.id}>
-                        {proveedor.nombre} ({Number(proveedor.total_vehiculos || 0)} vehículos)
-                      </option>
+                    <option value="">Sin ventanas horarias</option>
+                    {DIAS_SEMANA.map((dia, index) => (
+                      <option key={dia} value={index + 1}>{dia}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Fecha de los pedidos:
+                  </label>
+                  <input
+                    type="date"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={fechaPedidos}
+                    onChange={(e) => setFechaPedidos(e.target.value)}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Las tiendas sin pedido ese día usan sus combis promedio.
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Tiendas sin pedido:
+                  </label>
+                  <select
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={metodoPrevision}
+                    onChange={(e) => setMetodoPrevision(e.target.value)}
+                    disabled={!fechaPedidos}
+                  >
+                    {METODOS_PREVISION.map(opcion => (
+                      <option key={opcion.value} value={opcion.value}>{opcion.label}</option>
+                    ))}
+                  </select>
+                  {!fechaPedidos && (
+                    <p className="text-xs text-gray-500 mt-1">Indica la fecha para prever su demanda.</p>
+                  )}
+                </div>
+                
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Algoritmo:
+                  </label>
+                  <select
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    value={algoritmo}
+                    onChange={(e) => setAlgoritmo(e.target.value)}
+                  >
+                    {ALGORITMOS.map(opcion => (
+                      <option key={opcion.value} value={opcion.value}>{opcion.label}</option>
                     ))}
                   </select>
                 </div>
                 
                 <div className="flex items-end">
                   <button
-                    onClick={() => selectedProveedor && optimizarRutas(selectedProveedor.id)}
-                    disabled={!selectedProveedor || loading}
+                    onClick={() => optimizarRutas(proveedoresOptimizacion)}
+                    disabled={!proveedoresOptimizacion.length || loading || !puedeEditar}
+                    title={puedeEditar ? undefined : 'Tu rol solo permite consultar'}
                     className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
                   >
                     {loading ? '⏳ Optimizando...' : '🚀 Optimizar Rutas'}
                   </button>
                 </div>
               </div>
+
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                <label className="flex items-center gap-2">
+                  🎯 Objetivo:
+                  <select
+                    className="p-1 border border-gray-300 rounded"
+                    value={objetivo}
+                    onChange={(e) => setObjetivo(e.target.value)}
+                  >
+                    <option value="distancia">Minimizar kilómetros y vehículos</option>
+                    <option value="coste">Minimizar coste de transporte</option>
+                  </select>
+                </label>
+                {proveedoresOptimizacion.length > 1 && (
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={permitirReasignacion}
+                      onChange={(e) => setPermitirReasignacion(e.target.checked)}
+                    />
+                    🔀 Permitir reasignar tiendas entre proveedores
+                  </label>
+                )}
+                {escenarioActivo && (
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={usarDatosBase}
+                      onChange={(e) => setUsarDatosBase(e.target.checked)}
+                    />
+                    📦 Ignorar el escenario «{escenarioActivo.nombre}» (datos base)
+                  </label>
+                )}
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={volverAlAlmacen}
+                    onChange={(e) => setVolverAlAlmacen(e.target.checked)}
+                  />
+                  🏭 Volver al almacén al terminar
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={entregasDivididas}
+                    onChange={(e) => setEntregasDivididas(e.target.checked)}
+                  />
+                  ✂️ Permitir entregas divididas entre varios camiones
+                </label>
+                {entregasDivididas && (
+                  <label className="flex items-center gap-2">
+                    Mínimo por entrega:
+                    <input
+                      type="number"
+                      min="1"
+                      value={minimoDivision}
+                      onChange={(e) => setMinimoDivision(e.target.value)}
+                      className="w-20 p-1 border border-gray-300 rounded"
+                    />
+                    combis
+                  </label>
+                )}
+              </div>
             </div>
 
+            {historialOptimizaciones.length > 0 && (
+              <div className="bg-white rounded-lg shadow-sm border p-6">
+                <h3 className="font-semibold text-lg mb-4">🕘 Historial de Optimizaciones</h3>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-1 pr-3">Fecha</th>
+                        <th className="py-1 pr-3">Proveedores</th>
+                        <th className="py-1 pr-3">Algoritmo</th>
+                        <th className="py-1 pr-3">Vehículos</th>
+                        <th className="py-1 pr-3">Tiendas</th>
+                        <th className="py-1 pr-3">Km</th>
+                        <th className="py-1 pr-3">Coste</th>
+                        <th className="py-1 pr-3">Duración</th>
+                        <th className="py-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historialOptimizaciones.map(ejecucion => (
+                        <tr
+                          key={ejecucion.id}
+                          className={`border-b ${optimizationResult?.optimizacion_id === ejecucion.id ? 'bg-blue-50' : ''}`}
+                        >
+                          <td className="py-1 pr-3">{new Date(ejecucion.created_at).toLocaleString()}</td>
+                          <td className="py-1 pr-3">{(ejecucion.proveedores || []).join(', ') || '—'}</td>
+                          <td className="py-1 pr-3">{ejecucion.algoritmo || '—'}</td>
+                          <td className="py-1 pr-3">
+                            {Number(ejecucion.metricas?.vehiculos_necesarios || 0)}/{Number(ejecucion.vehiculos || 0)}
+                          </td>
+                          <td className="py-1 pr-3">{Number(ejecucion.tiendas || 0)}</td>
+                          <td className="py-1 pr-3">{Number(ejecucion.metricas?.distancia_total_km || 0).toFixed(1)}</td>
+                          <td className="py-1 pr-3">{Number(ejecucion.metricas?.coste_total || 0).toFixed(0)} €</td>
+                          <td className="py-1 pr-3">{Number(ejecucion.duracion_ms || 0)} ms</td>
+                          <td className="py-1 text-right">
+                            <button
+                              onClick={() => abrirOptimizacion(ejecucion.id)}
+                              disabled={loading}
+                              className="text-blue-600 hover:underline disabled:text-gray-400"
+                            >
+                              📂 Abrir
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {optimizationResult && <OptimizationResults result={optimizationResult} />}
           </div>
         )}
 
         {activeView === 'import' && (
-          <div className="bg-white rounded-lg shadow-sm border p-6">
-            <h2 className="text-xl font-semibold mb-4">📁 Importar Datos Excel</h2>
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <h2 className="text-xl font-semibold mb-4">📁 Importar Datos</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Analiza el archivo para revisar las hojas detectadas, ajustar qué columna corresponde a cada
+                campo y ver los errores antes de importar. El mapeo se puede guardar como plantilla.
+              </p>
             
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Seleccionar archivo Excel:
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Seleccionar archivo (Excel, CSV o JSON):
+                  </label>
+                  <input
+                    type="file"
+                    accept=".xlsx,.xls,.csv,.json"
+                    onChange={(e) => setUploadFile(e.target.files[0])}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                  />
+                </div>
+              
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    className="p-2 border border-gray-300 rounded-lg text-sm"
+                    value=""
+                    onChange={(e) => {
+                      const plantilla = plantillas.find(p => p.id === e.target.value);
+                      if (plantilla) setImportMapeo(plantilla.mapeo);
+                    }}
+                  >
+                    <option value="">📋 Aplicar plantilla...</option>
+                    {plantillas.map(plantilla => (
+                      <option key={plantilla.id} value={plantilla.id}>{plantilla.nombre}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={analizarImportacion}
+                    disabled={!uploadFile || loading}
+                    className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+                  >
+                    {importPreview ? '🔄 Volver a analizar' : '🔍 Analizar'}
+                  </button>
+                  <button
+                    onClick={handleFileUpload}
+                    disabled={!uploadFile || loading}
+                    className="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors"
+                  >
+                    {loading ? '⏳ Importando...' : '📤 Importar Datos'}
+                  </button>
+                </div>
+
+                {importPreview && !importPreview.hojas && (
+                  <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                    ❌ {importPreview.error}
+                  </div>
+                )}
+
+                {(importPreview?.hojas || []).map(hoja => {
+                  const mapeoHoja = importMapeo[hoja.hoja] || { tipo: hoja.tipo, columnas: hoja.columnas };
+                  const campos = camposImportacion[mapeoHoja.tipo] || [];
+                  return (
+                    <div key={hoja.hoja} className="p-4 border border-gray-200 rounded-lg">
+                      <div className="flex flex-wrap justify-between items-center gap-3 mb-3">
+                        <h3 className="font-medium">📄 {hoja.hoja} <span className="text-sm text-gray-500">({hoja.filas} filas)</span></h3>
+                        <label className="flex items-center gap-2 text-sm">
+                          Tipo:
+                          <select
+                            className="p-1 border border-gray-300 rounded"
+                            value={mapeoHoja.tipo || ''}
+                            onChange={(e) => cambiarMapeoHoja(hoja.hoja, { tipo: e.target.value || null, columnas: {} })}
+                          >
+                            <option value="">Ignorar hoja</option>
+                            {Object.keys(camposImportacion).map(tipo => (
+                              <option key={tipo} value={tipo}>{tipo}</option>
+                            ))}
+                          </select>
+                        </label>
+                      </div>
+
+                      {campos.length > 0 && (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm mb-3">
+                          {campos.map(campo => (
+                            <label key={campo} className="flex flex-col gap-1">
+                              {campo}
+                              <select
+                                className="p-1 border border-gray-300 rounded"
+                                value={(mapeoHoja.columnas || {})[campo] || ''}
+                                onChange={(e) => cambiarMapeoHoja(hoja.hoja, {
+                                  columnas: { ...mapeoHoja.columnas, [campo]: e.target.value || null },
+                                })}
+                              >
+                                <option value="">— sin columna —</option>
+                                {hoja.cabeceras.map(cabecera => (
+                                  <option key={cabecera} value={cabecera}>{cabecera}</option>
+                                ))}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+
+                      {hoja.muestra.length > 0 && (
+                        <div className="overflow-x-auto mb-3">
+                          <table className="w-full text-xs">
+                            <thead>
+                              <tr className="text-left text-gray-500 border-b">
+                                <th className="py-1 pr-2">Fila</th>
+                                {campos.map(campo => <th key={campo} className="py-1 pr-2">{campo}</th>)}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {hoja.muestra.map(({ fila, valores }) => (
+                                <tr key={fila} className="border-b">
+                                  <td className="py-1 pr-2 text-gray-500">{fila}</td>
+                                  {campos.map(campo => <td key={campo} className="py-1 pr-2">{String(valores[campo] ?? '')}</td>)}
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+
+                      <div className="text-sm text-gray-600">
+                        Se crearían {hoja.creados}, se actualizarían {hoja.actualizados} y se omitirían {hoja.omitidos}
+                      </div>
+                      {hoja.errores.length > 0 && (
+                        <ul className="text-sm text-red-600 mt-2">
+                          {hoja.errores.map(error => (
+                            <li key={`${error.fila}-${error.mensaje}`}>
+                              • {error.fila && `Fila ${error.fila}: `}{error.mensaje}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  );
+                })}
+
+                {importPreview?.hojas && (
+                  <div className="flex items-center gap-3 text-sm">
+                    <input
+                      type="text"
+                      placeholder="Nombre de la plantilla"
+                      value={nombrePlantilla}
+                      onChange={(e) => setNombrePlantilla(e.target.value)}
+                      className="p-2 border border-gray-300 rounded-lg"
+                    />
+                    <button
+                      onClick={guardarPlantilla}
+                      disabled={!nombrePlantilla}
+                      className="bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      💾 Guardar mapeo como plantilla
+                    </button>
+                  </div>
+                )}
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={omitirErrores}
+                    onChange={(e) => setOmitirErrores(e.target.checked)}
+                  />
+                  Importar las filas válidas aunque otras tengan errores
                 </label>
-                <input
-                  type="file"
-                  accept=".xlsx,.xls"
-                  onChange={(e) => setUploadFile(e.target.files[0])}
-                  className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
-                />
+
+                {uploadResult && (
+                  <div className={`mt-4 p-4 border rounded-lg ${
+                    uploadResult.exitoso ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+                  }`}>
+                    <h4 className={`font-medium ${uploadResult.exitoso ? 'text-green-800' : 'text-red-800'}`}>
+                      {uploadResult.exitoso ? '✅ Importación Completada' : `❌ ${uploadResult.error}`}
+                    </h4>
+                    {(uploadResult.proveedores_creados || []).length > 0 && (
+                      <p className="text-sm text-gray-700 mt-2">
+                        Proveedores nuevos: {uploadResult.proveedores_creados.join(', ')}
+                      </p>
+                    )}
+                    <table className="w-full text-sm mt-3">
+                      <thead>
+                        <tr className="text-left text-gray-600 border-b">
+                          <th className="py-1 pr-3">Hoja</th>
+                          <th className="py-1 pr-3">Tipo</th>
+                          <th className="py-1 pr-3">Creados</th>
+                          <th className="py-1 pr-3">Actualizados</th>
+                          <th className="py-1 pr-3">Omitidos</th>
+                          <th className="py-1">Errores</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {(uploadResult.hojas || []).map(hoja => (
+                          <tr key={hoja.hoja} className="border-b align-top">
+                            <td className="py-1 pr-3 font-medium">{hoja.hoja}</td>
+                            <td className="py-1 pr-3">{hoja.tipo || '—'}</td>
+                            <td className="py-1 pr-3">{Number(hoja.creados || 0)}</td>
+                            <td className="py-1 pr-3">{Number(hoja.actualizados || 0)}</td>
+                            <td className="py-1 pr-3">{Number(hoja.omitidos || 0)}</td>
+                            <td className="py-1 text-red-600">
+                              {hoja.errores.map(error => (
+                                <div key={`${error.fila}-${error.mensaje}`}>
+                                  {error.fila && `Fila ${error.fila}: `}{error.mensaje}
+                                </div>
+                              ))}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
               </div>
-              
+            </div>
+
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <h2 className="text-xl font-semibold mb-4">📤 Exportar Datos</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Los archivos exportados usan las mismas columnas que la importación: se pueden volver a
+                importar sin cambios para reproducir los datos en otro entorno.
+              </p>
+              {escenarioActivo && (
+                <label className="flex items-center gap-2 text-sm text-purple-700 mb-4">
+                  <input
+                    type="checkbox"
+                    checked={usarDatosBase}
+                    onChange={(e) => setUsarDatosBase(e.target.checked)}
+                  />
+                  Exportar los datos base en lugar del escenario «{escenarioActivo.nombre}»
+                </label>
+              )}
+              <div className="flex flex-wrap gap-3 mb-4">
+                {['xlsx', 'json'].map(formato => (
+                  <a
+                    key={formato}
+                    href={conSesion(`${API_URL}/api/export?formato=${formato}${usarDatosBase ? '&base=true' : ''}`)}
+                    className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+                  >
+                    ⬇️ Todo en {formato.toUpperCase()}
+                  </a>
+                ))}
+              </div>
+              <table className="w-full text-sm">
+                <tbody>
+                  {TIPOS_EXPORTACION.map(tipo => (
+                    <tr key={tipo} className="border-b">
+                      <td className="py-2 pr-3 font-medium capitalize">{tipo.replace('_', ' ')}</td>
+                      {['csv', 'json', 'xlsx'].map(formato => (
+                        <td key={formato} className="py-2 pr-3">
+                          <a href={conSesion(`${API_URL}/api/export/${tipo}?formato=${formato}${usarDatosBase ? '&base=true' : ''}`)} className="text-blue-600 hover:underline">
+                            {formato.toUpperCase()}
+                          </a>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {activeView === 'almacenes' && (
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">🏭 Almacenes</h2>
               <button
-                onClick={handleFileUpload}
-                disabled={!uploadFile || loading}
-                className="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors"
+                onClick={() => setAlmacenForm({ ...ALMACEN_VACIO })}
+                className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
               >
-                {loading ? '⏳ Importando...' : '📤 Importar Datos'}
+                ➕ Nuevo almacén
               </button>
+            </div>
 
-              {uploadResult && (
-                <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
-                  <h4 className="font-medium text-green-800">✅ Importación Completada</h4>
-                  <ul className="text-sm text-green-700 mt-2">
-                    <li>• Vehículos importados: {Number(uploadResult.vehiculos_importados || 0)}</li>
-                    <li>• Tiendas importadas: {Number(uploadResult.tiendas_importadas || 0)}</li>
-                    {(uploadResult.errores || []).length > 0 && (
-                      <li className="text-red-600">• Errores: {(uploadResult.errores || []).length}</li>
-                    )}
+            {almacenForm && (
+              <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+                <h3 className="font-medium mb-3">{almacenForm.id ? `Editar ${almacenForm.nombre}` : 'Nuevo almacén'}</h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 text-sm">
+                  {[
+                    ['nombre', 'Nombre', 'text'],
+                    ['direccion', 'Dirección', 'text'],
+                    ['latitud', 'Latitud', 'number'],
+                    ['longitud', 'Longitud', 'number'],
+                    ['hora_apertura', 'Apertura', 'time'],
+                    ['hora_cierre', 'Cierre', 'time'],
+                    ['muelles', 'Muelles', 'number'],
+                  ].map(([campo, etiqueta, tipo]) => (
+                    <label key={campo} className="flex flex-col gap-1">
+                      {etiqueta}
+                      <input
+                        type={tipo}
+                        step={tipo === 'number' && campo !== 'muelles' ? 'any' : undefined}
+                        value={almacenForm[campo] ?? ''}
+                        onChange={(e) => setAlmacenForm({ ...almacenForm, [campo]: e.target.value })}
+                        className="p-2 border border-gray-300 rounded"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <div className="flex gap-3 mt-4">
+                  <button
+                    onClick={guardarAlmacen}
+                    disabled={!almacenForm.nombre || loading}
+                    className="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors"
+                  >
+                    💾 Guardar
+                  </button>
+                  <button
+                    onClick={() => setAlmacenForm(null)}
+                    className="bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200 transition-colors"
+                  >
+                    Cancelar
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b">
+                    <th className="py-2 pr-3">Almacén</th>
+                    <th className="py-2 pr-3">Coordenadas</th>
+                    <th className="py-2 pr-3">Horario</th>
+                    <th className="py-2 pr-3">Muelles</th>
+                    <th className="py-2 pr-3">Proveedores</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {almacenes.map(almacen => (
+                    <tr key={almacen.id} className="border-b align-top">
+                      <td className="py-2 pr-3">
+                        <div className="font-medium">{almacen.nombre}</div>
+                        <div className="text-xs text-gray-500">{almacen.direccion}</div>
+                      </td>
+                      <td className="py-2 pr-3">
+                        {almacen.latitud != null
+                          ? `${Number(almacen.latitud).toFixed(4)}, ${Number(almacen.longitud).toFixed(4)}`
+                          : <span className="text-orange-600">Sin coordenadas</span>}
+                      </td>
+                      <td className="py-2 pr-3">
+                        {almacen.hora_apertura
+                          ? `${almacen.hora_apertura.slice(0, 5)} - ${(almacen.hora_cierre || '').slice(0, 5)}`
+                          : '—'}
+                      </td>
+                      <td className="py-2 pr-3">{almacen.muelles ?? '—'}</td>
+                      <td className="py-2 pr-3">{(almacen.proveedores || []).join(', ') || '—'}</td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => setAlmacenForm({
+                            ...Object.fromEntries(Object.keys(ALMACEN_VACIO).map(campo => [campo, almacen[campo] ?? ''])),
+                            hora_apertura: (almacen.hora_apertura || '').slice(0, 5),
+                            hora_cierre: (almacen.hora_cierre || '').slice(0, 5),
+                            id: almacen.id,
+                          })}
+                          className="text-blue-600 hover:underline mr-3"
+                        >
+                          Editar
+                        </button>
+                        <button
+                          onClick={() => eliminarAlmacen(almacen)}
+                          className="text-red-600 hover:underline"
+                        >
+                          Eliminar
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {activeView === 'escenarios' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow-sm border p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-xl font-semibold">🧪 Escenarios</h2>
+                <div className="flex gap-2">
+                  <button
+                    onClick={compararEscenarios}
+                    disabled={escenariosComparar.length < 2 || loading}
+                    className="bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:bg-gray-400"
+                  >
+                    ⚖️ Comparar ({escenariosComparar.length})
+                  </button>
+                  <button
+                    onClick={() => editarEscenario(null)}
+                    className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700"
+                  >
+                    ➕ Nuevo escenario
+                  </button>
+                </div>
+              </div>
+              <p className="text-sm text-gray-600 mb-4">
+                Un escenario parte de los datos actuales y guarda solo los cambios: quitar camiones, cambiar
+                capacidades, ajustar la demanda por provincia o reasignar tiendas. Marca dos o más para compararlos.
+              </p>
+
+              {escenarios.length === 0 && <p className="text-sm text-gray-500">Todavía no hay escenarios</p>}
+              <div className="space-y-2">
+                {escenarios.map(escenario => {
+                  const configuracion = { ...CONFIGURACION_VACIA, ...escenario.configuracion };
+                  const cambios = [
+                    (configuracion.vehiculos?.excluidos || []).length && `${configuracion.vehiculos.excluidos.length} camiones fuera`,
+                    Object.keys(configuracion.vehiculos?.capacidades || {}).length && `${Object.keys(configuracion.vehiculos.capacidades).length} capacidades`,
+                    Number(configuracion.demanda?.general || 0) && `demanda ${configuracion.demanda.general > 0 ? '+' : ''}${configuracion.demanda.general}%`,
+                    Object.keys(configuracion.demanda?.provincias || {}).length && `${Object.keys(configuracion.demanda.provincias).length} provincias ajustadas`,
+                    Object.keys(configuracion.reasignaciones || {}).length && `${Object.keys(configuracion.reasignaciones).length} tiendas reasignadas`,
+                  ].filter(Boolean);
+                  return (
+                    <div key={escenario.id} className="flex flex-wrap items-center gap-3 p-3 border border-gray-200 rounded-lg">
+                      <input
+                        type="checkbox"
+                        checked={escenariosComparar.includes(escenario.id)}
+                        onChange={(e) => setEscenariosComparar(e.target.checked
+                          ? [...escenariosComparar, escenario.id]
+                          : escenariosComparar.filter(id => id !== escenario.id))}
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium">
+                          {escenario.nombre}
+                          {escenario.activo && <span className="ml-2 text-xs text-green-700 bg-green-100 px-2 py-0.5 rounded">activo</span>}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {cambios.length ? cambios.join(' • ') : 'Sin cambios sobre los datos actuales'}
+                          {escenario.metricas?.distancia_total_km !== undefined && (
+                            ` • último resultado: ${Number(escenario.metricas.distancia_total_km || 0).toFixed(1)} km, ${Number(escenario.metricas.coste_total || 0).toFixed(0)} €`
+                          )}
+                        </div>
+                      </div>
+                      <div className="flex gap-3 text-sm">
+                        <button onClick={() => optimizarEscenario(escenario.id)} disabled={loading} className="text-blue-600 hover:underline disabled:text-gray-400">
+                          🚀 Optimizar
+                        </button>
+                        <button
+                          onClick={() => activarEscenario(escenario.activo ? null : escenario.id)}
+                          className="text-purple-600 hover:underline"
+                        >
+                          {escenario.activo ? 'Desactivar' : 'Activar'}
+                        </button>
+                        <button onClick={() => editarEscenario(escenario)} className="text-blue-600 hover:underline">
+                          Editar
+                        </button>
+                        <button
+                          onClick={() => guardarEscenario({ nombre: `${escenario.nombre} (copia)`, descripcion: escenario.descripcion, configuracion })}
+                          className="text-blue-600 hover:underline"
+                        >
+                          Duplicar
+                        </button>
+                        <button onClick={() => eliminarEscenario(escenario)} className="text-red-600 hover:underline">
+                          Eliminar
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {escenarioForm && (
+              <div className="bg-white rounded-lg shadow-sm border p-6 space-y-6">
+                <h3 className="font-semibold text-lg">{escenarioForm.id ? '✏️ Editar escenario' : '➕ Nuevo escenario'}</h3>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <input
+                    type="text"
+                    placeholder="Nombre del escenario"
+                    value={escenarioForm.nombre}
+                    onChange={(e) => setEscenarioForm({ ...escenarioForm, nombre: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Descripción"
+                    value={escenarioForm.descripcion}
+                    onChange={(e) => setEscenarioForm({ ...escenarioForm, descripcion: e.target.value })}
+                    className="p-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-2">⚙️ Parámetros de optimización</h4>
+                  <div className="flex flex-wrap gap-4 text-sm">
+                    <label className="flex items-center gap-2">
+                      Algoritmo:
+                      <select
+                        className="p-1 border border-gray-300 rounded"
+                        value={escenarioForm.configuracion.parametros.algoritmo || 'savings'}
+                        onChange={(e) => cambiarConfiguracion('parametros', { ...escenarioForm.configuracion.parametros, algoritmo: e.target.value })}
+                      >
+                        {ALGORITMOS.map(opcion => (
+                          <option key={opcion.value} value={opcion.value}>{opcion.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      Objetivo:
+                      <select
+                        className="p-1 border border-gray-300 rounded"
+                        value={escenarioForm.configuracion.parametros.objetivo || 'distancia'}
+                        onChange={(e) => cambiarConfiguracion('parametros', { ...escenarioForm.configuracion.parametros, objetivo: e.target.value })}
+                      >
+                        <option value="distancia">Minimizar kilómetros y vehículos</option>
+                        <option value="coste">Minimizar coste de transporte</option>
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      Día:
+                      <select
+                        className="p-1 border border-gray-300 rounded"
+                        value={escenarioForm.configuracion.parametros.dia_entrega || ''}
+                        onChange={(e) => cambiarConfiguracion('parametros', {
+                          ...escenarioForm.configuracion.parametros,
+                          dia_entrega: e.target.value ? Number(e.target.value) : undefined,
+                        })}
+                      >
+                        <option value="">Sin ventanas horarias</option>
+                        {DIAS_SEMANA.map((dia, index) => (
+                          <option key={dia} value={index + 1}>{dia}</option>
+                        ))}
+                      </select>
+                    </label>
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-2">🚛 Flota</h4>
+                  <p className="text-xs text-gray-500 mb-2">Desmarca los camiones que no salen y cambia la capacidad de los que quieras simular.</p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2 max-h-72 overflow-y-auto">
+                    {vehiculos.map(vehiculo => {
+                      const { excluidos = [], capacidades = {} } = escenarioForm.configuracion.vehiculos;
+                      const excluido = excluidos.includes(vehiculo.id);
+                      return (
+                        <div key={vehiculo.id} className={`flex items-center gap-2 p-2 border rounded text-sm ${excluido ? 'bg-gray-100 text-gray-400' : ''}`}>
+                          <input
+                            type="checkbox"
+                            checked={!excluido}
+                            onChange={(e) => cambiarConfiguracion('vehiculos', {
+                              capacidades,
+                              excluidos: e.target.checked ? excluidos.filter(id => id !== vehiculo.id) : [...excluidos, vehiculo.id],
+                            })}
+                          />
+                          <span className="flex-1 truncate" title={vehiculo.proveedor_nombre}>{vehiculo.nombre_corto || vehiculo.numero_camion}</span>
+                          <input
+                            type="number"
+                            min="1"
+                            disabled={excluido}
+                            placeholder={String(vehiculo.capacidad_combis)}
+                            value={capacidades[vehiculo.id] ?? ''}
+                            onChange={(e) => {
+                              const { [vehiculo.id]: anterior, ...resto } = capacidades;
+                              cambiarConfiguracion('vehiculos', {
+                                excluidos,
+                                capacidades: e.target.value ? { ...resto, [vehiculo.id]: Number(e.target.value) } : resto,
+                              });
+                            }}
+                            className="w-16 p-1 border border-gray-300 rounded"
+                          />
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-2">📦 Demanda</h4>
+                  <div className="flex flex-wrap gap-3 text-sm">
+                    <label className="flex items-center gap-2 p-2 border rounded bg-gray-50">
+                      Todas las tiendas
+                      <input
+                        type="number"
+                        value={escenarioForm.configuracion.demanda.general || ''}
+                        placeholder="0"
+                        onChange={(e) => cambiarConfiguracion('demanda', { ...escenarioForm.configuracion.demanda, general: Number(e.target.value) || 0 })}
+                        className="w-16 p-1 border border-gray-300 rounded"
+                      />
+                      %
+                    </label>
+                    {[...new Set(tiendas.map(t => t.provincia).filter(Boolean))].sort().map(provincia => {
+                      const { provincias = {} } = escenarioForm.configuracion.demanda;
+                      return (
+                        <label key={provincia} className="flex items-center gap-2 p-2 border rounded">
+                          {provincia}
+                          <input
+                            type="number"
+                            value={provincias[provincia] ?? ''}
+                            placeholder="0"
+                            onChange={(e) => {
+                              const { [provincia]: anterior, ...resto } = provincias;
+                              cambiarConfiguracion('demanda', {
+                                ...escenarioForm.configuracion.demanda,
+                                provincias: Number(e.target.value) ? { ...resto, [provincia]: Number(e.target.value) } : resto,
+                              });
+                            }}
+                            className="w-16 p-1 border border-gray-300 rounded"
+                          />
+                          %
+                        </label>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                <div>
+                  <h4 className="font-medium mb-2">🔀 Reasignar tiendas</h4>
+                  <div className="flex flex-wrap gap-2 mb-2 text-sm">
+                    <select
+                      className="p-1 border border-gray-300 rounded"
+                      value={reasignacionNueva.tienda_id}
+                      onChange={(e) => setReasignacionNueva({ ...reasignacionNueva, tienda_id: e.target.value })}
+                    >
+                      <option value="">Tienda...</option>
+                      {tiendas.map(tienda => (
+                        <option key={tienda.id} value={tienda.id}>{tienda.codigo} - {tienda.nombre} ({tienda.proveedor_nombre || 'sin proveedor'})</option>
+                      ))}
+                    </select>
+                    <select
+                      className="p-1 border border-gray-300 rounded"
+                      value={reasignacionNueva.proveedor_id}
+                      onChange={(e) => setReasignacionNueva({ ...reasignacionNueva, proveedor_id: e.target.value })}
+                    >
+                      <option value="">Nuevo proveedor...</option>
+                      {proveedores.map(proveedor => (
+                        <option key={proveedor.id} value={proveedor.id}>{proveedor.nombre}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => {
+                        cambiarConfiguracion('reasignaciones', {
+                          ...escenarioForm.configuracion.reasignaciones,
+                          [reasignacionNueva.tienda_id]: reasignacionNueva.proveedor_id,
+                        });
+                        setReasignacionNueva({ tienda_id: '', proveedor_id: '' });
+                      }}
+                      disabled={!reasignacionNueva.tienda_id || !reasignacionNueva.proveedor_id}
+                      className="bg-gray-100 text-gray-700 px-3 rounded hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      Añadir
+                    </button>
+                  </div>
+                  <ul className="text-sm space-y-1">
+                    {Object.entries(escenarioForm.configuracion.reasignaciones).map(([tiendaId, proveedorId]) => {
+                      const tienda = tiendas.find(t => t.id === tiendaId);
+                      const proveedor = proveedores.find(p => p.id === proveedorId);
+                      return (
+                        <li key={tiendaId}>
+                          {tienda ? `${tienda.codigo} - ${tienda.nombre}` : tiendaId} → {proveedor ? proveedor.nombre : proveedorId}
+                          <button
+                            onClick={() => {
+                              const { [tiendaId]: quitada, ...resto } = escenarioForm.configuracion.reasignaciones;
+                              cambiarConfiguracion('reasignaciones', resto);
+                            }}
+                            className="ml-2 text-red-600 hover:underline"
+                          >
+                            quitar
+                          </button>
+                        </li>
+                      );
+                    })}
                   </ul>
                 </div>
-              )}
+
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => guardarEscenario(escenarioForm)}
+                    disabled={!escenarioForm.nombre || loading}
+                    className="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 disabled:bg-gray-400"
+                  >
+                    💾 Guardar escenario
+                  </button>
+                  <button
+                    onClick={() => setEscenarioForm(null)}
+                    className="bg-gray-100 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-200"
+                  >
+                    Cancelar
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {comparacion && (
+              <div className="bg-white rounded-lg shadow-sm border p-6">
+                <h3 className="font-semibold text-lg mb-4">⚖️ Comparación de escenarios</h3>
+                <div className="overflow-x-auto mb-6">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-1 pr-3">Métrica</th>
+                        {comparacion.escenarios.map(escenario => (
+                          <th key={escenario.id} className="py-1 pr-3">
+                            {escenario.nombre}
+                            {escenario.id === comparacion.referencia_id && <span className="text-xs font-normal"> (referencia)</span>}
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {comparacion.metricas.map(metrica => (
+                        <tr key={metrica} className="border-b">
+                          <td className="py-1 pr-3 text-gray-600">{METRICAS_ESCENARIO[metrica] || metrica}</td>
+                          {comparacion.escenarios.map(escenario => {
+                            const diferencia = Number(escenario.diferencias?.[metrica] || 0);
+                            return (
+                              <td key={escenario.id} className="py-1 pr-3">
+                                {escenario.sin_resultados ? '—' : Number(escenario.metricas[metrica]).toFixed(metrica.startsWith('coste') ? 2 : 1)}
+                                {diferencia !== 0 && (
+                                  <span className={`ml-1 text-xs ${diferencia > 0 ? 'text-orange-600' : 'text-green-600'}`}>
+                                    ({diferencia > 0 ? '+' : ''}{diferencia})
+                                  </span>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${comparacion.escenarios.length}, minmax(0, 1fr))` }}>
+                  {comparacion.escenarios.map(escenario => (
+                    <div key={escenario.id}>
+                      <h4 className="font-medium mb-2">🚛 {escenario.nombre}</h4>
+                      {escenario.sin_resultados && <p className="text-sm text-gray-500">Sin optimizar todavía</p>}
+                      <ul className="space-y-1 text-xs">
+                        {(escenario.rutas || []).map(ruta => (
+                          <li key={ruta.vehiculo_id} className="p-2 border rounded">
+                            <div className="font-medium">{ruta.vehiculo_nombre}</div>
+                            <div className="text-gray-600">
+                              {ruta.paradas} paradas • {Number(ruta.capacidad_usada || 0).toFixed(1)}/{Number(ruta.capacidad_maxima || 0)} combis
+                              {' • '}{Number(ruta.distancia_km || 0).toFixed(1)} km • {Number(ruta.coste || 0).toFixed(0)} €
+                            </div>
+                            <div className="text-gray-400 truncate" title={ruta.tiendas.join(' → ')}>{ruta.tiendas.join(' → ')}</div>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {optimizationResult?.escenario && <OptimizationResults result={optimizationResult} />}
+          </div>
+        )}
+
+        {activeView === 'auditoria' && (
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <h2 className="text-xl font-semibold mb-4">📜 Auditoría</h2>
+
+            <div className="flex flex-wrap items-end gap-3 mb-4 text-sm">
+              <label className="flex flex-col gap-1">
+                Entidad
+                <select
+                  className="p-2 border border-gray-300 rounded"
+                  value={filtrosAuditoria.entidad}
+                  onChange={(e) => setFiltrosAuditoria({ ...filtrosAuditoria, entidad: e.target.value })}
+                >
+                  <option value="">Todas</option>
+                  {ENTIDADES_AUDITORIA.map(entidad => <option key={entidad} value={entidad}>{entidad}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Usuario
+                <select
+                  className="p-2 border border-gray-300 rounded"
+                  value={filtrosAuditoria.usuario}
+                  onChange={(e) => setFiltrosAuditoria({ ...filtrosAuditoria, usuario: e.target.value })}
+                >
+                  <option value="">Todos</option>
+                  {usuarios.map(usuario => <option key={usuario.id} value={usuario.id}>{usuario.email}</option>)}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1">
+                Desde
+                <input
+                  type="date"
+                  className="p-2 border border-gray-300 rounded"
+                  value={filtrosAuditoria.desde}
+                  onChange={(e) => setFiltrosAuditoria({ ...filtrosAuditoria, desde: e.target.value })}
+                />
+              </label>
+              <label className="flex flex-col gap-1">
+                Hasta
+                <input
+                  type="date"
+                  className="p-2 border border-gray-300 rounded"
+                  value={filtrosAuditoria.hasta}
+                  onChange={(e) => setFiltrosAuditoria({ ...filtrosAuditoria, hasta: e.target.value })}
+                />
+              </label>
+              <button
+                onClick={() => loadAuditoria({ ...filtrosAuditoria, pagina: 1 })}
+                className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                🔍 Buscar
+              </button>
+            </div>
+
+            {!auditoria?.registros.length ? (
+              <p className="text-sm text-gray-500">No hay registros con esos filtros.</p>
+            ) : (
+              <>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2">Fecha</th>
+                      <th className="py-2">Usuario</th>
+                      <th className="py-2">Acción</th>
+                      <th className="py-2">Entidad</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {auditoria.registros.map(registro => (
+                      <React.Fragment key={registro.id}>
+                        <tr
+                          className="border-b cursor-pointer hover:bg-gray-50"
+                          onClick={() => setRegistroAuditoria(registroAuditoria === registro.id ? null : registro.id)}
+                        >
+                          <td className="py-2 whitespace-nowrap">{new Date(registro.created_at).toLocaleString('es-ES')}</td>
+                          <td className="py-2">{registro.usuario_email || '—'}</td>
+                          <td className="py-2 font-mono text-xs">{registro.accion}</td>
+                          <td className="py-2">
+                            {registro.entidad}
+                            {registro.entidad_id && <span className="text-xs text-gray-500"> • {registro.entidad_id.slice(0, 8)}</span>}
+                          </td>
+                        </tr>
+                        {registroAuditoria === registro.id && (
+                          <tr className="border-b bg-gray-50">
+                            <td colSpan={4} className="py-2 text-xs">
+                              {cambiosAuditoria(registro.antes, registro.despues).map(cambio => (
+                                <div key={cambio.campo}>
+                                  <strong>{cambio.campo}</strong>: <span className="text-red-600">{valorAuditoria(cambio.antes)}</span>
+                                  {' → '}<span className="text-green-700">{valorAuditoria(cambio.despues)}</span>
+                                </div>
+                              ))}
+                              {registro.detalle && (
+                                <pre className="mt-1 whitespace-pre-wrap text-gray-600">{JSON.stringify(registro.detalle, null, 2)}</pre>
+                              )}
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                  <span>{auditoria.total} registros</span>
+                  <div className="flex gap-3">
+                    <button
+                      disabled={auditoria.pagina <= 1}
+                      onClick={() => loadAuditoria({ ...filtrosAuditoria, pagina: auditoria.pagina - 1 })}
+                      className="text-blue-600 hover:underline disabled:text-gray-400"
+                    >
+                      ← Más recientes
+                    </button>
+                    <button
+                      disabled={auditoria.pagina * 50 >= auditoria.total}
+                      onClick={() => loadAuditoria({ ...filtrosAuditoria, pagina: auditoria.pagina + 1 })}
+                      className="text-blue-600 hover:underline disabled:text-gray-400"
+                    >
+                      Más antiguos →
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {activeView === 'usuarios' && (
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-xl font-semibold">👥 Usuarios</h2>
+              <button
+                onClick={() => setUsuarioForm({ email: '', nombre: '', rol: 'planificador', proveedor_id: '', password: '' })}
+                className="bg-blue-600 text-white py-2 px-4 rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                ➕ Nuevo usuario
+              </button>
             </div>
+
+            {usuarioForm && (
+              <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-6 p-4 bg-gray-50 rounded-lg">
+                <input
+                  type="email"
+                  placeholder="Email"
+                  className="p-2 border border-gray-300 rounded"
+                  value={usuarioForm.email}
+                  onChange={(e) => setUsuarioForm({ ...usuarioForm, email: e.target.value })}
+                />
+                <input
+                  placeholder="Nombre"
+                  className="p-2 border border-gray-300 rounded"
+                  value={usuarioForm.nombre}
+                  onChange={(e) => setUsuarioForm({ ...usuarioForm, nombre: e.target.value })}
+                />
+                <select
+                  className="p-2 border border-gray-300 rounded"
+                  value={usuarioForm.rol}
+                  onChange={(e) => setUsuarioForm({ ...usuarioForm, rol: e.target.value })}
+                >
+                  {Object.entries(ROLES).map(([valor, nombre]) => (
+                    <option key={valor} value={valor}>{nombre}</option>
+                  ))}
+                </select>
+                {usuarioForm.rol === 'transportista' ? (
+                  <select
+                    className="p-2 border border-gray-300 rounded"
+                    value={usuarioForm.proveedor_id || ''}
+                    onChange={(e) => setUsuarioForm({ ...usuarioForm, proveedor_id: e.target.value })}
+                  >
+                    <option value="">Proveedor...</option>
+                    {proveedores.map(proveedor => (
+                      <option key={proveedor.id} value={proveedor.id}>{proveedor.nombre}</option>
+                    ))}
+                  </select>
+                ) : <div />}
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder={usuarioForm.id ? 'Nueva contraseña (opcional)' : 'Contraseña (mín. 8)'}
+                  className="p-2 border border-gray-300 rounded"
+                  value={usuarioForm.password}
+                  onChange={(e) => setUsuarioForm({ ...usuarioForm, password: e.target.value })}
+                />
+                <div className="md:col-span-5 flex gap-3">
+                  <button
+                    onClick={() => {
+                      const { id, ...datos } = usuarioForm;
+                      guardarUsuario(id, datos);
+                    }}
+                    className="bg-green-600 text-white py-2 px-4 rounded-lg hover:bg-green-700 transition-colors"
+                  >
+                    💾 Guardar
+                  </button>
+                  <button onClick={() => setUsuarioForm(null)} className="text-gray-600 hover:underline">
+                    Cancelar
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">Usuario</th>
+                  <th className="py-2">Rol</th>
+                  <th className="py-2">Último acceso</th>
+                  <th className="py-2 text-right">Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {usuarios.map(usuario => (
+                  <tr key={usuario.id} className={`border-b ${usuario.activo ? '' : 'text-gray-400'}`}>
+                    <td className="py-2">
+                      <div className="font-medium">{usuario.nombre}</div>
+                      <div className="text-xs text-gray-500">{usuario.email}</div>
+                    </td>
+                    <td className="py-2">
+                      {ROLES[usuario.rol]}
+                      {usuario.proveedor_nombre && ` • ${usuario.proveedor_nombre}`}
+                      {!usuario.activo && ' • de baja'}
+                    </td>
+                    <td className="py-2">
+                      {usuario.ultimo_acceso ? new Date(usuario.ultimo_acceso).toLocaleString('es-ES') : '—'}
+                    </td>
+                    <td className="py-2 text-right space-x-3">
+                      <button
+                        onClick={() => setUsuarioForm({
+                          id: usuario.id,
+                          email: usuario.email,
+                          nombre: usuario.nombre,
+                          rol: usuario.rol,
+                          proveedor_id: usuario.proveedor_id || '',
+                          password: '',
+                        })}
+                        title="Editar"
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        onClick={() => cambiarActivoUsuario(usuario)}
+                        className="text-blue-600 hover:underline"
+                        disabled={usuario.id === sesion.usuario.id}
+                      >
+                        {usuario.activo ? 'Dar de baja' : 'Reactivar'}
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
           </div>
         )}
       </main>